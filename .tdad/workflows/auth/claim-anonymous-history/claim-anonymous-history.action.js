@@ -0,0 +1,189 @@
+const {
+    createTestPostForVoting,
+    createTestUserWithAuth,
+    getOrCreateTestCategory,
+    performCreateVoteRecordAction,
+    generateVoterAnonymousId,
+    getPostVoteCounts
+} = require('../../voting/create-vote-record/create-vote-record.action.js');
+const { getUserKarma } = require('../../voting/cast-vote-atomically/cast-vote-atomically.action.js');
+const { readerRequest } = require('../../posts/generate-anonymous-id/generate-anonymous-id.action.js');
+
+/**
+ * Claim Anonymous History Action
+ *
+ * Registers or logs in from an anonymous reader's browser, optionally asking
+ * for what that reader did anonymously to be attached to the account.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} context - Test context and dependencies
+ * @param {string} context.mode - 'api' or 'ui'
+ * @param {string} context.via - 'register' or 'login' (API mode)
+ * @param {string} context.anonymousId - Label of the anonymous reader (API mode; UI mode uses the browser)
+ * @param {string} context.username - Username to register or log in with
+ * @param {string} context.password - Password
+ * @param {boolean} context.claim - Whether to ask for the anonymous history
+ * @returns {Promise<Object>} - Returns { success, statusCode, body, userId, claimed, optionVisible, errorMessage }
+ */
+async function performClaimAnonymousHistoryAction(page, context = {}) {
+    try {
+        const {
+            mode = 'api',
+            via = 'register',
+            anonymousId,
+            username = `claim_${Date.now().toString().slice(-8)}`,
+            password = 'TestPass123!',
+            claim = true
+        } = context;
+
+        // ==========================================
+        // UI MODE - Register in the browser
+        // ==========================================
+        if (mode === 'ui') {
+            await page.goto('/auth/register');
+            await page.waitForLoadState('domcontentloaded');
+
+            const option = page.getByTestId('claim-history-option');
+            const optionVisible = await option.waitFor({ state: 'visible', timeout: 10000 })
+                .then(() => true).catch(() => false);
+            const optionText = optionVisible ? (await option.textContent())?.trim() : null;
+
+            await page.getByLabel(/username/i).fill(username);
+            await page.getByLabel(/password/i).fill(password);
+            if (claim && optionVisible) {
+                await option.getByRole('checkbox').check();
+            }
+
+            const registered = page.waitForResponse(
+                (response) => response.url().includes('/api/auth/register'),
+                { timeout: 10000 }
+            );
+            await page.getByRole('button', { name: /create account/i }).click();
+            const response = await registered;
+            const body = await response.json().catch(() => ({}));
+
+            return {
+                success: response.ok(),
+                statusCode: response.status(),
+                body,
+                userId: body?.userId || null,
+                claimed: body?.claimed ?? null,
+                optionVisible,
+                optionText
+            };
+        }
+
+        // ==========================================
+        // API MODE - REST auth routes
+        // ==========================================
+        const request = await readerRequest(page, anonymousId);
+        if (via === 'login') {
+            const response = await request.post('/api/auth/login', {
+                data: { username, password, claimAnonymousHistory: claim }
+            });
+            const body = await response.json().catch(() => ({}));
+            return {
+                success: response.ok(),
+                statusCode: response.status(),
+                body,
+                userId: body?.userId || null,
+                claimed: body?.claimed ?? null,
+                errorMessage: response.ok() ? null : body?.error || 'Login failed'
+            };
+        }
+
+        const response = await request.post('/api/auth/register', {
+            data: { username, password, claimAnonymousHistory: claim }
+        });
+        const body = await response.json().catch(() => ({}));
+        return {
+            success: response.ok(),
+            statusCode: response.status(),
+            body,
+            userId: body?.userId || null,
+            claimed: body?.claimed ?? null,
+            errorMessage: response.ok() ? null : body?.error || 'Registration failed'
+        };
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Helper to read a post as the API returns it
+ * @param {Object} page - Playwright page object
+ * @param {string} postId - Post ID
+ * @returns {Promise<Object|null>} - The post, or null on failure
+ */
+async function getPost(page, postId) {
+    const response = await page.request.get(
+        `/api/trpc/post.getById?input=${encodeURIComponent(JSON.stringify({ json: { id: postId } }))}`
+    );
+    if (!response.ok()) return null;
+    const body = await response.json();
+    return body?.result?.data?.json ?? null;
+}
+
+/**
+ * Helper to read what an anonymous reader could still claim
+ * @param {Object} page - Playwright page object
+ * @param {string} anonymousId - Label of the anonymous reader
+ * @returns {Promise<Object|null>} - { posts, comments, votes }, or null on failure
+ */
+async function getAnonymousHistory(page, anonymousId) {
+    const response = await (await readerRequest(page, anonymousId)).get('/api/trpc/user.anonymousHistory');
+    if (!response.ok()) return null;
+    const body = await response.json();
+    return body?.result?.data?.json ?? null;
+}
+
+/**
+ * Helper to post as an anonymous reader
+ * @param {Object} page - Playwright page object
+ * @param {string} anonymousId - Label of the anonymous reader; omitted for the browser itself
+ * @returns {Promise<string|null>} - Post ID, or null on failure
+ */
+async function postAs(page, anonymousId) {
+    const category = await getOrCreateTestCategory(page);
+    if (!category.success) return null;
+    const response = await (await readerRequest(page, anonymousId)).post('/api/posts', {
+        data: {
+            frustration: `keep my old posts ${Date.now()}`,
+            identity: 'a returning reader',
+            categoryId: category.categoryId
+        }
+    });
+    if (!response.ok()) return null;
+    const body = await response.json();
+    return body?.id || null;
+}
+
+/**
+ * Helper to comment on a post as an anonymous reader
+ * @param {Object} page - Playwright page object
+ * @param {string} postId - Post to comment on
+ * @param {string} anonymousId - Label of the anonymous reader
+ * @returns {Promise<string|null>} - Comment ID, or null on failure
+ */
+async function commentAs(page, postId, anonymousId) {
+    const response = await (await readerRequest(page, anonymousId)).post('/api/comments', {
+        data: { content: `Not just you ${Date.now()}`, postId }
+    });
+    if (!response.ok()) return null;
+    const body = await response.json();
+    return body?.id || null;
+}
+
+module.exports = {
+    performClaimAnonymousHistoryAction,
+    getPost,
+    getAnonymousHistory,
+    postAs,
+    commentAs,
+    createTestPostForVoting,
+    createTestUserWithAuth,
+    performCreateVoteRecordAction,
+    generateVoterAnonymousId,
+    getPostVoteCounts,
+    getUserKarma
+};
@@ -0,0 +1,51 @@
+Feature: Claim Anonymous History
+  As a reader who posted and voted before signing up
+  I want to attach what I did anonymously to my new account
+  So that my posts, votes and karma follow me
+
+  # NOTE: Claiming is opt-in (claimAnonymousHistory on /api/auth/register and
+  # /api/auth/login, or the checkbox on the auth forms). It moves unowned posts
+  # and comments, votes, "me too" reactions and reports from the browser's
+  # anonymous id to the account. Where the account already voted on the same
+  # target, the account's vote wins and the anonymous one is withdrawn.
+
+
+  # ==========================================
+  # API SCENARIOS (API Request & Response)
+  # ==========================================
+
+  Scenario: [API] Registering with the claim attaches the anonymous history
+    Given an anonymous reader who has posted, commented and voted
+    When they register with claimAnonymousHistory set
+    Then the response should report 1 post, at least 1 comment and 1 vote claimed
+    And the post should belong to the new account
+
+  Scenario: [API] Registering without the claim leaves the history anonymous
+    Given an anonymous reader who has posted
+    When they register without claimAnonymousHistory
+    Then the response should report nothing claimed
+    And the post should still count as their anonymous history
+
+  Scenario: [API] Claimed posts credit their votes to the account's karma
+    Given an anonymous reader whose post has 2 upvotes from other readers
+    When they register with claimAnonymousHistory set
+    Then the new account's karma should be 2
+
+  Scenario: [API] The account's vote wins when both voted on the same post
+    Given an anonymous reader who upvoted a post
+    And an existing account that downvoted the same post
+    When the reader logs in to that account with claimAnonymousHistory set
+    Then the response should report 0 votes claimed
+    And the post should have 0 upvotes, 1 downvote and a score of -1
+
+
+  # ==========================================
+  # UI SCENARIOS (User Interface)
+  # ==========================================
+
+  Scenario: [UI] The register form offers to attach the browser's history
+    Given the browser has posted anonymously
+    When the user opens the register page
+    Then they should see the option to attach their anonymous post
+    When they tick it and create an account
+    Then the post should be claimed
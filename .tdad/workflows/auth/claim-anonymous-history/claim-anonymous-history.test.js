@@ -0,0 +1,163 @@
+// TDAD fixtures provide automatic trace capture for Golden Packet
+const { test, expect } = require('../../../tdad-fixtures');
+const {
+    performClaimAnonymousHistoryAction,
+    getPost,
+    getAnonymousHistory,
+    postAs,
+    commentAs,
+    createTestPostForVoting,
+    createTestUserWithAuth,
+    performCreateVoteRecordAction,
+    generateVoterAnonymousId,
+    getPostVoteCounts,
+    getUserKarma
+} = require('./claim-anonymous-history.action.js');
+
+/**
+ * Test based on Gherkin specification:
+ * Feature: Claim Anonymous History
+ *   As a reader who posted and voted before signing up
+ *   I want to attach what I did anonymously to my new account
+ *   So that my posts, votes and karma follow me
+ */
+
+test.describe('Claim Anonymous History', () => {
+
+    // ==========================================
+    // API TESTS
+    // ==========================================
+
+    test('[API-435] Registering with the claim attaches the anonymous history', async ({ page }) => {
+        // Setup: The reader posts, comments on it and upvotes someone else's post
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        const reader = post.anonymousId;
+        expect(await commentAs(page, post.postId, reader)).toBeTruthy();
+        const other = await createTestPostForVoting(page);
+        expect(other.success).toBe(true);
+        const vote = await performCreateVoteRecordAction(page, {
+            mode: 'api',
+            targetType: 'post',
+            postId: other.postId,
+            value: 1,
+            anonymousId: reader
+        });
+        expect(vote.success).toBe(true);
+
+        // Execute
+        const result = await performClaimAnonymousHistoryAction(page, { anonymousId: reader });
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.claimed.posts).toBe(1);
+        expect(result.claimed.comments).toBeGreaterThanOrEqual(1);
+        expect(result.claimed.votes).toBe(1);
+        const claimedPost = await getPost(page, post.postId);
+        expect(claimedPost.userId).toBe(result.userId);
+        expect(await getAnonymousHistory(page, reader)).toEqual({ posts: 0, comments: 0, votes: 0 });
+    });
+
+    test('[API-436] Registering without the claim leaves the history anonymous', async ({ page }) => {
+        // Setup
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+
+        // Execute
+        const result = await performClaimAnonymousHistoryAction(page, {
+            anonymousId: post.anonymousId,
+            claim: false
+        });
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.claimed).toBeNull();
+        const unclaimedPost = await getPost(page, post.postId);
+        expect(unclaimedPost.userId).toBeNull();
+        const history = await getAnonymousHistory(page, post.anonymousId);
+        expect(history.posts).toBe(1);
+    });
+
+    test('[API-437] Claimed posts credit their votes to the account karma', async ({ page }) => {
+        // Setup
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        for (let i = 0; i < 2; i++) {
+            const vote = await performCreateVoteRecordAction(page, {
+                mode: 'api',
+                targetType: 'post',
+                postId: post.postId,
+                value: 1,
+                anonymousId: generateVoterAnonymousId()
+            });
+            expect(vote.success).toBe(true);
+        }
+
+        // Execute
+        const result = await performClaimAnonymousHistoryAction(page, { anonymousId: post.anonymousId });
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(await getUserKarma(page, result.userId)).toBe(2);
+    });
+
+    test('[API-438] The account vote wins when both voted on the same post', async ({ page }) => {
+        // Setup
+        const account = await createTestUserWithAuth(page);
+        expect(account.success).toBe(true);
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        const reader = generateVoterAnonymousId();
+        const upvote = await performCreateVoteRecordAction(page, {
+            mode: 'api',
+            targetType: 'post',
+            postId: post.postId,
+            value: 1,
+            anonymousId: reader
+        });
+        const downvote = await performCreateVoteRecordAction(page, {
+            mode: 'api',
+            targetType: 'post',
+            postId: post.postId,
+            value: -1,
+            authToken: account.authToken
+        });
+        expect(upvote.success && downvote.success).toBe(true);
+
+        // Execute
+        const result = await performClaimAnonymousHistoryAction(page, {
+            via: 'login',
+            anonymousId: reader,
+            username: account.username
+        });
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.claimed.votes).toBe(0);
+        const counts = await getPostVoteCounts(page, post.postId);
+        expect(counts.upvotes).toBe(0);
+        expect(counts.downvotes).toBe(1);
+        expect(counts.score).toBe(-1);
+    });
+
+    // ==========================================
+    // UI TESTS
+    // ==========================================
+
+    test('[UI-216] The register form offers to attach the browser history', async ({ page }) => {
+        // Setup: Post from the browser's own anonymous identity
+        const postId = await postAs(page);
+        expect(postId).toBeTruthy();
+
+        // Execute
+        const result = await performClaimAnonymousHistoryAction(page, { mode: 'ui' });
+
+        // Assert
+        expect(result.optionVisible).toBe(true);
+        expect(result.optionText).toContain('1 post');
+        expect(result.success).toBe(true);
+        expect(result.claimed.posts).toBeGreaterThanOrEqual(1);
+        const claimedPost = await getPost(page, postId);
+        expect(claimedPost.userId).toBe(result.userId);
+    });
+});
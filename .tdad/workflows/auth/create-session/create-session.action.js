@@ -1,9 +1,9 @@
 /**
  * Create Session Action
  *
- * Generates a JWT token for an authenticated user.
- * This action is typically called after verify-credentials
- * to establish a user session.
+ * Signs in as a user through the test-only /api/auth/create-session helper,
+ * which skips the password and sets the same session cookie as a login.
+ * Requires the server to run with ENABLE_TEST_LOGIN=true.
  *
  * @param {Object} page - Playwright page object
  * @param {Object} context - Test context and dependencies
@@ -3,7 +3,9 @@ Feature: Create Session
   I want to receive a JWT token after successful credential verification
   So that I can access protected resources without re-authenticating
 
-  # NOTE: Session tokens are created only after successful credential verification
+  # NOTE: Test-only login helper. It signs in as any user without a password,
+  # so it answers 404 unless the server runs with ENABLE_TEST_LOGIN=true; the
+  # scenarios below assume the flag is set. Real logins go through /api/auth/login.
 
 
   # ==========================================
@@ -44,3 +46,8 @@ Feature: Create Session
     When the client sends POST request to "/api/auth/create-session" with userId "nonexistent123" and username "testuser"
     Then the response status should be 404
     And the response error should be "User not found"
+
+  Scenario: [API] Create Session - Signs the browser in
+    Given a registered user
+    When the client sends POST request to "/api/auth/create-session" for that user
+    Then "/api/auth/me" should return that user using the session cookie
@@ -14,7 +14,7 @@ const {
  *   I want to receive a JWT token after successful credential verification
  *   So that I can access protected resources without re-authenticating
  *
- *   NOTE: Session tokens are created only after successful credential verification
+ *   NOTE: Test-only helper; the route only exists when the server runs with ENABLE_TEST_LOGIN=true
  */
 
 test.describe('Create Session', () => {
@@ -127,4 +127,17 @@ test.describe('Create Session', () => {
         expect(result.expiresIn).toBeDefined();
     });
 
+    test('[API-440] Create Session - Signs the browser in', async ({ page }) => {
+        // Setup
+        const uniqueUsername = generateUniqueUsername('testlogin');
+        const result = await createFullSessionForUser(page, uniqueUsername, 'TestPassword123!');
+        expect(result.success).toBe(true);
+
+        // Assert: The session cookie is recognized like one from /api/auth/login
+        const me = await page.request.get('/api/auth/me');
+        expect(me.status()).toBe(200);
+        const body = await me.json();
+        expect(body.userId).toBe(result.userId);
+    });
+
 });
@@ -0,0 +1,116 @@
+const { createTestUserWithAuth } = require('../../voting/create-vote-record/create-vote-record.action.js');
+
+// Credentials of the admin created by `npm run db:seed` (see enforce-roles.feature)
+const ADMIN_USERNAME = process.env.SEED_ADMIN_USERNAME || 'admin';
+const ADMIN_PASSWORD = process.env.SEED_ADMIN_PASSWORD || 'admin-password-123';
+
+/**
+ * Enforce Roles Action
+ *
+ * Calls a role-gated tRPC mutation as the given caller.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} context - Test context and dependencies
+ * @param {string} context.mode - 'api' for API testing
+ * @param {string} context.procedure - tRPC mutation path, e.g. 'category.create'
+ * @param {Object} context.input - Mutation input
+ * @param {string} context.authToken - Optional Bearer token of the caller
+ * @returns {Promise<Object>} - Returns { success, statusCode, body, data, errorCode, errorMessage }
+ */
+async function performEnforceRolesAction(page, context = {}) {
+    try {
+        const { mode = 'api', procedure, input = {}, authToken } = context;
+
+        // ==========================================
+        // API MODE - Direct HTTP requests
+        // ==========================================
+        if (mode === 'api' || !mode) {
+            const response = await page.request.post(`/api/trpc/${procedure}`, {
+                data: { json: input },
+                headers: authToken ? { Authorization: `Bearer ${authToken}` } : {}
+            });
+
+            const statusCode = response.status();
+            const body = await response.json().catch(() => ({}));
+
+            return {
+                success: response.ok(),
+                statusCode,
+                body,
+                data: body?.result?.data?.json ?? null,
+                errorCode: body?.error?.json?.data?.code || null,
+                errorMessage: body?.error?.json?.message || null
+            };
+        }
+
+        // No UI mode for this action - it's API only
+        return { success: false, errorMessage: 'Only API mode is supported for this action' };
+
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Helper to log in as the seeded admin
+ * @param {Object} page - Playwright page object
+ * @returns {Promise<string|null>} - Admin auth token, or null if the admin is missing
+ */
+async function getAdminAuthToken(page) {
+    const response = await page.request.post('/api/auth/login', {
+        data: { username: ADMIN_USERNAME, password: ADMIN_PASSWORD }
+    });
+    if (!response.ok()) return null;
+    const body = await response.json();
+    return body?.token || null;
+}
+
+/**
+ * Helper to build headers for role-gated setup requests (e.g. category.create)
+ * @param {Object} page - Playwright page object
+ * @returns {Promise<Object>} - Authorization header for the seeded admin, or {} if it can't log in
+ */
+async function getAdminAuthHeaders(page) {
+    const token = await getAdminAuthToken(page);
+    return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+/**
+ * Helper to register a user and give them a role via admin.setRole
+ * @param {Object} page - Playwright page object
+ * @param {string} role - 'user', 'moderator' or 'admin'
+ * @returns {Promise<Object>} - Returns { success, userId, authToken, errorMessage }
+ */
+async function createTestUserWithRole(page, role) {
+    const adminToken = await getAdminAuthToken(page);
+    if (!adminToken) {
+        return { success: false, errorMessage: 'Seeded admin could not log in' };
+    }
+
+    const user = await createTestUserWithAuth(page);
+    if (!user.success) {
+        return { success: false, errorMessage: user.errorMessage };
+    }
+
+    const result = await performEnforceRolesAction(page, {
+        mode: 'api',
+        procedure: 'admin.setRole',
+        input: { userId: user.userId, role },
+        authToken: adminToken
+    });
+
+    return {
+        success: result.success,
+        userId: user.userId,
+        authToken: user.authToken,
+        errorMessage: result.errorMessage
+    };
+}
+
+module.exports = {
+    performEnforceRolesAction,
+    getAdminAuthToken,
+    getAdminAuthHeaders,
+    createTestUserWithRole,
+    createTestUserWithAuth
+};
@@ -0,0 +1,43 @@
+Feature: Enforce Roles
+  As an administrator
+  I want privileged actions restricted to moderators and admins
+  So that anonymous visitors cannot create categories or remove other people's content
+
+  # NOTE: The admin used by these tests is created by
+  #   SEED_ADMIN_USERNAME=<name> SEED_ADMIN_PASSWORD=<password> npm run db:seed
+  # and the same variables must be visible to the test run
+
+
+  # ==========================================
+  # API SCENARIOS (API Request & Response)
+  # ==========================================
+
+  Scenario: [API] Anonymous callers cannot create categories
+    When an unauthenticated client calls category.create
+    Then the response error code should be "UNAUTHORIZED"
+
+  Scenario: [API] Regular users cannot create categories
+    Given a registered user with the default role
+    When the user calls category.create
+    Then the response error code should be "FORBIDDEN"
+
+  Scenario: [API] Admins can create categories
+    Given the seeded admin is logged in
+    When the admin calls category.create with a new name and slug
+    Then the category should be created
+
+  Scenario: [API] Regular users cannot change roles
+    Given two registered users
+    When one user calls admin.setRole to make the other a moderator
+    Then the response error code should be "FORBIDDEN"
+
+  Scenario: [API] Moderators can delete other people's posts
+    Given a registered user promoted to moderator by the admin
+    And an anonymous post by someone else
+    When the moderator calls post.delete
+    Then the post should be deleted
+
+  Scenario: [API] Admins can run the counter reconciliation
+    Given the seeded admin is logged in
+    When the admin calls admin.reconcileCounters without repair
+    Then the response should contain a drift report
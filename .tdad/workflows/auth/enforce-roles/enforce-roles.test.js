@@ -0,0 +1,135 @@
+// TDAD fixtures provide automatic trace capture for Golden Packet
+const { test, expect } = require('../../../tdad-fixtures');
+const {
+    performEnforceRolesAction,
+    getAdminAuthToken,
+    createTestUserWithRole,
+    createTestUserWithAuth
+} = require('./enforce-roles.action.js');
+const { createTestPostForVoting } = require('../../voting/create-vote-record/create-vote-record.action.js');
+
+/**
+ * Test based on Gherkin specification:
+ * Feature: Enforce Roles
+ *   As an administrator
+ *   I want privileged actions restricted to moderators and admins
+ *   So that anonymous visitors cannot create categories or remove other people's content
+ */
+
+test.describe('Enforce Roles', () => {
+
+    // ==========================================
+    // API TESTS
+    // ==========================================
+
+    test('[API-375] Anonymous callers cannot create categories', async ({ page }) => {
+        // Execute
+        const suffix = Date.now();
+        const result = await performEnforceRolesAction(page, {
+            mode: 'api',
+            procedure: 'category.create',
+            input: { name: `Anon Category ${suffix}`, slug: `anon-category-${suffix}` }
+        });
+
+        // Assert
+        expect(result.success).toBe(false);
+        expect(result.errorCode).toBe('UNAUTHORIZED');
+    });
+
+    test('[API-376] Regular users cannot create categories', async ({ page }) => {
+        // Setup
+        const user = await createTestUserWithAuth(page);
+        expect(user.authToken).toBeTruthy();
+
+        // Execute
+        const suffix = Date.now();
+        const result = await performEnforceRolesAction(page, {
+            mode: 'api',
+            procedure: 'category.create',
+            input: { name: `User Category ${suffix}`, slug: `user-category-${suffix}` },
+            authToken: user.authToken
+        });
+
+        // Assert
+        expect(result.success).toBe(false);
+        expect(result.errorCode).toBe('FORBIDDEN');
+    });
+
+    test('[API-377] Admins can create categories', async ({ page }) => {
+        // Setup
+        const adminToken = await getAdminAuthToken(page);
+        expect(adminToken).toBeTruthy();
+
+        // Execute
+        const suffix = Date.now();
+        const result = await performEnforceRolesAction(page, {
+            mode: 'api',
+            procedure: 'category.create',
+            input: { name: `Admin Category ${suffix}`, slug: `admin-category-${suffix}` },
+            authToken: adminToken
+        });
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.data.slug).toBe(`admin-category-${suffix}`);
+    });
+
+    test('[API-378] Regular users cannot change roles', async ({ page }) => {
+        // Setup: Two plain users
+        const caller = await createTestUserWithAuth(page);
+        const target = await createTestUserWithAuth(page);
+        expect(caller.authToken).toBeTruthy();
+        expect(target.success).toBe(true);
+
+        // Execute
+        const result = await performEnforceRolesAction(page, {
+            mode: 'api',
+            procedure: 'admin.setRole',
+            input: { userId: target.userId, role: 'moderator' },
+            authToken: caller.authToken
+        });
+
+        // Assert
+        expect(result.success).toBe(false);
+        expect(result.errorCode).toBe('FORBIDDEN');
+    });
+
+    test('[API-379] Moderators can delete other people\'s posts', async ({ page }) => {
+        // Setup: A moderator and someone else's anonymous post
+        const moderator = await createTestUserWithRole(page, 'moderator');
+        expect(moderator.success).toBe(true);
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+
+        // Execute
+        const result = await performEnforceRolesAction(page, {
+            mode: 'api',
+            procedure: 'post.delete',
+            input: { id: post.postId },
+            authToken: moderator.authToken
+        });
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.data.success).toBe(true);
+    });
+
+    test('[API-380] Admins can run the counter reconciliation', async ({ page }) => {
+        // Setup
+        const adminToken = await getAdminAuthToken(page);
+        expect(adminToken).toBeTruthy();
+
+        // Execute: Dry run only, so the shared database is left untouched
+        const result = await performEnforceRolesAction(page, {
+            mode: 'api',
+            procedure: 'admin.reconcileCounters',
+            input: { repair: false },
+            authToken: adminToken
+        });
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(Array.isArray(result.data.drift)).toBe(true);
+        expect(result.data.repaired).toBe(false);
+    });
+});
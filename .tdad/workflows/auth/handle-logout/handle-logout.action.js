@@ -28,7 +28,7 @@ const {
  * @param {Object} page - Playwright page object
  * @param {Object} context - Context with optional auth token
  * @param {string} context.token - JWT token for authenticated request
- * @returns {Promise<Object>} - Returns { success, statusCode, body, sessionCleared }
+ * @returns {Promise<Object>} - Returns { success, statusCode, body, sessionCleared, stillSignedIn }
  */
 async function performLogoutApiRequest(page, context = {}) {
     try {
@@ -39,7 +39,7 @@ async function performLogoutApiRequest(page, context = {}) {
             headers['Authorization'] = `Bearer ${token}`;
         }
 
-        const response = await page.request.post('/api/auth/signout', {
+        const response = await page.request.post('/api/auth/logout', {
             headers
         });
 
@@ -52,11 +52,15 @@ async function performLogoutApiRequest(page, context = {}) {
             body = await response.text();
         }
 
+        // The browser's session cookie should be gone
+        const me = await page.request.get('/api/auth/me');
+
         return {
             success: response.ok(),
             statusCode: status,
             body: body,
             sessionCleared: body?.sessionCleared || body?.success || response.ok(),
+            stillSignedIn: me.ok(),
             errorMessage: !response.ok() ? (body?.error || body?.message || 'Logout failed') : null
         };
     } catch (error) {
@@ -124,7 +128,7 @@ async function checkLogoutButtonVisibility(page) {
     try {
         await page.waitForLoadState('domcontentloaded');
 
-        const signOutButton = page.getByRole('button', { name: /sign\s*out/i });
+        const signOutButton = page.getByTestId('user-menu').getByRole('button', { name: /sign\s*out/i });
         const hasSignOutButton = await signOutButton.isVisible().catch(() => false);
 
         return {
@@ -9,14 +9,14 @@ Feature: Handle Logout
 
   Scenario: [API] Logout API Success
     Given the user is authenticated with a valid session
-    When the client sends POST request to "/api/auth/signout"
+    When the client sends POST request to "/api/auth/logout"
     Then the response status should be 200
     And the session should be invalidated
     And the session cookie should be cleared
 
   Scenario: [API] Logout API when not authenticated
     Given the user is not authenticated
-    When the client sends POST request to "/api/auth/signout"
+    When the client sends POST request to "/api/auth/logout"
     Then the response status should be 200
     And no session changes should occur
 
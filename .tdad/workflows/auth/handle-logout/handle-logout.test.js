@@ -43,6 +43,7 @@ test.describe('Handle Logout', () => {
         // Unconditional assertions
         expect(result.statusCode).toBe(200);
         expect(result.sessionCleared).toBe(true);
+        expect(result.stillSignedIn).toBe(false);
     });
 
     test('[API-102] Logout API when not authenticated', async ({ page }) => {
@@ -158,7 +159,7 @@ test.describe('Handle Logout', () => {
         await expect(usernameElement.first()).toBeVisible();
 
         // Verify Sign Out button is still visible
-        await expect(page.getByRole('button', { name: /sign\s*out/i })).toBeVisible();
+        await expect(page.getByTestId('user-menu').getByRole('button', { name: /sign\s*out/i })).toBeVisible();
     });
 
     test('[UI-022] Logout button not visible for unauthenticated user', async ({ page }) => {
@@ -167,7 +168,7 @@ test.describe('Handle Logout', () => {
         await page.waitForLoadState('domcontentloaded');
 
         // Unconditional assertions - Sign Out button should NOT be visible
-        const signOutButton = page.getByRole('button', { name: /sign\s*out/i });
+        const signOutButton = page.getByTestId('user-menu').getByRole('button', { name: /sign\s*out/i });
         await expect(signOutButton).not.toBeVisible();
 
         // Verify Sign In link IS visible
@@ -0,0 +1,117 @@
+const {
+    generateUniqueUsername,
+    createTestUser
+} = require('../submit-login-form/submit-login-form.action.js');
+const { simulateAuthenticatedState } = require('../show-user-menu/show-user-menu.action.js');
+const { readerRequest } = require('../../posts/generate-anonymous-id/generate-anonymous-id.action.js');
+
+/**
+ * Revoke Sessions Action
+ *
+ * Lists and revokes a user's sessions through tRPC, or logs out through
+ * /api/auth/logout. Requests authenticate with a Bearer token so several
+ * sessions of one user can be driven from a single page.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} context - Test context and dependencies
+ * @param {string} context.action - 'list', 'revoke', 'revokeAll' or 'logout'
+ * @param {string} context.token - Session token to authenticate with
+ * @param {string} context.id - Session to revoke ('revoke')
+ * @returns {Promise<Object>} - Returns { success, statusCode, data, errorCode, errorMessage }
+ */
+async function performRevokeSessionsAction(page, context = {}) {
+    try {
+        const { action = 'list', token, id } = context;
+        const headers = token ? { Authorization: `Bearer ${token}` } : {};
+
+        let response;
+        if (action === 'logout') {
+            response = await page.request.post('/api/auth/logout', { headers });
+        } else if (action === 'list') {
+            response = await page.request.get('/api/trpc/user.sessions', { headers });
+        } else {
+            const procedure = action === 'revokeAll' ? 'revokeAllSessions' : 'revokeSession';
+            response = await page.request.post(`/api/trpc/user.${procedure}`, {
+                headers,
+                data: { json: action === 'revokeAll' ? null : { id } }
+            });
+        }
+
+        const body = await response.json().catch(() => ({}));
+        return {
+            success: response.ok(),
+            statusCode: response.status(),
+            data: body?.result?.data?.json ?? body,
+            errorCode: body?.error?.json?.data?.code || null,
+            errorMessage: response.ok() ? null : body?.error?.json?.message || body?.error || 'Request failed'
+        };
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Helper to register a user and log in with it, once per requested session
+ * @param {Object} page - Playwright page object
+ * @param {number} count - Number of sessions to start
+ * @returns {Promise<Object>} - Returns { success, username, userId, tokens }
+ */
+async function createUserWithSessions(page, count = 1) {
+    const username = generateUniqueUsername('sess');
+    const password = 'Password123';
+    const user = await createTestUser(page, username, password);
+    if (!user.success) {
+        return { success: false, errorMessage: user.errorMessage };
+    }
+
+    const tokens = [];
+    for (let i = 0; i < count; i++) {
+        const response = await page.request.post('/api/auth/login', {
+            data: { username, password }
+        });
+        if (!response.ok()) {
+            return { success: false, errorMessage: 'Login failed' };
+        }
+        tokens.push((await response.json()).token);
+    }
+
+    return { success: true, username, userId: user.userId, tokens };
+}
+
+/**
+ * Helper to check whether a session token still signs the caller in
+ * @param {Object} page - Playwright page object
+ * @param {string} token - Session token
+ * @returns {Promise<boolean>} - True if /api/auth/me accepts it
+ */
+async function isSignedIn(page, token) {
+    const response = await page.request.get('/api/auth/me', {
+        headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.ok();
+}
+
+/**
+ * Helper to log in from another device, with its own cookie jar
+ * @param {Object} page - Playwright page object
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {Promise<string|null>} - That device's session token, or null on failure
+ */
+async function loginFromAnotherDevice(page, username, password) {
+    const device = await readerRequest(page, `device_${Date.now()}`);
+    const response = await device.post('/api/auth/login', {
+        data: { username, password },
+        headers: { 'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Safari/604.1' }
+    });
+    if (!response.ok()) return null;
+    return (await response.json()).token;
+}
+
+module.exports = {
+    performRevokeSessionsAction,
+    createUserWithSessions,
+    isSignedIn,
+    loginFromAnotherDevice,
+    simulateAuthenticatedState
+};
@@ -0,0 +1,55 @@
+Feature: Revoke Sessions
+  As a signed-in user
+  I want to see where I am signed in and end those sessions
+  So that a lost device or leaked token stops working right away
+
+  # NOTE: Every login creates a Session row; tokens only count while their
+  # row is unrevoked and unexpired. /api/auth/logout revokes the caller's
+  # session, user.revokeSession one session and user.revokeAllSessions all.
+
+
+  # ==========================================
+  # API SCENARIOS (API Request & Response)
+  # ==========================================
+
+  Scenario: [API] Logging out revokes the token
+    Given a user who has logged in
+    When they send POST request to "/api/auth/logout" with their token
+    Then the response status should be 200
+    And the token should no longer sign them in
+
+  Scenario: [API] Each login is listed as a session
+    Given a user who has logged in twice
+    When they call user.sessions with the first token
+    Then 2 sessions should be listed
+    And exactly one should be marked as the current session
+
+  Scenario: [API] Revoking one session leaves the others signed in
+    Given a user who has logged in twice
+    When they revoke the second session using the first token
+    Then the second token should no longer sign them in
+    And the first token should still sign them in
+
+  Scenario: [API] Signing out everywhere revokes every session
+    Given a user who has logged in twice
+    When they call user.revokeAllSessions
+    Then neither token should sign them in
+
+  Scenario: [API] Users cannot revoke someone else's session
+    Given two users who have each logged in
+    When the first user revokes the second user's session
+    Then the response error code should be "NOT_FOUND"
+    And the second user's token should still sign them in
+
+
+  # ==========================================
+  # UI SCENARIOS (User Interface)
+  # ==========================================
+
+  Scenario: [UI] Signing out everywhere from the profile page
+    Given the user is logged in in the browser and on another device
+    When they open "/profile"
+    Then the active sessions should include "This device"
+    When they click "Sign out everywhere"
+    Then they should be signed out and see a "Sign In" link
+    And the other device's token should no longer sign them in
@@ -0,0 +1,138 @@
+// TDAD fixtures provide automatic trace capture for Golden Packet
+const { test, expect } = require('../../../tdad-fixtures');
+const {
+    performRevokeSessionsAction,
+    createUserWithSessions,
+    isSignedIn,
+    loginFromAnotherDevice,
+    simulateAuthenticatedState
+} = require('./revoke-sessions.action.js');
+
+/**
+ * Test based on Gherkin specification:
+ * Feature: Revoke Sessions
+ *   As a signed-in user
+ *   I want to see where I am signed in and end those sessions
+ *   So that a lost device or leaked token stops working right away
+ */
+
+test.describe('Revoke Sessions', () => {
+
+    // ==========================================
+    // API TESTS
+    // ==========================================
+
+    test('[API-441] Logging out revokes the token', async ({ page }) => {
+        // Setup
+        const user = await createUserWithSessions(page, 1);
+        expect(user.success).toBe(true);
+        const [token] = user.tokens;
+        expect(await isSignedIn(page, token)).toBe(true);
+
+        // Execute
+        const result = await performRevokeSessionsAction(page, { action: 'logout', token });
+
+        // Assert
+        expect(result.statusCode).toBe(200);
+        expect(await isSignedIn(page, token)).toBe(false);
+    });
+
+    test('[API-442] Each login is listed as a session', async ({ page }) => {
+        // Setup
+        const user = await createUserWithSessions(page, 2);
+        expect(user.success).toBe(true);
+
+        // Execute
+        const result = await performRevokeSessionsAction(page, { token: user.tokens[0] });
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.data).toHaveLength(2);
+        expect(result.data.filter((session) => session.current)).toHaveLength(1);
+    });
+
+    test('[API-443] Revoking one session leaves the others signed in', async ({ page }) => {
+        // Setup
+        const user = await createUserWithSessions(page, 2);
+        expect(user.success).toBe(true);
+        const [first, second] = user.tokens;
+        const listed = await performRevokeSessionsAction(page, { token: first });
+        const other = listed.data.find((session) => !session.current);
+        expect(other).toBeTruthy();
+
+        // Execute
+        const result = await performRevokeSessionsAction(page, {
+            action: 'revoke',
+            token: first,
+            id: other.id
+        });
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.data.current).toBe(false);
+        expect(await isSignedIn(page, second)).toBe(false);
+        expect(await isSignedIn(page, first)).toBe(true);
+    });
+
+    test('[API-444] Signing out everywhere revokes every session', async ({ page }) => {
+        // Setup
+        const user = await createUserWithSessions(page, 2);
+        expect(user.success).toBe(true);
+
+        // Execute
+        const result = await performRevokeSessionsAction(page, {
+            action: 'revokeAll',
+            token: user.tokens[0]
+        });
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.data.revoked).toBe(2);
+        for (const token of user.tokens) {
+            expect(await isSignedIn(page, token)).toBe(false);
+        }
+    });
+
+    test('[API-445] Users cannot revoke someone else\'s session', async ({ page }) => {
+        // Setup
+        const first = await createUserWithSessions(page, 1);
+        const second = await createUserWithSessions(page, 1);
+        expect(first.success && second.success).toBe(true);
+        const listed = await performRevokeSessionsAction(page, { token: second.tokens[0] });
+        const [session] = listed.data;
+
+        // Execute
+        const result = await performRevokeSessionsAction(page, {
+            action: 'revoke',
+            token: first.tokens[0],
+            id: session.id
+        });
+
+        // Assert
+        expect(result.errorCode).toBe('NOT_FOUND');
+        expect(await isSignedIn(page, second.tokens[0])).toBe(true);
+    });
+
+    // ==========================================
+    // UI TESTS
+    // ==========================================
+
+    test('[UI-217] Signing out everywhere from the profile page', async ({ page }) => {
+        // Setup: Signed in in the browser, plus a login from "another device"
+        const auth = await simulateAuthenticatedState(page);
+        expect(auth.success).toBe(true);
+        const otherToken = await loginFromAnotherDevice(page, auth.username, 'TestPass123!');
+        expect(otherToken).toBeTruthy();
+
+        // Execute
+        await page.goto('/profile');
+        await expect(page.getByTestId('active-session')).toHaveCount(2);
+        await expect(page.getByTestId('active-sessions')).toContainText('This device');
+        await page.getByTestId('active-sessions').getByRole('button', { name: /sign out everywhere/i }).click();
+
+        // Assert
+        await expect(page).toHaveURL(/\/$/);
+        await expect(page.getByRole('link', { name: /sign\s*in/i })).toBeVisible();
+        expect(await isSignedIn(page, otherToken)).toBe(false);
+    });
+});
@@ -127,32 +127,42 @@ async function clickSignUpLink(page) {
 }
 
 /**
- * Simulate authenticated state by setting session data
- * This function sets up the authenticated state before visiting a page
+ * Sign the browser in as a freshly registered user
+ * Registers and logs in through the API; page.request shares the browser's
+ * cookies, so the session cookie applies to the page as well.
  *
  * @param {Object} page - Playwright page object
  * @param {Object} context - Context with username
- * @param {string} context.username - Username to display
- * @returns {Promise<Object>} - Returns { success, errorMessage }
+ * @param {string} context.username - Username to register (3-20 characters)
+ * @param {string} context.password - Password to register with
+ * @returns {Promise<Object>} - Returns { success, errorMessage, username, userId }
  */
 async function simulateAuthenticatedState(page, context = {}) {
     try {
-        const { username = 'testuser' } = context;
+        const {
+            username = `testuser_${Date.now().toString().slice(-6)}`,
+            password = 'TestPass123!'
+        } = context;
+
+        const registerResponse = await page.request.post('/api/auth/register', {
+            data: { username, password }
+        });
+        if (!registerResponse.ok()) {
+            const body = await registerResponse.json().catch(() => ({}));
+            return { success: false, errorMessage: body?.error || 'Failed to register test user' };
+        }
+
+        const loginResponse = await page.request.post('/api/auth/login', {
+            data: { username, password }
+        });
+        const loginBody = await loginResponse.json().catch(() => ({}));
+        if (!loginResponse.ok()) {
+            return { success: false, errorMessage: loginBody?.error || 'Failed to log in test user' };
+        }
 
-        // First go to the page to set localStorage/cookies
         await page.goto('/');
         await page.waitForLoadState('networkidle');
 
-        // Set authentication state in localStorage/sessionStorage
-        // This assumes the app reads auth state from storage
-        await page.evaluate((user) => {
-            localStorage.setItem('user', JSON.stringify({ username: user, isAuthenticated: true }));
-            localStorage.setItem('isAuthenticated', 'true');
-            localStorage.setItem('username', user);
-            // Dispatch custom event to trigger re-render (storage event doesn't fire for same-window changes)
-            window.dispatchEvent(new Event('localStorageChange'));
-        }, username);
-
         // Wait for the UI to update - look for the username element to appear
         const usernameElement = page.getByRole('button', { name: username }).or(
             page.getByRole('link', { name: username })
@@ -165,7 +175,8 @@ async function simulateAuthenticatedState(page, context = {}) {
 
         return {
             success: true,
-            username
+            username,
+            userId: loginBody.userId
         };
     } catch (error) {
         return { success: false, errorMessage: error.message };
@@ -191,7 +202,7 @@ async function checkAuthenticatedMenuElements(page, context = {}) {
             page.getByRole('link', { name: username })
         );
 
-        const signOutButton = page.getByRole('button', { name: /sign\s*out/i });
+        const signOutButton = page.getByTestId('user-menu').getByRole('button', { name: /sign\s*out/i });
         const signInLink = page.getByRole('link', { name: /sign\s*in/i });
         const signUpLink = page.getByRole('link', { name: /sign\s*up/i });
 
@@ -268,7 +279,7 @@ async function clickSignOutButton(page) {
     try {
         await page.waitForLoadState('networkidle');
 
-        const signOutButton = page.getByRole('button', { name: /sign\s*out/i });
+        const signOutButton = page.getByTestId('user-menu').getByRole('button', { name: /sign\s*out/i });
 
         const errorLocator = page.getByRole('alert');
         const outcome = await Promise.race([
@@ -79,7 +79,7 @@ test.describe('Show User Menu', () => {
     // ==========================================
 
     test('[UI-014] Display user menu for authenticated user', async ({ page }) => {
-        const username = `testuser_${Date.now()}`;
+        const username = `testuser_${Date.now().toString().slice(-6)}`;
 
         // Given the user is logged in with username
         const authResult = await simulateAuthenticatedState(page, { username });
@@ -114,7 +114,7 @@ test.describe('Show User Menu', () => {
     });
 
     test('[UI-015] Username link navigates to profile page', async ({ page }) => {
-        const username = `testuser_${Date.now()}`;
+        const username = `testuser_${Date.now().toString().slice(-6)}`;
 
         // Given the user is logged in with username
         const authResult = await simulateAuthenticatedState(page, { username });
@@ -135,7 +135,7 @@ test.describe('Show User Menu', () => {
     });
 
     test('[UI-016] Sign Out button logs out the user', async ({ page }) => {
-        const username = `testuser_${Date.now()}`;
+        const username = `testuser_${Date.now().toString().slice(-6)}`;
 
         // Given the user is logged in with username
         const authResult = await simulateAuthenticatedState(page, { username });
@@ -166,7 +166,7 @@ test.describe('Show User Menu', () => {
     // ==========================================
 
     test('[UI-017] User menu persists across page navigation', async ({ page }) => {
-        const username = `testuser_${Date.now()}`;
+        const username = `testuser_${Date.now().toString().slice(-6)}`;
 
         // Given the user is logged in with username
         const authResult = await simulateAuthenticatedState(page, { username });
@@ -116,8 +116,9 @@ async function performSubmitLoginFormAction(page, context = {}) {
         // Wait for page to fully load
         await page.waitForLoadState('domcontentloaded');
 
-        // Extract token from localStorage if available
-        const token = await page.evaluate(() => localStorage.getItem('token')).catch(() => null);
+        // The session lives in the httpOnly auth-token cookie
+        const cookies = await page.context().cookies();
+        const token = cookies.find((cookie) => cookie.name === 'auth-token')?.value || null;
 
         return {
             success: true,
@@ -161,8 +162,7 @@ async function checkLoadingStateDuringSubmission(page, context = {}) {
         let loadingVisible = false;
 
         // Intercept the login API to add a delay, giving us time to observe loading state
-        // NextAuth uses /api/auth/callback/credentials for credentials login
-        await page.route('**/api/auth/callback/credentials', async (route) => {
+        await page.route('**/api/auth/login', async (route) => {
             // Add delay to observe loading state
             await new Promise(resolve => setTimeout(resolve, 300));
             await route.continue();
@@ -297,6 +297,26 @@ async function createTestUser(page, username, password) {
     };
 }
 
+/**
+ * Helper to ask both the REST and tRPC APIs who is signed in
+ * @param {Object} page - Playwright page object
+ * @param {string} token - Optional Bearer token; without one the page's cookies are used
+ * @returns {Promise<Object>} - Returns { meStatus, meUsername, trpcUsername }
+ */
+async function getCurrentUser(page, token) {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    const me = await page.request.get('/api/auth/me', { headers });
+    const meBody = await me.json().catch(() => ({}));
+    const trpc = await page.request.get('/api/trpc/user.me', { headers });
+    const trpcBody = await trpc.json().catch(() => ({}));
+
+    return {
+        meStatus: me.status(),
+        meUsername: meBody?.username || null,
+        trpcUsername: trpcBody?.result?.data?.json?.username || null
+    };
+}
+
 /**
  * Helper to get token from login result
  * @param {Object} loginResult - Result from performSubmitLoginFormAction
@@ -321,6 +341,7 @@ module.exports = {
     submitFormAndCheckValidationError,
     generateUniqueUsername,
     createTestUser,
+    getCurrentUser,
     getTokenFromLogin,
     getUserIdFromLogin
 };
@@ -4,6 +4,8 @@ Feature: Submit Login Form
   So that I can access my account and personalized features
 
   # NOTE: Consistent error message for security - "Invalid username or password"
+  # NOTE: The login sets the httpOnly "auth-token" cookie and returns the same
+  # token for Bearer use; /api/auth/me and tRPC both accept either.
 
 
   # ==========================================
@@ -45,6 +47,13 @@ Feature: Submit Login Form
     Then the response status should be 400
     And the response error should be "Username is required"
 
+  Scenario: [API] Login API Success - Session recognized everywhere
+    Given a user exists with username "testuser" and password "Password123"
+    When the client logs in through "/api/auth/login"
+    Then "/api/auth/me" should return username "testuser" using the session cookie
+    And tRPC "user.me" should return username "testuser" using the session cookie
+    And both should return username "testuser" using the returned token as a Bearer token
+
 
   # ==========================================
   # UI SCENARIOS (User Actions & UI)
@@ -4,7 +4,8 @@ const {
     performSubmitLoginFormAction,
     submitFormAndCheckValidationError,
     generateUniqueUsername,
-    createTestUser
+    createTestUser,
+    getCurrentUser
 } = require('./submit-login-form.action.js');
 
 /**
@@ -115,6 +116,35 @@ test.describe('Submit Login Form', () => {
         expect(result.body.error).toBe('Username is required');
     });
 
+    test('[API-439] Login API Success - Session recognized everywhere', async ({ page }) => {
+        // Setup: Create a test user
+        const username = generateUniqueUsername('login');
+        const password = 'Password123';
+
+        const setupResult = await createTestUser(page, username, password);
+        expect(setupResult.success).toBe(true);
+
+        // Execute: Login through the REST route, which sets the session cookie
+        const result = await performSubmitLoginFormAction(page, {
+            mode: 'api',
+            username: username,
+            password: password
+        });
+        expect(result.statusCode).toBe(200);
+
+        // Assert: The cookie is recognized by /api/auth/me and tRPC
+        const viaCookie = await getCurrentUser(page);
+        expect(viaCookie.meStatus).toBe(200);
+        expect(viaCookie.meUsername).toBe(username);
+        expect(viaCookie.trpcUsername).toBe(username);
+
+        // Assert: So is the returned token, as a Bearer token
+        await page.context().clearCookies();
+        const viaBearer = await getCurrentUser(page, result.token);
+        expect(viaBearer.meUsername).toBe(username);
+        expect(viaBearer.trpcUsername).toBe(username);
+    });
+
 
     // ==========================================
     // UI TESTS
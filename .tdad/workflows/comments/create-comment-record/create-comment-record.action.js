@@ -1,4 +1,5 @@
 const { createTestPostForComment, performCreatePostRecordAction, getOrCreateTestCategory } = require('../validate-comment-input/validate-comment-input.action.js');
+const { readerRequest } = require('../../posts/generate-anonymous-id/generate-anonymous-id.action.js');
 
 /**
  * Create Comment Record Action
@@ -12,8 +13,8 @@ const { createTestPostForComment, performCreatePostRecordAction, getOrCreateTest
  * @param {string} context.content - Comment content to submit
  * @param {string} context.postId - Post ID to attach comment to
  * @param {string} context.parentId - Optional parent comment ID for replies
- * @param {string} context.userId - User ID for authenticated comments
  * @param {string} context.anonymousId - Anonymous ID for anonymous comments
+ * @param {string} context.userId - userId to claim in the body (the server should ignore it)
  * @param {string} context.authToken - JWT token for authenticated users
  * @param {boolean} context.useNonExistentPost - If true, use a non-existent post ID
  * @param {boolean} context.useNonExistentParent - If true, use a non-existent parent comment ID
@@ -26,8 +27,8 @@ async function performCreateCommentRecordAction(page, context = {}) {
             content,
             postId,
             parentId,
-            userId,
             anonymousId,
+            userId,
             authToken,
             useNonExistentPost,
             useNonExistentParent
@@ -48,7 +49,6 @@ async function performCreateCommentRecordAction(page, context = {}) {
                 requestData.parentId = useNonExistentParent ? 'non-existent-parent-comment' : parentId;
             }
 
-            // Add userId if provided (authenticated user)
             if (userId !== undefined) {
                 requestData.userId = userId;
             }
@@ -70,7 +70,7 @@ async function performCreateCommentRecordAction(page, context = {}) {
                 };
             }
 
-            const response = await page.request.post('/api/comments', requestOptions);
+            const response = await (await readerRequest(page, anonymousId)).post('/api/comments', requestOptions);
 
             const status = response.status();
             let body = null;
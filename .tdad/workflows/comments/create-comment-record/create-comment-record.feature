@@ -36,6 +36,13 @@ Feature: Create Comment Record
     And the response body should contain "id"
     And the response body should contain "userId"
 
+  Scenario: [API] comment.create attributes a signed-in comment to the user
+    Given a post exists
+    And the user is authenticated
+    When the client calls comment.create with the user's token
+    Then the comment's userId should be the user's id
+    And the comment should have no anonymousId
+
   Scenario: [API] Create Comment Record Success with anonymous user
     Given the comment content has passed validation
     And a post exists with id "post-123"
@@ -45,6 +52,14 @@ Feature: Create Comment Record
     And the response body should contain "id"
     And the response body should contain "anonymousId"
 
+  Scenario: [API] A userId in the body does not set the author
+    Given a post exists with id "post-123"
+    And a registered user exists
+    And the user is anonymous with anonymousId "anon-789"
+    When the client sends POST request to "/api/comments" with the registered user's userId in the body
+    Then the response status should be 201
+    And the response body "userId" should be null
+
   Scenario: [API] Create Reply Comment Record Success (nested comment)
     Given the comment content has passed validation
     And a post exists with id "post-123"
@@ -96,7 +96,6 @@ test.describe('Create Comment Record', () => {
             mode: 'api',
             content: 'Authenticated user comment',
             postId: postSetup.postId,
-            userId: userSetup.userId,
             authToken: userSetup.token
         });
 
@@ -107,7 +106,27 @@ test.describe('Create Comment Record', () => {
         expect(result.body.id).toBeDefined();
 
         // And the response body should contain "userId"
-        expect(result.body.userId).toBeDefined();
+        expect(result.body.userId).toBe(userSetup.userId);
+    });
+
+    test('[API-456] comment.create attributes a signed-in comment to the user', async ({ page }) => {
+        // Given a post exists and the user is authenticated
+        const postSetup = await createTestPostForComment(page);
+        expect(postSetup.success).toBe(true);
+        const userSetup = await createTestUserAndLogin(page, 'trpccomment');
+        expect(userSetup.success).toBe(true);
+
+        // When the client calls comment.create with the user's token
+        const response = await page.request.post('/api/trpc/comment.create', {
+            data: { json: { content: 'Signed-in tRPC comment', postId: postSetup.postId } },
+            headers: { Authorization: `Bearer ${userSetup.token}` }
+        });
+
+        // Then the comment belongs to the user, not the browser's cookie
+        expect(response.ok()).toBe(true);
+        const comment = (await response.json()).result.data.json;
+        expect(comment.userId).toBe(userSetup.userId);
+        expect(comment.anonymousId).toBeNull();
     });
 
     test('[API-178] Create Comment Record Success with anonymous user', async ({ page }) => {
@@ -138,6 +157,27 @@ test.describe('Create Comment Record', () => {
         expect(result.body.anonymousId).toBeDefined();
     });
 
+    test('[API-447] A userId in the body does not set the author', async ({ page }) => {
+        // Given a post exists and a registered user exists
+        const postSetup = await createTestPostForComment(page);
+        expect(postSetup.success).toBe(true);
+        const userSetup = await createTestUserAndLogin(page, 'notauthor');
+        expect(userSetup.success).toBe(true);
+
+        // When an anonymous reader comments, naming that user in the body
+        const result = await performCreateCommentRecordAction(page, {
+            mode: 'api',
+            content: 'Comment claiming someone else',
+            postId: postSetup.postId,
+            anonymousId: generateAnonymousId(),
+            userId: userSetup.userId
+        });
+
+        // Then the comment is anonymous
+        expect(result.statusCode).toBe(201);
+        expect(result.body.userId).toBeNull();
+    });
+
     test('[API-179] Create Reply Comment Record Success (nested comment)', async ({ page }) => {
         // Given the comment content has passed validation
         // And a post exists
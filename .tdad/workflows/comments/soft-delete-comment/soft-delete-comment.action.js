@@ -0,0 +1,160 @@
+const { performCreateCommentRecordAction } = require('../create-comment-record/create-comment-record.action.js');
+const {
+    createTestPostForVoting,
+    generateVoterAnonymousId,
+    performCreateVoteRecordAction
+} = require('../../voting/create-vote-record/create-vote-record.action.js');
+const { performAuthorizeDeletionAction } = require('../../posts/authorize-deletion/authorize-deletion.action.js');
+
+/**
+ * Soft Delete Comment Action
+ *
+ * Deletes a comment (or post) as its author via tRPC, then reads back the
+ * thread so tests can inspect the tombstone.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} context - Test context and dependencies
+ * @param {string} context.mode - 'api' for API testing, 'ui' to open the post page
+ * @param {string} context.targetType - 'comment' (default) or 'post'
+ * @param {string} context.id - ID of the comment or post to delete
+ * @param {string} context.anonymousId - anonymousId of the author
+ * @param {string} context.postId - Post whose comments are read back / page to open
+ * @returns {Promise<Object>} - Returns { success, statusCode, errorCode, errorMessage, comments }
+ */
+async function performSoftDeleteCommentAction(page, context = {}) {
+    try {
+        const { mode = 'api', targetType = 'comment', id, anonymousId, postId } = context;
+
+        // ==========================================
+        // UI MODE - Open the post page showing the tombstone
+        // ==========================================
+        if (mode === 'ui') {
+            await page.goto(`/post/${postId}`);
+            await page.waitForLoadState('domcontentloaded');
+
+            const tombstone = page.getByTestId('comment-deleted');
+            const visible = await tombstone.first().waitFor({ state: 'visible', timeout: 10000 })
+                .then(() => true)
+                .catch(() => false);
+
+            return {
+                success: visible,
+                tombstoneCount: visible ? await tombstone.count() : 0,
+                errorMessage: visible ? null : 'Deleted comment tombstone not shown'
+            };
+        }
+
+        // ==========================================
+        // API MODE - Direct HTTP requests
+        // ==========================================
+        const result = await performAuthorizeDeletionAction(page, { mode: 'api', targetType, id, anonymousId });
+        if (!result.success || !postId) {
+            return result;
+        }
+
+        const comments = await listComments(page, postId);
+        return { ...result, comments };
+
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Helper to create a post with one comment and one reply from a different visitor
+ * @param {Object} page - Playwright page object
+ * @returns {Promise<Object>} - Returns { success, postId, commentId, commentAuthorId, replyId, replyContent }
+ */
+async function createCommentWithReply(page) {
+    try {
+        const post = await createTestPostForVoting(page);
+        if (!post.success) {
+            return { success: false, errorMessage: post.errorMessage };
+        }
+
+        const commentAuthorId = generateVoterAnonymousId();
+        const comment = await performCreateCommentRecordAction(page, {
+            mode: 'api',
+            content: `Comment to be deleted ${Date.now()}`,
+            postId: post.postId,
+            anonymousId: commentAuthorId
+        });
+        if (!comment.success) {
+            return { success: false, errorMessage: comment.errorMessage };
+        }
+
+        const replyContent = `Reply that should survive ${Date.now()}`;
+        const reply = await performCreateCommentRecordAction(page, {
+            mode: 'api',
+            content: replyContent,
+            postId: post.postId,
+            parentId: comment.commentId,
+            anonymousId: generateVoterAnonymousId()
+        });
+        if (!reply.success) {
+            return { success: false, errorMessage: reply.errorMessage };
+        }
+
+        return {
+            success: true,
+            postId: post.postId,
+            postAuthorId: post.anonymousId,
+            commentId: comment.commentId,
+            commentAuthorId,
+            replyId: reply.commentId,
+            replyContent
+        };
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Helper to read the comment thread of a post via the REST API
+ * @param {Object} page - Playwright page object
+ * @param {string} postId - Post ID
+ * @returns {Promise<Array>} - Top-level comments with replies
+ */
+async function listComments(page, postId) {
+    const response = await page.request.get(`/api/comments?postId=${postId}`);
+    if (!response.ok()) return [];
+    return response.json();
+}
+
+/**
+ * Helper to read a post via tRPC
+ * @param {Object} page - Playwright page object
+ * @param {string} postId - Post ID
+ * @returns {Promise<Object|null>} - Post or null on failure
+ */
+async function getPost(page, postId) {
+    const response = await page.request.get(`/api/trpc/post.getById?input=${encodeURIComponent(JSON.stringify({ json: { id: postId } }))}`);
+    if (!response.ok()) return null;
+    const body = await response.json();
+    return body?.result?.data?.json || null;
+}
+
+/**
+ * Helper to check whether a post appears in the new feed
+ * @param {Object} page - Playwright page object
+ * @param {string} postId - Post ID
+ * @returns {Promise<boolean>} - True if listed
+ */
+async function isPostInNewFeed(page, postId) {
+    const response = await page.request.get('/api/posts?sortBy=new&limit=100');
+    if (!response.ok()) return false;
+    const posts = await response.json();
+    return posts.some((post) => post.id === postId);
+}
+
+module.exports = {
+    performSoftDeleteCommentAction,
+    performCreateCommentRecordAction,
+    performCreateVoteRecordAction,
+    createCommentWithReply,
+    createTestPostForVoting,
+    generateVoterAnonymousId,
+    listComments,
+    getPost,
+    isPostInNewFeed
+};
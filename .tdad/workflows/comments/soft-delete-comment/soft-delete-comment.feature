@@ -0,0 +1,47 @@
+Feature: Soft Delete Comment
+  As a commenter
+  I want deleting my comment to leave the replies under it in place
+  So that other people's contributions are not wiped out with mine
+
+  # NOTE: Deleted rows keep deletedAt and are only purged by db:purge-deleted
+  # after the retention window, once nothing live hangs off them
+
+
+  # ==========================================
+  # API SCENARIOS (API Request & Response)
+  # ==========================================
+
+  Scenario: [API] Deleting a comment keeps its replies
+    Given a comment with a reply from another visitor
+    When the comment author deletes the comment
+    Then the comment should be listed with content "[deleted]"
+    And the reply should still be listed with its original content
+
+  Scenario: [API] Deleted comments no longer count towards the post
+    Given a post with one comment
+    When the comment author deletes the comment
+    Then the post's comment count should be 0
+
+  Scenario: [API] Deleted comments cannot be voted on or replied to
+    Given a deleted comment
+    When a visitor upvotes the comment
+    Then the response error code should be "BAD_REQUEST"
+    When a visitor replies to the comment
+    Then the response status should be 400
+
+  Scenario: [API] Deleted posts leave the feed but remain readable
+    Given a post created with an anonymousId
+    When the post author deletes the post
+    Then the post should not appear in the new feed
+    And fetching the post should return "[deleted]" with a deletedAt timestamp
+
+
+  # ==========================================
+  # UI SCENARIOS (User Interface)
+  # ==========================================
+
+  Scenario: [UI] Deleted comment renders as a tombstone above its replies
+    Given a comment with a reply that has been deleted
+    When I open the post page
+    Then I should see "[deleted]" in place of the comment
+    And I should still see the reply text
@@ -0,0 +1,138 @@
+// TDAD fixtures provide automatic trace capture for Golden Packet
+const { test, expect } = require('../../../tdad-fixtures');
+const {
+    performSoftDeleteCommentAction,
+    performCreateCommentRecordAction,
+    performCreateVoteRecordAction,
+    createCommentWithReply,
+    createTestPostForVoting,
+    generateVoterAnonymousId,
+    getPost,
+    isPostInNewFeed
+} = require('./soft-delete-comment.action.js');
+
+/**
+ * Test based on Gherkin specification:
+ * Feature: Soft Delete Comment
+ *   As a commenter
+ *   I want deleting my comment to leave the replies under it in place
+ *   So that other people's contributions are not wiped out with mine
+ */
+
+test.describe('Soft Delete Comment', () => {
+
+    // ==========================================
+    // API TESTS
+    // ==========================================
+
+    test('[API-366] Deleting a comment keeps its replies', async ({ page }) => {
+        // Setup: Comment with a reply from someone else
+        const setup = await createCommentWithReply(page);
+        expect(setup.success).toBe(true);
+
+        // Execute: Author deletes the comment
+        const result = await performSoftDeleteCommentAction(page, {
+            mode: 'api',
+            id: setup.commentId,
+            anonymousId: setup.commentAuthorId,
+            postId: setup.postId
+        });
+
+        // Assert: Tombstone with the reply intact
+        expect(result.success).toBe(true);
+        const tombstone = result.comments.find((c) => c.id === setup.commentId);
+        expect(tombstone).toBeDefined();
+        expect(tombstone.content).toBe('[deleted]');
+        expect(tombstone.deletedAt).toBeTruthy();
+        const reply = tombstone.replies.find((r) => r.id === setup.replyId);
+        expect(reply).toBeDefined();
+        expect(reply.content).toBe(setup.replyContent);
+    });
+
+    test('[API-367] Deleted comments no longer count towards the post', async ({ page }) => {
+        // Setup: Post with one comment
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        const authorId = generateVoterAnonymousId();
+        const comment = await performCreateCommentRecordAction(page, { mode: 'api', postId: post.postId, anonymousId: authorId });
+        expect(comment.success).toBe(true);
+        expect((await getPost(page, post.postId)).commentCount).toBe(1);
+
+        // Execute
+        const result = await performSoftDeleteCommentAction(page, { mode: 'api', id: comment.commentId, anonymousId: authorId });
+        expect(result.success).toBe(true);
+
+        // Assert
+        const after = await getPost(page, post.postId);
+        expect(after.commentCount).toBe(0);
+        expect(after._count.comments).toBe(0);
+    });
+
+    test('[API-368] Deleted comments cannot be voted on or replied to', async ({ page }) => {
+        // Setup: Deleted comment
+        const setup = await createCommentWithReply(page);
+        expect(setup.success).toBe(true);
+        const deleted = await performSoftDeleteCommentAction(page, { mode: 'api', id: setup.commentId, anonymousId: setup.commentAuthorId });
+        expect(deleted.success).toBe(true);
+
+        // Execute: Vote on it
+        const vote = await performCreateVoteRecordAction(page, {
+            mode: 'api',
+            targetType: 'comment',
+            commentId: setup.commentId,
+            value: 1,
+            anonymousId: generateVoterAnonymousId()
+        });
+        expect(vote.success).toBe(false);
+        expect(vote.body?.error?.json?.data?.code).toBe('BAD_REQUEST');
+
+        // Execute: Reply to it
+        const reply = await performCreateCommentRecordAction(page, {
+            mode: 'api',
+            postId: setup.postId,
+            parentId: setup.commentId,
+            anonymousId: generateVoterAnonymousId()
+        });
+        expect(reply.success).toBe(false);
+        expect(reply.statusCode).toBe(400);
+    });
+
+    test('[API-369] Deleted posts leave the feed but remain readable', async ({ page }) => {
+        // Setup: Anonymous post, visible in the feed
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        expect(await isPostInNewFeed(page, post.postId)).toBe(true);
+
+        // Execute: Author deletes it
+        const result = await performSoftDeleteCommentAction(page, { mode: 'api', targetType: 'post', id: post.postId, anonymousId: post.anonymousId });
+        expect(result.success).toBe(true);
+
+        // Assert: Gone from the feed, tombstone on fetch
+        expect(await isPostInNewFeed(page, post.postId)).toBe(false);
+        const tombstone = await getPost(page, post.postId);
+        expect(tombstone).not.toBeNull();
+        expect(tombstone.frustration).toBe('[deleted]');
+        expect(tombstone.deletedAt).toBeTruthy();
+    });
+
+    // ==========================================
+    // UI TESTS
+    // ==========================================
+
+    test('[UI-202] Deleted comment renders as a tombstone above its replies', async ({ page, tdadTrace }) => {
+        // Setup: Comment with reply, then delete the comment
+        const setup = await createCommentWithReply(page);
+        expect(setup.success).toBe(true);
+        const deleted = await performSoftDeleteCommentAction(page, { mode: 'api', id: setup.commentId, anonymousId: setup.commentAuthorId });
+        expect(deleted.success).toBe(true);
+
+        // Execute: Open the post page
+        const result = await performSoftDeleteCommentAction(page, { mode: 'ui', postId: setup.postId });
+        tdadTrace.setActionResult(result);
+
+        // Assert: Tombstone and surviving reply
+        expect(result.success).toBe(true);
+        await expect(page.getByTestId('comment-deleted').first()).toHaveText('[deleted]');
+        await expect(page.getByText(setup.replyContent)).toBeVisible();
+    });
+});
@@ -1,3 +1,6 @@
+const { getAdminAuthHeaders } = require('../../auth/enforce-roles/enforce-roles.action.js');
+const { readerRequest } = require('../../posts/generate-anonymous-id/generate-anonymous-id.action.js');
+
 /**
  * Create Prisma Schema Action
  *
@@ -160,6 +163,7 @@ async function performCategoryCreateAction(page, context = {}) {
     const slug = context.slug || name.toLowerCase().replace(/\s+/g, '-');
 
     const response = await page.request.post('/api/trpc/category.create', {
+      headers: await getAdminAuthHeaders(page),
       data: {
         json: { name, slug }
       }
@@ -216,7 +220,7 @@ async function performPostCreateAction(page, context = {}) {
       headers['Authorization'] = `Bearer ${context.authToken}`;
     }
 
-    const response = await page.request.post('/api/trpc/post.create', {
+    const response = await (await readerRequest(page, anonymousId)).post('/api/trpc/post.create', {
       data: { json: payload },
       headers
     });
@@ -453,7 +457,7 @@ async function performCommentCreateAction(page, context = {}) {
       payload.parentId = parentId;
     }
 
-    const response = await page.request.post('/api/trpc/comment.create', {
+    const response = await (await readerRequest(page, anonymousId)).post('/api/trpc/comment.create', {
       data: { json: payload }
     });
 
@@ -604,7 +608,7 @@ async function performVoteCastPostVoteAction(page, context = {}) {
       headers['Authorization'] = `Bearer ${context.authToken}`;
     }
 
-    const response = await page.request.post('/api/trpc/vote.castPostVote', {
+    const response = await (await readerRequest(page, anonymousId)).post('/api/trpc/vote.castPostVote', {
       data: { json: payload },
       headers
     });
@@ -652,7 +656,7 @@ async function performVoteCastCommentVoteAction(page, context = {}) {
       headers['Authorization'] = `Bearer ${context.authToken}`;
     }
 
-    const response = await page.request.post('/api/trpc/vote.castCommentVote', {
+    const response = await (await readerRequest(page, anonymousId)).post('/api/trpc/vote.castCommentVote', {
       data: { json: payload },
       headers
     });
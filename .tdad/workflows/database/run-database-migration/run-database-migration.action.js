@@ -11,6 +11,8 @@
  */
 
 const { performCreatePrismaSchemaAction, generateAnonymousId } = require('../create-prisma-schema/create-prisma-schema.action.js');
+const { getAdminAuthHeaders } = require('../../auth/enforce-roles/enforce-roles.action.js');
+const { readerRequest } = require('../../posts/generate-anonymous-id/generate-anonymous-id.action.js');
 
 // ==========================================
 // HELPER: Generate unique identifiers
@@ -100,6 +102,7 @@ async function performPostTableExistsAction(page, context = {}) {
     // If no categories exist, create one
     if (!categoryId) {
       const createCatResponse = await page.request.post('/api/trpc/category.create', {
+        headers: await getAdminAuthHeaders(page),
         data: {
           json: {
             name: `TestCategory_${Date.now()}`,
@@ -123,7 +126,7 @@ async function performPostTableExistsAction(page, context = {}) {
     const identity = 'a tester';
     const anonymousId = generateAnonymousId();
 
-    const response = await page.request.post('/api/trpc/post.create', {
+    const response = await (await readerRequest(page, anonymousId)).post('/api/trpc/post.create', {
       data: {
         json: { frustration, identity, categoryId, anonymousId }
       }
@@ -166,7 +169,7 @@ async function performCommentTableExistsAction(page, context = {}) {
     const anonymousId = generateAnonymousId();
 
     // Create parent comment
-    const response = await page.request.post('/api/trpc/comment.create', {
+    const response = await (await readerRequest(page, anonymousId)).post('/api/trpc/comment.create', {
       data: {
         json: { content, postId, anonymousId }
       }
@@ -231,7 +234,7 @@ async function performVoteTableExistsAction(page, context = {}) {
     const anonymousId = generateAnonymousId();
 
     // Cast a vote on the post
-    const response = await page.request.post('/api/trpc/vote.castPostVote', {
+    const response = await (await readerRequest(page, anonymousId)).post('/api/trpc/vote.castPostVote', {
       data: {
         json: { postId, value: 1, anonymousId }
       }
@@ -348,7 +351,7 @@ async function performVoteCascadeDeleteOnCommentAction(page, context = {}) {
     const anonymousId = generateAnonymousId();
 
     // Vote on the comment
-    const voteResponse = await page.request.post('/api/trpc/vote.castCommentVote', {
+    const voteResponse = await (await readerRequest(page, anonymousId)).post('/api/trpc/vote.castCommentVote', {
       data: {
         json: { commentId, value: 1, anonymousId }
       }
@@ -435,6 +438,7 @@ async function performCategoryNameUniqueAction(page, context = {}) {
 
     // Create first category
     const firstResponse = await page.request.post('/api/trpc/category.create', {
+      headers: await getAdminAuthHeaders(page),
       data: {
         json: { name, slug }
       }
@@ -446,6 +450,7 @@ async function performCategoryNameUniqueAction(page, context = {}) {
 
     // Try to create second category with same name but different slug
     const secondResponse = await page.request.post('/api/trpc/category.create', {
+      headers: await getAdminAuthHeaders(page),
       data: {
         json: { name, slug: `different-slug-${Date.now()}` }
       }
@@ -471,6 +476,7 @@ async function performCategorySlugUniqueAction(page, context = {}) {
 
     // Create first category
     const firstResponse = await page.request.post('/api/trpc/category.create', {
+      headers: await getAdminAuthHeaders(page),
       data: {
         json: { name: `Category1_${Date.now()}`, slug }
       }
@@ -482,6 +488,7 @@ async function performCategorySlugUniqueAction(page, context = {}) {
 
     // Try to create second category with same slug but different name
     const secondResponse = await page.request.post('/api/trpc/category.create', {
+      headers: await getAdminAuthHeaders(page),
       data: {
         json: { name: `Category2_${Date.now()}`, slug }
       }
@@ -513,7 +520,7 @@ async function performVoteCompositeUniqueAction(page, context = {}) {
     const anonymousId = generateAnonymousId();
 
     // Cast first vote
-    const firstVoteResponse = await page.request.post('/api/trpc/vote.castPostVote', {
+    const firstVoteResponse = await (await readerRequest(page, anonymousId)).post('/api/trpc/vote.castPostVote', {
       data: {
         json: { postId, value: 1, anonymousId }
       }
@@ -524,7 +531,7 @@ async function performVoteCompositeUniqueAction(page, context = {}) {
     }
 
     // Try to cast second vote with same anonymousId on same post
-    const secondVoteResponse = await page.request.post('/api/trpc/vote.castPostVote', {
+    const secondVoteResponse = await (await readerRequest(page, anonymousId)).post('/api/trpc/vote.castPostVote', {
       data: {
         json: { postId, value: -1, anonymousId }
       }
@@ -597,6 +604,7 @@ async function performPostDefaultValuesAction(page, context = {}) {
 
     if (!categoryId) {
       const createCatResponse = await page.request.post('/api/trpc/category.create', {
+        headers: await getAdminAuthHeaders(page),
         data: {
           json: {
             name: `DefaultTestCat_${Date.now()}`,
@@ -12,8 +12,7 @@ const {
     allPostsBelongToCategory,
     validatePostFields,
     getErrorFromResult,
-    postsDoNotOverlap,
-    getLastPostId
+    postsDoNotOverlap
 } = require('./fetch-hot-posts.action.js');
 
 /**
@@ -168,8 +167,8 @@ test.describe('Fetch Hot Posts', () => {
         expect(firstPageResult.statusCode).toBe(200);
         expect(firstPageResult.posts.length).toBeGreaterThan(0);
 
-        // Get cursor from last post of first page
-        const cursor = getLastPostId(firstPageResult.posts);
+        // Get the opaque cursor the first page returned
+        const cursor = firstPageResult.nextCursor;
         expect(cursor).toBeTruthy();
 
         // Action: Fetch second page using cursor
@@ -1,3 +1,5 @@
+const { readerRequest } = require('../../posts/generate-anonymous-id/generate-anonymous-id.action.js');
+
 /**
  * Fetch Posts By Category Action
  *
@@ -243,7 +245,7 @@ async function createTestPost(page, options = {}) {
             anonymousId: anonymousId
         };
 
-        const response = await page.request.post('/api/posts', {
+        const response = await (await readerRequest(page, anonymousId)).post('/api/posts', {
             data: postData
         });
 
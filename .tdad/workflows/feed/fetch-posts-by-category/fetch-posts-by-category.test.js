@@ -13,8 +13,7 @@ const {
     allPostsBelongToCategory,
     validatePostFields,
     getErrorFromResult,
-    postsDoNotOverlap,
-    getLastPostId
+    postsDoNotOverlap
 } = require('./fetch-posts-by-category.action.js');
 
 /**
@@ -200,8 +199,8 @@ test.describe('Fetch Posts By Category', () => {
         expect(firstPageResult.statusCode).toBe(200);
         expect(firstPageResult.posts.length).toBeGreaterThan(0);
 
-        // Get cursor from last post of first page
-        const cursor = getLastPostId(firstPageResult.posts);
+        // Get the opaque cursor the first page returned
+        const cursor = firstPageResult.nextCursor;
         expect(cursor).toBeTruthy();
 
         // Action: Fetch second page using cursor
@@ -0,0 +1,115 @@
+/**
+ * Fetch Rising and Controversial Posts Action
+ *
+ * Retrieves the Rising or Controversial feed, either from post.listRising /
+ * post.listControversial (tRPC) or from GET /api/posts?sortBy= (REST).
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} context - Test context
+ * @param {string} context.feed - 'rising' or 'controversial'
+ * @param {string} context.via - 'trpc' (default) or 'rest'
+ * @param {number} context.limit - Number of posts to fetch
+ * @param {string} context.cursor - Cursor for pagination
+ * @returns {Promise<Object>} - Returns { success, errorMessage, statusCode, body, posts, nextCursor }
+ */
+
+const {
+    createTestPostForVoting,
+    generateVoterAnonymousId,
+    castInitialVote
+} = require('../../voting/create-vote-record/create-vote-record.action.js');
+
+async function performFetchRisingControversialPostsAction(page, context = {}) {
+    try {
+        const { feed = 'rising', via = 'trpc', limit, cursor } = context;
+
+        let url;
+        if (via === 'rest') {
+            url = `/api/posts?sortBy=${feed}${limit !== undefined ? `&limit=${limit}` : ''}`;
+            if (cursor !== undefined) url += `&cursor=${encodeURIComponent(cursor)}`;
+        } else {
+            const procedure = feed === 'controversial' ? 'post.listControversial' : 'post.listRising';
+            const inputParams = {};
+            if (limit !== undefined) inputParams.limit = limit;
+            if (cursor !== undefined) inputParams.cursor = cursor;
+            url = `/api/trpc/${procedure}?input=${encodeURIComponent(JSON.stringify({ json: inputParams }))}`;
+        }
+
+        const response = await page.request.get(url);
+        const status = response.status();
+        let body = null;
+
+        try {
+            body = await response.json();
+        } catch (e) {
+            body = await response.text();
+        }
+
+        // REST returns a bare array; tRPC returns { posts, nextCursor }
+        const responseData = via === 'rest' ? { posts: body } : (body?.result?.data?.json || {});
+        const posts = Array.isArray(responseData.posts) ? responseData.posts : [];
+
+        return {
+            success: response.ok(),
+            statusCode: status,
+            body,
+            posts,
+            postCount: posts.length,
+            nextCursor: responseData.nextCursor ?? null,
+            errorMessage: response.ok()
+                ? null
+                : (body?.error?.json?.message || body?.error || 'Fetch posts failed')
+        };
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Create a post and vote on it from distinct anonymous voters
+ * @param {Object} page - Playwright page object
+ * @param {Object} votes - { up, down } number of votes to cast
+ * @returns {Promise<Object>} - Returns { success, postId, errorMessage }
+ */
+async function createPostWithVotes(page, { up = 0, down = 0 } = {}) {
+    const post = await createTestPostForVoting(page);
+    if (!post.success) {
+        return { success: false, errorMessage: post.errorMessage };
+    }
+
+    const values = [...Array(up).fill(1), ...Array(down).fill(-1)];
+    for (const value of values) {
+        const vote = await castInitialVote(page, {
+            targetType: 'post',
+            postId: post.postId,
+            value,
+            anonymousId: generateVoterAnonymousId()
+        });
+        if (!vote.success) {
+            return { success: false, errorMessage: vote.errorMessage };
+        }
+    }
+
+    return { success: true, postId: post.postId };
+}
+
+/**
+ * Create a post that gets three upvotes, then a newer post without votes
+ * @param {Object} page - Playwright page object
+ * @returns {Promise<Object>} - Returns { success, risingPostId, quietPostId, errorMessage }
+ */
+async function setupRisingPair(page) {
+    const rising = await createPostWithVotes(page, { up: 3 });
+    if (!rising.success) return rising;
+
+    const quiet = await createPostWithVotes(page);
+    if (!quiet.success) return quiet;
+
+    return { success: true, risingPostId: rising.postId, quietPostId: quiet.postId };
+}
+
+module.exports = {
+    performFetchRisingControversialPostsAction,
+    createPostWithVotes,
+    setupRisingPair
+};
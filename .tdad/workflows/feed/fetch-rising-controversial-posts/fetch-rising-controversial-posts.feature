@@ -0,0 +1,44 @@
+Feature: Fetch Rising and Controversial Posts
+  As a reader
+  I want feeds of posts that are taking off and posts that divide opinion
+  So that I can find fresh and contested frustrations beyond hot and new
+
+  # NOTE: Rising only ranks posts younger than 24 hours, by their votes from
+  # the last 3 hours; Controversial ranks by (upvotes + downvotes) ^ balance
+
+
+  # ==========================================
+  # API SCENARIOS (API Request & Response)
+  # ==========================================
+
+  Scenario: [API] A post gaining votes rises above a newer quiet post
+    Given a post that received three upvotes
+    And a newer post without votes
+    When post.listRising is called
+    Then the upvoted post should be listed before the quiet post
+
+  Scenario: [API] Rising only lists young posts
+    When post.listRising is called
+    Then every post should have been created within the last 24 hours
+
+  Scenario: [API] An evenly split post is more controversial than a one-sided one
+    Given a post with two upvotes and two downvotes
+    And a post with three upvotes
+    When post.listControversial is called
+    Then the posts should be in descending controversy order
+    And the split post should be listed before the one-sided post
+
+  Scenario: [API] REST sortBy accepts rising and controversial
+    Given a post that received three upvotes
+    And a newer post without votes
+    When GET /api/posts is called with sortBy "rising"
+    Then the upvoted post should be listed before the quiet post
+    When GET /api/posts is called with sortBy "controversial"
+    Then the response status should be 200
+
+  Scenario: [API] A rising cursor that is not in the ranking is rejected
+    When post.listRising is called with a cursor that names no ranked post
+    Then the error code should be "BAD_REQUEST"
+    When GET /api/posts is called with sortBy "rising" and the same cursor
+    Then the response status should be 400
+    And the response error should be "Invalid cursor"
@@ -0,0 +1,105 @@
+// TDAD fixtures provide automatic trace capture for Golden Packet
+const { test, expect } = require('../../../tdad-fixtures');
+const {
+  performFetchRisingControversialPostsAction,
+  createPostWithVotes,
+  setupRisingPair
+} = require('./fetch-rising-controversial-posts.action.js');
+
+/**
+ * Tests based on Gherkin specification:
+ * Feature: Fetch Rising and Controversial Posts
+ *   As a reader
+ *   I want feeds of posts that are taking off and posts that divide opinion
+ *   So that I can find fresh and contested frustrations beyond hot and new
+ */
+
+test.describe('Fetch Rising and Controversial Posts', () => {
+
+  // ==========================================
+  // API TESTS
+  // ==========================================
+
+  test('[API-413] A post gaining votes rises above a newer quiet post', async ({ page, tdadTrace }) => {
+    const setup = await setupRisingPair(page);
+    expect(setup.success).toBe(true);
+
+    const result = await performFetchRisingControversialPostsAction(page, { feed: 'rising', limit: 50 });
+    tdadTrace.setActionResult(result);
+
+    expect(result.statusCode).toBe(200);
+    const ids = result.posts.map((post) => post.id);
+    expect(ids).toContain(setup.risingPostId);
+    if (ids.includes(setup.quietPostId)) {
+      expect(ids.indexOf(setup.risingPostId)).toBeLessThan(ids.indexOf(setup.quietPostId));
+    }
+  });
+
+  test('[API-414] Rising only lists young posts', async ({ page, tdadTrace }) => {
+    const setup = await createPostWithVotes(page, { up: 1 });
+    expect(setup.success).toBe(true);
+
+    const result = await performFetchRisingControversialPostsAction(page, { feed: 'rising', limit: 50 });
+    tdadTrace.setActionResult(result);
+
+    expect(result.statusCode).toBe(200);
+    expect(result.postCount).toBeGreaterThan(0);
+
+    // A minute of slack for clock differences between the test runner and server
+    const cutoff = Date.now() - 24 * 60 * 60 * 1000 - 60 * 1000;
+    for (const post of result.posts) {
+      expect(new Date(post.createdAt).getTime()).toBeGreaterThanOrEqual(cutoff);
+    }
+  });
+
+  test('[API-415] An evenly split post is more controversial than a one-sided one', async ({ page, tdadTrace }) => {
+    const split = await createPostWithVotes(page, { up: 2, down: 2 });
+    expect(split.success).toBe(true);
+    const oneSided = await createPostWithVotes(page, { up: 3 });
+    expect(oneSided.success).toBe(true);
+
+    const result = await performFetchRisingControversialPostsAction(page, { feed: 'controversial', limit: 50 });
+    tdadTrace.setActionResult(result);
+
+    expect(result.statusCode).toBe(200);
+    for (let i = 1; i < result.posts.length; i++) {
+      expect(result.posts[i - 1].controversyScore).toBeGreaterThanOrEqual(result.posts[i].controversyScore);
+    }
+
+    const ids = result.posts.map((post) => post.id);
+    expect(ids).toContain(split.postId);
+    if (ids.includes(oneSided.postId)) {
+      expect(ids.indexOf(split.postId)).toBeLessThan(ids.indexOf(oneSided.postId));
+    }
+  });
+
+  test('[API-416] REST sortBy accepts rising and controversial', async ({ page, tdadTrace }) => {
+    const setup = await setupRisingPair(page);
+    expect(setup.success).toBe(true);
+
+    const rising = await performFetchRisingControversialPostsAction(page, { feed: 'rising', via: 'rest', limit: 100 });
+    tdadTrace.setActionResult(rising);
+
+    expect(rising.statusCode).toBe(200);
+    const ids = rising.posts.map((post) => post.id);
+    expect(ids).toContain(setup.risingPostId);
+    if (ids.includes(setup.quietPostId)) {
+      expect(ids.indexOf(setup.risingPostId)).toBeLessThan(ids.indexOf(setup.quietPostId));
+    }
+
+    const controversial = await performFetchRisingControversialPostsAction(page, { feed: 'controversial', via: 'rest' });
+    expect(controversial.statusCode).toBe(200);
+    expect(Array.isArray(controversial.body)).toBe(true);
+  });
+
+  test('[API-449] A rising cursor that is not in the ranking is rejected', async ({ page, tdadTrace }) => {
+    const viaTrpc = await performFetchRisingControversialPostsAction(page, { feed: 'rising', cursor: 'not-a-ranked-post' });
+    tdadTrace.setActionResult(viaTrpc);
+    const viaRest = await performFetchRisingControversialPostsAction(page, { feed: 'rising', via: 'rest', cursor: 'not-a-ranked-post' });
+
+    expect(viaTrpc.statusCode).toBe(400);
+    expect(viaTrpc.body?.error?.json?.data?.code).toBe('BAD_REQUEST');
+    expect(viaRest.statusCode).toBe(400);
+    expect(viaRest.body.error).toBe('Invalid cursor');
+  });
+});
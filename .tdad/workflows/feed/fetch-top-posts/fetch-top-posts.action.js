@@ -0,0 +1,127 @@
+/**
+ * Fetch Top Posts Action
+ *
+ * Retrieves the highest-scoring posts within a time window, either from
+ * post.listTop (API mode) or by picking the Top tab and a window on the home
+ * page (UI mode).
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} context - Test context
+ * @param {string} context.mode - 'api' (default) or 'ui'
+ * @param {string} context.window - day | week | month | year | all
+ * @param {number} context.limit - Number of posts to fetch (1-50, default 20)
+ * @param {string} context.cursor - Cursor for pagination
+ * @param {string} context.categorySlug - Filter by category slug
+ * @param {string} context.windowLabel - UI mode: option to pick in the window select
+ * @returns {Promise<Object>} - Returns { success, errorMessage, errorCode, statusCode, body, posts, nextCursor }
+ */
+
+const { createTestPost, getOrCreateTestCategory } = require('../fetch-new-posts/fetch-new-posts.action.js');
+
+async function performFetchTopPostsAction(page, context = {}) {
+    try {
+        const { mode = 'api', window, limit, cursor, categorySlug, windowLabel } = context;
+
+        // ==========================================
+        // UI MODE - Top tab and window select
+        // ==========================================
+        if (mode === 'ui') {
+            await page.goto('/');
+            await page.waitForLoadState('domcontentloaded');
+
+            const topTab = page.getByRole('button', { name: 'Top' });
+            await topTab.waitFor({ state: 'visible', timeout: 5000 });
+            await topTab.click();
+
+            const select = page.getByTestId('top-window-select');
+            await select.waitFor({ state: 'visible', timeout: 5000 });
+
+            let feedUrl = null;
+            if (windowLabel) {
+                const feedRequest = page.waitForRequest(
+                    (request) => request.url().includes('post.listTop'),
+                    { timeout: 5000 }
+                );
+                await select.selectOption({ label: windowLabel });
+                feedUrl = decodeURIComponent((await feedRequest).url());
+            }
+
+            return {
+                success: true,
+                feedUrl,
+                selectedWindow: await select.inputValue()
+            };
+        }
+
+        // ==========================================
+        // API MODE - Direct HTTP request via tRPC
+        // ==========================================
+        const inputParams = {};
+        if (window !== undefined) inputParams.window = window;
+        if (limit !== undefined) inputParams.limit = limit;
+        if (cursor !== undefined) inputParams.cursor = cursor;
+        if (categorySlug !== undefined) inputParams.categorySlug = categorySlug;
+
+        let url = '/api/trpc/post.listTop';
+        if (Object.keys(inputParams).length > 0) {
+            const encodedInput = encodeURIComponent(JSON.stringify({ json: inputParams }));
+            url = `${url}?input=${encodedInput}`;
+        }
+
+        const response = await page.request.get(url);
+        const status = response.status();
+        let body = null;
+
+        try {
+            body = await response.json();
+        } catch (e) {
+            body = await response.text();
+        }
+
+        const responseData = body?.result?.data?.json || {};
+        const posts = Array.isArray(responseData.posts) ? responseData.posts : [];
+
+        return {
+            success: response.ok(),
+            statusCode: status,
+            body,
+            posts,
+            postCount: posts.length,
+            nextCursor: responseData.nextCursor ?? null,
+            errorCode: body?.error?.json?.data?.code || null,
+            errorMessage: response.ok() ? null : (body?.error?.json?.message || 'Fetch top posts failed')
+        };
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Make sure at least `count` posts exist so pagination has something to page through
+ * @param {Object} page - Playwright page object
+ * @param {number} count - Number of posts to create
+ * @returns {Promise<Object>} - Returns { success, errorMessage }
+ */
+async function ensureTopPosts(page, count) {
+    const category = await getOrCreateTestCategory(page);
+    if (!category.success) {
+        return { success: false, errorMessage: category.errorMessage };
+    }
+
+    for (let i = 0; i < count; i++) {
+        const post = await createTestPost(page, {
+            categoryId: category.categoryId,
+            frustration: `Top feed test frustration ${Date.now()}_${i}`
+        });
+        if (!post.success) {
+            return { success: false, errorMessage: post.errorMessage };
+        }
+    }
+
+    return { success: true };
+}
+
+module.exports = {
+    performFetchTopPostsAction,
+    ensureTopPosts
+};
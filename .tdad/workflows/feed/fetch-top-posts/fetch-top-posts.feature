@@ -0,0 +1,50 @@
+Feature: Fetch Top Posts
+  As a reader
+  I want to see the highest-scoring posts of the last day, week, month or year
+  So that I can catch up on what resonated most while I was away
+
+  # NOTE: post.listTop defaults to the "week" window; "all" has no cutoff.
+  # The chosen tab and window are kept in useFeedStore and persisted to localStorage
+
+
+  # ==========================================
+  # API SCENARIOS (API Request & Response)
+  # ==========================================
+
+  Scenario: [API] Top posts are sorted by score
+    When post.listTop is called with window "all"
+    Then the response status should be 200
+    And the posts should be in descending score order
+
+  Scenario: [API] The window leaves out older posts
+    When post.listTop is called with window "day"
+    Then every post should have been created within the last 24 hours
+
+  Scenario: [API] Cursor pagination continues where the first page ended
+    Given at least three posts exist
+    When post.listTop is called with window "all" and limit 2
+    And called again with the returned nextCursor
+    Then the second page should not repeat posts from the first
+    And its first post should not score higher than the last post of the first page
+
+  Scenario: [API] An unknown window is rejected
+    When post.listTop is called with window "decade"
+    Then the response error code should be "BAD_REQUEST"
+
+
+  # ==========================================
+  # UI SCENARIOS (User Interface)
+  # ==========================================
+
+  Scenario: [UI] The Top tab's window survives navigating away and back
+    Given I am on the home page
+    When I click the "Top" tab and choose "All time"
+    Then post.listTop should be requested with window "all"
+    When I follow the "Sign In" link and then the site logo
+    Then the "Top" tab should still be active with "All time" selected
+
+  Scenario: [UI] The Top tab and window are kept after a reload
+    Given I have clicked the "Top" tab and chosen "This month"
+    When I reload the home page
+    Then post.listTop should be requested with window "month"
+    And the "Top" tab should still be active with "This month" selected
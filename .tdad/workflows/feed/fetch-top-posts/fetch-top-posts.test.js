@@ -0,0 +1,118 @@
+// TDAD fixtures provide automatic trace capture for Golden Packet
+const { test, expect } = require('../../../tdad-fixtures');
+const { performFetchTopPostsAction, ensureTopPosts } = require('./fetch-top-posts.action.js');
+
+/**
+ * Tests based on Gherkin specification:
+ * Feature: Fetch Top Posts
+ *   As a reader
+ *   I want to see the highest-scoring posts of the last day, week, month or year
+ *   So that I can catch up on what resonated most while I was away
+ */
+
+test.describe('Fetch Top Posts', () => {
+
+  // ==========================================
+  // API TESTS
+  // ==========================================
+
+  test('[API-409] Top posts are sorted by score', async ({ page, tdadTrace }) => {
+    const setup = await ensureTopPosts(page, 2);
+    expect(setup.success).toBe(true);
+
+    const result = await performFetchTopPostsAction(page, { window: 'all' });
+    tdadTrace.setActionResult(result);
+
+    expect(result.statusCode).toBe(200);
+    expect(result.postCount).toBeGreaterThan(0);
+    for (let i = 1; i < result.posts.length; i++) {
+      expect(result.posts[i - 1].score).toBeGreaterThanOrEqual(result.posts[i].score);
+    }
+  });
+
+  test('[API-410] The window leaves out older posts', async ({ page, tdadTrace }) => {
+    const setup = await ensureTopPosts(page, 1);
+    expect(setup.success).toBe(true);
+
+    const result = await performFetchTopPostsAction(page, { window: 'day', limit: 50 });
+    tdadTrace.setActionResult(result);
+
+    expect(result.statusCode).toBe(200);
+    expect(result.postCount).toBeGreaterThan(0);
+
+    // A minute of slack for clock differences between the test runner and server
+    const cutoff = Date.now() - 24 * 60 * 60 * 1000 - 60 * 1000;
+    for (const post of result.posts) {
+      expect(new Date(post.createdAt).getTime()).toBeGreaterThanOrEqual(cutoff);
+    }
+  });
+
+  test('[API-411] Cursor pagination continues where the first page ended', async ({ page, tdadTrace }) => {
+    const setup = await ensureTopPosts(page, 3);
+    expect(setup.success).toBe(true);
+
+    const first = await performFetchTopPostsAction(page, { window: 'all', limit: 2 });
+    expect(first.statusCode).toBe(200);
+    expect(first.postCount).toBe(2);
+    expect(first.nextCursor).toBeTruthy();
+
+    const second = await performFetchTopPostsAction(page, { window: 'all', limit: 2, cursor: first.nextCursor });
+    tdadTrace.setActionResult(second);
+
+    expect(second.statusCode).toBe(200);
+    expect(second.postCount).toBeGreaterThan(0);
+
+    const firstIds = first.posts.map((post) => post.id);
+    for (const post of second.posts) {
+      expect(firstIds).not.toContain(post.id);
+    }
+    expect(second.posts[0].score).toBeLessThanOrEqual(first.posts[first.posts.length - 1].score);
+  });
+
+  test('[API-412] An unknown window is rejected', async ({ page, tdadTrace }) => {
+    const result = await performFetchTopPostsAction(page, { window: 'decade' });
+    tdadTrace.setActionResult(result);
+
+    expect(result.success).toBe(false);
+    expect(result.statusCode).toBe(400);
+    expect(result.errorCode).toBe('BAD_REQUEST');
+  });
+
+  // ==========================================
+  // UI TESTS
+  // ==========================================
+
+  test('[UI-210] The Top tab\'s window survives navigating away and back', async ({ page, tdadTrace }) => {
+    const result = await performFetchTopPostsAction(page, { mode: 'ui', windowLabel: 'All time' });
+    tdadTrace.setActionResult(result);
+
+    expect(result.success).toBe(true);
+    expect(result.selectedWindow).toBe('all');
+    expect(result.feedUrl).toContain('post.listTop');
+    expect(result.feedUrl).toContain('"window":"all"');
+
+    // Client-side navigation keeps the feed store alive
+    await page.getByRole('link', { name: 'Sign In' }).click();
+    await expect(page).toHaveURL(/\/auth\/login/);
+    await page.getByRole('banner').getByRole('link').first().click();
+    await expect(page).toHaveURL(/\/$/);
+
+    await expect(page.getByRole('button', { name: 'Top' })).toHaveClass(/bg-primary-900/);
+    await expect(page.getByTestId('top-window-select')).toHaveValue('all');
+  });
+
+  test('[UI-221] The Top tab and window are kept after a reload', async ({ page, tdadTrace }) => {
+    const result = await performFetchTopPostsAction(page, { mode: 'ui', windowLabel: 'This month' });
+    tdadTrace.setActionResult(result);
+    expect(result.success).toBe(true);
+    expect(result.selectedWindow).toBe('month');
+
+    // A full reload starts a new store, restored from localStorage
+    const feedRequest = page.waitForRequest((request) => request.url().includes('post.listTop'), { timeout: 5000 });
+    await page.reload();
+
+    expect(decodeURIComponent((await feedRequest).url())).toContain('"window":"month"');
+    await expect(page.getByRole('button', { name: 'Top' })).toHaveClass(/bg-primary-900/);
+    await expect(page.getByTestId('top-window-select')).toHaveValue('month');
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Infinite Scroll Feed Action
+ *
+ * Opens the home page on a feed tab and waits for the first page of posts.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} context - Test context
+ * @param {string} context.tab - Feed tab to select ('Hot', 'New' or 'Top')
+ * @returns {Promise<Object>} - Returns { success, postCount, errorMessage }
+ */
+
+const { createTestPostsForPagination } = require('../load-more-posts/load-more-posts.action.js');
+const { createTestPost } = require('../fetch-hot-posts/fetch-hot-posts.action.js');
+
+const POST_CARD = '.bg-white.border.border-primary-200.rounded-lg';
+
+async function performInfiniteScrollFeedAction(page, context = {}) {
+    try {
+        const { tab = 'New' } = context;
+
+        await page.goto('/');
+        await page.waitForLoadState('domcontentloaded');
+
+        const tabButton = page.getByRole('button', { name: tab, exact: true });
+        await tabButton.waitFor({ state: 'visible', timeout: 5000 });
+        await tabButton.click();
+
+        await page.getByText('Loading posts...').waitFor({ state: 'hidden', timeout: 10000 }).catch(() => {});
+        await page.locator(POST_CARD).first().waitFor({ state: 'visible', timeout: 10000 });
+
+        return {
+            success: true,
+            postCount: await page.locator(POST_CARD).count()
+        };
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Scroll to the bottom of the page so the sentinel below the list comes into view
+ * @param {Object} page - Playwright page object
+ */
+async function scrollToBottom(page) {
+    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+}
+
+module.exports = {
+    performInfiniteScrollFeedAction,
+    scrollToBottom,
+    createTestPostsForPagination,
+    createTestPost,
+    POST_CARD
+};
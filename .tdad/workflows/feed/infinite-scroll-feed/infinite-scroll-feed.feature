@@ -0,0 +1,33 @@
+Feature: Infinite Scroll Feed
+  As a reader
+  I want the feed to keep loading as I scroll and to stay put when I come back
+  So that I can browse without losing my place
+
+  # NOTE: PostList loads 20 posts per page from post.listHot / listNew /
+  # listTop and polls for newer posts every minute
+
+
+  # ==========================================
+  # UI SCENARIOS (User Interface)
+  # ==========================================
+
+  Scenario: [UI] Scrolling to the end of the list loads the next page
+    Given more than 20 posts exist
+    And I am viewing the New feed
+    When I scroll to the bottom of the list
+    Then more than 20 posts should be shown
+
+  Scenario: [UI] Returning from a post restores the scroll position
+    Given more than 20 posts exist
+    And I have scrolled down the New feed
+    When I open a post and go back
+    Then the feed should be scrolled to where I left it
+
+  Scenario: [UI] Posts published after loading are offered through a banner
+    Given I am viewing the New feed
+    When someone else publishes a post
+    And a minute passes
+    Then a "New posts available" banner should be shown
+    And the list should not have changed
+    When I click the banner
+    Then the new post should be at the top of the list
@@ -0,0 +1,90 @@
+// TDAD fixtures provide automatic trace capture for Golden Packet
+const { test, expect } = require('../../../tdad-fixtures');
+const {
+  performInfiniteScrollFeedAction,
+  scrollToBottom,
+  createTestPostsForPagination,
+  createTestPost,
+  POST_CARD
+} = require('./infinite-scroll-feed.action.js');
+
+/**
+ * Tests based on Gherkin specification:
+ * Feature: Infinite Scroll Feed
+ *   As a reader
+ *   I want the feed to keep loading as I scroll and to stay put when I come back
+ *   So that I can browse without losing my place
+ */
+
+test.describe('Infinite Scroll Feed', () => {
+
+  // ==========================================
+  // UI TESTS
+  // ==========================================
+
+  test('[UI-211] Scrolling to the end of the list loads the next page', async ({ page, tdadTrace }) => {
+    const setup = await createTestPostsForPagination(page, 25);
+    expect(setup.success).toBe(true);
+
+    const result = await performInfiniteScrollFeedAction(page, { tab: 'New' });
+    tdadTrace.setActionResult(result);
+
+    expect(result.success).toBe(true);
+    expect(result.postCount).toBe(20);
+
+    await scrollToBottom(page);
+    await expect.poll(() => page.locator(POST_CARD).count()).toBeGreaterThan(20);
+  });
+
+  test('[UI-212] Returning from a post restores the scroll position', async ({ page, tdadTrace }) => {
+    const setup = await createTestPostsForPagination(page, 25);
+    expect(setup.success).toBe(true);
+
+    const result = await performInfiniteScrollFeedAction(page, { tab: 'New' });
+    tdadTrace.setActionResult(result);
+    expect(result.success).toBe(true);
+
+    await scrollToBottom(page);
+    await expect.poll(() => page.locator(POST_CARD).count()).toBeGreaterThan(20);
+
+    const card = page.locator(POST_CARD).nth(18);
+    await card.scrollIntoViewIfNeeded();
+    const scrollY = await page.evaluate(() => window.scrollY);
+    expect(scrollY).toBeGreaterThan(0);
+
+    await card.locator('h3').click();
+    await expect(page).toHaveURL(/\/post\//);
+    await page.goBack();
+    await expect(page).toHaveURL(/\/$/);
+
+    await expect.poll(() => page.evaluate(() => window.scrollY)).toBeGreaterThan(scrollY - 50);
+    expect(await page.evaluate(() => window.scrollY)).toBeLessThan(scrollY + 50);
+  });
+
+  test('[UI-213] Posts published after loading are offered through a banner', async ({ page, tdadTrace }) => {
+    await page.clock.install();
+
+    const result = await performInfiniteScrollFeedAction(page, { tab: 'New' });
+    tdadTrace.setActionResult(result);
+    expect(result.success).toBe(true);
+
+    const firstCard = page.locator(POST_CARD).first().locator('h3');
+    const firstBefore = await firstCard.textContent();
+
+    const frustration = `Infinite scroll banner test ${Date.now()}`;
+    const created = await createTestPost(page, { frustration });
+    expect(created.success).toBe(true);
+
+    // The feed checks for newer posts once a minute
+    await page.clock.fastForward('01:05');
+
+    const banner = page.getByTestId('new-posts-banner');
+    await expect(banner).toBeVisible();
+    await expect(banner).toHaveText('New posts available');
+    await expect(firstCard).toHaveText(firstBefore);
+
+    await banner.click();
+    await expect(page.locator(POST_CARD).first().locator('h3')).toContainText(frustration);
+    await expect(banner).toBeHidden();
+  });
+});
@@ -16,7 +16,6 @@ const {
     arePostsSortedByCreatedAt,
     allPostsBelongToCategory,
     postsDoNotOverlap,
-    getCursorFromPosts,
     createTestPost,
     getOrCreateTestCategory,
     getCategoryBySlug,
@@ -49,8 +48,8 @@ test.describe('Load More Posts', () => {
         expect(firstPageResult.statusCode).toBe(200);
         expect(Array.isArray(firstPageResult.posts)).toBe(true);
 
-        // Get cursor from first page
-        const cursor = getCursorFromPosts(firstPageResult.posts);
+        // Get the opaque cursor the first page returned
+        const cursor = firstPageResult.nextCursor;
 
         // Fetch next page using cursor
         const secondPageResult = await performFetchNextHotPostsAction(page, { cursor, limit: 3 });
@@ -84,8 +83,8 @@ test.describe('Load More Posts', () => {
         expect(firstPageResult.statusCode).toBe(200);
         expect(Array.isArray(firstPageResult.posts)).toBe(true);
 
-        // Get cursor from first page
-        const cursor = getCursorFromPosts(firstPageResult.posts);
+        // Get the opaque cursor the first page returned
+        const cursor = firstPageResult.nextCursor;
 
         // Fetch next page using cursor
         const secondPageResult = await performFetchNextNewPostsAction(page, { cursor, limit: 3 });
@@ -129,8 +128,8 @@ test.describe('Load More Posts', () => {
         expect(firstPageResult.success).toBe(true);
         expect(firstPageResult.statusCode).toBe(200);
 
-        // Get cursor from first page
-        const cursor = getCursorFromPosts(firstPageResult.posts);
+        // Get the opaque cursor the first page returned
+        const cursor = firstPageResult.nextCursor;
 
         // Fetch next page with same category filter
         const secondPageResult = await performFetchNextCategoryPostsAction(page, { categorySlug, cursor, limit: 3 });
@@ -0,0 +1,80 @@
+/**
+ * Paginate With Keyset Cursors Action
+ *
+ * Fetches pages of a feed through GET /api/posts, which returns a plain array
+ * and the next page's cursor in the X-Next-Cursor header. tRPC pages are
+ * fetched with the fetch-hot-posts / fetch-new-posts actions.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} context - Test context
+ * @param {string} context.sortBy - Feed sort (hot, new, top, controversial, rising)
+ * @param {number} context.limit - Page size
+ * @param {string} context.cursor - Cursor from a previous page
+ * @returns {Promise<Object>} - Returns { success, statusCode, body, posts, nextCursor, errorMessage }
+ */
+
+const {
+    generateVoterAnonymousId,
+    castInitialVote
+} = require('../../voting/create-vote-record/create-vote-record.action.js');
+
+async function performPaginateWithKeysetCursorsAction(page, context = {}) {
+    try {
+        const { sortBy = 'hot', limit, cursor } = context;
+
+        const params = new URLSearchParams({ sortBy });
+        if (limit !== undefined) params.set('limit', String(limit));
+        if (cursor !== undefined) params.set('cursor', cursor);
+
+        const response = await page.request.get(`/api/posts?${params.toString()}`);
+        const status = response.status();
+        let body = null;
+
+        try {
+            body = await response.json();
+        } catch (e) {
+            body = await response.text();
+        }
+
+        const posts = Array.isArray(body) ? body : [];
+
+        return {
+            success: response.ok(),
+            statusCode: status,
+            body,
+            posts,
+            postCount: posts.length,
+            nextCursor: response.headers()['x-next-cursor'] || null,
+            errorMessage: response.ok() ? null : (body?.error || 'Fetch posts failed')
+        };
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Downvote a post from several fresh anonymous voters, lowering its hot score
+ * @param {Object} page - Playwright page object
+ * @param {string} postId - Post to downvote
+ * @param {number} count - Number of downvotes
+ * @returns {Promise<Object>} - Returns { success, errorMessage }
+ */
+async function downvotePost(page, postId, count) {
+    for (let i = 0; i < count; i++) {
+        const vote = await castInitialVote(page, {
+            targetType: 'post',
+            postId,
+            value: -1,
+            anonymousId: generateVoterAnonymousId()
+        });
+        if (!vote.success) {
+            return { success: false, errorMessage: vote.errorMessage };
+        }
+    }
+    return { success: true };
+}
+
+module.exports = {
+    performPaginateWithKeysetCursorsAction,
+    downvotePost
+};
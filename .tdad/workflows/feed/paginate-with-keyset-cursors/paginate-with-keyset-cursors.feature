@@ -0,0 +1,34 @@
+Feature: Paginate With Keyset Cursors
+  As a reader scrolling a feed
+  I want each page to continue exactly where the last one ended
+  So that posts whose scores change while I scroll are not repeated or skipped
+
+  # NOTE: nextCursor is an opaque token encoding the last post's sort key,
+  # createdAt and id. GET /api/posts returns it in the X-Next-Cursor header.
+
+
+  # ==========================================
+  # API SCENARIOS (API Request & Response)
+  # ==========================================
+
+  Scenario: [API] Cursors are opaque tokens rather than post ids
+    When post.listHot is called with limit 2
+    Then nextCursor should not be the id of any returned post
+
+  Scenario: [API] Voting on the cursor post between pages causes no duplicates
+    Given the first page of the hot feed with limit 3
+    When the last post on that page is downvoted three times
+    And the second page is fetched with the first page's nextCursor
+    Then the second page should not repeat any post from the first page
+
+  Scenario: [API] REST pages follow the X-Next-Cursor header
+    When GET /api/posts is called with sortBy "hot" and limit 2
+    Then the response should include an X-Next-Cursor header
+    When GET /api/posts is called again with that cursor
+    Then the second page should not repeat any post from the first page
+
+  Scenario: [API] A malformed cursor is rejected
+    When post.listNew is called with cursor "not-a-cursor"
+    Then the response status should be 400
+    When GET /api/posts is called with cursor "not-a-cursor"
+    Then the response status should be 400
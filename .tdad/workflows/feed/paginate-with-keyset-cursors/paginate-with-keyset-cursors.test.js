@@ -0,0 +1,95 @@
+// TDAD fixtures provide automatic trace capture for Golden Packet
+const { test, expect } = require('../../../tdad-fixtures');
+const { performPaginateWithKeysetCursorsAction, downvotePost } = require('./paginate-with-keyset-cursors.action.js');
+const { performFetchHotPostsAction, createTestPost } = require('../fetch-hot-posts/fetch-hot-posts.action.js');
+const { performFetchNewPostsAction } = require('../fetch-new-posts/fetch-new-posts.action.js');
+
+/**
+ * Tests based on Gherkin specification:
+ * Feature: Paginate With Keyset Cursors
+ *   As a reader scrolling a feed
+ *   I want each page to continue exactly where the last one ended
+ *   So that posts whose scores change while I scroll are not repeated or skipped
+ */
+
+async function ensurePosts(page, count) {
+  for (let i = 0; i < count; i++) {
+    const post = await createTestPost(page, { frustration: `Keyset pagination test ${Date.now()}_${i}` });
+    if (!post.success) return post;
+  }
+  return { success: true };
+}
+
+test.describe('Paginate With Keyset Cursors', () => {
+
+  // ==========================================
+  // API TESTS
+  // ==========================================
+
+  test('[API-417] Cursors are opaque tokens rather than post ids', async ({ page, tdadTrace }) => {
+    const setup = await ensurePosts(page, 3);
+    expect(setup.success).toBe(true);
+
+    const result = await performFetchHotPostsAction(page, { mode: 'api', limit: 2 });
+    tdadTrace.setActionResult(result);
+
+    expect(result.statusCode).toBe(200);
+    expect(result.nextCursor).toBeTruthy();
+    expect(result.posts.map((post) => post.id)).not.toContain(result.nextCursor);
+  });
+
+  test('[API-418] Voting on the cursor post between pages causes no duplicates', async ({ page, tdadTrace }) => {
+    const setup = await ensurePosts(page, 4);
+    expect(setup.success).toBe(true);
+
+    const first = await performFetchHotPostsAction(page, { mode: 'api', limit: 3 });
+    expect(first.statusCode).toBe(200);
+    expect(first.nextCursor).toBeTruthy();
+
+    // Push the cursor post down the ranking before asking for page two
+    const lastPost = first.posts[first.posts.length - 1];
+    const votes = await downvotePost(page, lastPost.id, 3);
+    expect(votes.success).toBe(true);
+
+    const second = await performFetchHotPostsAction(page, { mode: 'api', limit: 3, cursor: first.nextCursor });
+    tdadTrace.setActionResult(second);
+
+    expect(second.statusCode).toBe(200);
+    const firstIds = first.posts.map((post) => post.id);
+    for (const post of second.posts) {
+      expect(firstIds).not.toContain(post.id);
+    }
+  });
+
+  test('[API-419] REST pages follow the X-Next-Cursor header', async ({ page, tdadTrace }) => {
+    const setup = await ensurePosts(page, 3);
+    expect(setup.success).toBe(true);
+
+    const first = await performPaginateWithKeysetCursorsAction(page, { sortBy: 'hot', limit: 2 });
+    expect(first.statusCode).toBe(200);
+    expect(first.postCount).toBe(2);
+    expect(first.nextCursor).toBeTruthy();
+
+    const second = await performPaginateWithKeysetCursorsAction(page, { sortBy: 'hot', limit: 2, cursor: first.nextCursor });
+    tdadTrace.setActionResult(second);
+
+    expect(second.statusCode).toBe(200);
+    expect(second.postCount).toBeGreaterThan(0);
+    const firstIds = first.posts.map((post) => post.id);
+    for (const post of second.posts) {
+      expect(firstIds).not.toContain(post.id);
+    }
+  });
+
+  test('[API-420] A malformed cursor is rejected', async ({ page, tdadTrace }) => {
+    const trpc = await performFetchNewPostsAction(page, { mode: 'api', cursor: 'not-a-cursor' });
+    tdadTrace.setActionResult(trpc);
+
+    expect(trpc.success).toBe(false);
+    expect(trpc.statusCode).toBe(400);
+
+    const rest = await performPaginateWithKeysetCursorsAction(page, { sortBy: 'new', cursor: 'not-a-cursor' });
+    expect(rest.statusCode).toBe(400);
+    expect(rest.errorMessage).toBe('Invalid cursor');
+  });
+});
@@ -0,0 +1,131 @@
+const {
+    createTestPostForVoting,
+    createTestCommentForVoting,
+    createTestUserWithAuth,
+    getOrCreateTestCategory,
+    generateVoterAnonymousId
+} = require('../../voting/create-vote-record/create-vote-record.action.js');
+const { createPostByRegisteredUser } = require('../../voting/cast-vote-atomically/cast-vote-atomically.action.js');
+const { readerRequest, getReaderAnonymousId } = require('../generate-anonymous-id/generate-anonymous-id.action.js');
+
+/**
+ * Authorize Deletion Action
+ *
+ * Calls post.delete or comment.delete as a given anonymous or logged-in caller.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} context - Test context and dependencies
+ * @param {string} context.mode - 'api' for API testing
+ * @param {string} context.targetType - 'post' or 'comment'
+ * @param {string} context.id - ID of the post or comment to delete
+ * @param {string} context.anonymousId - Optional label of the anonymous reader making the call
+ * @param {string} context.claimedAnonymousId - Optional anonymousId to send in the input (the server ignores it)
+ * @param {string} context.authToken - Optional Bearer token of the caller
+ * @returns {Promise<Object>} - Returns { success, statusCode, body, errorCode, errorMessage }
+ */
+async function performAuthorizeDeletionAction(page, context = {}) {
+    try {
+        const { mode = 'api', targetType = 'post', id, anonymousId, claimedAnonymousId, authToken } = context;
+
+        // ==========================================
+        // API MODE - Direct HTTP requests
+        // ==========================================
+        if (mode === 'api' || !mode) {
+            const input = { id };
+            if (claimedAnonymousId) {
+                input.anonymousId = claimedAnonymousId;
+            }
+
+            const response = await (await readerRequest(page, anonymousId)).post(`/api/trpc/${targetType}.delete`, {
+                data: { json: input },
+                headers: authToken ? { Authorization: `Bearer ${authToken}` } : {}
+            });
+
+            const statusCode = response.status();
+            const body = await response.json().catch(() => ({}));
+
+            return {
+                success: response.ok(),
+                statusCode,
+                body,
+                errorCode: body?.error?.json?.data?.code || null,
+                errorMessage: body?.error?.json?.message || null
+            };
+        }
+
+        // No UI mode for this action - it's API only
+        return { success: false, errorMessage: 'Only API mode is supported for this action' };
+
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Helper to create a post as a logged-in user from an anonymous reader's
+ * browser, so the reader's cookie is present when the post is written
+ * @param {Object} page - Playwright page object
+ * @param {string} label - Label of the reader whose browser is used
+ * @returns {Promise<Object>} - Returns { success, postId, userId, errorMessage }
+ */
+async function createPostInReaderBrowser(page, label) {
+    try {
+        const user = await createTestUserWithAuth(page);
+        if (!user.success || !user.authToken) {
+            return { success: false, errorMessage: user.errorMessage || 'Failed to log in test user' };
+        }
+        const category = await getOrCreateTestCategory(page);
+        if (!category.success) {
+            return { success: false, errorMessage: category.errorMessage };
+        }
+
+        const response = await (await readerRequest(page, label)).post('/api/trpc/post.create', {
+            data: {
+                json: {
+                    frustration: `shared browser ${Date.now()}`,
+                    identity: 'a signed-in author',
+                    categoryId: category.categoryId
+                }
+            },
+            headers: { Authorization: `Bearer ${user.authToken}` }
+        });
+        const body = await response.json().catch(() => ({}));
+        const post = body?.result?.data?.json || null;
+
+        return {
+            success: response.ok() && !!post,
+            postId: post?.id || null,
+            userId: user.userId,
+            errorMessage: response.ok() ? null : (body?.error?.json?.message || 'Failed to create post')
+        };
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Helper to check whether a post or comment is still live (not deleted)
+ * @param {Object} page - Playwright page object
+ * @param {string} targetType - 'post' or 'comment'
+ * @param {string} id - Post or comment ID
+ * @returns {Promise<boolean>} - True if it can be fetched and has no deletedAt
+ */
+async function targetExists(page, targetType, id) {
+    const response = await page.request.get(`/api/trpc/${targetType}.getById?input=${encodeURIComponent(JSON.stringify({ json: { id } }))}`);
+    if (!response.ok()) return false;
+    const body = await response.json();
+    const target = body?.result?.data?.json;
+    return !!target && !target.deletedAt;
+}
+
+module.exports = {
+    performAuthorizeDeletionAction,
+    createTestPostForVoting,
+    createTestCommentForVoting,
+    createTestUserWithAuth,
+    createPostByRegisteredUser,
+    createPostInReaderBrowser,
+    generateVoterAnonymousId,
+    getReaderAnonymousId,
+    targetExists
+};
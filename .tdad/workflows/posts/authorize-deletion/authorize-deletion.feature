@@ -0,0 +1,58 @@
+Feature: Authorize Deletion
+  As an author
+  I want only myself or a moderator to be able to delete what I wrote
+  So that other visitors cannot remove my posts and comments
+
+  # NOTE: Anonymous authors prove ownership with the anonymousId they posted with,
+  # so public reads never return it; moderators are configured through
+  # MODERATOR_USER_IDS
+
+
+  # ==========================================
+  # API SCENARIOS (API Request & Response)
+  # ==========================================
+
+  Scenario: [API] Anonymous author deletes their own post
+    Given a post created with an anonymousId
+    When the same anonymousId calls post.delete
+    Then the post should be deleted
+
+  Scenario: [API] Another visitor cannot delete the post
+    Given a post created with an anonymousId
+    When a different anonymousId calls post.delete
+    Then the response error code should be "FORBIDDEN"
+    And the post should still exist
+
+  Scenario: [API] Claiming the author's anonymousId in the input is rejected
+    Given a post created by an anonymous reader
+    When another reader calls post.delete with the author's anonymousId in the input
+    Then the response error code should be "FORBIDDEN"
+    And the post should still exist
+
+  Scenario: [API] Registered author deletes their own post
+    Given a post created by a logged-in user
+    When the same user calls post.delete
+    Then the post should be deleted
+
+  Scenario: [API] Another registered user cannot delete the post
+    Given a post created by a logged-in user
+    When a different logged-in user calls post.delete
+    Then the response error code should be "FORBIDDEN"
+
+  Scenario: [API] Comment deletion is limited to the author
+    Given a comment created with an anonymousId
+    When a different anonymousId calls comment.delete
+    Then the response error code should be "FORBIDDEN"
+    When the comment's anonymousId calls comment.delete
+    Then the comment should be deleted
+
+  Scenario: [API] Reading content does not reveal its anonymousId
+    Given a comment created with an anonymousId on a post created with an anonymousId
+    When any visitor calls post.getById and comment.listByPost
+    Then neither the post nor the comment should include an anonymousId
+
+  Scenario: [API] The browser cookie does not own a signed-in post after sign-out
+    Given a post created by a logged-in user in a browser with an anonymousId cookie
+    When the same browser calls post.delete without signing in
+    Then the response error code should be "FORBIDDEN"
+    And the post should still exist
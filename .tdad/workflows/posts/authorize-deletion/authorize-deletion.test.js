@@ -0,0 +1,164 @@
+// TDAD fixtures provide automatic trace capture for Golden Packet
+const { test, expect } = require('../../../tdad-fixtures');
+const {
+    performAuthorizeDeletionAction,
+    createTestPostForVoting,
+    createTestCommentForVoting,
+    createTestUserWithAuth,
+    createPostByRegisteredUser,
+    createPostInReaderBrowser,
+    generateVoterAnonymousId,
+    getReaderAnonymousId,
+    targetExists
+} = require('./authorize-deletion.action.js');
+
+/**
+ * Test based on Gherkin specification:
+ * Feature: Authorize Deletion
+ *   As an author
+ *   I want only myself or a moderator to be able to delete what I wrote
+ *   So that other visitors cannot remove my posts and comments
+ */
+
+test.describe('Authorize Deletion', () => {
+
+    // ==========================================
+    // API TESTS
+    // ==========================================
+
+    test('[API-360] Anonymous author deletes their own post', async ({ page }) => {
+        // Setup: Anonymous post
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+
+        // Execute: Delete with the author's anonymousId
+        const result = await performAuthorizeDeletionAction(page, { mode: 'api', targetType: 'post', id: post.postId, anonymousId: post.anonymousId });
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(await targetExists(page, 'post', post.postId)).toBe(false);
+    });
+
+    test('[API-361] Another visitor cannot delete the post', async ({ page }) => {
+        // Setup: Anonymous post
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+
+        // Execute: Delete with someone else's anonymousId
+        const result = await performAuthorizeDeletionAction(page, { mode: 'api', targetType: 'post', id: post.postId, anonymousId: generateVoterAnonymousId() });
+
+        // Assert: Forbidden and untouched
+        expect(result.success).toBe(false);
+        expect(result.statusCode).toBe(403);
+        expect(result.errorCode).toBe('FORBIDDEN');
+        expect(await targetExists(page, 'post', post.postId)).toBe(true);
+    });
+
+    test('[API-362] Claiming the author\'s anonymousId in the input is rejected', async ({ page }) => {
+        // Setup: Anonymous post, and the id the server issued its author
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        const authorId = await getReaderAnonymousId(page, post.anonymousId);
+        expect(authorId).toBeTruthy();
+
+        // Execute: Another reader sends the author's id
+        const result = await performAuthorizeDeletionAction(page, {
+            mode: 'api',
+            targetType: 'post',
+            id: post.postId,
+            claimedAnonymousId: authorId
+        });
+
+        // Assert
+        expect(result.success).toBe(false);
+        expect(result.statusCode).toBe(403);
+        expect(result.errorCode).toBe('FORBIDDEN');
+        expect(await targetExists(page, 'post', post.postId)).toBe(true);
+    });
+
+    test('[API-363] Registered author deletes their own post', async ({ page }) => {
+        // Setup: Post by a logged-in user
+        const post = await createPostByRegisteredUser(page);
+        expect(post.success).toBe(true);
+
+        // Execute: Delete with the author's token
+        const result = await performAuthorizeDeletionAction(page, { mode: 'api', targetType: 'post', id: post.postId, authToken: post.authToken });
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(await targetExists(page, 'post', post.postId)).toBe(false);
+    });
+
+    test('[API-364] Another registered user cannot delete the post', async ({ page }) => {
+        // Setup: Post by one user, second user logged in
+        const post = await createPostByRegisteredUser(page);
+        expect(post.success).toBe(true);
+        const otherUser = await createTestUserWithAuth(page);
+        expect(otherUser.authToken).toBeTruthy();
+
+        // Execute
+        const result = await performAuthorizeDeletionAction(page, { mode: 'api', targetType: 'post', id: post.postId, authToken: otherUser.authToken });
+
+        // Assert
+        expect(result.success).toBe(false);
+        expect(result.statusCode).toBe(403);
+        expect(result.errorCode).toBe('FORBIDDEN');
+        expect(await targetExists(page, 'post', post.postId)).toBe(true);
+    });
+
+    test('[API-365] Comment deletion is limited to the author', async ({ page }) => {
+        // Setup: Anonymous comment
+        const comment = await createTestCommentForVoting(page);
+        expect(comment.success).toBe(true);
+
+        // Execute: Someone else tries first
+        const forbidden = await performAuthorizeDeletionAction(page, { mode: 'api', targetType: 'comment', id: comment.commentId, anonymousId: generateVoterAnonymousId() });
+        expect(forbidden.success).toBe(false);
+        expect(forbidden.errorCode).toBe('FORBIDDEN');
+        expect(await targetExists(page, 'comment', comment.commentId)).toBe(true);
+
+        // Execute: The author deletes it
+        const allowed = await performAuthorizeDeletionAction(page, { mode: 'api', targetType: 'comment', id: comment.commentId, anonymousId: comment.anonymousId });
+
+        // Assert
+        expect(allowed.success).toBe(true);
+        expect(await targetExists(page, 'comment', comment.commentId)).toBe(false);
+    });
+
+    test('[API-454] Reading content does not reveal its anonymousId', async ({ page }) => {
+        // Setup: Anonymous comment on an anonymous post
+        const comment = await createTestCommentForVoting(page);
+        expect(comment.success).toBe(true);
+        const authorId = await getReaderAnonymousId(page, comment.anonymousId);
+        expect(authorId).toBeTruthy();
+        const query = (procedure, input) =>
+            page.request.get(`/api/trpc/${procedure}?input=${encodeURIComponent(JSON.stringify({ json: input }))}`);
+
+        // Execute: Read both the way any visitor can
+        const post = await (await query('post.getById', { id: comment.postId })).json();
+        const comments = await (await query('comment.listByPost', { postId: comment.postId })).json();
+
+        // Assert: The ids that prove authorship stay server-side
+        expect(post.result.data.json.id).toBe(comment.postId);
+        expect(post.result.data.json).not.toHaveProperty('anonymousId');
+        expect(comments.result.data.json[0].id).toBe(comment.commentId);
+        expect(comments.result.data.json[0]).not.toHaveProperty('anonymousId');
+        expect(JSON.stringify(comments)).not.toContain(authorId);
+    });
+
+    test('[API-455] The browser cookie does not own a signed-in post after sign-out', async ({ page }) => {
+        // Setup: A reader's browser, where a user signs in and posts
+        const label = generateVoterAnonymousId();
+        expect(await getReaderAnonymousId(page, label)).toBeTruthy();
+        const post = await createPostInReaderBrowser(page, label);
+        expect(post.success).toBe(true);
+
+        // Execute: The same browser, no longer signed in, tries to delete it
+        const result = await performAuthorizeDeletionAction(page, { mode: 'api', targetType: 'post', id: post.postId, anonymousId: label });
+
+        // Assert
+        expect(result.success).toBe(false);
+        expect(result.errorCode).toBe('FORBIDDEN');
+        expect(await targetExists(page, 'post', post.postId)).toBe(true);
+    });
+});
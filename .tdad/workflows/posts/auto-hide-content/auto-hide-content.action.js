@@ -0,0 +1,114 @@
+const {
+    performCreateVoteRecordAction,
+    generateVoterAnonymousId
+} = require('../../voting/create-vote-record/create-vote-record.action.js');
+const {
+    performReportContentAction,
+    reportAsAnonymous,
+    getContentById,
+    createTestPostForVoting,
+    createTestCommentWithAuthor,
+    createTestUserWithRole
+} = require('../report-content/report-content.action.js');
+
+// Must match the server's thresholds (see auto-hide-content.feature)
+const REPORT_THRESHOLD = Number(process.env.AUTO_HIDE_REPORT_THRESHOLD || 5);
+const SCORE_THRESHOLD = Number(process.env.AUTO_HIDE_SCORE_THRESHOLD || -10);
+
+/**
+ * Auto-hide Content Action
+ *
+ * Pushes a post or comment past an auto-hide threshold, or opens the post
+ * page to check how hidden comments are shown.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} context - Test context and dependencies
+ * @param {string} context.mode - 'api' to cross a threshold, 'ui' to open the post page
+ * @param {string} context.trigger - 'reports' or 'downvotes' (API mode)
+ * @param {Object} context.target - { postId } or { commentId } (API mode)
+ * @param {string} context.postId - Post to open (UI mode)
+ * @returns {Promise<Object>} - Returns { success, content, errorMessage }
+ */
+async function performAutoHideContentAction(page, context = {}) {
+    try {
+        const { mode = 'api', trigger = 'reports', target = {}, postId } = context;
+
+        // ==========================================
+        // UI MODE - Open the post page and expand the collapsed comment
+        // ==========================================
+        if (mode === 'ui') {
+            await page.goto(`/post/${postId}`);
+            await page.waitForLoadState('domcontentloaded');
+
+            const collapsed = page.getByTestId('comment-pending-review').first();
+            const visible = await collapsed.waitFor({ state: 'visible', timeout: 10000 })
+                .then(() => true)
+                .catch(() => false);
+            if (!visible) {
+                return { success: false, errorMessage: 'Collapsed comment not shown' };
+            }
+
+            const collapsedText = await collapsed.textContent();
+            await collapsed.getByRole('button').click();
+
+            return {
+                success: true,
+                collapsedText,
+                expandedText: await collapsed.textContent()
+            };
+        }
+
+        // ==========================================
+        // API MODE - Report or downvote up to the threshold
+        // ==========================================
+        const targetType = target.postId ? 'post' : 'comment';
+        const steps = trigger === 'reports' ? REPORT_THRESHOLD : -SCORE_THRESHOLD;
+
+        for (let i = 0; i < steps; i++) {
+            const result = trigger === 'reports'
+                ? await reportAsAnonymous(page, target)
+                : await performCreateVoteRecordAction(page, {
+                    mode: 'api',
+                    targetType,
+                    ...target,
+                    value: -1,
+                    anonymousId: generateVoterAnonymousId()
+                });
+            if (!result.success) {
+                return { success: false, errorMessage: result.errorMessage };
+            }
+        }
+
+        const content = await getContentById(page, targetType, target.postId || target.commentId);
+        return { success: !!content, content };
+
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Helper to check whether a post is on the first page of the New feed
+ * @param {Object} page - Playwright page object
+ * @param {string} postId - Post ID
+ * @returns {Promise<boolean>} - True if the post is listed
+ */
+async function isInNewFeed(page, postId) {
+    const input = encodeURIComponent(JSON.stringify({ json: { limit: 50 } }));
+    const response = await page.request.get(`/api/trpc/post.listNew?input=${input}`);
+    if (!response.ok()) return false;
+    const body = await response.json();
+    const posts = body?.result?.data?.json?.posts || [];
+    return posts.some((post) => post.id === postId);
+}
+
+module.exports = {
+    performAutoHideContentAction,
+    performReportContentAction,
+    reportAsAnonymous,
+    getContentById,
+    isInNewFeed,
+    createTestPostForVoting,
+    createTestCommentWithAuthor,
+    createTestUserWithRole
+};
@@ -0,0 +1,47 @@
+Feature: Auto-hide Content
+  As a moderator
+  I want heavily reported or downvoted content to leave the feeds on its own
+  So that readers are not shown it at full visibility while it waits for review
+
+  # NOTE: Thresholds default to 5 open reports and a score of -10
+  # (AUTO_HIDE_REPORT_THRESHOLD / AUTO_HIDE_SCORE_THRESHOLD). Hidden content
+  # stays pending review until a moderator restores or removes it
+
+
+  # ==========================================
+  # API SCENARIOS (API Request & Response)
+  # ==========================================
+
+  Scenario: [API] A post reported past the threshold is hidden pending review
+    Given a post in the New feed
+    When enough readers report it to reach the report threshold
+    Then the post should no longer be in the New feed
+    And post.getById should return hiddenReason "reports" with the original text
+
+  Scenario: [API] A comment downvoted past the threshold enters the moderator queue
+    Given a comment on a post
+    When enough readers downvote it to reach the score threshold
+    Then the comment should have hiddenReason "downvotes"
+    And report.listQueue should include it with a report count of 0
+
+  Scenario: [API] A moderator restores a hidden post
+    Given a post hidden pending review by reports
+    When a moderator resolves it with the "restore" action
+    Then the post should be back in the New feed
+    And its reports should be closed
+
+  Scenario: [API] Only hidden content can be restored
+    Given a reported post that is still visible
+    When a moderator resolves it with the "restore" action
+    Then the response error code should be "BAD_REQUEST"
+
+
+  # ==========================================
+  # UI SCENARIOS (User Interface)
+  # ==========================================
+
+  Scenario: [UI] Comments hidden pending review are collapsed
+    Given a comment downvoted past the score threshold
+    When I open the post page
+    Then the comment should be collapsed as "Hidden pending review"
+    And expanding it should show the original text
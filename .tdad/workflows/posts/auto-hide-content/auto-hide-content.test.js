@@ -0,0 +1,131 @@
+// TDAD fixtures provide automatic trace capture for Golden Packet
+const { test, expect } = require('../../../tdad-fixtures');
+const {
+    performAutoHideContentAction,
+    performReportContentAction,
+    reportAsAnonymous,
+    getContentById,
+    isInNewFeed,
+    createTestPostForVoting,
+    createTestCommentWithAuthor,
+    createTestUserWithRole
+} = require('./auto-hide-content.action.js');
+
+/**
+ * Test based on Gherkin specification:
+ * Feature: Auto-hide Content
+ *   As a moderator
+ *   I want heavily reported or downvoted content to leave the feeds on its own
+ *   So that readers are not shown it at full visibility while it waits for review
+ */
+
+test.describe('Auto-hide Content', () => {
+
+    // ==========================================
+    // API TESTS
+    // ==========================================
+
+    test('[API-387] A post reported past the threshold is hidden pending review', async ({ page }) => {
+        // Setup: Fresh post in the New feed
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        expect(await isInNewFeed(page, post.postId)).toBe(true);
+
+        // Execute
+        const result = await performAutoHideContentAction(page, { mode: 'api', trigger: 'reports', target: { postId: post.postId } });
+
+        // Assert: Out of the feed, but the text is kept for review
+        expect(result.success).toBe(true);
+        expect(result.content.hiddenAt).toBeTruthy();
+        expect(result.content.hiddenReason).toBe('reports');
+        expect(result.content.frustration).toMatch(/^Test post for voting/);
+        expect(await isInNewFeed(page, post.postId)).toBe(false);
+    });
+
+    test('[API-388] A comment downvoted past the threshold enters the moderator queue', async ({ page }) => {
+        // Setup: Anonymous comment and a moderator
+        const comment = await createTestCommentWithAuthor(page);
+        expect(comment.success).toBe(true);
+        const moderator = await createTestUserWithRole(page, 'moderator');
+        expect(moderator.success).toBe(true);
+
+        // Execute
+        const result = await performAutoHideContentAction(page, { mode: 'api', trigger: 'downvotes', target: { commentId: comment.commentId } });
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.content.hiddenReason).toBe('downvotes');
+        const queue = await performReportContentAction(page, { mode: 'api', procedure: 'listQueue', authToken: moderator.authToken });
+        const entry = queue.data.find((item) => item.comment?.id === comment.commentId);
+        expect(entry).toBeTruthy();
+        expect(entry.reportCount).toBe(0);
+    });
+
+    test('[API-389] A moderator restores a hidden post', async ({ page }) => {
+        // Setup: Post hidden by reports and a moderator
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        const hidden = await performAutoHideContentAction(page, { mode: 'api', trigger: 'reports', target: { postId: post.postId } });
+        expect(hidden.content.hiddenReason).toBe('reports');
+        const moderator = await createTestUserWithRole(page, 'moderator');
+        expect(moderator.success).toBe(true);
+
+        // Execute
+        const result = await performReportContentAction(page, {
+            mode: 'api',
+            procedure: 'resolve',
+            input: { postId: post.postId, action: 'restore' },
+            authToken: moderator.authToken
+        });
+
+        // Assert: Visible again and every report closed
+        expect(result.success).toBe(true);
+        expect(result.data.resolved).toBeGreaterThan(0);
+        const restored = await getContentById(page, 'post', post.postId);
+        expect(restored.hiddenAt).toBeNull();
+        expect(await isInNewFeed(page, post.postId)).toBe(true);
+    });
+
+    test('[API-390] Only hidden content can be restored', async ({ page }) => {
+        // Setup: Post with a single report
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        expect((await reportAsAnonymous(page, { postId: post.postId })).success).toBe(true);
+        const moderator = await createTestUserWithRole(page, 'moderator');
+        expect(moderator.success).toBe(true);
+
+        // Execute
+        const result = await performReportContentAction(page, {
+            mode: 'api',
+            procedure: 'resolve',
+            input: { postId: post.postId, action: 'restore' },
+            authToken: moderator.authToken
+        });
+
+        // Assert
+        expect(result.success).toBe(false);
+        expect(result.errorCode).toBe('BAD_REQUEST');
+    });
+
+    // ==========================================
+    // UI TESTS
+    // ==========================================
+
+    test('[UI-205] Comments hidden pending review are collapsed', async ({ page, tdadTrace }) => {
+        // Setup: Comment downvoted past the threshold
+        const comment = await createTestCommentWithAuthor(page);
+        expect(comment.success).toBe(true);
+        const hidden = await performAutoHideContentAction(page, { mode: 'api', trigger: 'downvotes', target: { commentId: comment.commentId } });
+        expect(hidden.content.hiddenReason).toBe('downvotes');
+
+        // Execute
+        const result = await performAutoHideContentAction(page, { mode: 'ui', postId: comment.postId });
+        tdadTrace.setActionResult(result);
+
+        // Assert: Collapsed first, original text once expanded
+        expect(result.success).toBe(true);
+        expect(result.collapsedText).toContain('Hidden pending review');
+        expect(result.collapsedText).not.toContain(comment.content);
+        expect(result.expandedText).toContain(comment.content);
+    });
+});
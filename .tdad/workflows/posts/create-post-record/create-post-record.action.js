@@ -1,6 +1,8 @@
 const { performValidatePostInputAction, getOrCreateTestCategory: getOrCreateTestCategoryFromValidation } = require('../validate-post-input/validate-post-input.action.js');
 const { performGenerateAnonymousIdAction, getAnonymousId } = require('../generate-anonymous-id/generate-anonymous-id.action.js');
 const { performCalculateHotScoreAction, calculateExpectedHotScore } = require('../calculate-hot-score/calculate-hot-score.action.js');
+const { getAdminAuthHeaders } = require('../../auth/enforce-roles/enforce-roles.action.js');
+const { readerRequest } = require('../generate-anonymous-id/generate-anonymous-id.action.js');
 
 /**
  * Create Post Record Action
@@ -59,7 +61,7 @@ async function performCreatePostRecordAction(page, context = {}) {
                 };
             }
 
-            const response = await page.request.post('/api/posts', requestOptions);
+            const response = await (await readerRequest(page, anonymousId)).post('/api/posts', requestOptions);
 
             const status = response.status();
             let body = null;
@@ -187,6 +189,7 @@ async function getOrCreateTestCategory(page) {
         // If no categories exist, create one via tRPC
         const uniqueSlug = `test-category-${Date.now()}`;
         const createResponse = await page.request.post('/api/trpc/category.create', {
+            headers: await getAdminAuthHeaders(page),
             data: {
                 json: {
                     name: `Test Category ${Date.now()}`,
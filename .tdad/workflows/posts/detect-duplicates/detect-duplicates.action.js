@@ -0,0 +1,181 @@
+const {
+    getOrCreateTestCategory,
+    generateVoterAnonymousId
+} = require('../../voting/create-vote-record/create-vote-record.action.js');
+const {
+    createTestUserWithRole,
+    createTestUserWithAuth
+} = require('../../auth/enforce-roles/enforce-roles.action.js');
+const { getContentById } = require('../report-content/report-content.action.js');
+const { readerRequest } = require('../generate-anonymous-id/generate-anonymous-id.action.js');
+
+/**
+ * Detect Duplicates Action
+ *
+ * Looks up posts similar to a frustration, or merges one post into another.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} context - Test context and dependencies
+ * @param {string} context.mode - 'api' for API testing, 'ui' to type into the home page form
+ * @param {string} context.procedure - 'findSimilar' (GET /api/posts/similar) or 'merge' (post.merge)
+ * @param {string} context.frustration - Frustration to look up (findSimilar and UI mode)
+ * @param {Object} context.input - { duplicateId, originalId } for merge
+ * @param {string} context.authToken - Optional Bearer token of the caller
+ * @returns {Promise<Object>} - Returns { success, statusCode, body, data, errorCode, errorMessage }
+ */
+async function performDetectDuplicatesAction(page, context = {}) {
+    try {
+        const { mode = 'api', procedure = 'findSimilar', frustration = '', input = {}, authToken } = context;
+
+        // ==========================================
+        // UI MODE - Type a frustration into the post form
+        // ==========================================
+        if (mode === 'ui') {
+            await page.goto('/');
+            await page.waitForLoadState('domcontentloaded');
+
+            await page.getByPlaceholder("e.g., get a good night's sleep").fill(frustration);
+
+            const panel = page.getByTestId('similar-posts');
+            const visible = await panel.waitFor({ state: 'visible', timeout: 10000 })
+                .then(() => true)
+                .catch(() => false);
+
+            return {
+                success: visible,
+                panelText: visible ? await panel.textContent() : null,
+                links: visible
+                    ? await panel.getByRole('link').evaluateAll((links) => links.map((a) => a.getAttribute('href')))
+                    : [],
+                errorMessage: visible ? null : 'Similar posts were not suggested'
+            };
+        }
+
+        // ==========================================
+        // API MODE - Direct HTTP requests
+        // ==========================================
+        if (procedure === 'findSimilar') {
+            const response = await page.request.get(`/api/posts/similar?frustration=${encodeURIComponent(frustration)}`);
+            const body = await response.json().catch(() => ({}));
+
+            return {
+                success: response.ok(),
+                statusCode: response.status(),
+                body,
+                data: response.ok() ? body : null,
+                errorMessage: response.ok() ? null : body?.error || null
+            };
+        }
+
+        const response = await page.request.post('/api/trpc/post.merge', {
+            data: { json: input },
+            headers: authToken ? { Authorization: `Bearer ${authToken}` } : {}
+        });
+        const body = await response.json().catch(() => ({}));
+
+        return {
+            success: response.ok(),
+            statusCode: response.status(),
+            body,
+            data: body?.result?.data?.json ?? null,
+            errorCode: body?.error?.json?.data?.code || null,
+            errorMessage: body?.error?.json?.message || null
+        };
+
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Helper to make a word no other post will contain
+ * @returns {string} - 'zq' followed by random letters
+ */
+function randomWord() {
+    const letters = 'abcdefghijklmnopqrstuvwxyz';
+    let word = 'zq';
+    for (let i = 0; i < 8; i++) {
+        word += letters[Math.floor(Math.random() * letters.length)];
+    }
+    return word;
+}
+
+/**
+ * Helper to create a post with the given frustration via REST API
+ * @param {Object} page - Playwright page object
+ * @param {string} frustration - Frustration text
+ * @returns {Promise<Object>} - Returns { success, postId, anonymousId, categorySlug, errorMessage }
+ */
+async function createPostWithFrustration(page, frustration) {
+    const category = await getOrCreateTestCategory(page);
+    if (!category.success) {
+        return { success: false, errorMessage: category.errorMessage };
+    }
+
+    const anonymousId = generateVoterAnonymousId();
+    const response = await (await readerRequest(page, anonymousId)).post('/api/posts', {
+        data: {
+            frustration,
+            identity: 'a duplicate tester',
+            categoryId: category.categoryId,
+            anonymousId
+        }
+    });
+    const body = await response.json().catch(() => ({}));
+
+    return {
+        success: response.ok(),
+        postId: body?.id || null,
+        anonymousId,
+        categorySlug: category.categorySlug,
+        errorMessage: response.ok() ? null : body?.error || 'Failed to create post'
+    };
+}
+
+/**
+ * Helper to add an anonymous comment to a post via REST API
+ * @param {Object} page - Playwright page object
+ * @param {string} postId - Post to comment on
+ * @param {string} content - Optional comment text
+ * @returns {Promise<Object>} - Returns { success, commentId, errorMessage }
+ */
+async function createCommentOnPost(page, postId, content = `Same here ${Date.now()}`) {
+    const anonymousId = generateVoterAnonymousId();
+    const response = await (await readerRequest(page, anonymousId)).post('/api/comments', {
+        data: {
+            content,
+            postId,
+            anonymousId
+        }
+    });
+    const body = await response.json().catch(() => ({}));
+
+    return {
+        success: response.ok(),
+        commentId: body?.id || null,
+        errorMessage: response.ok() ? null : body?.error || 'Failed to create comment'
+    };
+}
+
+/**
+ * Helper to fetch a post (including deleted ones) via REST API
+ * @param {Object} page - Playwright page object
+ * @param {string} postId - Post ID
+ * @returns {Promise<Object|null>} - The post or null on failure
+ */
+async function getPostById(page, postId) {
+    const response = await page.request.get(`/api/posts/${postId}`);
+    if (!response.ok()) return null;
+    return response.json();
+}
+
+module.exports = {
+    performDetectDuplicatesAction,
+    randomWord,
+    createPostWithFrustration,
+    createCommentOnPost,
+    getPostById,
+    getContentById,
+    createTestUserWithRole,
+    createTestUserWithAuth
+};
@@ -0,0 +1,45 @@
+Feature: Detect Duplicates
+  As a reader about to post
+  I want to see whether someone already asked the same thing
+  So that answers collect in one place instead of across near-identical posts
+
+  # NOTE: Frustrations are compared by their words after lowercasing and
+  # dropping punctuation, stopwords and plural "s". Each test puts random
+  # words in its frustrations so earlier runs can't match
+
+
+  # ==========================================
+  # API SCENARIOS (API Request & Response)
+  # ==========================================
+
+  Scenario: [API] A reworded frustration finds the existing post
+    Given a post "find a <random> parking spot"
+    When similar posts are requested for "Find <random> parking spots!"
+    Then the response status should be 200
+    And the existing post should be the first match
+
+  Scenario: [API] An unrelated frustration finds nothing
+    When similar posts are requested for a frustration made of random words
+    Then the response status should be 200
+    And the list should be empty
+
+  Scenario: [API] Merging moves comments and points the duplicate at the original
+    Given an original post and a duplicate post with a comment
+    When a moderator merges the duplicate into the original
+    Then the comment should belong to the original post
+    And the duplicate should be deleted with mergedIntoId set to the original
+
+  Scenario: [API] Only moderators can merge posts
+    Given a registered user without a role
+    When the user calls post.merge
+    Then the response error code should be "FORBIDDEN"
+
+
+  # ==========================================
+  # UI SCENARIOS (User Interface)
+  # ==========================================
+
+  Scenario: [UI] The post form suggests posts that ask the same thing
+    Given a post "find a <random> parking spot"
+    When I type "find <random> parking spots" into the post form
+    Then I should see "Others asked this too" with a link to the existing post
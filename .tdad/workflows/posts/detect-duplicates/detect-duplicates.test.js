@@ -0,0 +1,133 @@
+// TDAD fixtures provide automatic trace capture for Golden Packet
+const { test, expect } = require('../../../tdad-fixtures');
+const {
+    performDetectDuplicatesAction,
+    randomWord,
+    createPostWithFrustration,
+    createCommentOnPost,
+    getPostById,
+    getContentById,
+    createTestUserWithRole,
+    createTestUserWithAuth
+} = require('./detect-duplicates.action.js');
+
+/**
+ * Test based on Gherkin specification:
+ * Feature: Detect Duplicates
+ *   As a reader about to post
+ *   I want to see whether someone already asked the same thing
+ *   So that answers collect in one place instead of across near-identical posts
+ */
+
+test.describe('Detect Duplicates', () => {
+
+    // ==========================================
+    // API TESTS
+    // ==========================================
+
+    test('[API-396] A reworded frustration finds the existing post', async ({ page }) => {
+        // Setup
+        const word = randomWord();
+        const post = await createPostWithFrustration(page, `find a ${word} parking spot`);
+        expect(post.success).toBe(true);
+
+        // Execute
+        const result = await performDetectDuplicatesAction(page, {
+            mode: 'api',
+            procedure: 'findSimilar',
+            frustration: `Find ${word} parking spots!`
+        });
+
+        // Assert
+        expect(result.statusCode).toBe(200);
+        expect(result.data[0].id).toBe(post.postId);
+        expect(result.data[0].similarity).toBe(1);
+    });
+
+    test('[API-397] An unrelated frustration finds nothing', async ({ page }) => {
+        // Execute
+        const result = await performDetectDuplicatesAction(page, {
+            mode: 'api',
+            procedure: 'findSimilar',
+            frustration: `${randomWord()} ${randomWord()} ${randomWord()}`
+        });
+
+        // Assert
+        expect(result.statusCode).toBe(200);
+        expect(result.data).toEqual([]);
+    });
+
+    test('[API-398] Merging moves comments and points the duplicate at the original', async ({ page }) => {
+        // Setup: Two posts asking the same thing, the later one with a comment
+        const word = randomWord();
+        const original = await createPostWithFrustration(page, `keep ${word} houseplants alive`);
+        const duplicate = await createPostWithFrustration(page, `keep my ${word} houseplant alive`);
+        expect(original.success && duplicate.success).toBe(true);
+        const comment = await createCommentOnPost(page, duplicate.postId);
+        expect(comment.success).toBe(true);
+        const moderator = await createTestUserWithRole(page, 'moderator');
+        expect(moderator.success).toBe(true);
+
+        // Execute
+        const result = await performDetectDuplicatesAction(page, {
+            mode: 'api',
+            procedure: 'merge',
+            input: { duplicateId: duplicate.postId, originalId: original.postId },
+            authToken: moderator.authToken
+        });
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.data.moved).toBe(1);
+        const movedComment = await getContentById(page, 'comment', comment.commentId);
+        expect(movedComment.postId).toBe(original.postId);
+        const tombstone = await getPostById(page, duplicate.postId);
+        expect(tombstone.deletedAt).not.toBeNull();
+        expect(tombstone.mergedIntoId).toBe(original.postId);
+    });
+
+    test('[API-399] Only moderators can merge posts', async ({ page }) => {
+        // Setup
+        const user = await createTestUserWithAuth(page);
+        expect(user.success).toBe(true);
+        const word = randomWord();
+        const original = await createPostWithFrustration(page, `fold ${word} fitted sheets`);
+        const duplicate = await createPostWithFrustration(page, `fold a ${word} fitted sheet`);
+        expect(original.success && duplicate.success).toBe(true);
+
+        // Execute
+        const result = await performDetectDuplicatesAction(page, {
+            mode: 'api',
+            procedure: 'merge',
+            input: { duplicateId: duplicate.postId, originalId: original.postId },
+            authToken: user.authToken
+        });
+
+        // Assert
+        expect(result.success).toBe(false);
+        expect(result.errorCode).toBe('FORBIDDEN');
+    });
+
+    // ==========================================
+    // UI TESTS
+    // ==========================================
+
+    test('[UI-207] The post form suggests posts that ask the same thing', async ({ page, tdadTrace }) => {
+        // Setup
+        const word = randomWord();
+        const post = await createPostWithFrustration(page, `find a ${word} parking spot`);
+        expect(post.success).toBe(true);
+
+        // Execute
+        const result = await performDetectDuplicatesAction(page, {
+            mode: 'ui',
+            frustration: `find ${word} parking spots`
+        });
+        tdadTrace.setActionResult(result);
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.panelText).toContain('Others asked this too');
+        expect(result.links).toContain(`/post/${post.postId}`);
+    });
+});
@@ -0,0 +1,124 @@
+const {
+    createTestPostForVoting,
+    generateVoterAnonymousId
+} = require('../../voting/create-vote-record/create-vote-record.action.js');
+const { performCreateCommentRecordAction } = require('../../comments/create-comment-record/create-comment-record.action.js');
+const { performAuthorizeDeletionAction } = require('../authorize-deletion/authorize-deletion.action.js');
+const { readerRequest } = require('../generate-anonymous-id/generate-anonymous-id.action.js');
+
+/**
+ * Edit Content Action
+ *
+ * Calls post.update or comment.update as the given caller.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} context - Test context and dependencies
+ * @param {string} context.mode - 'api' for API testing, 'ui' to open the post page
+ * @param {string} context.targetType - 'post' or 'comment'
+ * @param {string} context.id - ID of the post or comment
+ * @param {Object} context.changes - Fields to change ({ frustration, identity } or { content })
+ * @param {string} context.anonymousId - Optional anonymousId of the caller
+ * @param {string} context.authToken - Optional Bearer token of the caller
+ * @returns {Promise<Object>} - Returns { success, statusCode, body, updated, errorCode, errorMessage }
+ */
+async function performEditContentAction(page, context = {}) {
+    try {
+        const { mode = 'api', targetType = 'post', id, changes = {}, anonymousId, authToken } = context;
+
+        // ==========================================
+        // UI MODE - Open the post page and look for the marker
+        // ==========================================
+        if (mode === 'ui') {
+            await page.goto(`/post/${id}`);
+            await page.waitForLoadState('domcontentloaded');
+
+            const marker = page.getByTestId('post-edited');
+            const visible = await marker.waitFor({ state: 'visible', timeout: 10000 })
+                .then(() => true)
+                .catch(() => false);
+
+            return {
+                success: visible,
+                markerText: visible ? await marker.textContent() : null,
+                errorMessage: visible ? null : 'Edited marker not shown'
+            };
+        }
+
+        // ==========================================
+        // API MODE - Direct HTTP requests
+        // ==========================================
+        const input = { id, ...changes };
+        if (anonymousId) {
+            input.anonymousId = anonymousId;
+        }
+
+        const response = await (await readerRequest(page, anonymousId)).post(`/api/trpc/${targetType}.update`, {
+            data: { json: input },
+            headers: authToken ? { Authorization: `Bearer ${authToken}` } : {}
+        });
+
+        const statusCode = response.status();
+        const body = await response.json().catch(() => ({}));
+
+        return {
+            success: response.ok(),
+            statusCode,
+            body,
+            updated: body?.result?.data?.json || null,
+            errorCode: body?.error?.json?.data?.code || null,
+            errorMessage: body?.error?.json?.message || null
+        };
+
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Helper to fetch the revisions of a post or comment
+ * @param {Object} page - Playwright page object
+ * @param {string} targetType - 'post' or 'comment'
+ * @param {string} id - Post or comment ID
+ * @returns {Promise<Array|null>} - Revisions (newest first) or null on failure
+ */
+async function getRevisions(page, targetType, id) {
+    const input = targetType === 'post' ? { postId: id } : { commentId: id };
+    const response = await page.request.get(`/api/trpc/${targetType}.getRevisions?input=${encodeURIComponent(JSON.stringify({ json: input }))}`);
+    if (!response.ok()) return null;
+    const body = await response.json();
+    return body?.result?.data?.json ?? null;
+}
+
+/**
+ * Helper to create an anonymous comment on a fresh post
+ * @param {Object} page - Playwright page object
+ * @returns {Promise<Object>} - Returns { success, commentId, postId, content, anonymousId }
+ */
+async function createTestCommentWithAuthor(page) {
+    const post = await createTestPostForVoting(page);
+    if (!post.success) {
+        return { success: false, errorMessage: post.errorMessage };
+    }
+
+    const anonymousId = generateVoterAnonymousId();
+    const content = `Original comment ${Date.now()}`;
+    const comment = await performCreateCommentRecordAction(page, { mode: 'api', content, postId: post.postId, anonymousId });
+
+    return {
+        success: comment.success,
+        commentId: comment.commentId,
+        postId: post.postId,
+        content,
+        anonymousId,
+        errorMessage: comment.errorMessage
+    };
+}
+
+module.exports = {
+    performEditContentAction,
+    performAuthorizeDeletionAction,
+    createTestPostForVoting,
+    createTestCommentWithAuthor,
+    generateVoterAnonymousId,
+    getRevisions
+};
@@ -0,0 +1,49 @@
+Feature: Edit Content
+  As an author
+  I want to fix mistakes in what I posted
+  So that a typo in a frustration is not permanent, while readers can still see what changed
+
+  # NOTE: Each edit stores the previous text as a Revision; only the author
+  # (by userId or original anonymousId) may edit
+
+
+  # ==========================================
+  # API SCENARIOS (API Request & Response)
+  # ==========================================
+
+  Scenario: [API] Author edits their post and the old text becomes a revision
+    Given a post created with an anonymousId
+    When the author updates the frustration
+    Then the post should have the new frustration and an editedAt timestamp
+    And post.getRevisions should return the original frustration
+
+  Scenario: [API] Another visitor cannot edit the post
+    Given a post created with an anonymousId
+    When a different anonymousId calls post.update
+    Then the response error code should be "FORBIDDEN"
+    And post.getRevisions should return no revisions
+
+  Scenario: [API] Author edits their comment
+    Given a comment created with an anonymousId
+    When the author updates the comment content twice
+    Then comment.getRevisions should return both earlier versions, newest first
+
+  Scenario: [API] An edit that changes nothing writes no revision
+    Given a post created with an anonymousId
+    When the author submits the same frustration again
+    Then post.getRevisions should return no revisions
+
+  Scenario: [API] Deleted content cannot be edited
+    Given a post that its author has deleted
+    When the author calls post.update
+    Then the response error code should be "BAD_REQUEST"
+
+
+  # ==========================================
+  # UI SCENARIOS (User Interface)
+  # ==========================================
+
+  Scenario: [UI] Edited posts show an "edited" marker
+    Given a post that its author has edited
+    When I open the post page
+    Then I should see the "edited" marker
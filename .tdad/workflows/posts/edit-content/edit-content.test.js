@@ -0,0 +1,159 @@
+// TDAD fixtures provide automatic trace capture for Golden Packet
+const { test, expect } = require('../../../tdad-fixtures');
+const {
+    performEditContentAction,
+    performAuthorizeDeletionAction,
+    createTestPostForVoting,
+    createTestCommentWithAuthor,
+    generateVoterAnonymousId,
+    getRevisions
+} = require('./edit-content.action.js');
+
+/**
+ * Test based on Gherkin specification:
+ * Feature: Edit Content
+ *   As an author
+ *   I want to fix mistakes in what I posted
+ *   So that a typo in a frustration is not permanent, while readers can still see what changed
+ */
+
+test.describe('Edit Content', () => {
+
+    // ==========================================
+    // API TESTS
+    // ==========================================
+
+    test('[API-370] Author edits their post and the old text becomes a revision', async ({ page }) => {
+        // Setup: Anonymous post
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        const before = await getRevisions(page, 'post', post.postId);
+        expect(before).toEqual([]);
+
+        // Execute
+        const frustration = `find a typo-free keyboard ${Date.now()}`;
+        const result = await performEditContentAction(page, {
+            mode: 'api',
+            targetType: 'post',
+            id: post.postId,
+            changes: { frustration },
+            anonymousId: post.anonymousId
+        });
+
+        // Assert: New text, edit timestamp, one revision with the old text
+        expect(result.success).toBe(true);
+        expect(result.updated.frustration).toBe(frustration);
+        expect(result.updated.editedAt).toBeTruthy();
+        const revisions = await getRevisions(page, 'post', post.postId);
+        expect(revisions).toHaveLength(1);
+        expect(revisions[0].frustration).toMatch(/^Test post for voting/);
+    });
+
+    test('[API-371] Another visitor cannot edit the post', async ({ page }) => {
+        // Setup: Anonymous post
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+
+        // Execute: Different anonymousId
+        const result = await performEditContentAction(page, {
+            mode: 'api',
+            targetType: 'post',
+            id: post.postId,
+            changes: { frustration: 'rewrite someone else' },
+            anonymousId: generateVoterAnonymousId()
+        });
+
+        // Assert
+        expect(result.success).toBe(false);
+        expect(result.errorCode).toBe('FORBIDDEN');
+        expect(await getRevisions(page, 'post', post.postId)).toEqual([]);
+    });
+
+    test('[API-372] Author edits their comment', async ({ page }) => {
+        // Setup: Anonymous comment
+        const comment = await createTestCommentWithAuthor(page);
+        expect(comment.success).toBe(true);
+
+        // Execute: Two edits
+        const first = await performEditContentAction(page, {
+            mode: 'api', targetType: 'comment', id: comment.commentId, changes: { content: 'First edit' }, anonymousId: comment.anonymousId
+        });
+        expect(first.success).toBe(true);
+        const second = await performEditContentAction(page, {
+            mode: 'api', targetType: 'comment', id: comment.commentId, changes: { content: 'Second edit' }, anonymousId: comment.anonymousId
+        });
+        expect(second.success).toBe(true);
+        expect(second.updated.content).toBe('Second edit');
+
+        // Assert: Both earlier versions, newest first
+        const revisions = await getRevisions(page, 'comment', comment.commentId);
+        expect(revisions.map((r) => r.content)).toEqual(['First edit', comment.content]);
+    });
+
+    test('[API-373] An edit that changes nothing writes no revision', async ({ page }) => {
+        // Setup: Anonymous post
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+
+        // Execute: Re-submit the same identity
+        const result = await performEditContentAction(page, {
+            mode: 'api',
+            targetType: 'post',
+            id: post.postId,
+            changes: { identity: 'a voter tester' },
+            anonymousId: post.anonymousId
+        });
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.updated.editedAt).toBeFalsy();
+        expect(await getRevisions(page, 'post', post.postId)).toEqual([]);
+    });
+
+    test('[API-374] Deleted content cannot be edited', async ({ page }) => {
+        // Setup: Post deleted by its author
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        const deleted = await performAuthorizeDeletionAction(page, { mode: 'api', targetType: 'post', id: post.postId, anonymousId: post.anonymousId });
+        expect(deleted.success).toBe(true);
+
+        // Execute
+        const result = await performEditContentAction(page, {
+            mode: 'api',
+            targetType: 'post',
+            id: post.postId,
+            changes: { frustration: 'bring it back' },
+            anonymousId: post.anonymousId
+        });
+
+        // Assert
+        expect(result.success).toBe(false);
+        expect(result.errorCode).toBe('BAD_REQUEST');
+    });
+
+    // ==========================================
+    // UI TESTS
+    // ==========================================
+
+    test('[UI-203] Edited posts show an "edited" marker', async ({ page, tdadTrace }) => {
+        // Setup: Post edited by its author
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        const edited = await performEditContentAction(page, {
+            mode: 'api',
+            targetType: 'post',
+            id: post.postId,
+            changes: { frustration: `edit a post ${Date.now()}` },
+            anonymousId: post.anonymousId
+        });
+        expect(edited.success).toBe(true);
+
+        // Execute
+        const result = await performEditContentAction(page, { mode: 'ui', id: post.postId });
+        tdadTrace.setActionResult(result);
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.markerText).toBe('edited');
+    });
+});
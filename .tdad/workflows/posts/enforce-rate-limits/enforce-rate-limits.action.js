@@ -0,0 +1,143 @@
+const {
+    getOrCreateTestCategory,
+    createTestPostForVoting
+} = require('../../voting/create-vote-record/create-vote-record.action.js');
+const { readerRequest } = require('../generate-anonymous-id/generate-anonymous-id.action.js');
+const { createTestUserWithAuth } = require('../../voting/create-vote-record/create-vote-record.action.js');
+
+/**
+ * Enforce Rate Limits Action
+ *
+ * Sends repeated create requests for one identity and reports the status of each,
+ * so tests can check where the RATE_LIMITS table starts rejecting requests.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} context - Test context and dependencies
+ * @param {string} context.mode - 'api' for API testing
+ * @param {string} context.target - 'rest-post', 'trpc-post', 'trpc-post-edit' or 'rest-comment'
+ * @param {number} context.count - Number of requests to send
+ * @param {string} context.anonymousId - Anonymous ID used for every request
+ * @param {string} context.categoryId - Category for post requests
+ * @param {string} context.postId - Post for comment requests, or the reader's own post to edit
+ * @param {string} context.userId - userId to claim in REST post bodies (the server should ignore it)
+ * @returns {Promise<Object>} - Returns { success, statuses, lastStatus, lastBody, retryAfter, errorMessage }
+ */
+async function performEnforceRateLimitsAction(page, context = {}) {
+    try {
+        const {
+            mode = 'api',
+            target = 'rest-post',
+            count = 1,
+            anonymousId,
+            categoryId,
+            postId,
+            userId
+        } = context;
+
+        // ==========================================
+        // API MODE - Direct HTTP requests
+        // ==========================================
+        if (mode === 'api' || !mode) {
+            const statuses = [];
+            let lastBody = null;
+            let retryAfter = null;
+
+            for (let i = 0; i < count; i++) {
+                let response;
+                const suffix = `${Date.now()}_${i}`;
+
+                if (target === 'trpc-post') {
+                    response = await (await readerRequest(page, anonymousId)).post('/api/trpc/post.create', {
+                        data: {
+                            json: {
+                                frustration: `rate limit check ${suffix}`,
+                                identity: 'a rate limit tester',
+                                categoryId,
+                                anonymousId
+                            }
+                        }
+                    });
+                } else if (target === 'trpc-post-edit') {
+                    response = await (await readerRequest(page, anonymousId)).post('/api/trpc/post.update', {
+                        data: {
+                            json: {
+                                id: postId,
+                                frustration: `rate limit edit ${suffix}`
+                            }
+                        }
+                    });
+                } else if (target === 'rest-comment') {
+                    response = await (await readerRequest(page, anonymousId)).post('/api/comments', {
+                        data: {
+                            content: `Rate limit comment ${suffix}`,
+                            postId,
+                            anonymousId
+                        }
+                    });
+                } else {
+                    response = await (await readerRequest(page, anonymousId)).post('/api/posts', {
+                        data: {
+                            frustration: `rate limit check ${suffix}`,
+                            identity: 'a rate limit tester',
+                            categoryId,
+                            anonymousId,
+                            ...(userId ? { userId } : {})
+                        }
+                    });
+                }
+
+                statuses.push(response.status());
+                retryAfter = response.headers()['retry-after'] || null;
+
+                try {
+                    lastBody = await response.json();
+                } catch (e) {
+                    lastBody = await response.text();
+                }
+            }
+
+            const lastStatus = statuses[statuses.length - 1];
+
+            return {
+                success: lastStatus >= 200 && lastStatus < 300,
+                statuses,
+                lastStatus,
+                lastBody,
+                retryAfter,
+                errorMessage: lastBody?.error?.json?.message || lastBody?.error?.message || lastBody?.error || null
+            };
+        }
+
+        // No UI mode for this action - it's API only
+        return { success: false, errorMessage: 'Only API mode is supported for this action' };
+
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Helper to generate an anonymous ID that has not been rate limited yet
+ * @returns {string} - Generated anonymous ID
+ */
+function generateRateLimitAnonymousId() {
+    return `ratelimit_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+}
+
+/**
+ * Helper to extract the tRPC error code from a response body
+ * @param {Object} body - Response body
+ * @returns {string|null} - tRPC error code or null
+ */
+function getTrpcErrorCode(body) {
+    return body?.error?.json?.data?.code || body?.error?.data?.code || null;
+}
+
+module.exports = {
+    performEnforceRateLimitsAction,
+    generateRateLimitAnonymousId,
+    getTrpcErrorCode,
+    getOrCreateTestCategory,
+    createTestPostForVoting,
+    createTestUserWithAuth
+};
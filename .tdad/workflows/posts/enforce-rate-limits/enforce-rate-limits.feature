@@ -0,0 +1,54 @@
+Feature: Enforce Rate Limits
+  As the platform operator
+  I want posts, comments and votes to be capped per hour
+  So that a single visitor cannot flood the site
+
+  # NOTE: Limits come from RATE_LIMITS in src/lib/constants.ts
+  # Anonymous: 5 posts, 10 comments, 30 votes per hour (per anonymousId and per IP)
+  # Registered: 20 posts, 50 comments, 100 votes per hour (per userId)
+
+
+  # ==========================================
+  # API SCENARIOS (API Request & Response)
+  # ==========================================
+
+  Scenario: [API] Anonymous post limit via REST
+    Given an anonymous user with a fresh anonymousId
+    When the user creates 5 posts via POST "/api/posts"
+    Then every response status should be 200
+    When the user creates one more post via POST "/api/posts"
+    Then the response status should be 429
+    And the response should have a "Retry-After" header with a positive number of seconds
+    And the response error should contain "Rate limit exceeded"
+
+  Scenario: [API] Anonymous post limit via tRPC
+    Given an anonymous user with a fresh anonymousId
+    When the user creates 5 posts via "post.create"
+    And the user creates one more post via "post.create"
+    Then the last response status should be 429
+    And the error code should be "TOO_MANY_REQUESTS"
+
+  Scenario: [API] Anonymous comment limit via REST
+    Given an anonymous user with a fresh anonymousId
+    And an existing post
+    When the user creates 10 comments via POST "/api/comments"
+    And the user creates one more comment via POST "/api/comments"
+    Then the response status should be 429
+    And the response should have a "Retry-After" header
+
+  Scenario: [API] Limits are tracked per anonymousId
+    Given an anonymous user who has reached the post limit
+    When a different anonymous user creates a post via POST "/api/posts"
+    Then the response status should be 200
+
+  Scenario: [API] A userId in the body does not lift the anonymous limit
+    Given an anonymous user who has reached the post limit
+    When the same user creates a post via POST "/api/posts" with a registered user's userId in the body
+    Then the response status should be 429
+
+  Scenario: [API] Edits count against the post limit
+    Given an anonymous user who has created one post via "post.create"
+    When the user edits that post 5 times via "post.update"
+    Then the first 4 edits should succeed
+    And the last response status should be 429
+    And the error code should be "TOO_MANY_REQUESTS"
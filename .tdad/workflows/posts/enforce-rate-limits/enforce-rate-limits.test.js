@@ -0,0 +1,186 @@
+// TDAD fixtures provide automatic trace capture for Golden Packet
+const { test, expect } = require('../../../tdad-fixtures');
+const {
+    performEnforceRateLimitsAction,
+    generateRateLimitAnonymousId,
+    getTrpcErrorCode,
+    getOrCreateTestCategory,
+    createTestPostForVoting,
+    createTestUserWithAuth
+} = require('./enforce-rate-limits.action.js');
+
+/**
+ * Test based on Gherkin specification:
+ * Feature: Enforce Rate Limits
+ *   As the platform operator
+ *   I want posts, comments and votes to be capped per hour
+ *   So that a single visitor cannot flood the site
+ */
+
+test.describe('Enforce Rate Limits', () => {
+
+    // ==========================================
+    // API TESTS
+    // ==========================================
+
+    test('[API-344] Anonymous post limit via REST', async ({ page }) => {
+        // Setup: Get a valid category and a fresh identity
+        const category = await getOrCreateTestCategory(page);
+        expect(category.success).toBe(true);
+        const anonymousId = generateRateLimitAnonymousId();
+
+        // Execute: Create posts up to the anonymous limit
+        const allowed = await performEnforceRateLimitsAction(page, {
+            mode: 'api',
+            target: 'rest-post',
+            count: 5,
+            anonymousId,
+            categoryId: category.categoryId
+        });
+
+        // Assert: Every request within the limit succeeded
+        expect(allowed.statuses).toEqual([200, 200, 200, 200, 200]);
+
+        // Execute: One more post
+        const rejected = await performEnforceRateLimitsAction(page, {
+            mode: 'api',
+            target: 'rest-post',
+            count: 1,
+            anonymousId,
+            categoryId: category.categoryId
+        });
+
+        // Assert: Request is rejected with Retry-After
+        expect(rejected.lastStatus).toBe(429);
+        expect(Number(rejected.retryAfter)).toBeGreaterThan(0);
+        expect(rejected.errorMessage).toContain('Rate limit exceeded');
+    });
+
+    test('[API-345] Anonymous post limit via tRPC', async ({ page }) => {
+        // Setup: Get a valid category and a fresh identity
+        const category = await getOrCreateTestCategory(page);
+        expect(category.success).toBe(true);
+        const anonymousId = generateRateLimitAnonymousId();
+
+        // Execute: Create one post more than the anonymous limit
+        const result = await performEnforceRateLimitsAction(page, {
+            mode: 'api',
+            target: 'trpc-post',
+            count: 6,
+            anonymousId,
+            categoryId: category.categoryId
+        });
+
+        // Assert: Only the last request is rejected
+        expect(result.statuses.slice(0, 5).every((s) => s === 200)).toBe(true);
+        expect(result.lastStatus).toBe(429);
+        expect(getTrpcErrorCode(result.lastBody)).toBe('TOO_MANY_REQUESTS');
+    });
+
+    test('[API-346] Anonymous comment limit via REST', async ({ page }) => {
+        // Setup: Create a post to comment on
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        const anonymousId = generateRateLimitAnonymousId();
+
+        // Execute: Create one comment more than the anonymous limit
+        const result = await performEnforceRateLimitsAction(page, {
+            mode: 'api',
+            target: 'rest-comment',
+            count: 11,
+            anonymousId,
+            postId: post.postId
+        });
+
+        // Assert: The first 10 succeed and the 11th is rejected
+        expect(result.statuses.slice(0, 10).every((s) => s === 201)).toBe(true);
+        expect(result.lastStatus).toBe(429);
+        expect(Number(result.retryAfter)).toBeGreaterThan(0);
+    });
+
+    test('[API-347] Limits are tracked per anonymousId', async ({ page }) => {
+        // Setup: Exhaust the limit for one identity
+        const category = await getOrCreateTestCategory(page);
+        expect(category.success).toBe(true);
+        const exhausted = await performEnforceRateLimitsAction(page, {
+            mode: 'api',
+            target: 'rest-post',
+            count: 6,
+            anonymousId: generateRateLimitAnonymousId(),
+            categoryId: category.categoryId
+        });
+        expect(exhausted.lastStatus).toBe(429);
+
+        // Execute: Post as a different anonymous user
+        const other = await performEnforceRateLimitsAction(page, {
+            mode: 'api',
+            target: 'rest-post',
+            count: 1,
+            anonymousId: generateRateLimitAnonymousId(),
+            categoryId: category.categoryId
+        });
+
+        // Assert: The other identity is unaffected
+        expect(other.lastStatus).toBe(200);
+    });
+
+    test('[API-446] A userId in the body does not lift the anonymous limit', async ({ page }) => {
+        // Setup: Exhaust the limit for one identity, and have a registered user to claim
+        const category = await getOrCreateTestCategory(page);
+        expect(category.success).toBe(true);
+        const user = await createTestUserWithAuth(page);
+        expect(user.success).toBe(true);
+        const anonymousId = generateRateLimitAnonymousId();
+        const exhausted = await performEnforceRateLimitsAction(page, {
+            mode: 'api',
+            target: 'rest-post',
+            count: 6,
+            anonymousId,
+            categoryId: category.categoryId
+        });
+        expect(exhausted.lastStatus).toBe(429);
+
+        // Execute: Post again, claiming the registered user's id in the body
+        const claimed = await performEnforceRateLimitsAction(page, {
+            mode: 'api',
+            target: 'rest-post',
+            count: 1,
+            anonymousId,
+            categoryId: category.categoryId,
+            userId: user.userId
+        });
+
+        // Assert: Still limited as the same anonymous caller
+        expect(claimed.lastStatus).toBe(429);
+    });
+
+    test('[API-453] Edits count against the post limit', async ({ page }) => {
+        // Setup: Post once as a fresh anonymous reader
+        const category = await getOrCreateTestCategory(page);
+        expect(category.success).toBe(true);
+        const anonymousId = generateRateLimitAnonymousId();
+        const created = await performEnforceRateLimitsAction(page, {
+            mode: 'api',
+            target: 'trpc-post',
+            count: 1,
+            anonymousId,
+            categoryId: category.categoryId
+        });
+        expect(created.lastStatus).toBe(200);
+
+        // Execute: Edit the post until the anonymous limit is passed
+        const result = await performEnforceRateLimitsAction(page, {
+            mode: 'api',
+            target: 'trpc-post-edit',
+            count: 5,
+            anonymousId,
+            postId: created.lastBody.result.data.json.id
+        });
+
+        // Assert: The post and four edits fit in the limit; the fifth edit doesn't
+        expect(result.statuses.slice(0, 4).every((s) => s === 200)).toBe(true);
+        expect(result.lastStatus).toBe(429);
+        expect(getTrpcErrorCode(result.lastBody)).toBe('TOO_MANY_REQUESTS');
+    });
+
+});
@@ -0,0 +1,151 @@
+const {
+    createTestPostForVoting,
+    getOrCreateTestCategory,
+    generateVoterAnonymousId
+} = require('../../voting/create-vote-record/create-vote-record.action.js');
+const {
+    performEnforceRolesAction,
+    getAdminAuthToken,
+    createTestUserWithAuth
+} = require('../../auth/enforce-roles/enforce-roles.action.js');
+const { getContentById, isInNewFeed } = require('../auto-hide-content/auto-hide-content.action.js');
+const {
+    performSubmitPostFormAction,
+    performShowPostFormAction,
+    performLoadCategoriesDropdownAction
+} = require('../submit-post-form/submit-post-form.action.js');
+const { readerRequest } = require('../generate-anonymous-id/generate-anonymous-id.action.js');
+
+/**
+ * Filter Content Action
+ *
+ * Submits a post or comment and reports how the content filter handled it.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} context - Test context and dependencies
+ * @param {string} context.mode - 'api' for API testing
+ * @param {string} context.via - 'rest' (/api/posts, /api/comments) or 'trpc' (post.create, comment.create)
+ * @param {string} context.targetType - 'post' or 'comment'
+ * @param {Object} context.fields - { frustration, identity } for posts, { content, postId } for comments
+ * @returns {Promise<Object>} - Returns { success, statusCode, body, id, errorCode, errorMessage }
+ */
+async function performFilterContentAction(page, context = {}) {
+    try {
+        const { mode = 'api', via = 'rest', targetType = 'post', fields = {} } = context;
+
+        if (mode !== 'api') {
+            return { success: false, errorMessage: 'Only API mode is supported for this action' };
+        }
+
+        const data = { ...fields, anonymousId: generateVoterAnonymousId() };
+        if (targetType === 'post') {
+            const category = await getOrCreateTestCategory(page);
+            if (!category.success) {
+                return { success: false, errorMessage: category.errorMessage };
+            }
+            data.categoryId = category.categoryId;
+        }
+
+        // ==========================================
+        // API MODE - REST routes
+        // ==========================================
+        if (via === 'rest') {
+            const response = await (await readerRequest(page, data.anonymousId)).post(targetType === 'post' ? '/api/posts' : '/api/comments', { data });
+            const body = await response.json().catch(() => ({}));
+
+            return {
+                success: response.ok(),
+                statusCode: response.status(),
+                body,
+                id: body?.id || null,
+                errorMessage: response.ok() ? null : body?.error || null
+            };
+        }
+
+        // ==========================================
+        // API MODE - tRPC procedures
+        // ==========================================
+        const response = await (await readerRequest(page, data.anonymousId)).post(`/api/trpc/${targetType}.create`, {
+            data: { json: data }
+        });
+        const body = await response.json().catch(() => ({}));
+        const created = body?.result?.data?.json || null;
+
+        return {
+            success: response.ok(),
+            statusCode: response.status(),
+            body: created || body,
+            id: created?.id || null,
+            errorCode: body?.error?.json?.data?.code || null,
+            errorMessage: body?.error?.json?.message || null
+        };
+
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Helper to add a random letters-only term to the banned-term list as the seeded admin
+ * @param {Object} page - Playwright page object
+ * @param {string} action - 'reject', 'mask' or 'queue'
+ * @returns {Promise<Object>} - Returns { success, id, term, errorMessage }
+ */
+async function addRandomBannedTerm(page, action) {
+    const adminToken = await getAdminAuthToken(page);
+    if (!adminToken) {
+        return { success: false, errorMessage: 'Seeded admin could not log in' };
+    }
+
+    // Letters only: digits would be read as leetspeak
+    const letters = 'abcdefghijklmnopqrstuvwxyz';
+    let term = 'zq';
+    for (let i = 0; i < 8; i++) {
+        term += letters[Math.floor(Math.random() * letters.length)];
+    }
+
+    const result = await performEnforceRolesAction(page, {
+        mode: 'api',
+        procedure: 'admin.setBannedTerm',
+        input: { term, action },
+        authToken: adminToken
+    });
+
+    return {
+        success: result.success,
+        id: result.data?.id || null,
+        term,
+        errorMessage: result.errorMessage
+    };
+}
+
+/**
+ * Helper to take a term back off the list
+ * @param {Object} page - Playwright page object
+ * @param {string} id - BannedTerm ID
+ * @returns {Promise<boolean>} - True if removed
+ */
+async function removeBannedTerm(page, id) {
+    const adminToken = await getAdminAuthToken(page);
+    const result = await performEnforceRolesAction(page, {
+        mode: 'api',
+        procedure: 'admin.removeBannedTerm',
+        input: { id },
+        authToken: adminToken
+    });
+    return result.success;
+}
+
+module.exports = {
+    performFilterContentAction,
+    addRandomBannedTerm,
+    removeBannedTerm,
+    getContentById,
+    isInNewFeed,
+    createTestPostForVoting,
+    createTestUserWithAuth,
+    performEnforceRolesAction,
+    performSubmitPostFormAction,
+    performShowPostFormAction,
+    performLoadCategoriesDropdownAction
+};
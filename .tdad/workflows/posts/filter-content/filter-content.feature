@@ -0,0 +1,50 @@
+Feature: Filter Content
+  As an admin
+  I want submissions checked against a list of banned terms
+  So that slurs and spam phrases are stopped, starred out or held for review
+
+  # NOTE: Terms are managed with admin.setBannedTerm / admin.removeBannedTerm.
+  # Matching ignores case, leetspeak and spacing inside a term, but not terms
+  # hidden inside longer words. Each test uses its own random term
+
+
+  # ==========================================
+  # API SCENARIOS (API Request & Response)
+  # ==========================================
+
+  Scenario: [API] A post with a "reject" term is refused
+    Given a banned term with the "reject" action
+    When a post containing the term is submitted
+    Then the response status should be 400
+    And the error should say the submission contains language that isn't allowed
+
+  Scenario: [API] Leetspeak and spacing don't get past the filter
+    Given a banned term with the "reject" action
+    When a comment containing the term in leetspeak with spaces is submitted
+    Then the response status should be 400
+
+  Scenario: [API] A "mask" term is starred out
+    Given a banned term with the "mask" action
+    When a comment containing the term is submitted
+    Then the comment should be created with the term replaced by asterisks
+
+  Scenario: [API] A "queue" term holds the post for review
+    Given a banned term with the "queue" action
+    When a post containing the term is submitted
+    Then the post should be created with hiddenReason "filter"
+    And it should not be in the New feed
+
+  Scenario: [API] Only admins can edit the banned-term list
+    Given a registered user without a role
+    When the user calls admin.setBannedTerm
+    Then the response error code should be "FORBIDDEN"
+
+
+  # ==========================================
+  # UI SCENARIOS (User Interface)
+  # ==========================================
+
+  Scenario: [UI] The post form shows why a submission was refused
+    Given a banned term with the "reject" action
+    When I submit a post containing the term from the home page
+    Then I should see the error "Your submission contains language that isn't allowed"
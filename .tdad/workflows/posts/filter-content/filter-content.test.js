@@ -0,0 +1,163 @@
+// TDAD fixtures provide automatic trace capture for Golden Packet
+const { test, expect } = require('../../../tdad-fixtures');
+const {
+    performFilterContentAction,
+    addRandomBannedTerm,
+    removeBannedTerm,
+    getContentById,
+    isInNewFeed,
+    createTestPostForVoting,
+    createTestUserWithAuth,
+    performEnforceRolesAction,
+    performSubmitPostFormAction,
+    performShowPostFormAction,
+    performLoadCategoriesDropdownAction
+} = require('./filter-content.action.js');
+
+const REJECTED_MESSAGE = "Your submission contains language that isn't allowed";
+
+/**
+ * Test based on Gherkin specification:
+ * Feature: Filter Content
+ *   As an admin
+ *   I want submissions checked against a list of banned terms
+ *   So that slurs and spam phrases are stopped, starred out or held for review
+ */
+
+test.describe('Filter Content', () => {
+
+    // ==========================================
+    // API TESTS
+    // ==========================================
+
+    test('[API-391] A post with a "reject" term is refused', async ({ page }) => {
+        // Setup
+        const banned = await addRandomBannedTerm(page, 'reject');
+        expect(banned.success).toBe(true);
+
+        // Execute
+        const result = await performFilterContentAction(page, {
+            mode: 'api',
+            via: 'rest',
+            targetType: 'post',
+            fields: { frustration: `stop saying ${banned.term} at work`, identity: 'a filter tester' }
+        });
+        await removeBannedTerm(page, banned.id);
+
+        // Assert
+        expect(result.success).toBe(false);
+        expect(result.statusCode).toBe(400);
+        expect(result.errorMessage).toBe(REJECTED_MESSAGE);
+    });
+
+    test('[API-392] Leetspeak and spacing don\'t get past the filter', async ({ page }) => {
+        // Setup: Term and a post to comment on
+        const banned = await addRandomBannedTerm(page, 'reject');
+        expect(banned.success).toBe(true);
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        const leet = { a: '4', e: '3', i: '1', o: '0', s: '$', t: '7' };
+        const disguised = banned.term.toUpperCase().split('').map((c) => leet[c.toLowerCase()] || c).join(' ');
+
+        // Execute: Through the tRPC procedure
+        const result = await performFilterContentAction(page, {
+            mode: 'api',
+            via: 'trpc',
+            targetType: 'comment',
+            fields: { content: `well ${disguised}!`, postId: post.postId }
+        });
+        await removeBannedTerm(page, banned.id);
+
+        // Assert
+        expect(result.success).toBe(false);
+        expect(result.errorCode).toBe('BAD_REQUEST');
+        expect(result.errorMessage).toBe(REJECTED_MESSAGE);
+    });
+
+    test('[API-393] A "mask" term is starred out', async ({ page }) => {
+        // Setup
+        const banned = await addRandomBannedTerm(page, 'mask');
+        expect(banned.success).toBe(true);
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+
+        // Execute
+        const result = await performFilterContentAction(page, {
+            mode: 'api',
+            via: 'rest',
+            targetType: 'comment',
+            fields: { content: `what a ${banned.term} idea`, postId: post.postId }
+        });
+        await removeBannedTerm(page, banned.id);
+
+        // Assert: Only the term is starred out
+        expect(result.success).toBe(true);
+        expect(result.body.content).toBe(`what a ${'*'.repeat(banned.term.length)} idea`);
+    });
+
+    test('[API-394] A "queue" term holds the post for review', async ({ page }) => {
+        // Setup
+        const banned = await addRandomBannedTerm(page, 'queue');
+        expect(banned.success).toBe(true);
+
+        // Execute
+        const result = await performFilterContentAction(page, {
+            mode: 'api',
+            via: 'trpc',
+            targetType: 'post',
+            fields: { frustration: `buy ${banned.term} cheap`, identity: 'a filter tester' }
+        });
+        await removeBannedTerm(page, banned.id);
+
+        // Assert: Created, but hidden pending review
+        expect(result.success).toBe(true);
+        const post = await getContentById(page, 'post', result.id);
+        expect(post.hiddenReason).toBe('filter');
+        expect(post.frustration).toBe(`buy ${banned.term} cheap`);
+        expect(await isInNewFeed(page, result.id)).toBe(false);
+    });
+
+    test('[API-395] Only admins can edit the banned-term list', async ({ page }) => {
+        // Setup: Registered user with the default role
+        const user = await createTestUserWithAuth(page);
+        expect(user.success).toBe(true);
+
+        // Execute
+        const result = await performEnforceRolesAction(page, {
+            mode: 'api',
+            procedure: 'admin.setBannedTerm',
+            input: { term: 'zqnotallowed', action: 'reject' },
+            authToken: user.authToken
+        });
+
+        // Assert
+        expect(result.success).toBe(false);
+        expect(result.errorCode).toBe('FORBIDDEN');
+    });
+
+    // ==========================================
+    // UI TESTS
+    // ==========================================
+
+    test('[UI-206] The post form shows why a submission was refused', async ({ page, tdadTrace }) => {
+        // Setup: Term, home page form and categories
+        const banned = await addRandomBannedTerm(page, 'reject');
+        expect(banned.success).toBe(true);
+        expect((await performShowPostFormAction(page)).success).toBe(true);
+        expect((await performLoadCategoriesDropdownAction(page, { mode: 'ui' })).success).toBe(true);
+
+        // Execute
+        const result = await performSubmitPostFormAction(page, {
+            mode: 'ui',
+            frustration: `hear ${banned.term} every day`,
+            identity: 'a filter tester',
+            categoryName: 'Parenting'
+        });
+        tdadTrace.setActionResult(result);
+        await removeBannedTerm(page, banned.id);
+
+        // Assert
+        expect(result.success).toBe(false);
+        expect(result.errorMessage).toContain(REJECTED_MESSAGE);
+    });
+});
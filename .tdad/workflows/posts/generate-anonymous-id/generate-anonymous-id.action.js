@@ -1,41 +1,56 @@
+const { request } = require('@playwright/test');
+
+const ANONYMOUS_ID_COOKIE = 'anon-id';
+const BASE_URL = 'http://localhost:3000';
+
 /**
  * Generate Anonymous Id Action
  *
- * Handles anonymous ID generation via API.
- * Returns a unique UUID v4 for anonymous users to track sessions and deduplicate votes.
+ * Sends a request as a visitor and reports the anonymous-id cookie the
+ * server issued. The middleware sets it on any path, so a cheap endpoint is
+ * used.
  *
  * @param {Object} page - Playwright page object
  * @param {Object} context - Test context and dependencies
  * @param {string} context.mode - 'api' for API testing (default)
- * @returns {Promise<Object>} - Returns { success, errorMessage, statusCode, body, anonymousId, contentType }
+ * @param {Object} context.requestContext - Request context to send from (defaults to page.request)
+ * @param {string} context.cookie - Optional anon-id cookie value to send instead of the stored one
+ * @returns {Promise<Object>} - Returns { success, statusCode, setCookie, cookieValue, anonymousId, httpOnly, errorMessage }
  */
 async function performGenerateAnonymousIdAction(page, context = {}) {
     try {
-        const { mode = 'api' } = context;
+        const { mode = 'api', requestContext = page.request, cookie } = context;
 
         // ==========================================
         // API MODE - Direct HTTP request
         // ==========================================
         if (mode === 'api' || !mode) {
-            const response = await page.request.get('/api/posts/anonymous-id');
+            const response = await requestContext.get('/api/categories', {
+                headers: cookie ? { Cookie: `${ANONYMOUS_ID_COOKIE}=${cookie}` } : {}
+            });
 
-            const status = response.status();
-            const contentType = response.headers()['content-type'] || '';
-            let body = null;
-
-            try {
-                body = await response.json();
-            } catch (e) {
-                body = await response.text();
+            const setCookie = response.headersArray()
+                .filter((header) => header.name.toLowerCase() === 'set-cookie')
+                .map((header) => header.value)
+                .find((value) => value.startsWith(`${ANONYMOUS_ID_COOKIE}=`)) || null;
+            // A visitor who already has the cookie isn't sent a new one
+            let cookieValue = setCookie
+                ? decodeURIComponent(setCookie.split(';')[0].slice(ANONYMOUS_ID_COOKIE.length + 1))
+                : null;
+            if (!cookieValue && !cookie) {
+                const { cookies } = await requestContext.storageState();
+                const stored = cookies.find((c) => c.name === ANONYMOUS_ID_COOKIE);
+                cookieValue = stored ? decodeURIComponent(stored.value) : null;
             }
 
             return {
                 success: response.ok(),
-                statusCode: status,
-                body: body,
-                anonymousId: body?.anonymousId || null,
-                contentType: contentType,
-                errorMessage: !response.ok() ? (body?.error || body?.message || 'Failed to generate anonymous ID') : null
+                statusCode: response.status(),
+                setCookie,
+                cookieValue,
+                anonymousId: cookieValue ? cookieValue.slice(0, cookieValue.lastIndexOf('.')) : null,
+                httpOnly: !!setCookie && /;\s*httponly/i.test(setCookie),
+                errorMessage: response.ok() ? null : 'Request failed'
             };
         }
 
@@ -47,13 +62,95 @@ async function performGenerateAnonymousIdAction(page, context = {}) {
     }
 }
 
+// Separate cookie jars for the visitors a test plays, per page
+const visitorContexts = new WeakMap();
+
+function openVisitor(page, key, prime) {
+    let contexts = visitorContexts.get(page);
+    if (!contexts) {
+        contexts = new Map();
+        visitorContexts.set(page, contexts);
+        page.once('close', () => {
+            contexts.forEach((pending) => pending.then((context) => context.dispose()).catch(() => {}));
+        });
+    }
+
+    if (!contexts.has(key)) {
+        contexts.set(key, (async () => {
+            const context = await request.newContext({ baseURL: BASE_URL });
+            // Pick up the cookie first so concurrent requests share one identity
+            if (prime) await context.get('/api/categories');
+            return context;
+        })());
+    }
+    return contexts.get(key);
+}
+
+/**
+ * Request context for a visitor who has not been to the site yet (no
+ * cookies). Disposed when the page closes.
+ * @param {Object} page - Playwright page object
+ * @returns {Promise<Object>} - Playwright APIRequestContext
+ */
+function newVisitor(page) {
+    return openVisitor(page, Symbol('visitor'), false);
+}
+
+/**
+ * Request context for an anonymous reader. The server decides who a reader
+ * is from their cookie, so tests that need several readers give each label
+ * its own cookie jar; without a label this is the page's own context (the
+ * same reader as the browser).
+ * @param {Object} page - Playwright page object
+ * @param {string} label - Any string naming the reader, e.g. a generated anonymousId
+ * @returns {Promise<Object>} - Playwright APIRequestContext
+ */
+async function readerRequest(page, label) {
+    if (!label) return page.request;
+    return openVisitor(page, label, true);
+}
+
+/**
+ * Request context for a registered user, signed in with their own cookie jar
+ * so the page's session is left alone. The server takes authorship from the
+ * session, so this is how tests create content as a user.
+ * @param {Object} page - Playwright page object
+ * @param {string} label - Any string naming the jar, e.g. a generated anonymousId
+ * @param {Object} user - { username, password } of the user to sign in as
+ * @returns {Promise<Object>} - Playwright APIRequestContext
+ */
+async function userRequest(page, label, { username, password }) {
+    const context = await readerRequest(page, label);
+    const response = await context.post('/api/auth/login', { data: { username, password } });
+    if (!response.ok()) {
+        throw new Error(`Login failed for ${username}`);
+    }
+    return context;
+}
+
+/**
+ * The anonymous ID the server issued to a reader
+ * @param {Object} page - Playwright page object
+ * @param {string} label - Reader label passed to readerRequest (omit for the page's own reader)
+ * @returns {Promise<string|null>} - Anonymous ID or null
+ */
+async function getReaderAnonymousId(page, label) {
+    const context = await readerRequest(page, label);
+    if (!label) await context.get('/api/categories');
+    const { cookies } = await context.storageState();
+    const cookie = cookies.find((c) => c.name === ANONYMOUS_ID_COOKIE);
+    if (!cookie) return null;
+    const value = decodeURIComponent(cookie.value);
+    return value.slice(0, value.lastIndexOf('.'));
+}
+
 /**
  * Helper to get anonymous ID from action result
  * @param {Object} result - Result from performGenerateAnonymousIdAction
  * @returns {string|null} - Anonymous ID or null
  */
 function getAnonymousId(result) {
-    return result?.anonymousId || result?.body?.anonymousId || null;
+    return result?.anonymousId || null;
 }
 
 /**
@@ -73,7 +170,12 @@ function isValidUuidV4(id) {
 }
 
 module.exports = {
+    ANONYMOUS_ID_COOKIE,
     performGenerateAnonymousIdAction,
     getAnonymousId,
+    newVisitor,
+    readerRequest,
+    userRequest,
+    getReaderAnonymousId,
     isValidUuidV4
 };
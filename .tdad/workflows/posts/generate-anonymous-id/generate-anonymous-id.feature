@@ -1,29 +1,33 @@
 Feature: Generate Anonymous ID
   As an anonymous user
-  I want to receive a unique anonymous ID
+  I want the site to give me a unique anonymous ID
   So that I can create posts, comments, and votes without registration
 
-  # NOTE: Anonymous ID is a UUID v4 used for session tracking and vote deduplication
+  # NOTE: The ID is a UUID v4 issued by middleware in the httpOnly "anon-id"
+  # cookie, signed with an HMAC so clients can neither choose nor forge one.
+  # Any anonymousId a client sends in a request body is ignored.
 
 
   # ==========================================
   # API SCENARIOS (API Request & Response)
   # ==========================================
 
-  Scenario: [API] Generate Anonymous ID - Success
-    When the client sends GET request to "/api/posts/anonymous-id"
-    Then the response status should be 200
-    And the response body should contain "anonymousId"
-    And the "anonymousId" should be a valid UUID v4 format
+  Scenario: [API] Generate Anonymous ID - Issued as a signed cookie
+    When a new visitor sends any request
+    Then the response should set an httpOnly "anon-id" cookie
+    And the cookie should hold a UUID v4 followed by a signature
 
-  Scenario: [API] Generate Anonymous ID - Unique Per Request
-    When the client sends GET request to "/api/posts/anonymous-id"
-    And the client sends another GET request to "/api/posts/anonymous-id"
-    Then both responses should have status 200
-    And each response should contain a different "anonymousId"
+  Scenario: [API] Generate Anonymous ID - Unique per visitor, stable per visitor
+    When two new visitors each send two requests
+    Then each visitor should keep the cookie from their first request
+    And the two visitors should have different anonymous IDs
 
-  Scenario: [API] Generate Anonymous ID - Response Structure
-    When the client sends GET request to "/api/posts/anonymous-id"
-    Then the response status should be 200
-    And the response content-type should be "application/json"
-    And the response body should only contain "anonymousId" field
+  Scenario: [API] Generate Anonymous ID - Tampered cookie is replaced
+    Given a visitor whose "anon-id" cookie signature has been altered
+    When the visitor sends a request
+    Then the response should set a new validly signed "anon-id" cookie
+
+  Scenario: [API] Generate Anonymous ID - Body anonymousId is ignored
+    When a visitor creates a post with anonymousId "someone-else" in the body
+    Then the post should be recorded under the visitor's cookie ID instead,
+    so the visitor can edit it
@@ -2,15 +2,17 @@
 const { test, expect } = require('../../../tdad-fixtures');
 const {
     performGenerateAnonymousIdAction,
-    getAnonymousId,
+    newVisitor,
+    readerRequest,
     isValidUuidV4
 } = require('./generate-anonymous-id.action.js');
+const { getOrCreateTestCategory } = require('../../voting/create-vote-record/create-vote-record.action.js');
 
 /**
  * Test based on Gherkin specification:
  * Feature: Generate Anonymous ID
  *   As an anonymous user
- *   I want to receive a unique anonymous ID
+ *   I want the site to give me a unique anonymous ID
  *   So that I can create posts, comments, and votes without registration
  */
 
@@ -20,64 +22,79 @@ test.describe('Generate Anonymous Id', () => {
     // API TESTS
     // ==========================================
 
-    test('[API-122] Generate Anonymous ID - Success', async ({ page }) => {
-        // Execute: Send GET request to /api/posts/anonymous-id
-        const result = await performGenerateAnonymousIdAction(page, { mode: 'api' });
+    test('[API-122] Generate Anonymous ID - Issued as a signed cookie', async ({ page }) => {
+        // Execute: First request from a visitor without cookies
+        const visitor = await newVisitor(page);
+        const result = await performGenerateAnonymousIdAction(page, { requestContext: visitor });
 
-        // Assert: Action succeeded
+        // Assert
         expect(result.success).toBe(true);
-
-        // Assert: Response status is 200
-        expect(result.statusCode).toBe(200);
-
-        // Assert: Response body contains anonymousId
-        expect(result.body.anonymousId).toBeDefined();
-
-        // Assert: anonymousId is a valid UUID v4 format
-        const anonymousId = getAnonymousId(result);
-        expect(isValidUuidV4(anonymousId)).toBe(true);
+        expect(result.setCookie).not.toBeNull();
+        expect(result.httpOnly).toBe(true);
+        expect(isValidUuidV4(result.anonymousId)).toBe(true);
+        expect(result.cookieValue).toMatch(/^[0-9a-f-]{36}\.[A-Za-z0-9_-]+$/);
     });
 
-    test('[API-123] Generate Anonymous ID - Unique Per Request', async ({ page }) => {
-        // Execute: Send first GET request
-        const result1 = await performGenerateAnonymousIdAction(page, { mode: 'api' });
-
-        // Assert: First request succeeded
-        expect(result1.success).toBe(true);
-        expect(result1.statusCode).toBe(200);
-
-        // Execute: Send second GET request
-        const result2 = await performGenerateAnonymousIdAction(page, { mode: 'api' });
-
-        // Assert: Second request succeeded
-        expect(result2.success).toBe(true);
-        expect(result2.statusCode).toBe(200);
-
-        // Assert: Each response contains a different anonymousId
-        const anonymousId1 = getAnonymousId(result1);
-        const anonymousId2 = getAnonymousId(result2);
-
-        expect(anonymousId1).toBeDefined();
-        expect(anonymousId2).toBeDefined();
-        expect(anonymousId1).not.toBe(anonymousId2);
+    test('[API-123] Generate Anonymous ID - Unique per visitor, stable per visitor', async ({ page }) => {
+        // Execute: Two visitors, two requests each
+        const first = await newVisitor(page);
+        const second = await newVisitor(page);
+        const firstIssued = await performGenerateAnonymousIdAction(page, { requestContext: first });
+        const firstAgain = await performGenerateAnonymousIdAction(page, { requestContext: first });
+        const secondIssued = await performGenerateAnonymousIdAction(page, { requestContext: second });
+        const secondAgain = await performGenerateAnonymousIdAction(page, { requestContext: second });
+
+        // Assert: A cookie is only issued once per visitor
+        expect(firstAgain.setCookie).toBeNull();
+        expect(secondAgain.setCookie).toBeNull();
+        expect(firstIssued.anonymousId).toBeTruthy();
+        expect(secondIssued.anonymousId).toBeTruthy();
+        expect(firstIssued.anonymousId).not.toBe(secondIssued.anonymousId);
     });
 
-    test('[API-124] Generate Anonymous ID - Response Structure', async ({ page }) => {
-        // Execute: Send GET request
-        const result = await performGenerateAnonymousIdAction(page, { mode: 'api' });
-
-        // Assert: Action succeeded
-        expect(result.success).toBe(true);
+    test('[API-124] Generate Anonymous ID - Tampered cookie is replaced', async ({ page }) => {
+        // Setup: A validly signed cookie, then alter its signature
+        const issued = await performGenerateAnonymousIdAction(page, { requestContext: await newVisitor(page) });
+        expect(issued.cookieValue).toBeTruthy();
+        const last = issued.cookieValue.slice(-1);
+        const tampered = issued.cookieValue.slice(0, -1) + (last === 'A' ? 'B' : 'A');
 
-        // Assert: Response status is 200
-        expect(result.statusCode).toBe(200);
+        // Execute
+        const result = await performGenerateAnonymousIdAction(page, {
+            requestContext: await newVisitor(page),
+            cookie: tampered
+        });
 
-        // Assert: Content-type is application/json
-        expect(result.contentType).toContain('application/json');
+        // Assert: A new identity, not the one from the forged cookie
+        expect(result.success).toBe(true);
+        expect(result.setCookie).not.toBeNull();
+        expect(isValidUuidV4(result.anonymousId)).toBe(true);
+        expect(result.anonymousId).not.toBe(issued.anonymousId);
+    });
 
-        // Assert: Response body only contains anonymousId field
-        const bodyKeys = Object.keys(result.body);
-        expect(bodyKeys).toEqual(['anonymousId']);
+    test('[API-425] Generate Anonymous ID - Body anonymousId is ignored', async ({ page }) => {
+        // Setup
+        const category = await getOrCreateTestCategory(page);
+        expect(category.success).toBe(true);
+        const visitor = await readerRequest(page, 'cookie-reader');
+
+        // Execute: Claim to be someone else in the body
+        const response = await visitor.post('/api/posts', {
+            data: {
+                frustration: `Why is it so hard to forge an id ${Date.now()}?`,
+                identity: 'a forger',
+                categoryId: category.categoryId,
+                anonymousId: 'someone-else'
+            }
+        });
+
+        // Assert: The post belongs to the cookie's reader, who can edit it
+        expect(response.ok()).toBe(true);
+        const post = await response.json();
+        const edited = await visitor.post('/api/trpc/post.update', {
+            data: { json: { id: post.id, frustration: `Edited by the cookie's reader ${Date.now()}` } }
+        });
+        expect(edited.ok()).toBe(true);
     });
 
 });
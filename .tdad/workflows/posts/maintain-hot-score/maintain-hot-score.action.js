@@ -0,0 +1,114 @@
+const {
+    performCreateVoteRecordAction,
+    createTestPostForVoting,
+    generateVoterAnonymousId
+} = require('../../voting/create-vote-record/create-vote-record.action.js');
+const { readerRequest } = require('../generate-anonymous-id/generate-anonymous-id.action.js');
+
+/**
+ * Maintain Hot Score Action
+ *
+ * Reads a post's stored hotScore so tests can compare it before and after
+ * votes and comments.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} context - Test context and dependencies
+ * @param {string} context.mode - 'api' for API testing
+ * @param {string} context.postId - Post ID to read
+ * @returns {Promise<Object>} - Returns { success, statusCode, hotScore, commentCount, upvotes, downvotes, errorMessage }
+ */
+async function performMaintainHotScoreAction(page, context = {}) {
+    try {
+        const { mode = 'api', postId } = context;
+
+        // ==========================================
+        // API MODE - Direct HTTP request
+        // ==========================================
+        if (mode === 'api' || !mode) {
+            const response = await page.request.get(`/api/trpc/post.getById?input=${encodeURIComponent(JSON.stringify({ json: { id: postId } }))}`);
+
+            const status = response.status();
+            let body = null;
+
+            try {
+                body = await response.json();
+            } catch (e) {
+                body = await response.text();
+            }
+
+            const post = body?.result?.data?.json || body?.result?.data || null;
+
+            return {
+                success: response.ok(),
+                statusCode: status,
+                hotScore: post?.hotScore,
+                commentCount: post?.commentCount,
+                upvotes: post?.upvotes,
+                downvotes: post?.downvotes,
+                errorMessage: !response.ok() ? (body?.error?.json?.message || 'Failed to fetch post') : null
+            };
+        }
+
+        // No UI mode for this action - it's API only
+        return { success: false, errorMessage: 'Only API mode is supported for this action' };
+
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Helper to upvote a post as a fresh anonymous voter
+ * @param {Object} page - Playwright page object
+ * @param {string} postId - Post ID
+ * @param {string} anonymousId - Optional voter ID (generated if omitted)
+ * @returns {Promise<Object>} - Result from performCreateVoteRecordAction
+ */
+async function upvotePost(page, postId, anonymousId = generateVoterAnonymousId()) {
+    const result = await performCreateVoteRecordAction(page, {
+        mode: 'api',
+        targetType: 'post',
+        postId,
+        value: 1,
+        anonymousId
+    });
+    return { ...result, anonymousId };
+}
+
+/**
+ * Helper to add an anonymous comment to a post
+ * @param {Object} page - Playwright page object
+ * @param {string} postId - Post ID
+ * @returns {Promise<Object>} - Returns { success, statusCode }
+ */
+async function commentOnPost(page, postId) {
+    const anonymousId = generateVoterAnonymousId();
+    const response = await (await readerRequest(page, anonymousId)).post('/api/comments', {
+        data: {
+            content: `Hot score comment ${Date.now()}`,
+            postId,
+            anonymousId
+        }
+    });
+    return { success: response.ok(), statusCode: response.status() };
+}
+
+/**
+ * Helper to calculate a hot score through the REST endpoint
+ * @param {Object} page - Playwright page object
+ * @param {Object} data - { upvotes, downvotes, createdAt, commentCount }
+ * @returns {Promise<Object>} - Returns { success, statusCode, hotScore }
+ */
+async function calculateHotScoreViaApi(page, data) {
+    const response = await page.request.post('/api/posts/calculate-hot-score', { data });
+    const body = await response.json().catch(() => ({}));
+    return { success: response.ok(), statusCode: response.status(), hotScore: body?.hotScore };
+}
+
+module.exports = {
+    performMaintainHotScoreAction,
+    createTestPostForVoting,
+    upvotePost,
+    commentOnPost,
+    calculateHotScoreViaApi
+};
@@ -0,0 +1,36 @@
+Feature: Maintain Hot Score
+  As a reader of the hot feed
+  I want each post's hot score to follow its votes and comments
+  So that the hot feed reflects what people are engaging with right now
+
+  # NOTE: hotScore = sign * log10(max(|s|, 1)) + seconds_since_epoch / 45000
+  # where s = upvotes - downvotes + 0.5 * commentCount
+
+
+  # ==========================================
+  # API SCENARIOS (API Request & Response)
+  # ==========================================
+
+  Scenario: [API] New posts start with a time-based hot score
+    When the client creates a post via POST "/api/posts"
+    Then the post "hotScore" should be greater than 0
+
+  Scenario: [API] Upvoting raises the hot score
+    Given a post with 1 upvote
+    When another anonymous user upvotes the post
+    Then the post "hotScore" should increase
+
+  Scenario: [API] Removing a vote lowers the hot score
+    Given a post with 2 upvotes
+    When one voter toggles their upvote off
+    Then the post "hotScore" should decrease
+
+  Scenario: [API] Comments raise the hot score
+    Given a post with 2 upvotes
+    When an anonymous user comments on the post
+    Then the post "hotScore" should increase
+
+  Scenario: [API] Hot score calculation accepts a comment count
+    When the client sends POST request to "/api/posts/calculate-hot-score" with 1 upvote and 2 comments
+    Then the response status should be 200
+    And the hot score should equal the score for 2 upvotes and no comments
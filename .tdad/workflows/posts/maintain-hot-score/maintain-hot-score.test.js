@@ -0,0 +1,101 @@
+// TDAD fixtures provide automatic trace capture for Golden Packet
+const { test, expect } = require('../../../tdad-fixtures');
+const {
+    performMaintainHotScoreAction,
+    createTestPostForVoting,
+    upvotePost,
+    commentOnPost,
+    calculateHotScoreViaApi
+} = require('./maintain-hot-score.action.js');
+
+/**
+ * Test based on Gherkin specification:
+ * Feature: Maintain Hot Score
+ *   As a reader of the hot feed
+ *   I want each post's hot score to follow its votes and comments
+ *   So that the hot feed reflects what people are engaging with right now
+ */
+
+test.describe('Maintain Hot Score', () => {
+
+    // ==========================================
+    // API TESTS
+    // ==========================================
+
+    test('[API-348] New posts start with a time-based hot score', async ({ page }) => {
+        // Setup: Create a post
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+
+        // Execute: Read the stored hot score
+        const result = await performMaintainHotScoreAction(page, { mode: 'api', postId: post.postId });
+
+        // Assert: Score carries the time component instead of 0
+        expect(result.success).toBe(true);
+        expect(result.hotScore).toBeGreaterThan(0);
+    });
+
+    test('[API-349] Upvoting raises the hot score', async ({ page }) => {
+        // Setup: Post with one upvote
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        expect((await upvotePost(page, post.postId)).success).toBe(true);
+        const before = await performMaintainHotScoreAction(page, { mode: 'api', postId: post.postId });
+
+        // Execute: Another upvote
+        expect((await upvotePost(page, post.postId)).success).toBe(true);
+        const after = await performMaintainHotScoreAction(page, { mode: 'api', postId: post.postId });
+
+        // Assert: Hot score went up
+        expect(after.hotScore).toBeGreaterThan(before.hotScore);
+    });
+
+    test('[API-350] Removing a vote lowers the hot score', async ({ page }) => {
+        // Setup: Post with two upvotes
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        const first = await upvotePost(page, post.postId);
+        expect(first.success).toBe(true);
+        expect((await upvotePost(page, post.postId)).success).toBe(true);
+        const before = await performMaintainHotScoreAction(page, { mode: 'api', postId: post.postId });
+
+        // Execute: First voter toggles their upvote off
+        const toggled = await upvotePost(page, post.postId, first.anonymousId);
+        expect(toggled.action).toBe('deleted');
+        const after = await performMaintainHotScoreAction(page, { mode: 'api', postId: post.postId });
+
+        // Assert: Hot score went down
+        expect(after.hotScore).toBeLessThan(before.hotScore);
+    });
+
+    test('[API-351] Comments raise the hot score', async ({ page }) => {
+        // Setup: Post with two upvotes
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        expect((await upvotePost(page, post.postId)).success).toBe(true);
+        expect((await upvotePost(page, post.postId)).success).toBe(true);
+        const before = await performMaintainHotScoreAction(page, { mode: 'api', postId: post.postId });
+
+        // Execute: Add a comment
+        const comment = await commentOnPost(page, post.postId);
+        expect(comment.statusCode).toBe(201);
+        const after = await performMaintainHotScoreAction(page, { mode: 'api', postId: post.postId });
+
+        // Assert: Hot score went up and the comment was counted
+        expect(after.commentCount).toBe(before.commentCount + 1);
+        expect(after.hotScore).toBeGreaterThan(before.hotScore);
+    });
+
+    test('[API-352] Hot score calculation accepts a comment count', async ({ page }) => {
+        const createdAt = new Date().toISOString();
+
+        // Execute: 1 upvote + 2 comments vs 2 upvotes
+        const withComments = await calculateHotScoreViaApi(page, { upvotes: 1, downvotes: 0, commentCount: 2, createdAt });
+        const withVotes = await calculateHotScoreViaApi(page, { upvotes: 2, downvotes: 0, createdAt });
+
+        // Assert: Two comments weigh the same as one upvote
+        expect(withComments.statusCode).toBe(200);
+        expect(withComments.hotScore).toBeCloseTo(withVotes.hotScore, 10);
+    });
+
+});
@@ -0,0 +1,119 @@
+const {
+    createTestPostForVoting,
+    generateVoterAnonymousId
+} = require('../../voting/create-vote-record/create-vote-record.action.js');
+const { createTestCommentWithAuthor } = require('../edit-content/edit-content.action.js');
+const {
+    createTestUserWithRole,
+    createTestUserWithAuth
+} = require('../../auth/enforce-roles/enforce-roles.action.js');
+const { readerRequest } = require('../generate-anonymous-id/generate-anonymous-id.action.js');
+
+/**
+ * Report Content Action
+ *
+ * Files a report, reads the moderator queue or resolves a report.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} context - Test context and dependencies
+ * @param {string} context.mode - 'api' for API testing, 'ui' to report from the post page
+ * @param {string} context.procedure - 'create', 'listQueue' or 'resolve' (API mode)
+ * @param {Object} context.input - Procedure input
+ * @param {string} context.postId - Post to open (UI mode)
+ * @param {string} context.reasonLabel - Reason to pick in the report dialog (UI mode)
+ * @param {string} context.authToken - Optional Bearer token of the caller
+ * @returns {Promise<Object>} - Returns { success, statusCode, body, data, errorCode, errorMessage }
+ */
+async function performReportContentAction(page, context = {}) {
+    try {
+        const { mode = 'api', procedure = 'create', input = {}, postId, reasonLabel = 'Spam', authToken } = context;
+
+        // ==========================================
+        // UI MODE - Report a post from its detail page
+        // ==========================================
+        if (mode === 'ui') {
+            await page.goto(`/post/${postId}`);
+            await page.waitForLoadState('domcontentloaded');
+
+            await page.getByTestId('report-button').first().click();
+            await page.getByLabel('Reason').selectOption({ label: reasonLabel });
+            await page.getByRole('button', { name: 'Submit report' }).click();
+
+            const submitted = page.getByTestId('report-submitted').first();
+            const visible = await submitted.waitFor({ state: 'visible', timeout: 10000 })
+                .then(() => true)
+                .catch(() => false);
+
+            return {
+                success: visible,
+                confirmationText: visible ? await submitted.textContent() : null,
+                errorMessage: visible ? null : 'Report confirmation not shown'
+            };
+        }
+
+        // ==========================================
+        // API MODE - Direct HTTP requests
+        // ==========================================
+        const headers = authToken ? { Authorization: `Bearer ${authToken}` } : {};
+        const response = procedure === 'listQueue'
+            ? await page.request.get('/api/trpc/report.listQueue', { headers })
+            : await (await readerRequest(page, input.anonymousId)).post(`/api/trpc/report.${procedure}`, { data: { json: input }, headers });
+
+        const statusCode = response.status();
+        const body = await response.json().catch(() => ({}));
+
+        return {
+            success: response.ok(),
+            statusCode,
+            body,
+            data: body?.result?.data?.json ?? null,
+            errorCode: body?.error?.json?.data?.code || null,
+            errorMessage: body?.error?.json?.message || null
+        };
+
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Helper to file an anonymous report from a fresh reader
+ * @param {Object} page - Playwright page object
+ * @param {Object} target - { postId } or { commentId }
+ * @param {string} reason - Report reason, defaults to 'spam'
+ * @returns {Promise<Object>} - Action result plus the reporter's anonymousId
+ */
+async function reportAsAnonymous(page, target, reason = 'spam') {
+    const anonymousId = generateVoterAnonymousId();
+    const result = await performReportContentAction(page, {
+        mode: 'api',
+        procedure: 'create',
+        input: { ...target, reason, anonymousId }
+    });
+    return { ...result, anonymousId };
+}
+
+/**
+ * Helper to fetch a post or comment through its getById procedure
+ * @param {Object} page - Playwright page object
+ * @param {string} targetType - 'post' or 'comment'
+ * @param {string} id - Post or comment ID
+ * @returns {Promise<Object|null>} - The (redacted) record or null on failure
+ */
+async function getContentById(page, targetType, id) {
+    const response = await page.request.get(`/api/trpc/${targetType}.getById?input=${encodeURIComponent(JSON.stringify({ json: { id } }))}`);
+    if (!response.ok()) return null;
+    const body = await response.json();
+    return body?.result?.data?.json ?? null;
+}
+
+module.exports = {
+    performReportContentAction,
+    reportAsAnonymous,
+    getContentById,
+    createTestPostForVoting,
+    createTestCommentWithAuthor,
+    createTestUserWithRole,
+    createTestUserWithAuth,
+    generateVoterAnonymousId
+};
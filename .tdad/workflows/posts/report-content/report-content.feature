@@ -0,0 +1,60 @@
+Feature: Report Content
+  As a reader
+  I want to flag posts and comments that break the rules
+  So that moderators can review them and decide what stays up
+
+  # NOTE: Anyone may report (anonymousId or account), once per target.
+  # Moderators dismiss, hide or remove from the /moderation queue, and every
+  # open report on the target is closed with that decision
+
+
+  # ==========================================
+  # API SCENARIOS (API Request & Response)
+  # ==========================================
+
+  Scenario: [API] Anonymous reader reports a post
+    Given a post created with an anonymousId
+    When a different anonymousId reports it as spam
+    Then the report should be created with status "open"
+
+  Scenario: [API] The same reader cannot report a post twice
+    Given a post the reader has already reported
+    When the reader reports it again
+    Then the response error code should be "CONFLICT"
+
+  Scenario: [API] Two reports sent at once by the same reader create one
+    Given a post
+    When the same reader sends two reports on it at the same time
+    Then one report should be created
+    And the other response error code should be "CONFLICT"
+
+  Scenario: [API] Only moderators can see the report queue
+    Given a registered user without a role
+    When the user calls report.listQueue
+    Then the response error code should be "FORBIDDEN"
+
+  Scenario: [API] Reports on the same post are grouped in the queue
+    Given a post reported by two readers
+    When a moderator calls report.listQueue
+    Then the post should appear once with a report count of 2
+
+  Scenario: [API] Hiding a reported post closes its reports and masks it
+    Given a reported post
+    When a moderator resolves it with the "hide" action
+    Then the post should no longer be in the queue
+    And post.getById should return "[hidden by moderators]" as the frustration
+
+  Scenario: [API] Removing a reported comment soft-deletes it
+    Given a reported comment
+    When a moderator resolves it with the "remove" action
+    Then comment.getById should return "[deleted]" as the content
+
+
+  # ==========================================
+  # UI SCENARIOS (User Interface)
+  # ==========================================
+
+  Scenario: [UI] Reader reports a post from the post page
+    Given a post created with an anonymousId
+    When I open the post page and submit a report with reason "Spam"
+    Then I should see "Reported" in place of the Report button
@@ -0,0 +1,179 @@
+// TDAD fixtures provide automatic trace capture for Golden Packet
+const { test, expect } = require('../../../tdad-fixtures');
+const {
+    performReportContentAction,
+    reportAsAnonymous,
+    getContentById,
+    createTestPostForVoting,
+    createTestCommentWithAuthor,
+    createTestUserWithRole,
+    createTestUserWithAuth,
+    generateVoterAnonymousId
+} = require('./report-content.action.js');
+
+/**
+ * Test based on Gherkin specification:
+ * Feature: Report Content
+ *   As a reader
+ *   I want to flag posts and comments that break the rules
+ *   So that moderators can review them and decide what stays up
+ */
+
+test.describe('Report Content', () => {
+
+    // ==========================================
+    // API TESTS
+    // ==========================================
+
+    test('[API-381] Anonymous reader reports a post', async ({ page }) => {
+        // Setup: Anonymous post
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+
+        // Execute
+        const result = await reportAsAnonymous(page, { postId: post.postId });
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.data.id).toBeTruthy();
+        expect(result.data.status).toBe('open');
+    });
+
+    test('[API-382] The same reader cannot report a post twice', async ({ page }) => {
+        // Setup: Post already reported by this reader
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        const first = await reportAsAnonymous(page, { postId: post.postId });
+        expect(first.success).toBe(true);
+
+        // Execute: Same anonymousId again
+        const result = await performReportContentAction(page, {
+            mode: 'api',
+            procedure: 'create',
+            input: { postId: post.postId, reason: 'harassment', anonymousId: first.anonymousId }
+        });
+
+        // Assert
+        expect(result.success).toBe(false);
+        expect(result.errorCode).toBe('CONFLICT');
+    });
+
+    test('[API-457] Two reports sent at once by the same reader create one', async ({ page }) => {
+        // Setup
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        const anonymousId = generateVoterAnonymousId();
+        const report = () => performReportContentAction(page, {
+            mode: 'api',
+            procedure: 'create',
+            input: { postId: post.postId, reason: 'spam', anonymousId }
+        });
+
+        // Execute
+        const results = await Promise.all([report(), report()]);
+
+        // Assert: One report, and the other is a conflict rather than a 500
+        expect(results.filter((result) => result.success)).toHaveLength(1);
+        expect(results.find((result) => !result.success).errorCode).toBe('CONFLICT');
+    });
+
+    test('[API-383] Only moderators can see the report queue', async ({ page }) => {
+        // Setup: Registered user with the default role
+        const user = await createTestUserWithAuth(page);
+        expect(user.success).toBe(true);
+
+        // Execute
+        const result = await performReportContentAction(page, { mode: 'api', procedure: 'listQueue', authToken: user.authToken });
+
+        // Assert
+        expect(result.success).toBe(false);
+        expect(result.errorCode).toBe('FORBIDDEN');
+    });
+
+    test('[API-384] Reports on the same post are grouped in the queue', async ({ page }) => {
+        // Setup: Two readers report one post
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        expect((await reportAsAnonymous(page, { postId: post.postId }, 'spam')).success).toBe(true);
+        expect((await reportAsAnonymous(page, { postId: post.postId }, 'hate')).success).toBe(true);
+        const moderator = await createTestUserWithRole(page, 'moderator');
+        expect(moderator.success).toBe(true);
+
+        // Execute
+        const result = await performReportContentAction(page, { mode: 'api', procedure: 'listQueue', authToken: moderator.authToken });
+
+        // Assert: One entry for the post with both reasons
+        expect(result.success).toBe(true);
+        const entries = result.data.filter((item) => item.post?.id === post.postId);
+        expect(entries).toHaveLength(1);
+        expect(entries[0].reportCount).toBe(2);
+        expect(entries[0].reasons.sort()).toEqual(['hate', 'spam']);
+    });
+
+    test('[API-385] Hiding a reported post closes its reports and masks it', async ({ page }) => {
+        // Setup: Reported post and a moderator
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        expect((await reportAsAnonymous(page, { postId: post.postId })).success).toBe(true);
+        const moderator = await createTestUserWithRole(page, 'moderator');
+        expect(moderator.success).toBe(true);
+
+        // Execute
+        const result = await performReportContentAction(page, {
+            mode: 'api',
+            procedure: 'resolve',
+            input: { postId: post.postId, action: 'hide', note: 'Spam link' },
+            authToken: moderator.authToken
+        });
+
+        // Assert: Report closed, post masked
+        expect(result.success).toBe(true);
+        expect(result.data.resolved).toBe(1);
+        const queue = await performReportContentAction(page, { mode: 'api', procedure: 'listQueue', authToken: moderator.authToken });
+        expect(queue.data.some((item) => item.post?.id === post.postId)).toBe(false);
+        const hidden = await getContentById(page, 'post', post.postId);
+        expect(hidden.frustration).toBe('[hidden by moderators]');
+        expect(hidden.hiddenAt).toBeTruthy();
+    });
+
+    test('[API-386] Removing a reported comment soft-deletes it', async ({ page }) => {
+        // Setup: Reported comment and a moderator
+        const comment = await createTestCommentWithAuthor(page);
+        expect(comment.success).toBe(true);
+        expect((await reportAsAnonymous(page, { commentId: comment.commentId }, 'harassment')).success).toBe(true);
+        const moderator = await createTestUserWithRole(page, 'moderator');
+        expect(moderator.success).toBe(true);
+
+        // Execute
+        const result = await performReportContentAction(page, {
+            mode: 'api',
+            procedure: 'resolve',
+            input: { commentId: comment.commentId, action: 'remove' },
+            authToken: moderator.authToken
+        });
+
+        // Assert
+        expect(result.success).toBe(true);
+        const removed = await getContentById(page, 'comment', comment.commentId);
+        expect(removed.content).toBe('[deleted]');
+        expect(removed.deletedAt).toBeTruthy();
+    });
+
+    // ==========================================
+    // UI TESTS
+    // ==========================================
+
+    test('[UI-204] Reader reports a post from the post page', async ({ page, tdadTrace }) => {
+        // Setup: Anonymous post
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+
+        // Execute
+        const result = await performReportContentAction(page, { mode: 'ui', postId: post.postId, reasonLabel: 'Spam' });
+        tdadTrace.setActionResult(result);
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.confirmationText).toBe('Reported');
+    });
+});
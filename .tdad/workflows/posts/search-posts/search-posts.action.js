@@ -0,0 +1,126 @@
+const {
+    randomWord,
+    createPostWithFrustration,
+    createCommentOnPost
+} = require('../detect-duplicates/detect-duplicates.action.js');
+const { readerRequest } = require('../generate-anonymous-id/generate-anonymous-id.action.js');
+
+/**
+ * Search Posts Action
+ *
+ * Runs a full-text search through the REST route, the tRPC procedure or the
+ * header search box.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} context - Test context and dependencies
+ * @param {string} context.mode - 'api' for API testing, 'ui' to search from the header
+ * @param {string} context.via - 'rest' (GET /api/search) or 'trpc' (post.search) in API mode
+ * @param {string} context.query - Search text
+ * @param {string} context.categorySlug - Optional category to search within (API mode)
+ * @returns {Promise<Object>} - Returns { success, statusCode, body, data, errorCode, errorMessage }
+ */
+async function performSearchPostsAction(page, context = {}) {
+    try {
+        const { mode = 'api', via = 'rest', query = '', categorySlug } = context;
+
+        // ==========================================
+        // UI MODE - Header search box
+        // ==========================================
+        if (mode === 'ui') {
+            await page.goto('/');
+            await page.waitForLoadState('domcontentloaded');
+
+            const searchBox = page.getByRole('searchbox', { name: 'Search' });
+            await searchBox.fill(query);
+            await searchBox.press('Enter');
+
+            const result = page.getByTestId('search-result').first();
+            const visible = await result.waitFor({ state: 'visible', timeout: 10000 })
+                .then(() => true)
+                .catch(() => false);
+
+            return {
+                success: visible,
+                url: page.url(),
+                resultText: visible ? await result.textContent() : null,
+                highlighted: visible ? await result.locator('mark').allTextContents() : [],
+                errorMessage: visible ? null : 'No search results shown'
+            };
+        }
+
+        // ==========================================
+        // API MODE - REST route
+        // ==========================================
+        if (via === 'rest') {
+            const params = new URLSearchParams();
+            if (query) params.set('q', query);
+            if (categorySlug) params.set('categorySlug', categorySlug);
+
+            const response = await page.request.get(`/api/search?${params.toString()}`);
+            const body = await response.json().catch(() => ({}));
+
+            return {
+                success: response.ok(),
+                statusCode: response.status(),
+                body,
+                data: response.ok() ? body : null,
+                errorMessage: response.ok() ? null : body?.error || null
+            };
+        }
+
+        // ==========================================
+        // API MODE - tRPC procedure
+        // ==========================================
+        const input = categorySlug ? { query, categorySlug } : { query };
+        const response = await page.request.get(`/api/trpc/post.search?input=${encodeURIComponent(JSON.stringify({ json: input }))}`);
+        const body = await response.json().catch(() => ({}));
+
+        return {
+            success: response.ok(),
+            statusCode: response.status(),
+            body,
+            data: body?.result?.data?.json ?? null,
+            errorCode: body?.error?.json?.data?.code || null,
+            errorMessage: body?.error?.json?.message || null
+        };
+
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Helper to pick a category other than the given one
+ * @param {Object} page - Playwright page object
+ * @param {string} slug - Category slug to avoid
+ * @returns {Promise<string|null>} - Another category's slug, or null if there is none
+ */
+async function getOtherCategorySlug(page, slug) {
+    const response = await page.request.get('/api/categories');
+    if (!response.ok()) return null;
+    const categories = await response.json();
+    return categories.find((category) => category.slug !== slug)?.slug || null;
+}
+
+/**
+ * Helper to delete a post as its anonymous author
+ * @param {Object} page - Playwright page object
+ * @param {string} postId - Post ID
+ * @param {string} anonymousId - The author's anonymousId
+ * @returns {Promise<boolean>} - True if deleted
+ */
+async function deletePostAsAuthor(page, postId, anonymousId) {
+    const response = await (await readerRequest(page, anonymousId)).post('/api/trpc/post.delete', {
+        data: { json: { id: postId } }
+    });
+    return response.ok();
+}
+
+module.exports = {
+    performSearchPostsAction,
+    getOtherCategorySlug,
+    deletePostAsAuthor,
+    randomWord,
+    createPostWithFrustration,
+    createCommentOnPost
+};
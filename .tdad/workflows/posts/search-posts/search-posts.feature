@@ -0,0 +1,49 @@
+Feature: Search Posts
+  As a reader
+  I want to search frustrations, identities and comments
+  So that I can find out whether someone already shares my problem
+
+  # NOTE: Each test searches for a random word so only its own posts match.
+  # Snippets are returned as { text, match } parts
+
+
+  # ==========================================
+  # API SCENARIOS (API Request & Response)
+  # ==========================================
+
+  Scenario: [API] A word in the frustration finds the post with a highlighted snippet
+    Given a post whose frustration contains a random word
+    When GET /api/search is called with that word
+    Then the response status should be 200
+    And the post should be returned with the word marked as a match in its frustration snippet
+
+  Scenario: [API] A post is found through one of its comments
+    Given a post with a comment containing a random word
+    When post.search is called with that word
+    Then the post should be returned with a comment snippet marking the word
+
+  Scenario: [API] The category filter narrows the results
+    Given a post whose frustration contains a random word
+    When the word is searched within the post's category and within another category
+    Then only the search within the post's category should return it
+
+  Scenario: [API] Deleted posts are not returned
+    Given a post whose frustration contains a random word
+    And the author deletes the post
+    When the word is searched
+    Then no results should be returned
+
+  Scenario: [API] An empty query is rejected
+    When GET /api/search is called without q
+    Then the response status should be 400
+
+
+  # ==========================================
+  # UI SCENARIOS (User Interface)
+  # ==========================================
+
+  Scenario: [UI] Searching from the header shows highlighted results
+    Given a post whose frustration contains a random word
+    When I type the word into the header search box and press Enter
+    Then I should be on the search page
+    And the result should show the word highlighted
@@ -0,0 +1,122 @@
+// TDAD fixtures provide automatic trace capture for Golden Packet
+const { test, expect } = require('../../../tdad-fixtures');
+const {
+    performSearchPostsAction,
+    getOtherCategorySlug,
+    deletePostAsAuthor,
+    randomWord,
+    createPostWithFrustration,
+    createCommentOnPost
+} = require('./search-posts.action.js');
+
+/**
+ * Test based on Gherkin specification:
+ * Feature: Search Posts
+ *   As a reader
+ *   I want to search frustrations, identities and comments
+ *   So that I can find out whether someone already shares my problem
+ */
+
+test.describe('Search Posts', () => {
+
+    // ==========================================
+    // API TESTS
+    // ==========================================
+
+    test('[API-404] A word in the frustration finds the post with a highlighted snippet', async ({ page }) => {
+        // Setup
+        const word = randomWord();
+        const post = await createPostWithFrustration(page, `understand ${word} tax forms`);
+        expect(post.success).toBe(true);
+
+        // Execute
+        const result = await performSearchPostsAction(page, { mode: 'api', via: 'rest', query: word });
+
+        // Assert
+        expect(result.statusCode).toBe(200);
+        expect(result.data).toHaveLength(1);
+        expect(result.data[0].id).toBe(post.postId);
+        expect(result.data[0].snippets.frustration).toContainEqual({ text: word, match: true });
+        expect(result.data[0].snippets.comment).toBeNull();
+    });
+
+    test('[API-405] A post is found through one of its comments', async ({ page }) => {
+        // Setup
+        const word = randomWord();
+        const post = await createPostWithFrustration(page, `stay focused after lunch ${Date.now()}`);
+        expect(post.success).toBe(true);
+        const comment = await createCommentOnPost(page, post.postId, `a short walk and some ${word} tea helps me`);
+        expect(comment.success).toBe(true);
+
+        // Execute
+        const result = await performSearchPostsAction(page, { mode: 'api', via: 'trpc', query: word });
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.data).toHaveLength(1);
+        expect(result.data[0].id).toBe(post.postId);
+        expect(result.data[0].snippets.comment.id).toBe(comment.commentId);
+        expect(result.data[0].snippets.comment.parts).toContainEqual({ text: word, match: true });
+    });
+
+    test('[API-406] The category filter narrows the results', async ({ page }) => {
+        // Setup
+        const word = randomWord();
+        const post = await createPostWithFrustration(page, `return ${word} online orders`);
+        expect(post.success).toBe(true);
+        const otherSlug = await getOtherCategorySlug(page, post.categorySlug);
+        expect(otherSlug).not.toBeNull();
+
+        // Execute
+        const inCategory = await performSearchPostsAction(page, { mode: 'api', via: 'rest', query: word, categorySlug: post.categorySlug });
+        const elsewhere = await performSearchPostsAction(page, { mode: 'api', via: 'rest', query: word, categorySlug: otherSlug });
+
+        // Assert
+        expect(inCategory.data.map((r) => r.id)).toEqual([post.postId]);
+        expect(elsewhere.data).toEqual([]);
+    });
+
+    test('[API-407] Deleted posts are not returned', async ({ page }) => {
+        // Setup
+        const word = randomWord();
+        const post = await createPostWithFrustration(page, `cancel ${word} subscriptions`);
+        expect(post.success).toBe(true);
+        expect(await deletePostAsAuthor(page, post.postId, post.anonymousId)).toBe(true);
+
+        // Execute
+        const result = await performSearchPostsAction(page, { mode: 'api', via: 'rest', query: word });
+
+        // Assert
+        expect(result.statusCode).toBe(200);
+        expect(result.data).toEqual([]);
+    });
+
+    test('[API-408] An empty query is rejected', async ({ page }) => {
+        // Execute
+        const result = await performSearchPostsAction(page, { mode: 'api', via: 'rest', query: '' });
+
+        // Assert
+        expect(result.success).toBe(false);
+        expect(result.statusCode).toBe(400);
+    });
+
+    // ==========================================
+    // UI TESTS
+    // ==========================================
+
+    test('[UI-209] Searching from the header shows highlighted results', async ({ page, tdadTrace }) => {
+        // Setup
+        const word = randomWord();
+        const post = await createPostWithFrustration(page, `find ${word} matching socks`);
+        expect(post.success).toBe(true);
+
+        // Execute
+        const result = await performSearchPostsAction(page, { mode: 'ui', query: word });
+        tdadTrace.setActionResult(result);
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.url).toContain(`/search?q=${word}`);
+        expect(result.highlighted).toContain(word);
+    });
+});
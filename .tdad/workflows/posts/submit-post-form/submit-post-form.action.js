@@ -2,6 +2,7 @@ const { performShowPostFormAction } = require('../show-post-form/show-post-form.
 const { performLoadCategoriesDropdownAction } = require('../load-categories-dropdown/load-categories-dropdown.action.js');
 const { performCreatePostRecordAction, getOrCreateTestCategory, createTestUserAndLogin } = require('../create-post-record/create-post-record.action.js');
 const { performGenerateAnonymousIdAction, getAnonymousId } = require('../generate-anonymous-id/generate-anonymous-id.action.js');
+const { readerRequest } = require('../generate-anonymous-id/generate-anonymous-id.action.js');
 
 /**
  * Submit Post Form Action
@@ -99,7 +100,7 @@ async function performSubmitPostFormAction(page, context = {}) {
                 };
             }
 
-            const response = await page.request.post('/api/posts', requestOptions);
+            const response = await (await readerRequest(page, anonymousId)).post('/api/posts', requestOptions);
 
             const status = response.status();
             let body = null;
@@ -1,3 +1,5 @@
+const { getAdminAuthHeaders } = require('../../auth/enforce-roles/enforce-roles.action.js');
+
 /**
  * Validate Post Input Action
  *
@@ -142,6 +144,7 @@ async function getOrCreateTestCategory(page) {
         // If no categories exist, create one via tRPC
         const uniqueSlug = `test-category-${Date.now()}`;
         const createResponse = await page.request.post('/api/trpc/category.create', {
+            headers: await getAdminAuthHeaders(page),
             data: {
                 json: {
                     name: `Test Category ${Date.now()}`,
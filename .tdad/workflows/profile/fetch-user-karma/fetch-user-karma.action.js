@@ -1,3 +1,5 @@
+const { readerRequest, userRequest } = require('../../posts/generate-anonymous-id/generate-anonymous-id.action.js');
+
 /**
  * Fetch User Karma Action
  *
@@ -179,7 +181,7 @@ function generateUniqueUsername(prefix = 'karma') {
  * Helper to create a test post for a user
  * @param {Object} page - Playwright page object
  * @param {Object} options - Options for creating the post
- * @param {string} options.userId - User ID to associate with post (optional)
+ * @param {Object} options.author - User ({ username, password }) to post as; anonymous if omitted
  * @param {string} options.categoryId - Category ID (required if no category available)
  * @returns {Promise<Object>} - Returns { success, postId, errorMessage }
  */
@@ -207,11 +209,13 @@ async function createTestPost(page, options = {}) {
             frustration: `Test frustration for karma ${Date.now()}`,
             identity: `a karma tester`,
             categoryId: categoryId,
-            anonymousId: anonymousId,
-            userId: options.userId || undefined
+            anonymousId: anonymousId
         };
 
-        const response = await page.request.post('/api/posts', {
+        const request = options.author
+            ? await userRequest(page, anonymousId, options.author)
+            : await readerRequest(page, anonymousId);
+        const response = await request.post('/api/posts', {
             data: postData
         });
 
@@ -240,7 +244,7 @@ async function createTestPost(page, options = {}) {
  * @param {Object} page - Playwright page object
  * @param {Object} options - Options for creating the comment
  * @param {string} options.postId - Post ID to comment on (required)
- * @param {string} options.userId - User ID to associate with comment (optional)
+ * @param {Object} options.author - User ({ username, password }) to comment as; anonymous if omitted
  * @returns {Promise<Object>} - Returns { success, commentId, errorMessage }
  */
 async function createTestComment(page, options = {}) {
@@ -254,11 +258,13 @@ async function createTestComment(page, options = {}) {
         const commentData = {
             content: `Test comment for karma ${Date.now()}`,
             postId: options.postId,
-            anonymousId: anonymousId,
-            userId: options.userId || undefined
+            anonymousId: anonymousId
         };
 
-        const response = await page.request.post('/api/comments', {
+        const request = options.author
+            ? await userRequest(page, anonymousId, options.author)
+            : await readerRequest(page, anonymousId);
+        const response = await request.post('/api/comments', {
             data: commentData
         });
 
@@ -308,7 +314,7 @@ async function castPostVote(page, options = {}) {
             anonymousId: voterAnonId
         };
 
-        const response = await page.request.post('/api/trpc/vote.castPostVote', {
+        const response = await (await readerRequest(page, voterAnonId)).post('/api/trpc/vote.castPostVote', {
             data: { json: inputData }
         });
 
@@ -364,7 +370,7 @@ async function castCommentVote(page, options = {}) {
             anonymousId: voterAnonId
         };
 
-        const response = await page.request.post('/api/trpc/vote.castCommentVote', {
+        const response = await (await readerRequest(page, voterAnonId)).post('/api/trpc/vote.castCommentVote', {
             data: { json: inputData }
         });
 
@@ -37,12 +37,12 @@ test.describe('Fetch User Karma', () => {
         const userId = userSetup.userId;
 
         // Create a post owned by this user
-        const postResult = await createTestPost(page, { userId: userId });
+        const postResult = await createTestPost(page, { author: userSetup });
         expect(postResult.success).toBe(true);
         const postId = postResult.postId;
 
         // Create a comment owned by this user (need a post first)
-        const commentResult = await createTestComment(page, { postId: postId, userId: userId });
+        const commentResult = await createTestComment(page, { postId: postId, author: userSetup });
         expect(commentResult.success).toBe(true);
         const commentId = commentResult.commentId;
 
@@ -152,12 +152,12 @@ test.describe('Fetch User Karma', () => {
         const userId = userSetup.userId;
 
         // Create a post owned by this user
-        const postResult = await createTestPost(page, { userId: userId });
+        const postResult = await createTestPost(page, { author: userSetup });
         expect(postResult.success).toBe(true);
         const postId = postResult.postId;
 
         // Create a comment owned by this user
-        const commentResult = await createTestComment(page, { postId: postId, userId: userId });
+        const commentResult = await createTestComment(page, { postId: postId, author: userSetup });
         expect(commentResult.success).toBe(true);
         const commentId = commentResult.commentId;
 
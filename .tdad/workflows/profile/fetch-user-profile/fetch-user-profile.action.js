@@ -1,3 +1,5 @@
+const { readerRequest, userRequest } = require('../../posts/generate-anonymous-id/generate-anonymous-id.action.js');
+
 /**
  * Fetch User Profile Action
  *
@@ -125,6 +127,7 @@ async function createTestUser(page, prefix = 'user', password = 'TestPassword123
         body: body,
         userId: body?.userId || body?.id || null,
         username: body?.username || username,
+        password: password,
         karma: body?.karma ?? null,
         errorMessage: !response.ok() ? (body?.error || body?.message || 'Registration failed') : null
     };
@@ -144,7 +147,7 @@ function generateUniqueUsername(prefix = 'user') {
  * Helper to create a test post for a user
  * @param {Object} page - Playwright page object
  * @param {Object} options - Options for creating the post
- * @param {string} options.userId - User ID to associate with post (optional)
+ * @param {Object} options.author - User ({ username, password }) to post as; anonymous if omitted
  * @param {string} options.categoryId - Category ID (required if no category available)
  * @returns {Promise<Object>} - Returns { success, postId, errorMessage }
  */
@@ -172,11 +175,13 @@ async function createTestPost(page, options = {}) {
             frustration: `Test frustration ${Date.now()}`,
             identity: `a profile tester`,
             categoryId: categoryId,
-            anonymousId: anonymousId,
-            userId: options.userId || undefined
+            anonymousId: anonymousId
         };
 
-        const response = await page.request.post('/api/posts', {
+        const request = options.author
+            ? await userRequest(page, anonymousId, options.author)
+            : await readerRequest(page, anonymousId);
+        const response = await request.post('/api/posts', {
             data: postData
         });
 
@@ -205,7 +210,7 @@ async function createTestPost(page, options = {}) {
  * @param {Object} page - Playwright page object
  * @param {Object} options - Options for creating the comment
  * @param {string} options.postId - Post ID to comment on (required)
- * @param {string} options.userId - User ID to associate with comment (optional)
+ * @param {Object} options.author - User ({ username, password }) to comment as; anonymous if omitted
  * @returns {Promise<Object>} - Returns { success, commentId, errorMessage }
  */
 async function createTestComment(page, options = {}) {
@@ -219,11 +224,13 @@ async function createTestComment(page, options = {}) {
         const commentData = {
             content: `Test comment ${Date.now()}`,
             postId: options.postId,
-            anonymousId: anonymousId,
-            userId: options.userId || undefined
+            anonymousId: anonymousId
         };
 
-        const response = await page.request.post('/api/comments', {
+        const request = options.author
+            ? await userRequest(page, anonymousId, options.author)
+            : await readerRequest(page, anonymousId);
+        const response = await request.post('/api/comments', {
             data: commentData
         });
 
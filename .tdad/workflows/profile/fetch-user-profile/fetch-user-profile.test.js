@@ -63,13 +63,13 @@ test.describe('Fetch User Profile', () => {
         const userId = setupResult.userId;
 
         // Create a post for this user
-        const postResult = await createTestPost(page, { userId: userId });
+        const postResult = await createTestPost(page, { author: setupResult });
         // Note: Posts might not be associated with user if not logged in,
         // but we still test the _count structure exists
 
         // Create a comment (need a post first)
         if (postResult.success && postResult.postId) {
-            await createTestComment(page, { postId: postResult.postId, userId: userId });
+            await createTestComment(page, { postId: postResult.postId, author: setupResult });
         }
 
         // Test: Fetch the user profile
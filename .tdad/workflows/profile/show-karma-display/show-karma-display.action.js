@@ -189,7 +189,7 @@ async function setupUserWithKarma(page, targetKarma = 0) {
         }
 
         // Create a post for the user to receive karma
-        const postResult = await createTestPost(page, { userId });
+        const postResult = await createTestPost(page, { author: userResult });
         if (!postResult.success) {
             return { success: false, errorMessage: `Failed to create post: ${postResult.errorMessage}`, userId, username, password };
         }
@@ -65,14 +65,14 @@ test.describe('Show Karma Display', () => {
         expect(userResult.success).toBe(true);
 
         // Create a post and add upvotes for post karma
-        const postResult = await createTestPost(page, { userId: userResult.userId });
+        const postResult = await createTestPost(page, { author: userResult });
         expect(postResult.success).toBe(true);
 
         const postVotes = await castMultiplePostVotes(page, postResult.postId, 15, 0);
         expect(postVotes.success).toBe(true);
 
         // Create a comment and add upvotes for comment karma
-        const commentResult = await createTestComment(page, { postId: postResult.postId, userId: userResult.userId });
+        const commentResult = await createTestComment(page, { postId: postResult.postId, author: userResult });
         expect(commentResult.success).toBe(true);
 
         const commentVotes = await castMultipleCommentVotes(page, commentResult.commentId, 10, 0);
@@ -121,7 +121,7 @@ test.describe('Show Karma Display', () => {
         expect(userResult.success).toBe(true);
 
         // Create a post and add 10 upvotes
-        const postResult = await createTestPost(page, { userId: userResult.userId });
+        const postResult = await createTestPost(page, { author: userResult });
         expect(postResult.success).toBe(true);
 
         const initialVotes = await castMultiplePostVotes(page, postResult.postId, 10, 0);
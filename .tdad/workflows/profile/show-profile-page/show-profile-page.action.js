@@ -235,7 +235,7 @@ async function setupProfilePageTestUser(page, context = {}) {
         // Create posts if requested
         if (postCount > 0) {
             for (let i = 0; i < postCount; i++) {
-                const postResult = await createTestPost(page, { userId });
+                const postResult = await createTestPost(page, { author: userResult });
                 if (postResult.success && postResult.postId) {
                     postIds.push(postResult.postId);
                 }
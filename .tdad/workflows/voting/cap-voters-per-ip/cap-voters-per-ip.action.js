@@ -0,0 +1,68 @@
+const {
+    createTestPostForVoting,
+    generateVoterAnonymousId,
+    getPostVoteCounts
+} = require('../create-vote-record/create-vote-record.action.js');
+const { readerRequest } = require('../../posts/generate-anonymous-id/generate-anonymous-id.action.js');
+
+/**
+ * Cap Voters Per IP Action
+ *
+ * Casts a post vote as an anonymous reader, optionally from a given client
+ * IP (sent as X-Forwarded-For), and returns the vote as the API reports it.
+ * Requires the server to run with TRUSTED_PROXY_HEADERS=x-forwarded-for.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} context - Test context and dependencies
+ * @param {string} context.postId - Post to vote on
+ * @param {number} context.value - Vote value (+1 or -1)
+ * @param {string} context.anonymousId - Label of the anonymous reader
+ * @param {string} context.clientIp - Client IP to forward; omitted to vote over loopback
+ * @returns {Promise<Object>} - Returns { success, statusCode, body, vote, errorCode, errorMessage }
+ */
+async function performCapVotersPerIpAction(page, context = {}) {
+    try {
+        const { postId, value = 1, anonymousId, clientIp } = context;
+
+        const response = await (await readerRequest(page, anonymousId)).post('/api/trpc/vote.castPostVote', {
+            data: { json: { postId, value } },
+            headers: clientIp ? { 'x-forwarded-for': clientIp } : {}
+        });
+
+        let body = null;
+        try {
+            body = await response.json();
+        } catch (e) {
+            body = await response.text();
+        }
+
+        return {
+            success: response.ok(),
+            statusCode: response.status(),
+            body,
+            vote: response.ok() ? body?.result?.data?.json ?? null : null,
+            errorCode: body?.error?.json?.data?.code || null,
+            errorMessage: response.ok() ? null : body?.error?.json?.message || 'Vote request failed'
+        };
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Helper to pick a client IP no other test run is likely to share, so the
+ * per-IP cap and rate limit start from zero
+ * @returns {string} - An address in 198.18.0.0/15 (benchmarking range)
+ */
+function randomClientIp() {
+    const octet = () => Math.floor(Math.random() * 254) + 1;
+    return `198.${18 + Math.floor(Math.random() * 2)}.${octet()}.${octet()}`;
+}
+
+module.exports = {
+    performCapVotersPerIpAction,
+    randomClientIp,
+    createTestPostForVoting,
+    generateVoterAnonymousId,
+    getPostVoteCounts
+};
@@ -0,0 +1,39 @@
+Feature: Cap Voters Per IP
+  As the site
+  I want to limit how many anonymous readers can vote on one post from one address
+  So that minting fresh anonymous cookies can't inflate a score
+
+  # NOTE: The test server runs with TRUSTED_PROXY_HEADERS=x-forwarded-for,
+  # the tests standing in for the proxy; the rightmost X-Forwarded-For entry
+  # is the client IP, and it is only stored as a keyed hash. At most
+  # MAX_ANONYMOUS_VOTERS_PER_IP (3) anonymous readers may vote on the same
+  # target from one IP hash. Votes without a client IP (no forwarded
+  # entry, or a loopback one) get no hash and are not capped.
+
+
+  # ==========================================
+  # API SCENARIOS (API Request & Response)
+  # ==========================================
+
+  Scenario: [API] Vote responses carry no voter or IP hash
+    Given an anonymous reader voting from a forwarded client IP
+    When they upvote a post
+    Then the vote in the response should only have id, value, postId and commentId
+    And it should not contain the reader's anonymousId
+
+  Scenario: [API] A fourth anonymous reader from one IP is rejected
+    Given three anonymous readers from one IP have upvoted a post
+    When a fourth anonymous reader from that IP upvotes it
+    Then the response error code should be "TOO_MANY_REQUESTS"
+    And the post score should stay at 3
+    And a reader from another IP can still upvote it
+
+  Scenario: [API] Readers already counted can still change their vote
+    Given three anonymous readers from one IP have upvoted a post
+    When one of them downvotes it instead
+    Then the vote should be updated to -1
+
+  Scenario: [API] Loopback requests are not capped in development
+    When four anonymous readers vote on a post without a forwarded client IP
+    Then all four votes should succeed
+    And the post should have 4 upvotes
@@ -0,0 +1,120 @@
+// TDAD fixtures provide automatic trace capture for Golden Packet
+const { test, expect } = require('../../../tdad-fixtures');
+const {
+    performCapVotersPerIpAction,
+    randomClientIp,
+    createTestPostForVoting,
+    generateVoterAnonymousId,
+    getPostVoteCounts
+} = require('./cap-voters-per-ip.action.js');
+
+/**
+ * Test based on Gherkin specification:
+ * Feature: Cap Voters Per IP
+ *   As the site
+ *   I want to limit how many anonymous readers can vote on one post from one address
+ *   So that minting fresh anonymous cookies can't inflate a score
+ */
+
+test.describe('Cap Voters Per IP', () => {
+
+    // Three readers from `clientIp` upvote `postId`; returns their labels
+    async function fillCap(page, postId, clientIp) {
+        const readers = [generateVoterAnonymousId(), generateVoterAnonymousId(), generateVoterAnonymousId()];
+        for (const anonymousId of readers) {
+            const result = await performCapVotersPerIpAction(page, { postId, value: 1, anonymousId, clientIp });
+            expect(result.success).toBe(true);
+        }
+        return readers;
+    }
+
+    // ==========================================
+    // API TESTS
+    // ==========================================
+
+    test('[API-426] Vote responses carry no voter or IP hash', async ({ page }) => {
+        // Setup
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        const anonymousId = generateVoterAnonymousId();
+
+        // Execute
+        const result = await performCapVotersPerIpAction(page, { postId: post.postId, anonymousId, clientIp: randomClientIp() });
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(Object.keys(result.vote).sort()).toEqual(['commentId', 'id', 'postId', 'value']);
+        expect(result.vote.postId).toBe(post.postId);
+        expect(result.vote.value).toBe(1);
+        expect(JSON.stringify(result.vote)).not.toContain(anonymousId);
+    });
+
+    test('[API-427] A fourth anonymous reader from one IP is rejected', async ({ page }) => {
+        // Setup
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        const clientIp = randomClientIp();
+        await fillCap(page, post.postId, clientIp);
+
+        // Execute
+        const fourth = await performCapVotersPerIpAction(page, {
+            postId: post.postId,
+            anonymousId: generateVoterAnonymousId(),
+            clientIp
+        });
+
+        // Assert
+        expect(fourth.success).toBe(false);
+        expect(fourth.errorCode).toBe('TOO_MANY_REQUESTS');
+        const counts = await getPostVoteCounts(page, post.postId);
+        expect(counts.score).toBe(3);
+
+        const elsewhere = await performCapVotersPerIpAction(page, {
+            postId: post.postId,
+            anonymousId: generateVoterAnonymousId(),
+            clientIp: randomClientIp()
+        });
+        expect(elsewhere.success).toBe(true);
+    });
+
+    test('[API-428] Readers already counted can still change their vote', async ({ page }) => {
+        // Setup
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        const clientIp = randomClientIp();
+        const readers = await fillCap(page, post.postId, clientIp);
+
+        // Execute
+        const result = await performCapVotersPerIpAction(page, {
+            postId: post.postId,
+            value: -1,
+            anonymousId: readers[0],
+            clientIp
+        });
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.vote.updated).toBe(true);
+        expect(result.vote.value).toBe(-1);
+    });
+
+    test('[API-429] Loopback requests are not capped in development', async ({ page }) => {
+        // Setup
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+
+        // Execute: more readers than the cap, none with a forwarded client IP
+        const results = [];
+        for (let i = 0; i < 4; i++) {
+            results.push(await performCapVotersPerIpAction(page, {
+                postId: post.postId,
+                anonymousId: generateVoterAnonymousId()
+            }));
+        }
+
+        // Assert
+        expect(results.every((result) => result.success)).toBe(true);
+        const counts = await getPostVoteCounts(page, post.postId);
+        expect(counts.upvotes).toBe(4);
+    });
+});
@@ -0,0 +1,122 @@
+const {
+    performCreateVoteRecordAction,
+    createTestPostForVoting,
+    generateVoterAnonymousId,
+    getPostVoteCounts,
+    createTestUserWithAuth,
+    getOrCreateTestCategory
+} = require('../create-vote-record/create-vote-record.action.js');
+
+/**
+ * Cast Vote Atomically Action
+ *
+ * Fires several post votes at once and waits for all of them, so tests can
+ * check the resulting counters for lost or doubled updates.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} context - Test context and dependencies
+ * @param {string} context.mode - 'api' for API testing
+ * @param {string} context.postId - Post to vote on
+ * @param {Array<string>} context.anonymousIds - One vote is sent per entry, concurrently
+ * @param {number} context.value - Vote value (+1 or -1)
+ * @returns {Promise<Object>} - Returns { success, results, statusCodes, errorMessage }
+ */
+async function performCastVoteAtomicallyAction(page, context = {}) {
+    try {
+        const { mode = 'api', postId, anonymousIds = [], value = 1 } = context;
+
+        // ==========================================
+        // API MODE - Concurrent HTTP requests
+        // ==========================================
+        if (mode === 'api' || !mode) {
+            const results = await Promise.all(
+                anonymousIds.map((anonymousId) => performCreateVoteRecordAction(page, {
+                    mode: 'api',
+                    targetType: 'post',
+                    postId,
+                    value,
+                    anonymousId
+                }))
+            );
+
+            return {
+                success: results.every((r) => r.success),
+                results,
+                statusCodes: results.map((r) => r.statusCode),
+                errorMessage: results.find((r) => !r.success)?.errorMessage || null
+            };
+        }
+
+        // No UI mode for this action - it's API only
+        return { success: false, errorMessage: 'Only API mode is supported for this action' };
+
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Helper to create a post authored by a freshly registered user
+ * @param {Object} page - Playwright page object
+ * @returns {Promise<Object>} - Returns { success, postId, userId, authToken, errorMessage }
+ */
+async function createPostByRegisteredUser(page) {
+    try {
+        const user = await createTestUserWithAuth(page);
+        if (!user.success || !user.authToken) {
+            return { success: false, errorMessage: user.errorMessage || 'Failed to log in test user' };
+        }
+
+        const category = await getOrCreateTestCategory(page);
+        if (!category.success) {
+            return { success: false, errorMessage: category.errorMessage };
+        }
+
+        const response = await page.request.post('/api/trpc/post.create', {
+            data: {
+                json: {
+                    frustration: `keep karma in sync ${Date.now()}`,
+                    identity: 'an author',
+                    categoryId: category.categoryId
+                }
+            },
+            headers: { Authorization: `Bearer ${user.authToken}` }
+        });
+
+        const body = await response.json().catch(() => ({}));
+        const post = body?.result?.data?.json || null;
+
+        return {
+            success: response.ok() && !!post,
+            postId: post?.id || null,
+            userId: user.userId,
+            authToken: user.authToken,
+            errorMessage: response.ok() ? null : (body?.error?.json?.message || 'Failed to create post')
+        };
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Helper to read a user's karma
+ * @param {Object} page - Playwright page object
+ * @param {string} userId - User ID
+ * @returns {Promise<number|null>} - Karma or null on failure
+ */
+async function getUserKarma(page, userId) {
+    const response = await page.request.get(`/api/trpc/user.getKarma?input=${encodeURIComponent(JSON.stringify({ json: { userId } }))}`);
+    if (!response.ok()) return null;
+    const body = await response.json();
+    return body?.result?.data?.json ?? null;
+}
+
+module.exports = {
+    performCastVoteAtomicallyAction,
+    performCreateVoteRecordAction,
+    createTestPostForVoting,
+    createPostByRegisteredUser,
+    generateVoterAnonymousId,
+    getPostVoteCounts,
+    getUserKarma
+};
@@ -0,0 +1,35 @@
+Feature: Cast Vote Atomically
+  As a voter
+  I want every vote click to be applied exactly once
+  So that post scores and karma always match the votes that exist
+
+  # NOTE: castVote locks the target row inside one transaction, so concurrent
+  # clicks are applied in sequence instead of racing on stale reads
+
+
+  # ==========================================
+  # API SCENARIOS (API Request & Response)
+  # ==========================================
+
+  Scenario: [API] Concurrent upvotes from different voters are all counted
+    Given a post with no votes
+    When 10 different anonymous voters upvote the post at the same time
+    Then every vote request should succeed
+    And the post should have 10 upvotes and a score of 10
+
+  Scenario: [API] Concurrent clicks from the same voter never double count
+    Given a post with no votes
+    When the same anonymous voter sends 4 upvotes at the same time
+    Then no request should fail with a server error
+    And the post upvotes should equal the score
+    And the post upvotes should be 0 after an even number of clicks
+
+  Scenario: [API] Concurrent votes keep author karma in sync
+    Given a registered user who authored a post
+    When 5 different anonymous voters upvote the post at the same time
+    Then the author's karma should increase by 5
+    And the post score should be 5
+
+  Scenario: [API] Voting on a missing post returns NOT_FOUND
+    When an anonymous voter upvotes a post id that does not exist
+    Then the response status should be 404
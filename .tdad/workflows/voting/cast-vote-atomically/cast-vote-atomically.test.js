@@ -0,0 +1,97 @@
+// TDAD fixtures provide automatic trace capture for Golden Packet
+const { test, expect } = require('../../../tdad-fixtures');
+const {
+    performCastVoteAtomicallyAction,
+    performCreateVoteRecordAction,
+    createTestPostForVoting,
+    createPostByRegisteredUser,
+    generateVoterAnonymousId,
+    getPostVoteCounts,
+    getUserKarma
+} = require('./cast-vote-atomically.action.js');
+
+/**
+ * Test based on Gherkin specification:
+ * Feature: Cast Vote Atomically
+ *   As a voter
+ *   I want every vote click to be applied exactly once
+ *   So that post scores and karma always match the votes that exist
+ */
+
+test.describe('Cast Vote Atomically', () => {
+
+    // ==========================================
+    // API TESTS
+    // ==========================================
+
+    test('[API-353] Concurrent upvotes from different voters are all counted', async ({ page }) => {
+        // Setup: Fresh post
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+
+        // Execute: 10 voters at once
+        const voters = Array.from({ length: 10 }, () => generateVoterAnonymousId());
+        const result = await performCastVoteAtomicallyAction(page, { mode: 'api', postId: post.postId, anonymousIds: voters });
+
+        // Assert: All succeeded and every vote counted
+        expect(result.success).toBe(true);
+        const counts = await getPostVoteCounts(page, post.postId);
+        expect(counts.upvotes).toBe(10);
+        expect(counts.score).toBe(10);
+    });
+
+    test('[API-354] Concurrent clicks from the same voter never double count', async ({ page }) => {
+        // Setup: Fresh post
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+
+        // Execute: Same voter clicks upvote 4 times at once
+        const voter = generateVoterAnonymousId();
+        const result = await performCastVoteAtomicallyAction(page, {
+            mode: 'api',
+            postId: post.postId,
+            anonymousIds: [voter, voter, voter, voter]
+        });
+
+        // Assert: No server errors; toggles applied in sequence end with no vote
+        expect(result.statusCodes.every((code) => code < 500)).toBe(true);
+        const counts = await getPostVoteCounts(page, post.postId);
+        expect(counts.upvotes).toBe(counts.score);
+        expect(counts.upvotes).toBe(0);
+    });
+
+    test('[API-355] Concurrent votes keep author karma in sync', async ({ page }) => {
+        // Setup: Post by a registered user
+        const post = await createPostByRegisteredUser(page);
+        expect(post.success).toBe(true);
+        const karmaBefore = await getUserKarma(page, post.userId);
+
+        // Execute: 5 voters at once
+        const voters = Array.from({ length: 5 }, () => generateVoterAnonymousId());
+        const result = await performCastVoteAtomicallyAction(page, { mode: 'api', postId: post.postId, anonymousIds: voters });
+
+        // Assert: Karma and score moved together
+        expect(result.success).toBe(true);
+        const karmaAfter = await getUserKarma(page, post.userId);
+        expect(karmaAfter - karmaBefore).toBe(5);
+        const counts = await getPostVoteCounts(page, post.postId);
+        expect(counts.score).toBe(5);
+    });
+
+    test('[API-356] Voting on a missing post returns NOT_FOUND', async ({ page }) => {
+        // Execute: Vote on an id that does not exist
+        const result = await performCreateVoteRecordAction(page, {
+            mode: 'api',
+            targetType: 'post',
+            postId: 'cnonexistent000000000000',
+            value: 1,
+            anonymousId: generateVoterAnonymousId()
+        });
+
+        // Assert: 404 from the transaction's existence check
+        expect(result.success).toBe(false);
+        expect(result.statusCode).toBe(404);
+        expect(result.errorMessage).toBe('Post not found');
+    });
+
+});
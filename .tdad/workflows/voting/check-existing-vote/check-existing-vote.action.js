@@ -1,3 +1,5 @@
+const { readerRequest } = require('../../posts/generate-anonymous-id/generate-anonymous-id.action.js');
+
 /**
  * Check Existing Vote Action
  *
@@ -62,7 +64,7 @@ async function performCheckExistingVoteAction(page, context = {}) {
                 headers['Authorization'] = `Bearer ${authToken}`;
             }
 
-            const response = await page.request.post(endpoint, {
+            const response = await (await readerRequest(page, anonymousId)).post(endpoint, {
                 data: {
                     json: requestData
                 },
@@ -147,7 +149,7 @@ async function createTestPostForVoting(page) {
         const anonymousId = `anon_post_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
 
         // Create a post via REST API
-        const response = await page.request.post('/api/posts', {
+        const response = await (await readerRequest(page, anonymousId)).post('/api/posts', {
             data: {
                 frustration: `Test post for voting ${Date.now()}`,
                 identity: `a voter tester`,
@@ -189,7 +191,7 @@ async function createTestCommentForVoting(page) {
         const anonymousId = `anon_comment_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
 
         // Create a comment via REST API
-        const response = await page.request.post('/api/comments', {
+        const response = await (await readerRequest(page, anonymousId)).post('/api/comments', {
             data: {
                 content: `Test comment for voting ${Date.now()}`,
                 postId: postResult.postId,
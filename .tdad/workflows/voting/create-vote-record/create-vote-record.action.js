@@ -1,5 +1,6 @@
 const { performValidateVoteInputAction } = require('../validate-vote-input/validate-vote-input.action.js');
 const { performCheckExistingVoteAction } = require('../check-existing-vote/check-existing-vote.action.js');
+const { readerRequest } = require('../../posts/generate-anonymous-id/generate-anonymous-id.action.js');
 
 /**
  * Create Vote Record Action
@@ -65,7 +66,7 @@ async function performCreateVoteRecordAction(page, context = {}) {
                 headers['Authorization'] = `Bearer ${authToken}`;
             }
 
-            const response = await page.request.post(endpoint, {
+            const response = await (await readerRequest(page, anonymousId)).post(endpoint, {
                 data: {
                     json: requestData
                 },
@@ -139,7 +140,7 @@ async function createTestPostForVoting(page) {
         const anonymousId = `anon_post_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
 
         // Create a post via REST API
-        const response = await page.request.post('/api/posts', {
+        const response = await (await readerRequest(page, anonymousId)).post('/api/posts', {
             data: {
                 frustration: `Test post for voting ${Date.now()}`,
                 identity: `a voter tester`,
@@ -184,7 +185,7 @@ async function createTestCommentForVoting(page) {
         const anonymousId = `anon_comment_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
 
         // Create a comment via REST API
-        const response = await page.request.post('/api/comments', {
+        const response = await (await readerRequest(page, anonymousId)).post('/api/comments', {
             data: {
                 content: `Test comment for voting ${Date.now()}`,
                 postId: postResult.postId,
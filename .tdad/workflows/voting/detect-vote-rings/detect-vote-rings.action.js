@@ -0,0 +1,115 @@
+const {
+    createTestPostForVoting,
+    createTestUserWithAuth,
+    getOrCreateTestCategory,
+    performCreateVoteRecordAction,
+    generateVoterAnonymousId,
+    getPostVoteCounts
+} = require('../create-vote-record/create-vote-record.action.js');
+const { getUserKarma } = require('../cast-vote-atomically/cast-vote-atomically.action.js');
+const { performCapVotersPerIpAction, randomClientIp } = require('../cap-voters-per-ip/cap-voters-per-ip.action.js');
+const { createTestUserWithRole } = require('../../auth/enforce-roles/enforce-roles.action.js');
+
+/**
+ * Detect Vote Rings Action
+ *
+ * Lists suspicious voting with vote.listRings, or voids a finding with
+ * vote.voidRing.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} context - Test context and dependencies
+ * @param {string} context.action - 'list' or 'void'
+ * @param {string[]} context.voteIds - Votes to void, as listed in a finding
+ * @param {string} context.authToken - Optional Bearer token of the caller
+ * @returns {Promise<Object>} - Returns { success, statusCode, body, data, errorCode, errorMessage }
+ */
+async function performDetectVoteRingsAction(page, context = {}) {
+    try {
+        const { action = 'list', voteIds, authToken } = context;
+        const headers = authToken ? { Authorization: `Bearer ${authToken}` } : {};
+
+        const response = action === 'void'
+            ? await page.request.post('/api/trpc/vote.voidRing', {
+                data: { json: { voteIds } },
+                headers
+            })
+            : await page.request.get('/api/trpc/vote.listRings', { headers });
+
+        const body = await response.json().catch(() => ({}));
+
+        return {
+            success: response.ok(),
+            statusCode: response.status(),
+            body,
+            data: body?.result?.data?.json ?? null,
+            errorCode: body?.error?.json?.data?.code || null,
+            errorMessage: body?.error?.json?.message || null
+        };
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Helper to create a post as a registered user
+ * @param {Object} page - Playwright page object
+ * @param {string} authToken - Bearer token of the author
+ * @returns {Promise<string|null>} - Post ID, or null on failure
+ */
+async function createPostAs(page, authToken) {
+    const category = await getOrCreateTestCategory(page);
+    if (!category.success) return null;
+
+    const response = await page.request.post('/api/trpc/post.create', {
+        data: {
+            json: {
+                frustration: `find honest votes ${Date.now()} ${Math.random().toString(36).substring(2, 7)}`,
+                identity: 'an author',
+                categoryId: category.categoryId
+            }
+        },
+        headers: { Authorization: `Bearer ${authToken}` }
+    });
+    const body = await response.json().catch(() => ({}));
+    return body?.result?.data?.json?.id || null;
+}
+
+/**
+ * Helper to find the finding of `kind` that involves `postId`
+ * @param {Object} result - Result of a 'list' action
+ * @param {string} kind - 'sharedIp', 'burst' or 'singleAuthor'
+ * @param {string} postId - Post the flagged votes were cast on
+ * @returns {Object|null} - The finding, or null
+ */
+function findRing(result, kind, postId) {
+    return (result.data || []).find((ring) => ring.kind === kind && ring.postIds.includes(postId)) || null;
+}
+
+/**
+ * Helper to read a post's score and whether it is hidden
+ * @param {Object} page - Playwright page object
+ * @param {string} postId - Post ID
+ * @returns {Promise<Object|null>} - { score, hiddenAt, hiddenReason } or null on failure
+ */
+async function getPostState(page, postId) {
+    const response = await page.request.get(`/api/trpc/post.getById?input=${encodeURIComponent(JSON.stringify({ json: { id: postId } }))}`);
+    if (!response.ok()) return null;
+    const post = (await response.json())?.result?.data?.json;
+    return post ? { score: post.score, hiddenAt: post.hiddenAt, hiddenReason: post.hiddenReason } : null;
+}
+
+module.exports = {
+    performDetectVoteRingsAction,
+    getPostState,
+    createPostAs,
+    findRing,
+    createTestPostForVoting,
+    createTestUserWithAuth,
+    createTestUserWithRole,
+    performCreateVoteRecordAction,
+    performCapVotersPerIpAction,
+    randomClientIp,
+    generateVoterAnonymousId,
+    getPostVoteCounts,
+    getUserKarma
+};
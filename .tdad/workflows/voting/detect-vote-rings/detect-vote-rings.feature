@@ -0,0 +1,61 @@
+Feature: Detect Vote Rings
+  As a moderator
+  I want suspicious voting patterns flagged for me
+  So that I can void brigaded votes before they skew scores and karma
+
+  # NOTE: vote.listRings scans the last 7 days of votes for many anonymous ids
+  # behind one IP hash (5+), bursts of votes on one author's content in a
+  # 10-minute slot (10+) and accounts whose votes all went to one author (5+).
+  # vote.voidRing deletes the votes a finding listed, in one transaction, and
+  # takes them back out of their targets' counters and authors' karma.
+  # The sharedIp scenario needs the server to run with
+  # TRUSTED_PROXY_HEADERS=x-forwarded-for.
+
+
+  # ==========================================
+  # API SCENARIOS (API Request & Response)
+  # ==========================================
+
+  Scenario: [API] Only moderators can list vote rings
+    Given a signed-in user without the moderator role
+    When they call vote.listRings
+    Then the response error code should be "FORBIDDEN"
+
+  Scenario: [API] Anonymous readers sharing an IP are flagged
+    Given five anonymous readers voting on two posts from the same IP
+    When a moderator calls vote.listRings
+    Then there should be a "sharedIp" finding covering both posts
+    And it should count 5 voters and 5 votes
+
+  Scenario: [API] A burst of votes on one author is flagged
+    Given ten anonymous readers upvote a registered author's post within minutes
+    When a moderator calls vote.listRings
+    Then there should be a "burst" finding for that author's post
+
+  Scenario: [API] An account that only votes for one author is flagged
+    Given an account that has upvoted five posts by the same author and nothing else
+    When a moderator calls vote.listRings
+    Then there should be a "singleAuthor" finding naming the voter and the author
+
+  Scenario: [API] Voiding a finding removes its votes and repairs counters
+    Given an account that has upvoted five posts by the same author and nothing else
+    When a moderator voids the "singleAuthor" finding
+    Then 5 votes should be voided
+    And the author's karma and the posts' scores should be back to 0
+    And voiding the same finding again should fail with "NOT_FOUND"
+
+  Scenario: [API] Voiding only removes the votes the moderator was shown
+    Given an account that has upvoted five posts by the same author and nothing else
+    And a moderator has listed the "singleAuthor" finding
+    When the account upvotes another post by the author
+    And the moderator voids the finding they listed
+    Then 5 votes should be voided
+    And the later post should keep its score of 1
+    And the author's karma should be 1
+
+  Scenario: [API] Voiding the downvotes that hid a post shows it again
+    Given ten anonymous readers downvote a registered author's post within minutes
+    And the post has been hidden for its downvotes
+    When a moderator voids the "burst" finding for that post
+    Then 10 votes should be voided and 1 post shown again
+    And the post should have a score of 0 and not be hidden
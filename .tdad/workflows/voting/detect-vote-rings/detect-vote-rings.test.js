@@ -0,0 +1,249 @@
+// TDAD fixtures provide automatic trace capture for Golden Packet
+const { test, expect } = require('../../../tdad-fixtures');
+const {
+    performDetectVoteRingsAction,
+    getPostState,
+    createPostAs,
+    findRing,
+    createTestPostForVoting,
+    createTestUserWithAuth,
+    createTestUserWithRole,
+    performCreateVoteRecordAction,
+    performCapVotersPerIpAction,
+    randomClientIp,
+    generateVoterAnonymousId,
+    getPostVoteCounts,
+    getUserKarma
+} = require('./detect-vote-rings.action.js');
+
+/**
+ * Test based on Gherkin specification:
+ * Feature: Detect Vote Rings
+ *   As a moderator
+ *   I want suspicious voting patterns flagged for me
+ *   So that I can void brigaded votes before they skew scores and karma
+ */
+
+test.describe('Detect Vote Rings', () => {
+
+    // An author with five posts and an account that has upvoted each of them
+    async function createSingleAuthorVoter(page) {
+        const author = await createTestUserWithAuth(page);
+        const voter = await createTestUserWithAuth(page);
+        expect(author.success && voter.success).toBe(true);
+
+        const postIds = [];
+        for (let i = 0; i < 5; i++) {
+            const postId = await createPostAs(page, author.authToken);
+            expect(postId).toBeTruthy();
+            const vote = await performCreateVoteRecordAction(page, {
+                mode: 'api',
+                targetType: 'post',
+                postId,
+                value: 1,
+                authToken: voter.authToken
+            });
+            expect(vote.success).toBe(true);
+            postIds.push(postId);
+        }
+        return { author, voter, postIds };
+    }
+
+    // ==========================================
+    // API TESTS
+    // ==========================================
+
+    test('[API-430] Only moderators can list vote rings', async ({ page }) => {
+        // Setup
+        const user = await createTestUserWithAuth(page);
+        expect(user.success).toBe(true);
+
+        // Execute
+        const result = await performDetectVoteRingsAction(page, { authToken: user.authToken });
+
+        // Assert
+        expect(result.success).toBe(false);
+        expect(result.errorCode).toBe('FORBIDDEN');
+    });
+
+    test('[API-431] Anonymous readers sharing an IP are flagged', async ({ page }) => {
+        // Setup: Five readers from one IP, at most three per post
+        const first = await createTestPostForVoting(page);
+        const second = await createTestPostForVoting(page);
+        expect(first.success && second.success).toBe(true);
+        const clientIp = randomClientIp();
+        for (let i = 0; i < 5; i++) {
+            const vote = await performCapVotersPerIpAction(page, {
+                postId: i < 3 ? first.postId : second.postId,
+                anonymousId: generateVoterAnonymousId(),
+                clientIp
+            });
+            expect(vote.success).toBe(true);
+        }
+        const moderator = await createTestUserWithRole(page, 'moderator');
+        expect(moderator.success).toBe(true);
+
+        // Execute
+        const result = await performDetectVoteRingsAction(page, { authToken: moderator.authToken });
+
+        // Assert
+        expect(result.success).toBe(true);
+        const ring = findRing(result, 'sharedIp', first.postId);
+        expect(ring).not.toBeNull();
+        expect(ring.postIds).toContain(second.postId);
+        expect(ring.voterCount).toBe(5);
+        expect(ring.voteCount).toBe(5);
+        expect(JSON.stringify(ring)).not.toContain(clientIp);
+    });
+
+    test('[API-432] A burst of votes on one author is flagged', async ({ page }) => {
+        // Setup
+        const author = await createTestUserWithAuth(page);
+        expect(author.success).toBe(true);
+        const postId = await createPostAs(page, author.authToken);
+        expect(postId).toBeTruthy();
+        for (let i = 0; i < 10; i++) {
+            const vote = await performCreateVoteRecordAction(page, {
+                mode: 'api',
+                targetType: 'post',
+                postId,
+                value: 1,
+                anonymousId: generateVoterAnonymousId()
+            });
+            expect(vote.success).toBe(true);
+        }
+        const moderator = await createTestUserWithRole(page, 'moderator');
+        expect(moderator.success).toBe(true);
+
+        // Execute
+        const result = await performDetectVoteRingsAction(page, { authToken: moderator.authToken });
+
+        // Assert
+        expect(result.success).toBe(true);
+        const ring = findRing(result, 'burst', postId);
+        expect(ring).not.toBeNull();
+        expect(ring.authorId).toBe(author.userId);
+        expect(ring.voteCount).toBeGreaterThanOrEqual(10);
+    });
+
+    test('[API-433] An account that only votes for one author is flagged', async ({ page }) => {
+        // Setup
+        const { author, voter, postIds } = await createSingleAuthorVoter(page);
+        const moderator = await createTestUserWithRole(page, 'moderator');
+        expect(moderator.success).toBe(true);
+
+        // Execute
+        const result = await performDetectVoteRingsAction(page, { authToken: moderator.authToken });
+
+        // Assert
+        expect(result.success).toBe(true);
+        const ring = findRing(result, 'singleAuthor', postIds[0]);
+        expect(ring).not.toBeNull();
+        expect(ring.voterId).toBe(voter.userId);
+        expect(ring.authorId).toBe(author.userId);
+        expect(ring.voteCount).toBe(5);
+        expect(ring.postIds.sort()).toEqual([...postIds].sort());
+    });
+
+    test('[API-434] Voiding a finding removes its votes and repairs counters', async ({ page }) => {
+        // Setup
+        const { author, postIds } = await createSingleAuthorVoter(page);
+        const moderator = await createTestUserWithRole(page, 'moderator');
+        expect(moderator.success).toBe(true);
+        const listed = await performDetectVoteRingsAction(page, { authToken: moderator.authToken });
+        const ring = findRing(listed, 'singleAuthor', postIds[0]);
+        expect(ring).not.toBeNull();
+
+        // Execute
+        const result = await performDetectVoteRingsAction(page, {
+            action: 'void',
+            voteIds: ring.voteIds,
+            authToken: moderator.authToken
+        });
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.data.voided).toBe(5);
+        expect(await getUserKarma(page, author.userId)).toBe(0);
+        for (const postId of postIds) {
+            const counts = await getPostVoteCounts(page, postId);
+            expect(counts.score).toBe(0);
+        }
+
+        const again = await performDetectVoteRingsAction(page, {
+            action: 'void',
+            voteIds: ring.voteIds,
+            authToken: moderator.authToken
+        });
+        expect(again.errorCode).toBe('NOT_FOUND');
+    });
+
+    test('[API-450] Voiding only removes the votes the moderator was shown', async ({ page }) => {
+        // Setup: List the finding, then the voter upvotes one more of the author's posts
+        const { author, voter, postIds } = await createSingleAuthorVoter(page);
+        const moderator = await createTestUserWithRole(page, 'moderator');
+        expect(moderator.success).toBe(true);
+        const listed = await performDetectVoteRingsAction(page, { authToken: moderator.authToken });
+        const ring = findRing(listed, 'singleAuthor', postIds[0]);
+        expect(ring).not.toBeNull();
+        const laterPostId = await createPostAs(page, author.authToken);
+        const later = await performCreateVoteRecordAction(page, {
+            mode: 'api',
+            targetType: 'post',
+            postId: laterPostId,
+            value: 1,
+            authToken: voter.authToken
+        });
+        expect(later.success).toBe(true);
+
+        // Execute
+        const result = await performDetectVoteRingsAction(page, {
+            action: 'void',
+            voteIds: ring.voteIds,
+            authToken: moderator.authToken
+        });
+
+        // Assert: The later vote and the karma it earned remain
+        expect(result.success).toBe(true);
+        expect(result.data.voided).toBe(5);
+        expect((await getPostVoteCounts(page, laterPostId)).score).toBe(1);
+        expect(await getUserKarma(page, author.userId)).toBe(1);
+    });
+
+    test('[API-451] Voiding the downvotes that hid a post shows it again', async ({ page }) => {
+        // Setup: A burst of ten downvotes hides a registered author's post
+        const author = await createTestUserWithAuth(page);
+        expect(author.success).toBe(true);
+        const postId = await createPostAs(page, author.authToken);
+        expect(postId).toBeTruthy();
+        for (let i = 0; i < 10; i++) {
+            const vote = await performCreateVoteRecordAction(page, {
+                mode: 'api',
+                targetType: 'post',
+                postId,
+                value: -1,
+                anonymousId: generateVoterAnonymousId()
+            });
+            expect(vote.success).toBe(true);
+        }
+        expect((await getPostState(page, postId)).hiddenReason).toBe('downvotes');
+        const moderator = await createTestUserWithRole(page, 'moderator');
+        expect(moderator.success).toBe(true);
+        const listed = await performDetectVoteRingsAction(page, { authToken: moderator.authToken });
+        const ring = findRing(listed, 'burst', postId);
+        expect(ring).not.toBeNull();
+
+        // Execute
+        const result = await performDetectVoteRingsAction(page, {
+            action: 'void',
+            voteIds: ring.voteIds,
+            authToken: moderator.authToken
+        });
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.data).toEqual({ voided: 10, unhidden: 1 });
+        expect(await getPostState(page, postId)).toEqual({ score: 0, hiddenAt: null, hiddenReason: null });
+        expect(await getUserKarma(page, author.userId)).toBe(0);
+    });
+});
@@ -0,0 +1,76 @@
+const {
+    createPostByRegisteredUser,
+    performCastVoteAtomicallyAction,
+    generateVoterAnonymousId,
+    getUserKarma
+} = require('../cast-vote-atomically/cast-vote-atomically.action.js');
+const { createTestUserWithAuth } = require('../create-vote-record/create-vote-record.action.js');
+
+/**
+ * Reconcile Counters Action
+ *
+ * Calls the admin-only admin.reconcileCounters mutation.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} context - Test context and dependencies
+ * @param {string} context.mode - 'api' for API testing
+ * @param {string} context.authToken - Optional Bearer token of the caller
+ * @param {boolean} context.repair - Whether to repair drift
+ * @returns {Promise<Object>} - Returns { success, statusCode, body, report, errorCode, errorMessage }
+ */
+async function performReconcileCountersAction(page, context = {}) {
+    try {
+        const { mode = 'api', authToken, repair = false } = context;
+
+        // ==========================================
+        // API MODE - Direct HTTP requests
+        // ==========================================
+        if (mode === 'api' || !mode) {
+            const response = await page.request.post('/api/trpc/admin.reconcileCounters', {
+                data: { json: { repair } },
+                headers: authToken ? { Authorization: `Bearer ${authToken}` } : {}
+            });
+
+            const statusCode = response.status();
+            const body = await response.json().catch(() => ({}));
+
+            return {
+                success: response.ok(),
+                statusCode,
+                body,
+                report: body?.result?.data?.json || null,
+                errorCode: body?.error?.json?.data?.code || null,
+                errorMessage: body?.error?.json?.message || null
+            };
+        }
+
+        // No UI mode for this action - it's API only
+        return { success: false, errorMessage: 'Only API mode is supported for this action' };
+
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Helper to read the karma reported by the profile API
+ * @param {Object} page - Playwright page object
+ * @param {string} userId - User ID
+ * @returns {Promise<number|null>} - Profile karma or null on failure
+ */
+async function getProfileKarma(page, userId) {
+    const response = await page.request.get(`/api/profile/${userId}`);
+    if (!response.ok()) return null;
+    const body = await response.json();
+    return body?.karma ?? null;
+}
+
+module.exports = {
+    performReconcileCountersAction,
+    createPostByRegisteredUser,
+    createTestUserWithAuth,
+    performCastVoteAtomicallyAction,
+    generateVoterAnonymousId,
+    getUserKarma,
+    getProfileKarma
+};
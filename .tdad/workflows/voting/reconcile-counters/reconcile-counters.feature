@@ -0,0 +1,27 @@
+Feature: Reconcile Counters
+  As an operator
+  I want to recompute denormalized counters from the votes and comments that exist
+  So that drift in scores, comment counts and karma can be found and repaired
+
+  # NOTE: admin.reconcileCounters is restricted to users listed in ADMIN_USER_IDS;
+  # the same job runs from the CLI via npm run db:reconcile-counters
+
+
+  # ==========================================
+  # API SCENARIOS (API Request & Response)
+  # ==========================================
+
+  Scenario: [API] Anonymous callers cannot run the reconciliation
+    When an unauthenticated client calls admin.reconcileCounters
+    Then the response error code should be "UNAUTHORIZED"
+
+  Scenario: [API] Regular users cannot run the reconciliation
+    Given a registered user who is not an admin
+    When the user calls admin.reconcileCounters with repair enabled
+    Then the response error code should be "FORBIDDEN"
+
+  Scenario: [API] Profile karma matches the stored karma counter
+    Given a registered user who authored a post
+    And 3 anonymous voters upvote the post
+    When I fetch the user's profile
+    Then the profile karma should equal the stored karma of 3
@@ -0,0 +1,69 @@
+// TDAD fixtures provide automatic trace capture for Golden Packet
+const { test, expect } = require('../../../tdad-fixtures');
+const {
+    performReconcileCountersAction,
+    createPostByRegisteredUser,
+    createTestUserWithAuth,
+    performCastVoteAtomicallyAction,
+    generateVoterAnonymousId,
+    getUserKarma,
+    getProfileKarma
+} = require('./reconcile-counters.action.js');
+
+/**
+ * Test based on Gherkin specification:
+ * Feature: Reconcile Counters
+ *   As an operator
+ *   I want to recompute denormalized counters from the votes and comments that exist
+ *   So that drift in scores, comment counts and karma can be found and repaired
+ */
+
+test.describe('Reconcile Counters', () => {
+
+    // ==========================================
+    // API TESTS
+    // ==========================================
+
+    test('[API-357] Anonymous callers cannot run the reconciliation', async ({ page }) => {
+        // Execute: No auth header
+        const result = await performReconcileCountersAction(page, { mode: 'api' });
+
+        // Assert: Rejected as unauthenticated
+        expect(result.success).toBe(false);
+        expect(result.statusCode).toBe(401);
+        expect(result.errorCode).toBe('UNAUTHORIZED');
+    });
+
+    test('[API-358] Regular users cannot run the reconciliation', async ({ page }) => {
+        // Setup: Logged-in user who is not in ADMIN_USER_IDS
+        const user = await createTestUserWithAuth(page);
+        expect(user.success).toBe(true);
+        expect(user.authToken).toBeTruthy();
+
+        // Execute
+        const result = await performReconcileCountersAction(page, { mode: 'api', authToken: user.authToken, repair: true });
+
+        // Assert: Rejected as forbidden
+        expect(result.success).toBe(false);
+        expect(result.statusCode).toBe(403);
+        expect(result.errorCode).toBe('FORBIDDEN');
+    });
+
+    test('[API-359] Profile karma matches the stored karma counter', async ({ page }) => {
+        // Setup: Author with a post and 3 upvotes
+        const post = await createPostByRegisteredUser(page);
+        expect(post.success).toBe(true);
+        const voters = Array.from({ length: 3 }, () => generateVoterAnonymousId());
+        const votes = await performCastVoteAtomicallyAction(page, { mode: 'api', postId: post.postId, anonymousIds: voters });
+        expect(votes.success).toBe(true);
+
+        // Execute
+        const profileKarma = await getProfileKarma(page, post.userId);
+        const storedKarma = await getUserKarma(page, post.userId);
+
+        // Assert: Both read the same counter
+        const stored = typeof storedKarma === 'number' ? storedKarma : storedKarma?.totalKarma;
+        expect(stored).toBe(3);
+        expect(profileKarma).toBe(stored);
+    });
+});
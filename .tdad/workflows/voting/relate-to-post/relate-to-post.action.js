@@ -0,0 +1,151 @@
+const {
+    performCreateVoteRecordAction,
+    createTestPostForVoting,
+    createPostByRegisteredUser,
+    generateVoterAnonymousId
+} = require('../cast-vote-atomically/cast-vote-atomically.action.js');
+const { readerRequest, getReaderAnonymousId } = require('../../posts/generate-anonymous-id/generate-anonymous-id.action.js');
+
+/**
+ * Relate To Post Action
+ *
+ * Toggles a reader's "it's not just you" reaction on a post.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} context - Test context and dependencies
+ * @param {string} context.mode - 'api' for API testing, 'ui' to click the button on the post page
+ * @param {string} context.postId - Post to react to
+ * @param {string} context.anonymousId - Optional label of the anonymous reader (API mode)
+ * @param {string} context.claimedAnonymousId - Optional anonymousId to send in the input; the server ignores it (API mode)
+ * @param {string} context.authToken - Optional Bearer token of the reader (API mode)
+ * @param {boolean} context.reload - Reload the page after clicking and report the button again (UI mode)
+ * @param {boolean} context.clickUpvote - Upvote the post instead of clicking "It's not just you" (UI mode)
+ * @returns {Promise<Object>} - Returns { success, statusCode, body, data, errorCode, errorMessage }
+ */
+async function performRelateToPostAction(page, context = {}) {
+    try {
+        const { mode = 'api', postId, anonymousId, claimedAnonymousId, authToken, reload, clickUpvote } = context;
+
+        // ==========================================
+        // UI MODE - Click the button on the post page
+        // ==========================================
+        if (mode === 'ui') {
+            await page.goto(`/post/${postId}`);
+            await page.waitForLoadState('domcontentloaded');
+
+            const button = page.getByTestId('me-too-button');
+            await button.waitFor({ state: 'visible', timeout: 10000 });
+            if (clickUpvote) {
+                // Let the first breakdown load, then wait for the one the
+                // vote triggers, which the percentage is read from
+                await page.waitForLoadState('networkidle');
+                const refreshed = page.waitForResponse(
+                    (response) => response.url().includes('vote.meTooBreakdown'),
+                    { timeout: 10000 }
+                );
+                await page.getByRole('button', { name: 'Upvote' }).first().click();
+                await refreshed;
+                await page.waitForTimeout(300);
+            } else {
+                await button.click();
+            }
+
+            const percent = page.getByTestId('relate-percent');
+            const visible = await percent.waitFor({ state: 'visible', timeout: 10000 })
+                .then(() => true)
+                .catch(() => false);
+
+            if (visible && reload) {
+                await page.reload();
+                // The reader's own reaction loads after the page
+                await page.locator('[data-testid="me-too-button"][aria-pressed="true"]')
+                    .waitFor({ state: 'visible', timeout: 10000 })
+                    .catch(() => {});
+            }
+
+            return {
+                success: visible,
+                percentText: visible ? await percent.textContent() : null,
+                pressed: await button.getAttribute('aria-pressed'),
+                errorMessage: visible ? null : 'Relate percentage not shown'
+            };
+        }
+
+        // ==========================================
+        // API MODE - Direct HTTP requests
+        // ==========================================
+        const input = claimedAnonymousId ? { postId, anonymousId: claimedAnonymousId } : { postId };
+        const response = await (await readerRequest(page, anonymousId)).post('/api/trpc/vote.toggleMeToo', {
+            data: { json: input },
+            headers: authToken ? { Authorization: `Bearer ${authToken}` } : {}
+        });
+        const body = await response.json().catch(() => ({}));
+
+        return {
+            success: response.ok(),
+            statusCode: response.status(),
+            body,
+            data: body?.result?.data?.json ?? null,
+            errorCode: body?.error?.json?.data?.code || null,
+            errorMessage: body?.error?.json?.message || null
+        };
+
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Helper to read a post's score and me-too counters
+ * @param {Object} page - Playwright page object
+ * @param {string} postId - Post ID
+ * @returns {Promise<Object|null>} - { score, meTooCount, respondentCount } or null on failure
+ */
+async function getRelateCounts(page, postId) {
+    const response = await page.request.get(`/api/trpc/post.getById?input=${encodeURIComponent(JSON.stringify({ json: { id: postId } }))}`);
+    if (!response.ok()) return null;
+    const body = await response.json();
+    const post = body?.result?.data?.json;
+    return post
+        ? { score: post.score, meTooCount: post.meTooCount, respondentCount: post.respondentCount }
+        : null;
+}
+
+/**
+ * Helper to fetch the identity breakdown of a post's me-too reactions
+ * @param {Object} page - Playwright page object
+ * @param {string} postId - Post ID
+ * @returns {Promise<Object|null>} - { identities, unknown, meTooCount, respondentCount } or null on failure
+ */
+async function getMeTooBreakdown(page, postId) {
+    const response = await page.request.get(`/api/trpc/vote.meTooBreakdown?input=${encodeURIComponent(JSON.stringify({ json: { postId } }))}`);
+    if (!response.ok()) return null;
+    const body = await response.json();
+    return body?.result?.data?.json ?? null;
+}
+
+/**
+ * Helper to ask whether a reader has said "me too" on a post
+ * @param {Object} page - Playwright page object
+ * @param {string} postId - Post ID
+ * @param {string} anonymousId - Optional label of the anonymous reader
+ * @returns {Promise<boolean|null>} - Whether the reader relates, or null on failure
+ */
+async function getMyMeToo(page, postId, anonymousId) {
+    const response = await (await readerRequest(page, anonymousId)).get(`/api/trpc/vote.myMeToo?input=${encodeURIComponent(JSON.stringify({ json: { postId } }))}`);
+    if (!response.ok()) return null;
+    const body = await response.json();
+    return body?.result?.data?.json?.related ?? null;
+}
+
+module.exports = {
+    performRelateToPostAction,
+    getRelateCounts,
+    getMeTooBreakdown,
+    getMyMeToo,
+    performCreateVoteRecordAction,
+    createTestPostForVoting,
+    createPostByRegisteredUser,
+    generateVoterAnonymousId,
+    getReaderAnonymousId
+};
@@ -0,0 +1,65 @@
+Feature: Relate To Post
+  As a reader
+  I want to tell a poster "it's not just you" without it counting as a vote
+  So that everyone can see how many readers share the frustration
+
+  # NOTE: Reactions are keyed like votes (account, else the anonymous cookie) and
+  # toggle on a second click. The percentage is meTooCount over the distinct
+  # readers who voted on or reacted to the post
+
+
+  # ==========================================
+  # API SCENARIOS (API Request & Response)
+  # ==========================================
+
+  Scenario: [API] Saying "me too" counts the reader and can be taken back
+    Given a post with no votes or reactions
+    When an anonymous reader calls vote.toggleMeToo
+    Then the result should show related true with meTooCount 1 and respondentCount 1
+    When the same reader calls vote.toggleMeToo again
+    Then the post should have meTooCount 0 and respondentCount 0
+    And the post score should be unchanged
+
+  Scenario: [API] vote.myMeToo reports the reader's own reaction
+    Given an anonymous reader has said "me too" on a post
+    When the reader calls vote.myMeToo for the post
+    Then related should be true
+    And for another reader related should be false
+
+  Scenario: [API] A reader who votes and relates is one respondent
+    Given a post
+    When one reader upvotes it and says "me too"
+    And another reader only downvotes it
+    Then the post should have meTooCount 1 and respondentCount 2
+
+  Scenario: [API] The breakdown uses the identity from the reader's own post
+    Given a registered user whose latest post says "I am an author"
+    When the user says "me too" on another post
+    Then vote.meTooBreakdown should list "an author" once
+    And it should report meTooCount 1 and respondentCount 1
+
+  Scenario: [API] Another reader's anonymousId in the input is ignored
+    Given a reader who said "me too" on a post
+    When a second reader calls vote.toggleMeToo with the first reader's anonymousId
+    Then the result should show related true with meTooCount 2 and respondentCount 2
+
+
+  # ==========================================
+  # UI SCENARIOS (User Interface)
+  # ==========================================
+
+  Scenario: [UI] Clicking "It's not just you" shows the share of readers who relate
+    Given a post with no votes or reactions
+    When I open the post and click "It's not just you"
+    Then I should see "100% of readers relate"
+
+  Scenario: [UI] The button stays pressed after a reload
+    Given I have clicked "It's not just you" on a post
+    When I reload the post page
+    Then the "It's not just you" button should be pressed
+    And I should see "100% of readers relate"
+
+  Scenario: [UI] The share of readers who relate updates after a vote
+    Given a post another reader has said "me too" on
+    When I open the post and upvote it
+    Then I should see "50% of readers relate" without reloading
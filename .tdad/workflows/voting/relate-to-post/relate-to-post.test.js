@@ -0,0 +1,171 @@
+// TDAD fixtures provide automatic trace capture for Golden Packet
+const { test, expect } = require('../../../tdad-fixtures');
+const {
+    performRelateToPostAction,
+    getRelateCounts,
+    getMeTooBreakdown,
+    getMyMeToo,
+    performCreateVoteRecordAction,
+    createTestPostForVoting,
+    createPostByRegisteredUser,
+    generateVoterAnonymousId,
+    getReaderAnonymousId
+} = require('./relate-to-post.action.js');
+
+/**
+ * Test based on Gherkin specification:
+ * Feature: Relate To Post
+ *   As a reader
+ *   I want to tell a poster "it's not just you" without it counting as a vote
+ *   So that everyone can see how many readers share the frustration
+ */
+
+test.describe('Relate To Post', () => {
+
+    // ==========================================
+    // API TESTS
+    // ==========================================
+
+    test('[API-400] Saying "me too" counts the reader and can be taken back', async ({ page }) => {
+        // Setup
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        const anonymousId = generateVoterAnonymousId();
+
+        // Execute: React, then react again
+        const first = await performRelateToPostAction(page, { mode: 'api', postId: post.postId, anonymousId });
+        const second = await performRelateToPostAction(page, { mode: 'api', postId: post.postId, anonymousId });
+
+        // Assert
+        expect(first.success).toBe(true);
+        expect(first.data).toEqual({ related: true, meTooCount: 1, respondentCount: 1 });
+        expect(second.data.related).toBe(false);
+        const counts = await getRelateCounts(page, post.postId);
+        expect(counts).toEqual({ score: 0, meTooCount: 0, respondentCount: 0 });
+    });
+
+    test('[API-448] vote.myMeToo reports the reader\'s own reaction', async ({ page }) => {
+        // Setup
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        const anonymousId = generateVoterAnonymousId();
+        const otherReader = generateVoterAnonymousId();
+
+        // Execute
+        const related = await performRelateToPostAction(page, { mode: 'api', postId: post.postId, anonymousId });
+        expect(related.success).toBe(true);
+
+        // Assert
+        expect(await getMyMeToo(page, post.postId, anonymousId)).toBe(true);
+        expect(await getMyMeToo(page, post.postId, otherReader)).toBe(false);
+    });
+
+    test('[API-401] A reader who votes and relates is one respondent', async ({ page }) => {
+        // Setup
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        const relater = generateVoterAnonymousId();
+
+        // Execute
+        await performCreateVoteRecordAction(page, { mode: 'api', targetType: 'post', postId: post.postId, value: 1, anonymousId: relater });
+        await performRelateToPostAction(page, { mode: 'api', postId: post.postId, anonymousId: relater });
+        await performCreateVoteRecordAction(page, { mode: 'api', targetType: 'post', postId: post.postId, value: -1, anonymousId: generateVoterAnonymousId() });
+
+        // Assert
+        const counts = await getRelateCounts(page, post.postId);
+        expect(counts.meTooCount).toBe(1);
+        expect(counts.respondentCount).toBe(2);
+    });
+
+    test('[API-402] The breakdown uses the identity from the reader\'s own post', async ({ page }) => {
+        // Setup: A registered user who posted as "an author", and someone else's post
+        const author = await createPostByRegisteredUser(page);
+        expect(author.success).toBe(true);
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+
+        // Execute
+        const result = await performRelateToPostAction(page, { mode: 'api', postId: post.postId, authToken: author.authToken });
+
+        // Assert
+        expect(result.success).toBe(true);
+        const breakdown = await getMeTooBreakdown(page, post.postId);
+        expect(breakdown).toEqual({
+            identities: [{ identity: 'an author', count: 1 }],
+            unknown: 0,
+            meTooCount: 1,
+            respondentCount: 1
+        });
+    });
+
+    test('[API-403] Another reader\'s anonymousId in the input is ignored', async ({ page }) => {
+        // Setup: One reader relates to the post
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        const relater = generateVoterAnonymousId();
+        await performRelateToPostAction(page, { mode: 'api', postId: post.postId, anonymousId: relater });
+        const relaterId = await getReaderAnonymousId(page, relater);
+
+        // Execute: A second reader sends the first reader's id
+        const result = await performRelateToPostAction(page, {
+            mode: 'api',
+            postId: post.postId,
+            claimedAnonymousId: relaterId
+        });
+
+        // Assert: Counted as a new reaction instead of taking back theirs
+        expect(result.success).toBe(true);
+        expect(result.data).toEqual({ related: true, meTooCount: 2, respondentCount: 2 });
+    });
+
+    // ==========================================
+    // UI TESTS
+    // ==========================================
+
+    test('[UI-208] Clicking "It\'s not just you" shows the share of readers who relate', async ({ page, tdadTrace }) => {
+        // Setup
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+
+        // Execute
+        const result = await performRelateToPostAction(page, { mode: 'ui', postId: post.postId });
+        tdadTrace.setActionResult(result);
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.pressed).toBe('true');
+        expect(result.percentText).toBe('100% of readers relate');
+    });
+
+    test('[UI-218] The button stays pressed after a reload', async ({ page, tdadTrace }) => {
+        // Setup
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+
+        // Execute
+        const result = await performRelateToPostAction(page, { mode: 'ui', postId: post.postId, reload: true });
+        tdadTrace.setActionResult(result);
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.pressed).toBe('true');
+        expect(result.percentText).toBe('100% of readers relate');
+    });
+
+    test('[UI-220] The share of readers who relate updates after a vote', async ({ page, tdadTrace }) => {
+        // Setup: One other reader relates, so 100% of one respondent
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        const other = await performRelateToPostAction(page, { postId: post.postId, anonymousId: generateVoterAnonymousId() });
+        expect(other.success).toBe(true);
+
+        // Execute: I upvote without relating
+        const result = await performRelateToPostAction(page, { mode: 'ui', postId: post.postId, clickUpvote: true });
+        tdadTrace.setActionResult(result);
+
+        // Assert: Two respondents now, one of whom relates
+        expect(result.success).toBe(true);
+        expect(result.pressed).toBe('false');
+        expect(result.percentText).toBe('50% of readers relate');
+    });
+});
@@ -0,0 +1,125 @@
+const {
+    createTestPostForVoting,
+    createTestCommentForVoting,
+    generateVoterAnonymousId,
+    castInitialVote
+} = require('../create-vote-record/create-vote-record.action.js');
+const { readerRequest } = require('../../posts/generate-anonymous-id/generate-anonymous-id.action.js');
+
+/**
+ * Show Existing Vote Action
+ *
+ * Reads a reader's existing votes, either straight from vote.myVotes or from
+ * the vote buttons on the post page.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} context - Test context and dependencies
+ * @param {string} context.mode - 'api' for API testing, 'ui' to open the post page
+ * @param {string[]} context.postIds - Posts to look up (API mode)
+ * @param {string[]} context.commentIds - Comments to look up (API mode)
+ * @param {string} context.postId - Post to open (UI mode)
+ * @param {string} context.anonymousId - Label of the anonymous reader (API mode; UI mode reads as the browser)
+ * @param {boolean} context.clickUpvote - Click Upvote once the vote has loaded (UI mode)
+ * @returns {Promise<Object>} - Returns { success, statusCode, body, data, errorCode, errorMessage }
+ */
+async function performShowExistingVoteAction(page, context = {}) {
+    try {
+        const { mode = 'api', postIds = [], commentIds = [], postId, anonymousId, clickUpvote = false } = context;
+
+        // ==========================================
+        // UI MODE - Open the post as the reader
+        // ==========================================
+        if (mode === 'ui') {
+            await page.goto(`/post/${postId}`);
+            await page.waitForLoadState('domcontentloaded');
+
+            const upvote = page.getByRole('button', { name: 'Upvote' }).first();
+            const downvote = page.getByRole('button', { name: 'Downvote' }).first();
+            await upvote.waitFor({ state: 'visible', timeout: 10000 });
+
+            const loaded = await page.waitForResponse(
+                (response) => response.url().includes('vote.myVotes'),
+                { timeout: 10000 }
+            ).then(() => true).catch(() => false);
+            // Let the buttons pick up the loaded vote
+            await page.waitForTimeout(300);
+
+            if (clickUpvote) {
+                const castResponse = page.waitForResponse(
+                    (response) => response.url().includes('vote.castPostVote'),
+                    { timeout: 10000 }
+                );
+                await upvote.click();
+                await castResponse;
+                await page.waitForTimeout(300);
+            }
+
+            return {
+                success: loaded,
+                upvotePressed: await upvote.getAttribute('aria-pressed'),
+                downvotePressed: await downvote.getAttribute('aria-pressed'),
+                scoreText: await page.getByTestId('vote-score').first().textContent(),
+                errorMessage: loaded ? null : 'vote.myVotes was not requested'
+            };
+        }
+
+        // ==========================================
+        // API MODE - Direct HTTP request
+        // ==========================================
+        const input = { postIds, commentIds };
+        const response = await (await readerRequest(page, anonymousId)).get(
+            `/api/trpc/vote.myVotes?input=${encodeURIComponent(JSON.stringify({ json: input }))}`
+        );
+        const body = await response.json().catch(() => ({}));
+
+        return {
+            success: response.ok(),
+            statusCode: response.status(),
+            body,
+            data: body?.result?.data?.json ?? null,
+            errorCode: body?.error?.json?.data?.code || null,
+            errorMessage: body?.error?.json?.message || null
+        };
+
+    } catch (error) {
+        return { success: false, errorMessage: error.message };
+    }
+}
+
+/**
+ * Helper to add many anonymous comments to a post, ten per reader so no
+ * reader reaches the hourly comment limit
+ * @param {Object} page - Playwright page object
+ * @param {string} postId - Post to comment on
+ * @param {number} count - Number of comments to add
+ * @returns {Promise<Object>} - Returns { success, commentIds, errorMessage }
+ */
+async function createManyComments(page, postId, count) {
+    try {
+        const commentIds = [];
+        let reader = null;
+        for (let i = 0; i < count; i++) {
+            if (i % 10 === 0) reader = await readerRequest(page, generateVoterAnonymousId());
+            const response = await reader.post('/api/comments', {
+                data: { postId, content: `Busy thread comment ${i}` }
+            });
+            const body = await response.json().catch(() => ({}));
+            if (!response.ok()) {
+                return { success: false, commentIds, errorMessage: body?.error || 'Failed to create comment' };
+            }
+            commentIds.push(body.id);
+        }
+        return { success: true, commentIds, errorMessage: null };
+    } catch (error) {
+        return { success: false, commentIds: [], errorMessage: error.message };
+    }
+}
+
+module.exports = {
+    performShowExistingVoteAction,
+    createManyComments,
+    createTestPostForVoting,
+    createTestCommentForVoting,
+    generateVoterAnonymousId,
+    castInitialVote
+};
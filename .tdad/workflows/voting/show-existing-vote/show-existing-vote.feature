@@ -0,0 +1,53 @@
+Feature: Show Existing Vote
+  As a reader coming back to a post
+  I want the vote buttons to show how I already voted
+  So that I don't vote twice by accident or undo a vote I meant to keep
+
+  # NOTE: vote.myVotes looks up the reader's votes on a page of posts and
+  # comments in one query, matched by account when signed in, else by the
+  # anonymous cookie
+
+
+  # ==========================================
+  # API SCENARIOS (API Request & Response)
+  # ==========================================
+
+  Scenario: [API] myVotes returns the reader's votes on posts and comments
+    Given a reader who upvoted a post and downvoted a comment
+    When the reader calls vote.myVotes with both ids
+    Then the post should map to 1 and the comment to -1
+
+  Scenario: [API] Another reader sees no votes
+    Given a reader who upvoted a post
+    When a different reader calls vote.myVotes for that post
+    Then the result should have no post or comment votes
+
+  Scenario: [API] A removed vote no longer shows
+    Given a reader who upvoted a post and then clicked upvote again
+    When the reader calls vote.myVotes for that post
+    Then the result should have no vote for the post
+
+  Scenario: [API] Too many ids are rejected
+    When vote.myVotes is called with 201 post ids
+    Then the response error code should be "BAD_REQUEST"
+
+
+  # ==========================================
+  # UI SCENARIOS (User Interface)
+  # ==========================================
+
+  Scenario: [UI] An earlier upvote shows as pressed after a reload
+    Given I upvoted a post earlier
+    When I open the post
+    Then the Upvote button should be pressed and Downvote should not
+
+  Scenario: [UI] Clicking a pressed upvote takes the vote back
+    Given I upvoted a post earlier
+    When I open the post and click Upvote
+    Then the score should go back to 0 and Upvote should no longer be pressed
+
+  Scenario: [UI] Votes show on a thread with more than 200 comments
+    Given a post with 210 comments
+    And I upvoted the first and the last comment earlier
+    When I open the post
+    Then both comments' Upvote buttons should be pressed
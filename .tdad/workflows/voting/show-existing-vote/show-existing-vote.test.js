@@ -0,0 +1,156 @@
+// TDAD fixtures provide automatic trace capture for Golden Packet
+const { test, expect } = require('../../../tdad-fixtures');
+const {
+    performShowExistingVoteAction,
+    createManyComments,
+    createTestPostForVoting,
+    createTestCommentForVoting,
+    generateVoterAnonymousId,
+    castInitialVote
+} = require('./show-existing-vote.action.js');
+
+/**
+ * Test based on Gherkin specification:
+ * Feature: Show Existing Vote
+ *   As a reader coming back to a post
+ *   I want the vote buttons to show how I already voted
+ *   So that I don't vote twice by accident or undo a vote I meant to keep
+ */
+
+test.describe('Show Existing Vote', () => {
+
+    // ==========================================
+    // API TESTS
+    // ==========================================
+
+    test('[API-421] myVotes returns the reader\'s votes on posts and comments', async ({ page }) => {
+        // Setup
+        const comment = await createTestCommentForVoting(page);
+        expect(comment.success).toBe(true);
+        const anonymousId = generateVoterAnonymousId();
+        await castInitialVote(page, { targetType: 'post', postId: comment.postId, value: 1, anonymousId });
+        await castInitialVote(page, { targetType: 'comment', commentId: comment.commentId, value: -1, anonymousId });
+
+        // Execute
+        const result = await performShowExistingVoteAction(page, {
+            postIds: [comment.postId],
+            commentIds: [comment.commentId],
+            anonymousId
+        });
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.data).toEqual({
+            posts: { [comment.postId]: 1 },
+            comments: { [comment.commentId]: -1 }
+        });
+    });
+
+    test('[API-422] Another reader sees no votes', async ({ page }) => {
+        // Setup
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        await castInitialVote(page, { targetType: 'post', postId: post.postId, value: 1, anonymousId: generateVoterAnonymousId() });
+
+        // Execute
+        const result = await performShowExistingVoteAction(page, {
+            postIds: [post.postId],
+            anonymousId: generateVoterAnonymousId()
+        });
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.data).toEqual({ posts: {}, comments: {} });
+    });
+
+    test('[API-423] A removed vote no longer shows', async ({ page }) => {
+        // Setup: Upvote, then click upvote again to take it back
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        const anonymousId = generateVoterAnonymousId();
+        await castInitialVote(page, { targetType: 'post', postId: post.postId, value: 1, anonymousId });
+        await castInitialVote(page, { targetType: 'post', postId: post.postId, value: 1, anonymousId });
+
+        // Execute
+        const result = await performShowExistingVoteAction(page, { postIds: [post.postId], anonymousId });
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.data.posts).toEqual({});
+    });
+
+    test('[API-424] Too many ids are rejected', async ({ page }) => {
+        // Execute
+        const postIds = Array.from({ length: 201 }, (_, i) => `post_${i}`);
+        const result = await performShowExistingVoteAction(page, {
+            postIds,
+            anonymousId: generateVoterAnonymousId()
+        });
+
+        // Assert
+        expect(result.success).toBe(false);
+        expect(result.errorCode).toBe('BAD_REQUEST');
+    });
+
+    // ==========================================
+    // UI TESTS
+    // ==========================================
+
+    test('[UI-214] An earlier upvote shows as pressed after a reload', async ({ page, tdadTrace }) => {
+        // Setup: Upvote from the same browser session
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        await castInitialVote(page, { targetType: 'post', postId: post.postId, value: 1 });
+
+        // Execute
+        const result = await performShowExistingVoteAction(page, { mode: 'ui', postId: post.postId });
+        tdadTrace.setActionResult(result);
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.upvotePressed).toBe('true');
+        expect(result.downvotePressed).toBe('false');
+        expect(result.scoreText).toBe('1');
+    });
+
+    test('[UI-215] Clicking a pressed upvote takes the vote back', async ({ page, tdadTrace }) => {
+        // Setup: Upvote from the same browser session
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        await castInitialVote(page, { targetType: 'post', postId: post.postId, value: 1 });
+
+        // Execute
+        const result = await performShowExistingVoteAction(page, {
+            mode: 'ui',
+            postId: post.postId,
+            clickUpvote: true
+        });
+        tdadTrace.setActionResult(result);
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.scoreText).toBe('0');
+        expect(result.upvotePressed).toBe('false');
+    });
+
+    test('[UI-219] Votes show on a thread with more than 200 comments', async ({ page, tdadTrace }) => {
+        // Setup: 210 comments; upvote the first and last so, whichever way the
+        // thread is sorted, one of them is past the first batch of 200 ids
+        const post = await createTestPostForVoting(page);
+        expect(post.success).toBe(true);
+        const thread = await createManyComments(page, post.postId, 210);
+        expect(thread.success).toBe(true);
+        await castInitialVote(page, { targetType: 'comment', commentId: thread.commentIds[0], value: 1 });
+        await castInitialVote(page, { targetType: 'comment', commentId: thread.commentIds[209], value: 1 });
+
+        // Execute
+        const result = await performShowExistingVoteAction(page, { mode: 'ui', postId: post.postId });
+        tdadTrace.setActionResult(result);
+
+        // Assert: Both comment votes load, and the post itself has none
+        expect(result.success).toBe(true);
+        expect(result.upvotePressed).toBe('false');
+        await expect(page.getByRole('button', { name: 'Upvote' })).toHaveCount(211, { timeout: 15000 });
+        await expect(page.getByRole('button', { name: 'Upvote', pressed: true })).toHaveCount(2);
+    });
+});
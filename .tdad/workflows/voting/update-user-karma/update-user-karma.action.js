@@ -1,5 +1,6 @@
 const { performUpdatePostScoreAction, createTestUserWithAuth, generateVoterAnonymousId, getPostVoteCounts, getCommentVoteCounts, castInitialVote } = require('../update-post-score/update-post-score.action.js');
 const { performCreateVoteRecordAction, getOrCreateTestCategory } = require('../create-vote-record/create-vote-record.action.js');
+const { readerRequest } = require('../../posts/generate-anonymous-id/generate-anonymous-id.action.js');
 
 /**
  * Update User Karma Action
@@ -290,7 +291,7 @@ async function createAnonymousPost(page) {
         const anonymousId = `anon_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
 
         // Create post via REST API (anonymous)
-        const response = await page.request.post('/api/posts', {
+        const response = await (await readerRequest(page, anonymousId)).post('/api/posts', {
             data: {
                 frustration: `Anonymous test post ${Date.now()}`,
                 identity: 'an anonymous user',
@@ -340,7 +341,7 @@ async function createAnonymousComment(page, postId) {
     try {
         const anonymousId = `anon_comment_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
 
-        const response = await page.request.post('/api/comments', {
+        const response = await (await readerRequest(page, anonymousId)).post('/api/comments', {
             data: {
                 content: `Anonymous test comment ${Date.now()}`,
                 postId: postId,
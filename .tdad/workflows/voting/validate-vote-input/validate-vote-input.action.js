@@ -1,3 +1,5 @@
+const { readerRequest } = require('../../posts/generate-anonymous-id/generate-anonymous-id.action.js');
+
 /**
  * Validate Vote Input Action
  *
@@ -55,7 +57,7 @@ async function performValidateVoteInputAction(page, context = {}) {
                 requestData.anonymousId = anonymousId;
             }
 
-            const response = await page.request.post(endpoint, {
+            const response = await (await readerRequest(page, anonymousId)).post(endpoint, {
                 data: {
                     json: requestData
                 }
@@ -127,7 +129,7 @@ async function createTestPostForVoting(page) {
         const anonymousId = `anon_vote_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
 
         // Create a post via REST API
-        const response = await page.request.post('/api/posts', {
+        const response = await (await readerRequest(page, anonymousId)).post('/api/posts', {
             data: {
                 frustration: `Test post for voting ${Date.now()}`,
                 identity: `a voter tester`,
@@ -169,7 +171,7 @@ async function createTestCommentForVoting(page) {
         const anonymousId = `anon_comment_vote_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
 
         // Create a comment via REST API
-        const response = await page.request.post('/api/comments', {
+        const response = await (await readerRequest(page, anonymousId)).post('/api/comments', {
             data: {
                 content: `Test comment for voting ${Date.now()}`,
                 postId: postResult.postId,
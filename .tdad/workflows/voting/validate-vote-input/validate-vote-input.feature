@@ -37,25 +37,25 @@ Feature: Validate Vote Input
     Given a post exists in the system
     When the client sends POST request to "/api/trpc/vote.castPostVote" with value 2
     Then the response status should be 400
-    And the response error should be "Number must be less than or equal to 1"
+    And the response error should be "Vote value must be 1 or -1"
 
   Scenario: [API] Invalid vote value too low rejected for post
     Given a post exists in the system
     When the client sends POST request to "/api/trpc/vote.castPostVote" with value -2
     Then the response status should be 400
-    And the response error should be "Number must be greater than or equal to -1"
+    And the response error should be "Vote value must be 1 or -1"
 
   Scenario: [API] Invalid vote value too high rejected for comment
     Given a comment exists in the system
     When the client sends POST request to "/api/trpc/vote.castCommentVote" with value 2
     Then the response status should be 400
-    And the response error should be "Number must be less than or equal to 1"
+    And the response error should be "Vote value must be 1 or -1"
 
   Scenario: [API] Invalid vote value too low rejected for comment
     Given a comment exists in the system
     When the client sends POST request to "/api/trpc/vote.castCommentVote" with value -2
     Then the response status should be 400
-    And the response error should be "Number must be greater than or equal to -1"
+    And the response error should be "Vote value must be 1 or -1"
 
   Scenario: [API] Missing vote value rejected for post
     Given a post exists in the system
@@ -67,4 +67,10 @@ Feature: Validate Vote Input
     Given a post exists in the system
     When the client sends POST request to "/api/trpc/vote.castPostVote" with value "invalid"
     Then the response status should be 400
-    And the response error should be "Expected number, received string"
+    And the response error should be "Vote value must be 1 or -1"
+
+  Scenario: [API] Zero vote value rejected for post
+    Given a post exists in the system
+    When the client sends POST request to "/api/trpc/vote.castPostVote" with value 0
+    Then the response status should be 400
+    And the response error should be "Vote value must be 1 or -1"
@@ -154,7 +154,7 @@ test.describe('Validate Vote Input', () => {
 
         // Assert: Error message should indicate value too high
         const errorMessage = getErrorFromResult(result);
-        expect(errorMessage).toBe('Number must be less than or equal to 1');
+        expect(errorMessage).toBe('Vote value must be 1 or -1');
     });
 
     test('[API-201] Invalid vote value too low rejected for post', async ({ page }) => {
@@ -179,7 +179,7 @@ test.describe('Validate Vote Input', () => {
 
         // Assert: Error message should indicate value too low
         const errorMessage = getErrorFromResult(result);
-        expect(errorMessage).toBe('Number must be greater than or equal to -1');
+        expect(errorMessage).toBe('Vote value must be 1 or -1');
     });
 
     // ==========================================
@@ -208,7 +208,7 @@ test.describe('Validate Vote Input', () => {
 
         // Assert: Error message should indicate value too high
         const errorMessage = getErrorFromResult(result);
-        expect(errorMessage).toBe('Number must be less than or equal to 1');
+        expect(errorMessage).toBe('Vote value must be 1 or -1');
     });
 
     test('[API-203] Invalid vote value too low rejected for comment', async ({ page }) => {
@@ -233,7 +233,7 @@ test.describe('Validate Vote Input', () => {
 
         // Assert: Error message should indicate value too low
         const errorMessage = getErrorFromResult(result);
-        expect(errorMessage).toBe('Number must be greater than or equal to -1');
+        expect(errorMessage).toBe('Vote value must be 1 or -1');
     });
 
     // ==========================================
@@ -287,7 +287,26 @@ test.describe('Validate Vote Input', () => {
 
         // Assert: Error message should indicate type error
         const errorMessage = getErrorFromResult(result);
-        expect(errorMessage).toBe('Expected number, received string');
+        expect(errorMessage).toBe('Vote value must be 1 or -1');
+    });
+
+    test('[API-452] Zero vote value rejected for post', async ({ page }) => {
+        // Setup: Create a post to vote on
+        const postSetup = await createTestPostForVoting(page);
+        expect(postSetup.success).toBe(true);
+
+        // Execute: Send POST request with value 0
+        const result = await performValidateVoteInputAction(page, {
+            mode: 'api',
+            targetType: 'post',
+            postId: postSetup.postId,
+            value: 0,
+            anonymousId: generateVoterAnonymousId()
+        });
+
+        // Assert: Rejected like any other value but 1 and -1
+        expect(result.statusCode).toBe(400);
+        expect(getErrorFromResult(result)).toBe('Vote value must be 1 or -1');
     });
 
 });
@@ -0,0 +1,21 @@
+import { PrismaClient } from "@prisma/client";
+import { backfillFrustrationTokens } from "../src/server/duplicates";
+
+const prisma = new PrismaClient();
+
+async function main() {
+  console.log("Tokenizing frustrations...");
+
+  const updated = await backfillFrustrationTokens(prisma);
+
+  console.log(`Updated ${updated} posts.`);
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,21 @@
+import { PrismaClient } from "@prisma/client";
+import { recalculateAllHotScores } from "../src/server/hotScore";
+
+const prisma = new PrismaClient();
+
+async function main() {
+  console.log("Recalculating hot and controversy scores...");
+
+  const updated = await recalculateAllHotScores(prisma);
+
+  console.log(`Updated ${updated} posts.`);
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
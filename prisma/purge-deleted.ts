@@ -0,0 +1,22 @@
+import { PrismaClient } from "@prisma/client";
+import { purgeDeletedContent } from "../src/server/softDelete";
+import { SOFT_DELETE_RETENTION_DAYS } from "../src/lib/constants";
+
+const prisma = new PrismaClient();
+
+async function main() {
+  console.log(`Purging content deleted more than ${SOFT_DELETE_RETENTION_DAYS} days ago...`);
+
+  const { comments, posts } = await purgeDeletedContent(prisma);
+
+  console.log(`Purged ${comments} comments and ${posts} posts.`);
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
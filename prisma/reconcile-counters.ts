@@ -0,0 +1,34 @@
+import { PrismaClient } from "@prisma/client";
+import { reconcileCounters } from "../src/server/reconcile";
+
+const prisma = new PrismaClient();
+
+// Pass --repair to overwrite drifting counters; without it this is a dry run
+const repair = process.argv.includes("--repair");
+
+async function main() {
+  console.log(repair ? "Reconciling counters..." : "Checking counters (dry run)...");
+
+  const { drift } = await reconcileCounters(prisma, { repair });
+
+  for (const row of drift) {
+    console.log(`${row.model} ${row.id} ${row.field}: stored ${row.stored}, actual ${row.actual}`);
+  }
+
+  if (drift.length === 0) {
+    console.log("All counters match.");
+  } else if (repair) {
+    console.log(`Repaired ${drift.length} drifting counters.`);
+  } else {
+    console.log(`Found ${drift.length} drifting counters. Re-run with --repair to fix them.`);
+  }
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
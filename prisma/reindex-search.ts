@@ -0,0 +1,21 @@
+import { PrismaClient } from "@prisma/client";
+import { reindexAll } from "../src/server/search";
+
+const prisma = new PrismaClient();
+
+async function main() {
+  console.log("Rebuilding search vectors...");
+
+  const { posts, comments } = await reindexAll(prisma);
+
+  console.log(`Updated ${posts} posts and ${comments} comments.`);
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -69,6 +69,35 @@ async function main() {
     }
   }
 
+  // Optionally create (or promote) an initial admin:
+  //   SEED_ADMIN_USERNAME=alice SEED_ADMIN_PASSWORD=... npm run db:seed
+  const adminUsername = process.env.SEED_ADMIN_USERNAME;
+  if (adminUsername) {
+    console.log(`Seeding admin user "${adminUsername}"...`);
+    const existingAdmin = await prisma.user.findUnique({
+      where: { username: adminUsername },
+    });
+
+    if (existingAdmin) {
+      await prisma.user.update({
+        where: { id: existingAdmin.id },
+        data: { role: "admin" },
+      });
+    } else {
+      const adminPassword = process.env.SEED_ADMIN_PASSWORD;
+      if (!adminPassword) {
+        throw new Error("SEED_ADMIN_PASSWORD is required to create a new admin user");
+      }
+      await prisma.user.create({
+        data: {
+          username: adminUsername,
+          passwordHash: await bcrypt.hash(adminPassword, 10),
+          role: "admin",
+        },
+      });
+    }
+  }
+
   console.log("Seeding complete!");
 }
 
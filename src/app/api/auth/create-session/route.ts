@@ -1,11 +1,15 @@
 import { NextRequest, NextResponse } from "next/server";
 import { prisma } from "@/server/db";
-import { encode } from "next-auth/jwt";
-
-// JWT secret from environment or fallback for development
-const JWT_SECRET = process.env.NEXTAUTH_SECRET || "development-secret-change-in-production";
+import { createSession, SESSION_MAX_AGE, setSessionCookie } from "@/server/session";
 
+// Test-only: signs in as any user without a password, so end-to-end tests can
+// skip the login form. Only exists when the server runs with
+// ENABLE_TEST_LOGIN=true; never set it in production.
 export async function POST(request: NextRequest) {
+  if (process.env.ENABLE_TEST_LOGIN !== "true") {
+    return NextResponse.json({ error: "Not found" }, { status: 404 });
+  }
+
   try {
     const body = await request.json();
     const { userId, username } = body;
@@ -38,28 +42,21 @@ export async function POST(request: NextRequest) {
       );
     }
 
-    // Generate JWT token using next-auth's encode function
-    const token = await encode({
-      token: {
-        id: user.id,
-        name: user.username,
-        sub: user.id,
-        iat: Math.floor(Date.now() / 1000),
-        exp: Math.floor(Date.now() / 1000) + (24 * 60 * 60), // 24 hours
-      },
-      secret: JWT_SECRET,
-    });
+    const token = await createSession(user, request.headers);
 
     // Return session data
-    return NextResponse.json(
+    const response = NextResponse.json(
       {
         token,
         userId: user.id,
         username: user.username,
-        expiresIn: 24 * 60 * 60, // 24 hours in seconds
+        expiresIn: SESSION_MAX_AGE,
       },
       { status: 200 }
     );
+    setSessionCookie(response, token);
+
+    return response;
   } catch (error) {
     console.error("Create session error:", error);
     return NextResponse.json(
@@ -1,15 +1,14 @@
 import { NextRequest, NextResponse } from "next/server";
 import { prisma } from "@/server/db";
 import bcrypt from "bcryptjs";
-import { encode } from "next-auth/jwt";
-
-// JWT secret from environment or fallback for development
-const JWT_SECRET = process.env.NEXTAUTH_SECRET || "development-secret-change-in-production";
+import { readAnonymousId } from "@/server/anonymousId";
+import { claimAnonymousHistory } from "@/server/claimHistory";
+import { createSession, setSessionCookie } from "@/server/session";
 
 export async function POST(request: NextRequest) {
   try {
     const body = await request.json();
-    const { username, password } = body;
+    const { username, password, claimAnonymousHistory: claim } = body;
 
     // Validate username
     if (!username || typeof username !== "string" || username.trim() === "") {
@@ -57,17 +56,12 @@ export async function POST(request: NextRequest) {
       );
     }
 
-    // Generate JWT token using next-auth's encode function
-    const token = await encode({
-      token: {
-        id: user.id,
-        name: user.username,
-        sub: user.id,
-        iat: Math.floor(Date.now() / 1000),
-        exp: Math.floor(Date.now() / 1000) + (24 * 60 * 60), // 24 hours
-      },
-      secret: JWT_SECRET,
-    });
+    const anonymousId = claim === true ? await readAnonymousId(request.headers) : null;
+    const claimed = anonymousId
+      ? await claimAnonymousHistory(prisma, { userId: user.id, anonymousId })
+      : null;
+
+    const token = await createSession(user, request.headers);
 
     // Return login success with token and set auth cookie
     const response = NextResponse.json(
@@ -75,18 +69,13 @@ export async function POST(request: NextRequest) {
         token,
         userId: user.id,
         username: user.username,
+        claimed,
       },
       { status: 200 }
     );
 
-    // Set auth cookie for session-based authentication
-    response.cookies.set("auth-token", token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "lax",
-      maxAge: 24 * 60 * 60, // 24 hours
-      path: "/",
-    });
+    // Browsers keep the session in the cookie; API clients use the token
+    setSessionCookie(response, token);
 
     return response;
   } catch (error) {
@@ -0,0 +1,23 @@
+import { NextRequest, NextResponse } from "next/server";
+import { clearSessionCookie, readSession, revokeSessions } from "@/server/session";
+
+// Revokes the session the request carries (cookie or Bearer token) and clears
+// the cookie. Succeeds without a session too, so signing out twice is harmless.
+export async function POST(request: NextRequest) {
+  try {
+    const session = await readSession(request.headers);
+    if (session) {
+      await revokeSessions({ userId: session.userId, id: session.id });
+    }
+
+    const response = NextResponse.json({ success: true }, { status: 200 });
+    clearSessionCookie(response);
+    return response;
+  } catch (error) {
+    console.error("Logout error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -1,12 +1,20 @@
 import { NextRequest, NextResponse } from "next/server";
-import { getServerSession } from "next-auth";
-import { authOptions } from "@/lib/auth";
+import { prisma } from "@/server/db";
+import { readSession } from "@/server/session";
 
 export async function GET(request: NextRequest) {
   try {
-    const session = await getServerSession(authOptions);
+    const session = await readSession(request.headers);
 
-    if (!session || !session.user) {
+    // The account may have been removed since the token was issued
+    const user = session
+      ? await prisma.user.findUnique({
+          where: { id: session.userId },
+          select: { id: true, username: true },
+        })
+      : null;
+
+    if (!user) {
       return NextResponse.json(
         { error: "Not authenticated" },
         { status: 401 }
@@ -15,8 +23,8 @@ export async function GET(request: NextRequest) {
 
     return NextResponse.json(
       {
-        userId: session.user.id,
-        username: session.user.name,
+        userId: user.id,
+        username: user.username,
       },
       { status: 200 }
     );
@@ -1,11 +1,13 @@
 import { NextRequest, NextResponse } from "next/server";
 import { prisma } from "@/server/db";
 import bcrypt from "bcryptjs";
+import { readAnonymousId } from "@/server/anonymousId";
+import { claimAnonymousHistory } from "@/server/claimHistory";
 
 export async function POST(request: NextRequest) {
   try {
     const body = await request.json();
-    const { username, password } = body;
+    const { username, password, claimAnonymousHistory: claim } = body;
 
     // Validate username
     if (!username || typeof username !== "string" || username.trim() === "") {
@@ -70,13 +72,22 @@ export async function POST(request: NextRequest) {
     // Hash password and create user
     const passwordHash = await bcrypt.hash(password, 10);
 
-    const user = await prisma.user.create({
+    let user = await prisma.user.create({
       data: {
         username: trimmedUsername,
         passwordHash,
       },
     });
 
+    // Only when asked: attaching anonymous posts puts the username on them
+    const anonymousId = claim === true ? await readAnonymousId(request.headers) : null;
+    const claimed = anonymousId
+      ? await claimAnonymousHistory(prisma, { userId: user.id, anonymousId })
+      : null;
+    if (claimed) {
+      user = await prisma.user.findUniqueOrThrow({ where: { id: user.id } });
+    }
+
     return NextResponse.json(
       {
         success: true,
@@ -86,6 +97,7 @@ export async function POST(request: NextRequest) {
         karma: user.karma,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt,
+        claimed,
       },
       { status: 201 }
     );
@@ -1,7 +1,15 @@
 import { NextRequest, NextResponse } from "next/server";
 import { prisma } from "@/server/db";
+import { refreshHotScore } from "@/server/hotScore";
 import { createCommentSchema } from "@/lib/validations";
 import { ZodError } from "zod";
+import { checkRateLimit, rateLimitExceededResponse } from "@/server/rateLimit";
+import { redactComment } from "@/server/softDelete";
+import { CONTENT_REJECTED_MESSAGE, filterContent } from "@/server/contentFilter";
+import { indexComment } from "@/server/search";
+import { readAnonymousId } from "@/server/anonymousId";
+import { clientIpHash } from "@/server/clientIp";
+import { readSession } from "@/server/session";
 
 // CUID format validation (starts with 'c', followed by lowercase letters and numbers, ~25 chars)
 function isValidCuid(id: string): boolean {
@@ -58,22 +66,30 @@ export async function GET(request: NextRequest) {
     // Format the response
     const formattedComments = comments.map((comment) => ({
       id: comment.id,
-      content: comment.content,
+      content: redactComment(comment).content,
       postId: comment.postId,
       parentId: comment.parentId,
       upvotes: comment.upvotes,
       downvotes: comment.downvotes,
       score: comment.score,
       createdAt: comment.createdAt,
+      editedAt: comment.editedAt,
+      hiddenAt: comment.hiddenAt,
+      hiddenReason: comment.hiddenReason,
+      deletedAt: comment.deletedAt,
       replies: comment.replies.map((reply) => ({
         id: reply.id,
-        content: reply.content,
+        content: redactComment(reply).content,
         postId: reply.postId,
         parentId: reply.parentId,
         upvotes: reply.upvotes,
         downvotes: reply.downvotes,
         score: reply.score,
         createdAt: reply.createdAt,
+        editedAt: reply.editedAt,
+        hiddenAt: reply.hiddenAt,
+        hiddenReason: reply.hiddenReason,
+        deletedAt: reply.deletedAt,
       })),
     }));
 
@@ -93,6 +109,21 @@ export async function POST(request: NextRequest) {
 
     // Validate input using Zod schema
     const validatedData = createCommentSchema.parse(body);
+    // Anonymous authors are identified by their signed cookie, not the body
+    const anonymousId = await readAnonymousId(request.headers);
+    // The signed-in user, if any, is the author and is rate limited; the
+    // body can't name one
+    const session = await readSession(request.headers);
+
+    // Enforce per-hour limits before touching the database
+    const rateLimit = await checkRateLimit("comments", {
+      userId: session?.userId,
+      anonymousId,
+      ipHash: clientIpHash(request.headers),
+    });
+    if (!rateLimit.allowed) {
+      return rateLimitExceededResponse(rateLimit);
+    }
 
     // Verify post exists
     const post = await prisma.post.findUnique({
@@ -106,6 +137,13 @@ export async function POST(request: NextRequest) {
       );
     }
 
+    if (post.deletedAt) {
+      return NextResponse.json(
+        { error: "Cannot comment on a deleted post" },
+        { status: 400 }
+      );
+    }
+
     // If parentId is provided, verify parent comment exists
     if (validatedData.parentId) {
       const parentComment = await prisma.comment.findUnique({
@@ -118,24 +156,42 @@ export async function POST(request: NextRequest) {
           { status: 404 }
         );
       }
+
+      if (parentComment.deletedAt) {
+        return NextResponse.json(
+          { error: "Cannot reply to a deleted comment" },
+          { status: 400 }
+        );
+      }
+    }
+
+    const filtered = await filterContent(prisma, { content: validatedData.content });
+    if (filtered.rejected) {
+      return NextResponse.json(
+        { error: CONTENT_REJECTED_MESSAGE },
+        { status: 400 }
+      );
     }
 
     // Create the comment
     const comment = await prisma.comment.create({
       data: {
-        content: validatedData.content,
+        content: filtered.fields.content,
+        ...(filtered.queue ? { hiddenAt: new Date(), hiddenReason: "filter" as const } : {}),
         postId: validatedData.postId,
         parentId: validatedData.parentId,
-        userId: validatedData.userId,
-        anonymousId: validatedData.anonymousId,
+        userId: session?.userId,
+        anonymousId: session ? undefined : anonymousId,
       },
     });
+    await indexComment(prisma, comment.id);
 
     // Update post comment count
     await prisma.post.update({
       where: { id: validatedData.postId },
       data: { commentCount: { increment: 1 } },
     });
+    await refreshHotScore(prisma, validatedData.postId);
 
     return NextResponse.json(
       {
@@ -149,6 +205,8 @@ export async function POST(request: NextRequest) {
         downvotes: comment.downvotes,
         score: comment.score,
         createdAt: comment.createdAt,
+        hiddenAt: comment.hiddenAt,
+        hiddenReason: comment.hiddenReason,
       },
       { status: 201 }
     );
@@ -1,5 +1,6 @@
 import { NextRequest, NextResponse } from "next/server";
 import { prisma } from "@/server/db";
+import { redactPost } from "@/server/softDelete";
 
 // CUID format validation - CUIDs start with 'c' and contain lowercase letters and numbers
 function isValidCuid(id: string): boolean {
@@ -45,17 +46,27 @@ export async function GET(
       );
     }
 
+    // Deleted and hidden posts are returned as a tombstone so their comments stay readable
+    const visible = redactPost(post);
+
     // Return post with all required fields
     return NextResponse.json({
-      id: post.id,
-      frustration: post.frustration,
-      identity: post.identity,
+      id: visible.id,
+      frustration: visible.frustration,
+      identity: visible.identity,
       categoryId: post.categoryId,
       createdAt: post.createdAt,
       category: post.category,
       upvotes: post.upvotes,
       downvotes: post.downvotes,
       score: post.score,
+      meTooCount: post.meTooCount,
+      respondentCount: post.respondentCount,
+      editedAt: post.editedAt,
+      hiddenAt: post.hiddenAt,
+      hiddenReason: post.hiddenReason,
+      deletedAt: post.deletedAt,
+      mergedIntoId: post.mergedIntoId,
     });
   } catch (error) {
     console.error("Fetch post by ID error:", error);
@@ -1,4 +1,5 @@
 import { NextRequest, NextResponse } from "next/server";
+import { calculateHotScore } from "@/lib/utils";
 
 export async function POST(request: NextRequest) {
   try {
@@ -44,6 +45,17 @@ export async function POST(request: NextRequest) {
       );
     }
 
+    // Validate optional commentCount is non-negative integer
+    if (
+      body.commentCount !== undefined &&
+      (typeof body.commentCount !== "number" || body.commentCount < 0 || !Number.isInteger(body.commentCount))
+    ) {
+      return NextResponse.json(
+        { error: "commentCount must be a non-negative integer" },
+        { status: 400 }
+      );
+    }
+
     // Validate createdAt is a valid ISO date string
     const createdDate = new Date(body.createdAt);
     if (isNaN(createdDate.getTime())) {
@@ -55,18 +67,13 @@ export async function POST(request: NextRequest) {
 
     // Calculate hot score
     // Formula: sign * log10(max(|score|, 1)) + seconds_since_epoch / 45000
-    // where score = upvotes - downvotes, epoch = 2024-01-01
-    const upvotes = body.upvotes;
-    const downvotes = body.downvotes;
-    const score = upvotes - downvotes;
-
-    const order = Math.log10(Math.max(Math.abs(score), 1));
-    const sign = score > 0 ? 1 : score < 0 ? -1 : 0;
-
-    const epoch = new Date("2024-01-01").getTime();
-    const seconds = (createdDate.getTime() - epoch) / 1000;
-
-    const hotScore = sign * order + seconds / 45000;
+    // where score = upvotes - downvotes + commentCount * HOT_SCORE_COMMENT_WEIGHT, epoch = 2024-01-01
+    const hotScore = calculateHotScore(
+      body.upvotes,
+      body.downvotes,
+      createdDate,
+      body.commentCount ?? 0
+    );
 
     return NextResponse.json(
       { hotScore },
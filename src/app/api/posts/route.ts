@@ -2,39 +2,73 @@ import { NextRequest, NextResponse } from "next/server";
 import { prisma } from "@/server/db";
 import { createPostSchema } from "@/lib/validations";
 import { ZodError } from "zod";
+import { checkRateLimit, rateLimitExceededResponse } from "@/server/rateLimit";
+import { calculateHotScore, topWindowStart } from "@/lib/utils";
+import { TOP_WINDOWS, type TopWindow } from "@/lib/constants";
+import { CONTENT_REJECTED_MESSAGE, filterContent } from "@/server/contentFilter";
+import { tokenizeFrustration } from "@/server/duplicates";
+import { indexPost } from "@/server/search";
+import { readAnonymousId } from "@/server/anonymousId";
+import { clientIpHash } from "@/server/clientIp";
+import { readSession } from "@/server/session";
+import { rankRisingPosts, risingPage } from "@/server/rising";
+import { decodeCursor, feedOrderBy, isFeedSort, keysetWhere, toFeedPage } from "@/server/pagination";
+import type { Prisma } from "@prisma/client";
 
 export async function GET(request: NextRequest) {
   try {
     const { searchParams } = new URL(request.url);
-    const sortBy = searchParams.get("sortBy") || "new";
+    const sortParam = searchParams.get("sortBy") || "new";
+    // Unknown sorts fall back to newest first
+    const sortBy = sortParam === "rising" || isFeedSort(sortParam) ? sortParam : "new";
     const limit = Math.min(parseInt(searchParams.get("limit") || "20"), 100);
-    const offset = parseInt(searchParams.get("offset") || "0");
+    const cursor = searchParams.get("cursor");
     const categorySlug = searchParams.get("categorySlug");
+    // Only applies to sortBy=top; unknown or missing windows mean all time
+    const topWindow = searchParams.get("window") ?? "all";
+    const since =
+      sortBy === "top" && Object.keys(TOP_WINDOWS).includes(topWindow)
+        ? topWindowStart(topWindow as TopWindow)
+        : null;
 
-    let orderBy: object;
-    if (sortBy === "hot") {
-      orderBy = { hotScore: "desc" };
-    } else if (sortBy === "top") {
-      orderBy = { score: "desc" };
-    } else {
-      orderBy = { createdAt: "desc" };
-    }
-
-    // Build where clause for category filtering
-    let whereClause: object | undefined = undefined;
+    // Build where clause for category filtering; deleted and hidden posts never appear in feeds
+    let whereClause: Prisma.PostWhereInput = {
+      deletedAt: null,
+      hiddenAt: null,
+      ...(since ? { createdAt: { gte: since } } : {}),
+    };
+    let category = null;
     if (categorySlug && categorySlug !== "all") {
-      const category = await prisma.category.findUnique({
+      category = await prisma.category.findUnique({
         where: { slug: categorySlug },
       });
       if (category) {
-        whereClause = { categoryId: category.id };
+        whereClause = { ...whereClause, categoryId: category.id };
       }
     }
 
-    const posts = await prisma.post.findMany({
-      take: limit,
-      skip: offset,
-      orderBy: orderBy,
+    // Rising is ranked in memory, so like post.listRising its cursor is the
+    // id of the last post served; the other feeds use keyset cursors
+    let risingIds: string[] | null = null;
+    let nextCursor: string | null = null;
+    if (sortBy === "rising") {
+      const ranked = await rankRisingPosts(prisma, { categorySlug: category?.slug });
+      const page = risingPage(ranked, cursor, limit);
+      if (!page) {
+        return NextResponse.json({ error: "Invalid cursor" }, { status: 400 });
+      }
+      ({ ids: risingIds, nextCursor } = page);
+      whereClause = { id: { in: risingIds } };
+    } else if (cursor) {
+      const values = decodeCursor(sortBy, cursor);
+      if (!values) {
+        return NextResponse.json({ error: "Invalid cursor" }, { status: 400 });
+      }
+      whereClause = { ...whereClause, ...keysetWhere(sortBy, values) };
+    }
+
+    const rows = await prisma.post.findMany({
+      ...(sortBy === "rising" ? {} : { take: limit + 1, orderBy: feedOrderBy(sortBy) }),
       where: whereClause,
       include: {
         category: {
@@ -44,7 +78,7 @@ export async function GET(request: NextRequest) {
         },
         _count: {
           select: {
-            comments: true,
+            comments: { where: { deletedAt: null } },
           },
         },
         user: {
@@ -55,6 +89,14 @@ export async function GET(request: NextRequest) {
       },
     });
 
+    let posts = rows;
+    if (sortBy !== "rising") {
+      ({ posts, nextCursor } = toFeedPage(sortBy, rows, limit));
+    } else if (risingIds) {
+      const order = risingIds;
+      posts.sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+    }
+
     const formattedPosts = posts.map((post) => ({
       id: post.id,
       frustration: post.frustration,
@@ -62,11 +104,19 @@ export async function GET(request: NextRequest) {
       category: post.category.name,
       score: post.score,
       commentCount: post._count.comments,
+      meTooCount: post.meTooCount,
+      respondentCount: post.respondentCount,
       createdAt: post.createdAt.toISOString(),
+      editedAt: post.editedAt?.toISOString() ?? null,
       username: post.user?.username || undefined,
     }));
 
-    return NextResponse.json(formattedPosts, { status: 200 });
+    // The body stays a plain array; the cursor for the next page, if any,
+    // comes back in a header
+    return NextResponse.json(formattedPosts, {
+      status: 200,
+      headers: nextCursor ? { "X-Next-Cursor": nextCursor } : undefined,
+    });
   } catch (error) {
     console.error("Posts fetch error:", error);
     return NextResponse.json(
@@ -82,6 +132,21 @@ export async function POST(request: NextRequest) {
 
     // Validate input using Zod schema
     const validatedData = createPostSchema.parse(body);
+    // Set by middleware; an anonymousId in the body is ignored
+    const anonymousId = await readAnonymousId(request.headers);
+    // The signed-in user, if any, is the author and is rate limited; the
+    // body can't name one
+    const session = await readSession(request.headers);
+
+    // Enforce per-hour limits before touching the database
+    const rateLimit = await checkRateLimit("posts", {
+      userId: session?.userId,
+      anonymousId,
+      ipHash: clientIpHash(request.headers),
+    });
+    if (!rateLimit.allowed) {
+      return rateLimitExceededResponse(rateLimit);
+    }
 
     // Verify category exists
     const category = await prisma.category.findUnique({
@@ -95,16 +160,32 @@ export async function POST(request: NextRequest) {
       );
     }
 
-    // Create the post
+    const filtered = await filterContent(prisma, {
+      frustration: validatedData.frustration,
+      identity: validatedData.identity,
+    });
+    if (filtered.rejected) {
+      return NextResponse.json(
+        { error: CONTENT_REJECTED_MESSAGE },
+        { status: 400 }
+      );
+    }
+
+    // Create the post, seeding hotScore with its time component
+    const createdAt = new Date();
     const post = await prisma.post.create({
       data: {
-        frustration: validatedData.frustration,
-        identity: validatedData.identity,
+        ...filtered.fields,
+        frustrationTokens: tokenizeFrustration(filtered.fields.frustration),
+        ...(filtered.queue ? { hiddenAt: createdAt, hiddenReason: "filter" as const } : {}),
         categoryId: validatedData.categoryId,
-        userId: validatedData.userId || undefined,
-        anonymousId: validatedData.anonymousId || undefined,
+        userId: session?.userId,
+        anonymousId: session ? undefined : anonymousId ?? undefined,
+        hotScore: calculateHotScore(0, 0, createdAt),
+        createdAt,
       },
     });
+    await indexPost(prisma, post.id);
 
     return NextResponse.json(
       {
@@ -113,6 +194,8 @@ export async function POST(request: NextRequest) {
         identity: post.identity,
         categoryId: post.categoryId,
         createdAt: post.createdAt,
+        hiddenAt: post.hiddenAt,
+        hiddenReason: post.hiddenReason,
       },
       { status: 200 }
     );
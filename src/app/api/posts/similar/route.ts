@@ -0,0 +1,28 @@
+import { NextRequest, NextResponse } from "next/server";
+import { prisma } from "@/server/db";
+import { findSimilarPosts } from "@/server/duplicates";
+
+// Existing posts asking the same thing as `frustration`, for PostForm's
+// "Others asked this too" suggestions
+export async function GET(request: NextRequest) {
+  try {
+    const frustration = request.nextUrl.searchParams.get("frustration")?.trim() ?? "";
+
+    if (!frustration || frustration.length > 500) {
+      return NextResponse.json(
+        { error: "frustration must be between 1 and 500 characters" },
+        { status: 400 }
+      );
+    }
+
+    const posts = await findSimilarPosts(prisma, frustration);
+
+    return NextResponse.json(posts, { status: 200 });
+  } catch (error) {
+    console.error("Find similar posts error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
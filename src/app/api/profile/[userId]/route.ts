@@ -1,5 +1,6 @@
 import { NextRequest, NextResponse } from "next/server";
 import { prisma } from "@/server/db";
+import { withoutAnonymousId } from "@/server/ownership";
 
 export async function GET(
   request: NextRequest,
@@ -20,8 +21,14 @@ export async function GET(
       select: {
         id: true,
         username: true,
+        karma: true,
         createdAt: true,
-        _count: { select: { posts: true, comments: true } },
+        _count: {
+          select: {
+            posts: { where: { deletedAt: null } },
+            comments: { where: { deletedAt: null } },
+          },
+        },
       },
     });
 
@@ -34,17 +41,17 @@ export async function GET(
 
     // Fetch user posts with category and comment count
     const posts = await prisma.post.findMany({
-      where: { userId: userId },
+      where: { userId: userId, deletedAt: null, hiddenAt: null },
       orderBy: { createdAt: "desc" },
       include: {
         category: true,
-        _count: { select: { comments: true } },
+        _count: { select: { comments: { where: { deletedAt: null } } } },
       },
     });
 
     // Map posts to include commentCount
     const postsWithCommentCount = posts.map((post) => ({
-      ...post,
+      ...withoutAnonymousId(post),
       commentCount: post._count.comments,
     }));
 
@@ -62,12 +69,10 @@ export async function GET(
     });
     const commentKarma = commentKarmaResult._sum.score ?? 0;
 
-    // Calculate totalKarma
-    const totalKarma = postKarma + commentKarma;
-
+    // Total karma is the stored User.karma counter (kept in step with votes and
+    // repaired by db:reconcile-counters); the aggregates above are the breakdown
     return NextResponse.json({
       ...user,
-      karma: totalKarma,
       postKarma,
       commentKarma,
       posts: postsWithCommentCount,
@@ -0,0 +1,29 @@
+import { NextRequest, NextResponse } from "next/server";
+import { prisma } from "@/server/db";
+import { searchPosts } from "@/server/search";
+
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = request.nextUrl;
+    const query = searchParams.get("q")?.trim() ?? "";
+    const categorySlug = searchParams.get("categorySlug") || undefined;
+    const limit = Math.min(Math.max(parseInt(searchParams.get("limit") || "20") || 20, 1), 50);
+
+    if (!query || query.length > 200) {
+      return NextResponse.json(
+        { error: "q must be between 1 and 200 characters" },
+        { status: 400 }
+      );
+    }
+
+    const results = await searchPosts(prisma, { query, categorySlug, limit });
+
+    return NextResponse.json(results, { status: 200 });
+  } catch (error) {
+    console.error("Search error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,16 @@
+import { Container } from "@/components/layout/Container";
+import { ModerationQueue } from "@/components/moderation/ModerationQueue";
+import { VoteRingReport } from "@/components/moderation/VoteRingReport";
+
+export default function ModerationPage() {
+  return (
+    <Container>
+      <div className="py-8 space-y-6">
+        <h1 className="text-2xl font-serif font-semibold text-primary-900">Report Queue</h1>
+        <ModerationQueue />
+        <h2 className="text-xl font-serif font-semibold text-primary-900 pt-4">Suspicious Voting</h2>
+        <VoteRingReport />
+      </div>
+    </Container>
+  );
+}
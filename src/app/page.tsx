@@ -1,15 +1,22 @@
 "use client";
 
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import { Container } from "@/components/layout/Container";
 import { PostForm } from "@/components/post/PostForm";
 import { FeedTabs } from "@/components/feed/FeedTabs";
 import { PostList } from "@/components/post/PostList";
+import { useFeedStore } from "@/stores/feedStore";
 
 export default function HomePage() {
   const [refreshKey, setRefreshKey] = useState(0);
-  const [sortBy, setSortBy] = useState<"hot" | "new">("hot");
-  const [categorySlug, setCategorySlug] = useState("all");
+  // Kept in the feed store so the chosen tab, Top window and category
+  // survive navigation
+  const { feedType, setFeedType, topWindow, categorySlug, setCategorySlug } = useFeedStore();
+
+  // Restore the tab and Top window from the last visit
+  useEffect(() => {
+    useFeedStore.persist.rehydrate();
+  }, []);
 
   const handlePostCreated = () => {
     setRefreshKey((prev) => prev + 1);
@@ -19,16 +26,21 @@ export default function HomePage() {
     <Container>
       <div className="py-8">
         <FeedTabs
-          sortBy={sortBy}
-          onSortByChange={setSortBy}
-          categorySlug={categorySlug}
+          sortBy={feedType}
+          onSortByChange={setFeedType}
+          categorySlug={categorySlug ?? "all"}
           onCategoryChange={setCategorySlug}
         />
         <div className="mt-4">
           <PostForm onPostCreated={handlePostCreated} />
         </div>
         <div className="mt-8">
-          <PostList refreshKey={refreshKey} sortBy={sortBy} categorySlug={categorySlug} />
+          <PostList
+            refreshKey={refreshKey}
+            sortBy={feedType}
+            topWindow={topWindow}
+            categorySlug={categorySlug ?? "all"}
+          />
         </div>
       </div>
     </Container>
@@ -1,15 +1,18 @@
 import { Container } from "@/components/layout/Container";
+import { ActiveSessions } from "@/components/auth/ActiveSessions";
 
 export default function ProfilePage() {
   return (
     <Container>
-      <div className="py-8">
+      <div className="py-8 space-y-6">
         <h1 className="text-2xl font-serif font-semibold text-primary-900">
           Your Profile
         </h1>
-        <p className="mt-4 text-primary-600">
+        <p className="text-primary-600">
           Profile page - displays user information, karma, and post history.
         </p>
+        <h2 className="text-xl font-serif font-semibold text-primary-900 pt-4">Active Sessions</h2>
+        <ActiveSessions />
       </div>
     </Container>
   );
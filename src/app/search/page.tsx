@@ -0,0 +1,21 @@
+import { Container } from "@/components/layout/Container";
+import { SearchResults } from "@/components/search/SearchResults";
+
+interface SearchPageProps {
+  searchParams: { q?: string; categorySlug?: string };
+}
+
+export default function SearchPage({ searchParams }: SearchPageProps) {
+  const query = searchParams.q?.trim() ?? "";
+
+  return (
+    <Container>
+      <div className="py-8 space-y-6">
+        <h1 className="text-2xl font-serif font-semibold text-primary-900">
+          {query ? <>Results for &ldquo;{query}&rdquo;</> : "Search"}
+        </h1>
+        <SearchResults query={query} categorySlug={searchParams.categorySlug ?? "all"} />
+      </div>
+    </Container>
+  );
+}
@@ -0,0 +1,110 @@
+"use client";
+
+import { useRouter } from "next/navigation";
+import { Card } from "@/components/ui/Card";
+import { Button } from "@/components/ui/Button";
+import { trpc } from "@/lib/trpc";
+import { formatRelativeTime } from "@/lib/utils";
+import { useSession } from "@/hooks/useSession";
+
+const BROWSERS: [RegExp, string][] = [
+  [/Edg\//, "Edge"],
+  [/Firefox\//, "Firefox"],
+  [/Chrome\//, "Chrome"],
+  [/Safari\//, "Safari"],
+];
+
+const PLATFORMS: [RegExp, string][] = [
+  [/Android/, "Android"],
+  [/iPhone|iPad/, "iOS"],
+  [/Windows/, "Windows"],
+  [/Mac OS X/, "macOS"],
+  [/Linux/, "Linux"],
+];
+
+// "Firefox on Windows", from whatever parts of the user agent we recognise
+function describeDevice(userAgent: string | null) {
+  if (!userAgent) return "Unknown device";
+  const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  const platform = PLATFORMS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser ?? platform ?? "Unknown device";
+}
+
+export function ActiveSessions() {
+  const router = useRouter();
+  const utils = trpc.useUtils();
+  const { signOut } = useSession();
+  const sessions = trpc.user.sessions.useQuery(undefined, { retry: false });
+
+  // Revoking this device's session signs it out like the header's button
+  const leave = async () => {
+    await signOut();
+    router.push("/");
+    router.refresh();
+  };
+
+  const revokeSession = trpc.user.revokeSession.useMutation({
+    onSuccess: ({ current }) => (current ? leave() : utils.user.sessions.invalidate()),
+  });
+  const revokeAll = trpc.user.revokeAllSessions.useMutation({ onSuccess: leave });
+
+  if (sessions.isLoading) {
+    return <p className="text-primary-500 text-sm">Loading sessions...</p>;
+  }
+
+  if (sessions.error) {
+    return (
+      <p className="text-red-600" role="alert">
+        {sessions.error.data?.code === "UNAUTHORIZED"
+          ? "Sign in to manage your sessions."
+          : "Failed to load sessions."}
+      </p>
+    );
+  }
+
+  const error = revokeSession.error ?? revokeAll.error;
+
+  return (
+    <div className="space-y-4" data-testid="active-sessions">
+      {sessions.data?.map((session) => (
+        <Card key={session.id}>
+          <div className="flex items-center justify-between gap-4" data-testid="active-session">
+            <div className="space-y-1">
+              <p className="text-primary-900">
+                {describeDevice(session.userAgent)}
+                {session.current && (
+                  <span className="ml-2 px-2 py-1 text-xs bg-primary-100 rounded">This device</span>
+                )}
+              </p>
+              <p className="text-xs text-primary-500">
+                Signed in {formatRelativeTime(session.createdAt)} · last active{" "}
+                {formatRelativeTime(session.lastUsedAt)}
+              </p>
+            </div>
+            <Button
+              size="sm"
+              variant="secondary"
+              disabled={revokeSession.isPending || revokeAll.isPending}
+              onClick={() => revokeSession.mutate({ id: session.id })}
+            >
+              {session.current ? "Sign out" : "Revoke"}
+            </Button>
+          </div>
+        </Card>
+      ))}
+      <Button
+        variant="secondary"
+        disabled={revokeSession.isPending || revokeAll.isPending}
+        onClick={() => revokeAll.mutate()}
+      >
+        Sign out everywhere
+      </Button>
+      {error && (
+        <p className="text-sm text-red-600" role="alert">
+          {error.message}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+"use client";
+
+import { trpc } from "@/lib/trpc";
+
+function plural(count: number, noun: string) {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+interface ClaimHistoryOptionProps {
+  checked: boolean;
+  onChange: (checked: boolean) => void;
+}
+
+// Offers to attach what this browser posted and voted anonymously to the
+// account being signed into. Renders nothing when there is nothing to attach.
+export function ClaimHistoryOption({ checked, onChange }: ClaimHistoryOptionProps) {
+  const { data } = trpc.user.anonymousHistory.useQuery(undefined, {
+    refetchOnWindowFocus: false,
+  });
+
+  if (!data || data.posts + data.comments + data.votes === 0) return null;
+
+  const parts = [
+    data.posts > 0 && plural(data.posts, "post"),
+    data.comments > 0 && plural(data.comments, "comment"),
+    data.votes > 0 && plural(data.votes, "vote"),
+  ].filter((part): part is string => !!part);
+  const summary =
+    parts.length > 1 ? `${parts.slice(0, -1).join(", ")} and ${parts[parts.length - 1]}` : parts[0];
+
+  return (
+    <label className="flex items-start gap-2 text-sm text-primary-700" data-testid="claim-history-option">
+      <input
+        type="checkbox"
+        checked={checked}
+        onChange={(e) => onChange(e.target.checked)}
+        className="mt-1"
+      />
+      <span>
+        Attach the {summary} you made anonymously in this browser to this account.
+        {data.posts + data.comments > 0 && " They will show as posted by you."}
+      </span>
+    </label>
+  );
+}
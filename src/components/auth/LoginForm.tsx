@@ -2,16 +2,19 @@
 
 import { useState } from "react";
 import { useRouter } from "next/navigation";
-import { signIn } from "next-auth/react";
 import Link from "next/link";
 import { Button } from "@/components/ui/Button";
 import { Input } from "@/components/ui/Input";
 import { Card } from "@/components/ui/Card";
+import { useSession } from "@/hooks/useSession";
+import { ClaimHistoryOption } from "./ClaimHistoryOption";
 
 export function LoginForm() {
   const router = useRouter();
+  const { signIn } = useSession();
   const [username, setUsername] = useState("");
   const [password, setPassword] = useState("");
+  const [claimHistory, setClaimHistory] = useState(false);
   const [error, setError] = useState("");
   const [isLoading, setIsLoading] = useState(false);
 
@@ -33,21 +36,15 @@ export function LoginForm() {
     setIsLoading(true);
 
     try {
-      const result = await signIn("credentials", {
+      const result = await signIn({
         username: username.trim(),
         password,
-        redirect: false,
+        claimAnonymousHistory: claimHistory,
       });
 
-      // Check for explicit error or if URL indicates a failure (CSRF error, signin redirect)
-      const hasError = result?.error ||
-        result?.url?.includes('csrf=') ||
-        result?.url?.includes('/error') ||
-        result?.url?.includes('/signin');
-
-      if (hasError) {
-        setError("Invalid username or password");
-      } else if (result?.ok) {
+      if (result.error) {
+        setError(result.error);
+      } else {
         router.push("/");
         router.refresh();
       }
@@ -79,6 +76,7 @@ export function LoginForm() {
           value={password}
           onChange={(e) => setPassword(e.target.value)}
         />
+        <ClaimHistoryOption checked={claimHistory} onChange={setClaimHistory} />
         <Button
           type="submit"
           className="w-full"
@@ -2,16 +2,19 @@
 
 import { useState } from "react";
 import { useRouter } from "next/navigation";
-import { signIn } from "next-auth/react";
 import Link from "next/link";
 import { Button } from "@/components/ui/Button";
 import { Input } from "@/components/ui/Input";
 import { Card } from "@/components/ui/Card";
+import { useSession } from "@/hooks/useSession";
+import { ClaimHistoryOption } from "./ClaimHistoryOption";
 
 export function RegisterForm() {
   const router = useRouter();
+  const { signIn } = useSession();
   const [username, setUsername] = useState("");
   const [password, setPassword] = useState("");
+  const [claimHistory, setClaimHistory] = useState(false);
   const [error, setError] = useState("");
   const [isLoading, setIsLoading] = useState(false);
 
@@ -27,7 +30,7 @@ export function RegisterForm() {
         headers: {
           "Content-Type": "application/json",
         },
-        body: JSON.stringify({ username, password }),
+        body: JSON.stringify({ username, password, claimAnonymousHistory: claimHistory }),
       });
 
       const data = await response.json();
@@ -40,11 +43,7 @@ export function RegisterForm() {
       }
 
       // Registration successful - sign in and redirect
-      const signInResult = await signIn("credentials", {
-        username,
-        password,
-        redirect: false,
-      });
+      const signInResult = await signIn({ username, password });
 
       if (signInResult?.error) {
         setError("Registration successful but sign in failed");
@@ -84,6 +83,7 @@ export function RegisterForm() {
           onChange={(e) => setPassword(e.target.value)}
           required
         />
+        <ClaimHistoryOption checked={claimHistory} onChange={setClaimHistory} />
         <Button type="submit" className="w-full" disabled={isLoading} aria-busy={isLoading}>
           {isLoading ? "Creating Account..." : "Create Account"}
         </Button>
@@ -1,95 +1,31 @@
 "use client";
 
-import { useSession, signOut } from "next-auth/react";
-import { useSyncExternalStore, useCallback } from "react";
+import { useCallback } from "react";
+import { useRouter } from "next/navigation";
 import Link from "next/link";
 import { Button } from "@/components/ui/Button";
-
-interface AuthState {
-  isAuthenticated: boolean;
-  username: string | null;
-}
-
-// Cache for localStorage snapshot to avoid infinite re-renders
-let cachedAuthState: AuthState = { isAuthenticated: false, username: null };
-
-// Server snapshot is always the same, so cache it
-const serverSnapshot: AuthState = { isAuthenticated: false, username: null };
-
-// localStorage auth state for testing purposes
-function getLocalStorageSnapshot(): AuthState {
-  if (typeof window === "undefined") {
-    return serverSnapshot;
-  }
-  const storedAuth = localStorage.getItem("isAuthenticated");
-  const storedUsername = localStorage.getItem("username");
-
-  const newIsAuthenticated = storedAuth === "true" && storedUsername !== null;
-  const newUsername = storedUsername;
-
-  // Only create a new object if values changed
-  if (
-    cachedAuthState.isAuthenticated !== newIsAuthenticated ||
-    cachedAuthState.username !== newUsername
-  ) {
-    cachedAuthState = {
-      isAuthenticated: newIsAuthenticated,
-      username: newUsername,
-    };
-  }
-
-  return cachedAuthState;
-}
-
-function getServerSnapshot(): AuthState {
-  return serverSnapshot;
-}
-
-function subscribeToLocalStorage(callback: () => void) {
-  // Listen for storage events from other windows/tabs
-  window.addEventListener("storage", callback);
-  // Listen for custom event for same-window localStorage updates (used by tests)
-  window.addEventListener("localStorageChange", callback);
-  return () => {
-    window.removeEventListener("storage", callback);
-    window.removeEventListener("localStorageChange", callback);
-  };
-}
+import { useSession } from "@/hooks/useSession";
 
 export function UserMenu() {
-  // Try NextAuth session first
-  const { data: session, status } = useSession();
-
-  // Fallback to localStorage for testing
-  const localAuthState = useSyncExternalStore(
-    subscribeToLocalStorage,
-    getLocalStorageSnapshot,
-    getServerSnapshot
-  );
+  const router = useRouter();
+  const { user, signOut } = useSession();
 
   const handleSignOut = useCallback(async () => {
-    // Clear localStorage auth state
-    localStorage.removeItem("user");
-    localStorage.removeItem("isAuthenticated");
-    localStorage.removeItem("username");
-    // Dispatch custom event to trigger re-render (storage event doesn't fire for same-window changes)
-    window.dispatchEvent(new Event("localStorageChange"));
-
-    // Sign out from NextAuth if session exists
-    if (session) {
-      await signOut({ redirect: false });
-    }
-  }, [session]);
-
-  // Determine auth state: prefer NextAuth session, fallback to localStorage
-  const isAuthenticated = session?.user || localAuthState.isAuthenticated;
-  const username = session?.user?.name || localAuthState.username;
+    await signOut();
+    router.push("/");
+    router.refresh();
+  }, [signOut, router]);
+
+  // Still asking who is signed in; don't flash the wrong links
+  if (user === undefined) {
+    return <div className="flex items-center gap-2" data-testid="user-menu" />;
+  }
 
-  if (isAuthenticated && username) {
+  if (user) {
     return (
       <div className="flex items-center gap-4" data-testid="user-menu">
         <Link href="/profile">
-          <Button variant="ghost">{username}</Button>
+          <Button variant="ghost">{user.username}</Button>
         </Link>
         <Button variant="secondary" onClick={handleSignOut}>
           Sign Out
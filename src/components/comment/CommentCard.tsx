@@ -1,8 +1,12 @@
 "use client";
 
+import { useState } from "react";
 import { VoteButtons } from "@/components/vote/VoteButtons";
 import { CommentForm } from "./CommentForm";
 import { Button } from "@/components/ui/Button";
+import { ReportButton } from "@/components/moderation/ReportButton";
+import { DELETED_CONTENT, HIDDEN_CONTENT } from "@/lib/constants";
+import { isPendingReview } from "@/lib/utils";
 
 interface CommentCardProps {
   id: string;
@@ -10,8 +14,14 @@ interface CommentCardProps {
   score: number;
   username?: string;
   createdAt: string;
+  editedAt?: string | null;
+  hiddenAt?: string | null;
+  hiddenReason?: string | null;
+  deletedAt?: string | null;
   postId: string;
   replies?: CommentCardProps[];
+  // The viewer's votes on this thread, by comment id; undefined until loaded
+  myVotes?: Record<string, number>;
   depth?: number;
   isReplyFormOpen?: boolean;
   onReplyFormToggle?: (isOpen: boolean) => void;
@@ -33,14 +43,24 @@ export function CommentCard({
   score,
   username,
   createdAt,
+  editedAt,
+  hiddenAt,
+  hiddenReason,
+  deletedAt,
   postId,
   replies = [],
+  myVotes,
   depth = 0,
   isReplyFormOpen = false,
   onReplyFormToggle,
   onReplySuccess,
 }: CommentCardProps) {
-  const canReply = depth < 1; // Max 2 levels of nesting (only top-level comments can have replies)
+  const [isExpanded, setIsExpanded] = useState(false);
+  const isDeleted = !!deletedAt;
+  const isHidden = !isDeleted && !!hiddenAt;
+  // Hidden automatically by reports, downvotes or the content filter; collapsed until a moderator decides
+  const pendingReview = isHidden && isPendingReview(hiddenReason);
+  const canReply = depth < 1 && !isDeleted && !isHidden; // Max 2 levels of nesting (only top-level comments can have replies)
 
   const handleReplyClick = () => {
     onReplyFormToggle?.(!isReplyFormOpen);
@@ -58,12 +78,41 @@ export function CommentCard({
     <div className={`${depth > 0 ? "ml-8 border-l-2 border-primary-100 pl-4" : ""}`}>
       <div className="bg-white border border-primary-200 rounded-lg p-4">
         <div className="flex gap-3">
-          <VoteButtons score={score} commentId={id} />
+          {!isDeleted && !isHidden && (
+            <VoteButtons
+              score={score}
+              commentId={id}
+              initialVote={myVotes ? (myVotes[id] ?? null) : undefined}
+            />
+          )}
           <div className="flex-1 min-w-0">
-            <p className="text-primary-800">{content}</p>
+            {isDeleted ? (
+              <p className="text-primary-400 italic" data-testid="comment-deleted">
+                {DELETED_CONTENT}
+              </p>
+            ) : pendingReview ? (
+              <div data-testid="comment-pending-review">
+                <button
+                  type="button"
+                  className="text-primary-400 italic"
+                  aria-expanded={isExpanded}
+                  onClick={() => setIsExpanded((prev) => !prev)}
+                >
+                  Hidden pending review ({isExpanded ? "collapse" : "show"})
+                </button>
+                {isExpanded && <p className="text-primary-600 mt-1">{content}</p>}
+              </div>
+            ) : isHidden ? (
+              <p className="text-primary-400 italic" data-testid="comment-hidden">
+                {HIDDEN_CONTENT}
+              </p>
+            ) : (
+              <p className="text-primary-800">{content}</p>
+            )}
             <div className="flex items-center gap-4 mt-2 text-xs text-primary-500">
-              <span>{username || "Anonymous"}</span>
+              {!isDeleted && !isHidden && <span>{username || "Anonymous"}</span>}
               <span>{formatDate(createdAt)}</span>
+              {editedAt && !isDeleted && !isHidden && <span data-testid="comment-edited">edited</span>}
               {canReply && (
                 <Button
                   variant="ghost"
@@ -73,6 +122,7 @@ export function CommentCard({
                   Reply
                 </Button>
               )}
+              {!isDeleted && !isHidden && <ReportButton commentId={id} />}
             </div>
             {isReplyFormOpen && (
               <div className="mt-3">
@@ -91,7 +141,13 @@ export function CommentCard({
       {replies.length > 0 && (
         <div className="mt-2 space-y-2">
           {replies.map((reply) => (
-            <CommentCard key={reply.id} {...reply} postId={postId} depth={depth + 1} />
+            <CommentCard
+              key={reply.id}
+              {...reply}
+              postId={postId}
+              myVotes={myVotes}
+              depth={depth + 1}
+            />
           ))}
         </div>
       )}
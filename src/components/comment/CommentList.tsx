@@ -2,6 +2,7 @@
 
 import { useState, useEffect, useCallback } from "react";
 import { CommentCard } from "./CommentCard";
+import { useMyVotes } from "@/hooks/useMyVotes";
 
 interface Comment {
   id: string;
@@ -9,6 +10,10 @@ interface Comment {
   score: number;
   username?: string;
   createdAt: string;
+  editedAt?: string | null;
+  hiddenAt?: string | null;
+  hiddenReason?: string | null;
+  deletedAt?: string | null;
   postId: string;
   replies?: Comment[];
 }
@@ -47,6 +52,14 @@ export function CommentList({ postId, onCommentsLoaded }: CommentListProps) {
     fetchComments();
   }, [fetchComments]);
 
+  // Replies are voted on too, so look up the whole thread in one query
+  const myVotes = useMyVotes({
+    commentIds: comments.flatMap((comment) => [
+      comment.id,
+      ...(comment.replies ?? []).map((reply) => reply.id),
+    ]),
+  });
+
   const handleReplyFormToggle = useCallback((commentId: string, isOpen: boolean) => {
     setActiveReplyCommentId(isOpen ? commentId : null);
   }, []);
@@ -79,6 +92,7 @@ export function CommentList({ postId, onCommentsLoaded }: CommentListProps) {
           key={comment.id}
           {...comment}
           postId={postId}
+          myVotes={myVotes?.comments}
           isReplyFormOpen={activeReplyCommentId === comment.id}
           onReplyFormToggle={(isOpen) => handleReplyFormToggle(comment.id, isOpen)}
           onReplySuccess={handleReplySuccess}
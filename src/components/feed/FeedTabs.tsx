@@ -1,9 +1,20 @@
 "use client";
 
 import { Button } from "@/components/ui/Button";
+import { Select } from "@/components/ui/Select";
+import { useFeedStore } from "@/stores/feedStore";
+import type { TopWindow } from "@/lib/constants";
 import { CategoryFilter } from "./CategoryFilter";
 
-type FeedType = "hot" | "new";
+type FeedType = "hot" | "new" | "top";
+
+const topWindowOptions: { value: TopWindow; label: string }[] = [
+  { value: "day", label: "Today" },
+  { value: "week", label: "This week" },
+  { value: "month", label: "This month" },
+  { value: "year", label: "This year" },
+  { value: "all", label: "All time" },
+];
 
 interface FeedTabsProps {
   sortBy: FeedType;
@@ -13,9 +24,12 @@ interface FeedTabsProps {
 }
 
 export function FeedTabs({ sortBy, onSortByChange, categorySlug, onCategoryChange }: FeedTabsProps) {
+  const topWindow = useFeedStore((state) => state.topWindow);
+  const setTopWindow = useFeedStore((state) => state.setTopWindow);
+
   return (
     <div className="flex items-center justify-between gap-4">
-      <div className="flex gap-2">
+      <div className="flex items-center gap-2">
         <Button
           variant={sortBy === "hot" ? "primary" : "ghost"}
           onClick={() => onSortByChange("hot")}
@@ -28,6 +42,23 @@ export function FeedTabs({ sortBy, onSortByChange, categorySlug, onCategoryChang
         >
           New
         </Button>
+        <Button
+          variant={sortBy === "top" ? "primary" : "ghost"}
+          onClick={() => onSortByChange("top")}
+        >
+          Top
+        </Button>
+        {sortBy === "top" && (
+          <div className="w-36">
+            <Select
+              options={topWindowOptions}
+              value={topWindow}
+              onChange={(e) => e.target.value && setTopWindow(e.target.value as TopWindow)}
+              aria-label="Time window"
+              data-testid="top-window-select"
+            />
+          </div>
+        )}
       </div>
       <CategoryFilter value={categorySlug} onChange={onCategoryChange} />
     </div>
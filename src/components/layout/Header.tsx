@@ -1,15 +1,39 @@
 "use client";
 
 import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { useState } from "react";
 import { UserMenu } from "@/components/auth/UserMenu";
 
 export function Header() {
+  const router = useRouter();
+  const [query, setQuery] = useState("");
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    const q = query.trim();
+    if (q) {
+      router.push(`/search?q=${encodeURIComponent(q)}`);
+    }
+  };
+
   return (
     <header className="border-b border-primary-200 bg-white">
-      <div className="max-w-4xl mx-auto px-4 py-4 flex items-center justify-between">
+      <div className="max-w-4xl mx-auto px-4 py-4 flex items-center justify-between gap-4">
         <Link href="/" className="text-xl font-serif font-semibold text-primary-900">
           IsItJustMe
         </Link>
+        <form onSubmit={handleSearch} role="search" className="flex-1 max-w-xs">
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search frustrations"
+            aria-label="Search"
+            maxLength={200}
+            className="w-full px-3 py-1.5 border border-primary-300 rounded text-sm"
+          />
+        </form>
         <UserMenu />
       </div>
     </header>
@@ -0,0 +1,189 @@
+"use client";
+
+import Link from "next/link";
+import { useState } from "react";
+import { Card } from "@/components/ui/Card";
+import { Button } from "@/components/ui/Button";
+import { trpc } from "@/lib/trpc";
+import { REPORT_REASONS } from "@/lib/constants";
+
+type ModerationAction = "dismiss" | "hide" | "restore" | "remove";
+
+function reasonLabel(value: string) {
+  return REPORT_REASONS.find((r) => r.value === value)?.label ?? value;
+}
+
+export function ModerationQueue() {
+  const utils = trpc.useUtils();
+  const [notes, setNotes] = useState<Record<string, string>>({});
+  const [mergeTargets, setMergeTargets] = useState<Record<string, string>>({});
+  const queue = trpc.report.listQueue.useQuery(undefined, { retry: false });
+
+  const resolve = trpc.report.resolve.useMutation({
+    onSuccess: () => utils.report.listQueue.invalidate(),
+  });
+
+  const merge = trpc.post.merge.useMutation({
+    onSuccess: () => utils.report.listQueue.invalidate(),
+  });
+
+  if (queue.isLoading) {
+    return <p className="text-primary-500 text-sm">Loading reports...</p>;
+  }
+
+  if (queue.error) {
+    const code = queue.error.data?.code;
+    return (
+      <p className="text-red-600" role="alert">
+        {code === "UNAUTHORIZED" || code === "FORBIDDEN"
+          ? "Only moderators can view the report queue."
+          : "Failed to load reports."}
+      </p>
+    );
+  }
+
+  if (!queue.data || queue.data.length === 0) {
+    return (
+      <p className="text-primary-500 text-sm" data-testid="moderation-queue-empty">
+        Nothing to review.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-4" data-testid="moderation-queue">
+      {queue.data.map((item) => {
+        const key = item.post ? `post:${item.post.id}` : `comment:${item.comment?.id}`;
+        const target = item.post ? { postId: item.post.id } : { commentId: item.comment!.id };
+        const postLink = item.post?.id ?? item.comment?.postId;
+        const content = item.post ?? item.comment;
+
+        const handleAction = (action: ModerationAction) => {
+          resolve.mutate({ ...target, action, note: notes[key]?.trim() || undefined });
+        };
+
+        // Accepts a bare post ID or a pasted /post/<id> link
+        const handleMerge = () => {
+          const originalId = mergeTargets[key]?.trim().split("/").filter(Boolean).pop();
+          if (item.post && originalId) {
+            merge.mutate({ duplicateId: item.post.id, originalId });
+          }
+        };
+
+        return (
+          <Card key={key}>
+            <div className="space-y-3" data-testid="moderation-item">
+              <div className="flex items-center gap-3 text-xs text-primary-500">
+                <span className="px-2 py-1 bg-primary-100 rounded">
+                  {item.post ? "Post" : "Comment"}
+                </span>
+                <span data-testid="moderation-report-count">
+                  {item.reportCount} {item.reportCount === 1 ? "report" : "reports"}
+                </span>
+                <span>{item.reasons.map(reasonLabel).join(", ")}</span>
+                {content?.hiddenAt && (
+                  <span className="italic" data-testid="moderation-hidden-reason">
+                    {content.hiddenReason === "moderator"
+                      ? "Hidden by moderators"
+                      : `Hidden pending review (${content.hiddenReason})`}
+                  </span>
+                )}
+                {postLink && (
+                  <Link href={`/post/${postLink}`} className="underline">
+                    View
+                  </Link>
+                )}
+              </div>
+              {item.post ? (
+                <p className="text-primary-900">
+                  Why is it so hard to {item.post.frustration}? — I am {item.post.identity}
+                </p>
+              ) : (
+                <p className="text-primary-900">{item.comment?.content}</p>
+              )}
+              {item.details.length > 0 && (
+                <ul className="text-sm text-primary-600 list-disc pl-5">
+                  {item.details.map((detail, i) => (
+                    <li key={i}>{detail}</li>
+                  ))}
+                </ul>
+              )}
+              <input
+                type="text"
+                value={notes[key] ?? ""}
+                onChange={(e) => setNotes((prev) => ({ ...prev, [key]: e.target.value }))}
+                placeholder="Note for the record (optional)"
+                maxLength={500}
+                className="w-full px-3 py-2 border border-primary-300 rounded text-sm"
+              />
+              <div className="flex gap-2">
+                {item.reportCount > 0 && (
+                  <Button
+                    size="sm"
+                    variant="secondary"
+                    disabled={resolve.isPending}
+                    onClick={() => handleAction("dismiss")}
+                  >
+                    Dismiss
+                  </Button>
+                )}
+                {content?.hiddenAt ? (
+                  <Button
+                    size="sm"
+                    variant="secondary"
+                    disabled={resolve.isPending}
+                    onClick={() => handleAction("restore")}
+                  >
+                    Restore
+                  </Button>
+                ) : (
+                  <Button
+                    size="sm"
+                    variant="secondary"
+                    disabled={resolve.isPending}
+                    onClick={() => handleAction("hide")}
+                  >
+                    Hide
+                  </Button>
+                )}
+                <Button
+                  size="sm"
+                  disabled={resolve.isPending}
+                  onClick={() => handleAction("remove")}
+                >
+                  Remove
+                </Button>
+              </div>
+              {item.post && (
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={mergeTargets[key] ?? ""}
+                    onChange={(e) =>
+                      setMergeTargets((prev) => ({ ...prev, [key]: e.target.value }))
+                    }
+                    placeholder="Duplicate of (post link or ID)"
+                    className="flex-1 px-3 py-2 border border-primary-300 rounded text-sm"
+                  />
+                  <Button
+                    size="sm"
+                    variant="secondary"
+                    disabled={merge.isPending || !mergeTargets[key]?.trim()}
+                    onClick={handleMerge}
+                  >
+                    Merge
+                  </Button>
+                </div>
+              )}
+              {merge.error && merge.variables?.duplicateId === item.post?.id && (
+                <p className="text-sm text-red-600" role="alert">
+                  {merge.error.message}
+                </p>
+              )}
+            </div>
+          </Card>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+"use client";
+
+import { useState } from "react";
+import { Button } from "@/components/ui/Button";
+import { Modal } from "@/components/ui/Modal";
+import { Select } from "@/components/ui/Select";
+import { trpc } from "@/lib/trpc";
+import { REPORT_REASONS } from "@/lib/constants";
+
+type ReportReason = (typeof REPORT_REASONS)[number]["value"];
+
+interface ReportButtonProps {
+  postId?: string;
+  commentId?: string;
+}
+
+export function ReportButton({ postId, commentId }: ReportButtonProps) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [reason, setReason] = useState<ReportReason | "">("");
+  const [details, setDetails] = useState("");
+  const [isReported, setIsReported] = useState(false);
+
+  const createReport = trpc.report.create.useMutation({
+    onSuccess: () => {
+      setIsReported(true);
+      setIsOpen(false);
+    },
+    onError: (error) => {
+      // Already reported counts as done from the reader's point of view
+      if (error.data?.code === "CONFLICT") {
+        setIsReported(true);
+        setIsOpen(false);
+      }
+    },
+  });
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!reason) return;
+    createReport.mutate({
+      postId,
+      commentId,
+      reason,
+      details: details.trim() || undefined,
+    });
+  };
+
+  if (isReported) {
+    return (
+      <span className="text-primary-400" data-testid="report-submitted">
+        Reported
+      </span>
+    );
+  }
+
+  return (
+    <>
+      <Button variant="ghost" size="sm" onClick={() => setIsOpen(true)} data-testid="report-button">
+        Report
+      </Button>
+      <Modal isOpen={isOpen} onClose={() => setIsOpen(false)} title="Report content">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <Select
+            id="report-reason"
+            label="Reason"
+            placeholder="Choose a reason"
+            options={REPORT_REASONS.map((r) => ({ value: r.value, label: r.label }))}
+            value={reason}
+            onChange={(e) => setReason(e.target.value as ReportReason | "")}
+          />
+          <textarea
+            value={details}
+            onChange={(e) => setDetails(e.target.value)}
+            placeholder="Anything moderators should know (optional)"
+            maxLength={500}
+            rows={3}
+            className="w-full px-3 py-2 border border-primary-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
+          />
+          {createReport.error && createReport.error.data?.code !== "CONFLICT" && (
+            <p className="text-sm text-red-500" role="alert">
+              {createReport.error.message}
+            </p>
+          )}
+          <div className="flex justify-end gap-2">
+            <Button type="button" variant="ghost" onClick={() => setIsOpen(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={!reason || createReport.isPending}>
+              {createReport.isPending ? "Submitting..." : "Submit report"}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </>
+  );
+}
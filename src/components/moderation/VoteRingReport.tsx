@@ -0,0 +1,111 @@
+"use client";
+
+import Link from "next/link";
+import { Card } from "@/components/ui/Card";
+import { Button } from "@/components/ui/Button";
+import { trpc } from "@/lib/trpc";
+import { formatRelativeTime } from "@/lib/utils";
+
+const KIND_LABELS = {
+  sharedIp: "Shared IP",
+  burst: "Vote burst",
+  singleAuthor: "Single-author voter",
+} as const;
+
+// Posts linked from each finding; the rest are summarised as a count
+const MAX_LINKS = 5;
+
+function author(username: string | null) {
+  return username ? `u/${username}` : "an anonymous author";
+}
+
+export function VoteRingReport() {
+  const utils = trpc.useUtils();
+  const rings = trpc.vote.listRings.useQuery(undefined, { retry: false });
+
+  const voidRing = trpc.vote.voidRing.useMutation({
+    onSuccess: () => utils.vote.listRings.invalidate(),
+  });
+
+  if (rings.isLoading) {
+    return <p className="text-primary-500 text-sm">Scanning votes...</p>;
+  }
+
+  if (rings.error) {
+    const code = rings.error.data?.code;
+    return (
+      <p className="text-red-600" role="alert">
+        {code === "UNAUTHORIZED" || code === "FORBIDDEN"
+          ? "Only moderators can view suspicious voting."
+          : "Failed to scan votes."}
+      </p>
+    );
+  }
+
+  if (!rings.data || rings.data.length === 0) {
+    return (
+      <p className="text-primary-500 text-sm" data-testid="vote-rings-empty">
+        No suspicious voting.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-4" data-testid="vote-rings">
+      {rings.data.map((ring) => {
+        const summary =
+          ring.kind === "sharedIp"
+            ? `${ring.voterCount} anonymous readers voting from one IP`
+            : ring.kind === "burst"
+              ? `${ring.voteCount} votes on ${author(ring.authorUsername)}'s content within minutes`
+              : `u/${ring.voterUsername ?? "deleted"} only votes for ${author(ring.authorUsername)}`;
+
+        return (
+          <Card key={ring.key}>
+            <div className="space-y-3" data-testid="vote-ring">
+              <div className="flex items-center gap-3 text-xs text-primary-500">
+                <span className="px-2 py-1 bg-primary-100 rounded">{KIND_LABELS[ring.kind]}</span>
+                <span data-testid="vote-ring-count">
+                  {ring.voteCount} {ring.voteCount === 1 ? "vote" : "votes"}
+                </span>
+                <span>
+                  {formatRelativeTime(ring.firstVoteAt)} – {formatRelativeTime(ring.lastVoteAt)}
+                </span>
+              </div>
+              <p className="text-primary-900">{summary}</p>
+              {ring.postIds.length > 0 && (
+                <div className="flex flex-wrap gap-3 text-sm">
+                  {ring.postIds.slice(0, MAX_LINKS).map((postId, i) => (
+                    <Link key={postId} href={`/post/${postId}`} className="underline">
+                      Post {i + 1}
+                    </Link>
+                  ))}
+                  {ring.postIds.length > MAX_LINKS && (
+                    <span className="text-primary-500">+{ring.postIds.length - MAX_LINKS} more</span>
+                  )}
+                </div>
+              )}
+              {ring.commentIds.length > 0 && (
+                <p className="text-sm text-primary-500">
+                  {ring.commentIds.length} {ring.commentIds.length === 1 ? "comment" : "comments"}
+                </p>
+              )}
+              <Button
+                size="sm"
+                disabled={voidRing.isPending}
+                onClick={() => voidRing.mutate({ voteIds: ring.voteIds })}
+              >
+                Void votes
+              </Button>
+              {voidRing.error && voidRing.variables?.voteIds === ring.voteIds && (
+                <p className="text-sm text-red-600" role="alert">
+                  {voidRing.error.message}
+                </p>
+              )}
+            </div>
+          </Card>
+        );
+      })}
+    </div>
+  );
+}
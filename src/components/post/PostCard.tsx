@@ -2,6 +2,7 @@
 
 import Link from "next/link";
 import { VoteButtons } from "@/components/vote/VoteButtons";
+import { relatePercent } from "@/lib/utils";
 
 interface PostCardProps {
   id: string;
@@ -10,8 +11,12 @@ interface PostCardProps {
   category: string;
   score: number;
   commentCount: number;
+  meTooCount?: number;
+  respondentCount?: number;
   createdAt: string;
+  editedAt?: string | null;
   username?: string;
+  myVote?: number | null;
 }
 
 export function PostCard({
@@ -21,13 +26,19 @@ export function PostCard({
   category,
   score,
   commentCount,
+  meTooCount = 0,
+  respondentCount = 0,
   createdAt,
+  editedAt,
   username,
+  myVote,
 }: PostCardProps) {
+  const percent = relatePercent(meTooCount, respondentCount);
+
   return (
     <div className="bg-white border border-primary-200 rounded-lg p-4 hover:border-primary-300 transition-colors">
       <div className="flex gap-4">
-        <VoteButtons score={score} postId={id} />
+        <VoteButtons score={score} postId={id} initialVote={myVote} />
         <div className="flex-1 min-w-0">
           <Link href={`/post/${id}`} className="block">
             <h3 className="text-lg font-serif text-primary-900">
@@ -38,8 +49,12 @@ export function PostCard({
           <div className="flex items-center gap-4 mt-3 text-xs text-primary-500">
             <span className="px-2 py-1 bg-primary-100 rounded">{category}</span>
             <span>{commentCount} comments</span>
+            {percent !== null && (
+              <span data-testid="relate-percent">{percent}% of readers relate</span>
+            )}
             <span>{username ? `by ${username}` : "Anonymous"}</span>
             <span suppressHydrationWarning>{new Date(createdAt).toLocaleDateString()}</span>
+            {editedAt && <span data-testid="post-edited">edited</span>}
           </div>
         </div>
       </div>
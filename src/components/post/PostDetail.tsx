@@ -1,10 +1,16 @@
 "use client";
 
 import { useEffect, useState, useCallback } from "react";
+import Link from "next/link";
 import { Card } from "@/components/ui/Card";
 import { VoteButtons } from "@/components/vote/VoteButtons";
+import { MeTooButton } from "@/components/vote/MeTooButton";
 import { CommentList } from "@/components/comment/CommentList";
 import { CommentForm } from "@/components/comment/CommentForm";
+import { ReportButton } from "@/components/moderation/ReportButton";
+import { useMyVotes } from "@/hooks/useMyVotes";
+import { DELETED_CONTENT, HIDDEN_CONTENT } from "@/lib/constants";
+import { isPendingReview } from "@/lib/utils";
 
 interface Post {
   id: string;
@@ -18,7 +24,14 @@ interface Post {
   score: number;
   upvotes: number;
   downvotes: number;
+  meTooCount: number;
+  respondentCount: number;
   createdAt: string;
+  editedAt?: string | null;
+  hiddenAt?: string | null;
+  hiddenReason?: string | null;
+  deletedAt?: string | null;
+  mergedIntoId?: string | null;
 }
 
 interface PostDetailProps {
@@ -40,6 +53,7 @@ export function PostDetail({ postId }: PostDetailProps) {
   const [isLoading, setIsLoading] = useState(true);
   const [commentCount, setCommentCount] = useState(0);
   const [commentListKey, setCommentListKey] = useState(0);
+  const myVotes = useMyVotes({ postIds: [postId] });
 
   const handleCommentsLoaded = useCallback((count: number) => {
     setCommentCount(count);
@@ -119,32 +133,88 @@ export function PostDetail({ postId }: PostDetailProps) {
     );
   }
 
+  const isDeleted = !!post.deletedAt;
+  const isHidden = !isDeleted && !!post.hiddenAt;
+  // Hidden automatically by reports, downvotes or the content filter; readable here, but out of feeds
+  const pendingReview = isHidden && isPendingReview(post.hiddenReason);
+
   return (
     <div className="space-y-6">
       <Card>
         <div className="flex gap-4">
-          <VoteButtons score={post.score} postId={post.id} />
+          {!isDeleted && !isHidden && (
+            <VoteButtons
+              score={post.score}
+              postId={post.id}
+              initialVote={myVotes ? (myVotes.posts[post.id] ?? null) : undefined}
+            />
+          )}
           <div className="flex-1">
-            <h1 className="text-2xl font-serif text-primary-900">
-              Why is it so hard to {post.frustration}?
-            </h1>
-            <p className="text-lg text-primary-600 mt-2">I am {post.identity}</p>
+            {isDeleted ? (
+              <>
+                <h1 className="text-2xl font-serif text-primary-400 italic" data-testid="post-deleted">
+                  {DELETED_CONTENT}
+                </h1>
+                {post.mergedIntoId && (
+                  <p className="mt-2 text-primary-600" data-testid="post-merged">
+                    Merged into{" "}
+                    <Link href={`/post/${post.mergedIntoId}`} className="underline">
+                      an earlier post asking the same thing
+                    </Link>
+                  </p>
+                )}
+              </>
+            ) : isHidden && !pendingReview ? (
+              <h1 className="text-2xl font-serif text-primary-400 italic" data-testid="post-hidden">
+                {HIDDEN_CONTENT}
+              </h1>
+            ) : (
+              <>
+                {pendingReview && (
+                  <p
+                    className="mb-2 text-sm text-primary-500 italic"
+                    data-testid="post-pending-review"
+                  >
+                    This post is hidden pending review by moderators.
+                  </p>
+                )}
+                <h1 className="text-2xl font-serif text-primary-900">
+                  Why is it so hard to {post.frustration}?
+                </h1>
+                <p className="text-lg text-primary-600 mt-2">I am {post.identity}</p>
+              </>
+            )}
             <div className="flex items-center gap-4 mt-4 text-sm text-primary-500">
               <span className="px-2 py-1 bg-primary-100 rounded">{post.category.name}</span>
               <span>{commentCount} comments</span>
               <span>Anonymous</span>
               <span>{formatDate(post.createdAt)}</span>
+              {post.editedAt && !isDeleted && !isHidden && (
+                <span data-testid="post-edited">edited</span>
+              )}
+              {!isDeleted && !isHidden && <ReportButton postId={post.id} />}
             </div>
+            {!isDeleted && !isHidden && (
+              <div className="mt-3 text-sm text-primary-600">
+                <MeTooButton
+                  postId={post.id}
+                  meTooCount={post.meTooCount}
+                  respondentCount={post.respondentCount}
+                />
+              </div>
+            )}
           </div>
         </div>
       </Card>
 
-      <Card>
-        <h2 className="text-lg font-serif font-semibold text-primary-900 mb-4">
-          Add a Comment
-        </h2>
-        <CommentForm postId={postId} onSuccess={handleCommentSuccess} />
-      </Card>
+      {!isDeleted && !isHidden && (
+        <Card>
+          <h2 className="text-lg font-serif font-semibold text-primary-900 mb-4">
+            Add a Comment
+          </h2>
+          <CommentForm postId={postId} onSuccess={handleCommentSuccess} />
+        </Card>
+      )}
 
       <div>
         <h2 className="text-lg font-serif font-semibold text-primary-900 mb-4">
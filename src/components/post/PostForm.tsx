@@ -1,6 +1,7 @@
 "use client";
 
 import { useState, useEffect } from "react";
+import Link from "next/link";
 import { Button } from "@/components/ui/Button";
 import { Input } from "@/components/ui/Input";
 import { Select } from "@/components/ui/Select";
@@ -12,6 +13,13 @@ interface Category {
   slug: string;
 }
 
+interface SimilarPost {
+  id: string;
+  frustration: string;
+  score: number;
+  commentCount: number;
+}
+
 interface PostFormProps {
   onPostCreated?: () => void;
 }
@@ -26,6 +34,7 @@ export function PostForm({ onPostCreated }: PostFormProps) {
   const [categoriesError, setCategoriesError] = useState<string | null>(null);
   const [formError, setFormError] = useState<string | null>(null);
   const [successMessage, setSuccessMessage] = useState<string | null>(null);
+  const [similarPosts, setSimilarPosts] = useState<SimilarPost[]>([]);
 
   useEffect(() => {
     async function fetchCategories() {
@@ -84,6 +93,35 @@ export function PostForm({ onPostCreated }: PostFormProps) {
     fetchCategories();
   }, []);
 
+  // Suggest existing posts asking the same thing while the user types
+  useEffect(() => {
+    const query = frustration.trim();
+    if (query.length < 3) {
+      setSimilarPosts([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(
+          `/api/posts/similar?frustration=${encodeURIComponent(query)}`,
+          { signal: controller.signal }
+        );
+        if (response.ok) {
+          setSimilarPosts(await response.json());
+        }
+      } catch {
+        // Suggestions are best-effort; the form works without them
+      }
+    }, 400);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [frustration]);
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setFormError(null);
@@ -141,6 +179,7 @@ export function PostForm({ onPostCreated }: PostFormProps) {
       setFrustration("");
       setIdentity("");
       setCategoryId("");
+      setSimilarPosts([]);
       setSuccessMessage("Your frustration has been shared!");
 
       // Notify parent component to refresh feed
@@ -184,6 +223,23 @@ export function PostForm({ onPostCreated }: PostFormProps) {
             disabled={isSubmitting}
             required
           />
+          {similarPosts.length > 0 && (
+            <div className="mt-2 text-sm" data-testid="similar-posts">
+              <p className="text-primary-600">Others asked this too:</p>
+              <ul className="mt-1 space-y-1">
+                {similarPosts.map((post) => (
+                  <li key={post.id}>
+                    <Link href={`/post/${post.id}`} className="text-primary-800 underline">
+                      Why is it so hard to {post.frustration}?
+                    </Link>{" "}
+                    <span className="text-primary-500">
+                      ({post.score} points, {post.commentCount} comments)
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
         </div>
         <div>
           <label className="block text-sm font-medium text-primary-700 mb-1">
@@ -2,85 +2,158 @@
 
 import { useState, useEffect, useRef } from "react";
 import { PostCard } from "./PostCard";
+import { Button } from "@/components/ui/Button";
+import { trpc } from "@/lib/trpc";
+import { useMyVotes } from "@/hooks/useMyVotes";
+import { useFeedStore } from "@/stores/feedStore";
+import type { TopWindow } from "@/lib/constants";
+import type { inferRouterOutputs } from "@trpc/server";
+import type { AppRouter } from "@/server/routers/_app";
 
-interface Post {
-  id: string;
-  frustration: string;
-  identity: string;
-  category: string;
-  score: number;
-  commentCount: number;
-  createdAt: string;
-  username?: string;
+const PAGE_SIZE = 20;
+
+// How often to look for posts published since the feed was loaded
+const NEW_POSTS_POLL_MS = 60 * 1000;
+
+// Drop the loaded pages of every feed so the active one starts again from
+// its first page
+function resetFeeds(utils: ReturnType<typeof trpc.useUtils>) {
+  void utils.post.listHot.reset();
+  void utils.post.listNew.reset();
+  void utils.post.listTop.reset();
+}
+
+type FeedPost = inferRouterOutputs<AppRouter>["post"]["listNew"]["posts"][number];
+
+// One loaded page of the feed. The viewer's votes are looked up per page so
+// each page costs a single query and earlier pages aren't asked for again.
+function FeedPage({ posts }: { posts: FeedPost[] }) {
+  const myVotes = useMyVotes({ postIds: posts.map((post) => post.id) });
+
+  return (
+    <>
+      {posts.map((post) => (
+        <PostCard
+          key={post.id}
+          id={post.id}
+          frustration={post.frustration}
+          identity={post.identity}
+          category={post.category.name}
+          score={post.score}
+          commentCount={post.commentCount}
+          meTooCount={post.meTooCount}
+          respondentCount={post.respondentCount}
+          createdAt={post.createdAt.toISOString()}
+          editedAt={post.editedAt?.toISOString() ?? null}
+          username={post.user?.username}
+          myVote={myVotes ? (myVotes.posts[post.id] ?? null) : undefined}
+        />
+      ))}
+    </>
+  );
 }
 
 interface PostListProps {
   sortBy?: "new" | "hot" | "top";
+  topWindow?: TopWindow;
+  // Bumped after the reader publishes a post, so the feed reloads to show it
   refreshKey?: number;
   categorySlug?: string;
 }
 
-export function PostList({ sortBy = "new", refreshKey = 0, categorySlug = "all" }: PostListProps) {
-  const [posts, setPosts] = useState<Post[]>([]);
-  const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState<string | null>(null);
-  const abortControllerRef = useRef<AbortController | null>(null);
+export function PostList({
+  sortBy = "new",
+  topWindow = "all",
+  refreshKey = 0,
+  categorySlug = "all",
+}: PostListProps) {
+  const utils = trpc.useUtils();
+  const category = categorySlug !== "all" ? categorySlug : undefined;
+  const feedKey = `${sortBy}:${sortBy === "top" ? topWindow : ""}:${categorySlug}`;
 
+  // Pages stay cached and are never refetched behind the reader's back, so
+  // the list doesn't jump; newer posts are offered through the banner instead
+  const cacheOptions = { staleTime: Infinity, refetchOnWindowFocus: false };
+  const hot = trpc.post.listHot.useInfiniteQuery(
+    { limit: PAGE_SIZE, categorySlug: category },
+    { ...cacheOptions, enabled: sortBy === "hot", getNextPageParam: (page) => page.nextCursor }
+  );
+  const fresh = trpc.post.listNew.useInfiniteQuery(
+    { limit: PAGE_SIZE, categorySlug: category },
+    { ...cacheOptions, enabled: sortBy === "new", getNextPageParam: (page) => page.nextCursor }
+  );
+  const top = trpc.post.listTop.useInfiniteQuery(
+    { window: topWindow, limit: PAGE_SIZE, categorySlug: category },
+    { ...cacheOptions, enabled: sortBy === "top", getNextPageParam: (page) => page.nextCursor }
+  );
+  const feed = sortBy === "hot" ? hot : sortBy === "top" ? top : fresh;
+  const { data, error, hasNextPage, isFetchingNextPage, fetchNextPage } = feed;
+  const posts = data?.pages.flatMap((page) => page.posts) ?? [];
+
+  // Load the next page as the sentinel below the list comes into view
+  const sentinelRef = useRef<HTMLDivElement>(null);
   useEffect(() => {
-    // Cancel any pending request
-    if (abortControllerRef.current) {
-      abortControllerRef.current.abort();
-    }
-
-    // Create new abort controller for this request
-    const abortController = new AbortController();
-    abortControllerRef.current = abortController;
-
-    // Clear posts when filter changes to avoid showing stale data
-    setPosts([]);
-
-    const fetchPosts = async () => {
-      try {
-        setIsLoading(true);
-        setError(null);
-        let url = `/api/posts?sortBy=${sortBy}`;
-        if (categorySlug && categorySlug !== "all") {
-          url += `&categorySlug=${encodeURIComponent(categorySlug)}`;
-        }
-        const response = await fetch(url, { signal: abortController.signal });
-        if (!response.ok) {
-          throw new Error("Failed to fetch posts");
-        }
-        const data = await response.json();
-        // Only update state if this request wasn't aborted
-        if (!abortController.signal.aborted) {
-          setPosts(data);
-        }
-      } catch (err) {
-        // Ignore abort errors
-        if (err instanceof Error && err.name === 'AbortError') {
-          return;
-        }
-        if (!abortController.signal.aborted) {
-          setError("Failed to load posts");
-        }
-      } finally {
-        if (!abortController.signal.aborted) {
-          setIsLoading(false);
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasNextPage) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting && !isFetchingNextPage) {
+          void fetchNextPage();
         }
-      }
-    };
+      },
+      { rootMargin: "400px" }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasNextPage, isFetchingNextPage, fetchNextPage, posts.length]);
+
+  // Remember where the reader was when they open a post, and scroll back
+  // there once the cached pages render on their way back
+  const { scrollPositions, saveScrollPosition } = useFeedStore();
+  const restoredKeyRef = useRef<string | null>(null);
+  const hasPosts = posts.length > 0;
+  useEffect(() => {
+    if (!hasPosts || restoredKeyRef.current === feedKey) return;
+    restoredKeyRef.current = feedKey;
+    const y = scrollPositions[feedKey];
+    if (y) window.scrollTo(0, y);
+  }, [hasPosts, feedKey, scrollPositions]);
 
-    fetchPosts();
+  // The newest post anywhere in this category; when it isn't in the list
+  // and is newer than everything loaded, offer to reload from the top
+  const newest = trpc.post.listNew.useQuery(
+    { limit: 1, categorySlug: category },
+    { refetchInterval: NEW_POSTS_POLL_MS, refetchOnWindowFocus: false }
+  );
+  const [acknowledgedId, setAcknowledgedId] = useState<string | null>(null);
 
-    // Cleanup: abort the request if dependencies change or component unmounts
-    return () => {
-      abortController.abort();
-    };
-  }, [sortBy, categorySlug, refreshKey]);
+  // Other people's posts wait for the banner, but the reader's own new post
+  // should show up straight away
+  useEffect(() => {
+    if (refreshKey > 0) resetFeeds(utils);
+  }, [refreshKey, utils]);
+
+  const newestPost = newest.data?.posts[0];
+  const newestLoaded = posts.reduce<Date | null>(
+    (latest, post) => (latest && latest >= post.createdAt ? latest : post.createdAt),
+    null
+  );
+  const hasNewPosts =
+    !!newestPost &&
+    !!data &&
+    newestPost.id !== acknowledgedId &&
+    !posts.some((post) => post.id === newestPost.id) &&
+    (!newestLoaded || newestPost.createdAt > newestLoaded);
+
+  const showNewPosts = () => {
+    setAcknowledgedId(newestPost?.id ?? null);
+    window.scrollTo(0, 0);
+    resetFeeds(utils);
+  };
 
   // Show loading only on initial load when no posts exist yet
-  if (isLoading && posts.length === 0) {
+  if (!data && !error) {
     return (
       <div className="space-y-4 mt-4">
         <div className="text-center text-primary-500 py-8">Loading posts...</div>
@@ -88,10 +161,10 @@ export function PostList({ sortBy = "new", refreshKey = 0, categorySlug = "all"
     );
   }
 
-  if (error) {
+  if (error && !data) {
     return (
       <div className="space-y-4 mt-4">
-        <div className="text-center text-red-500 py-8">{error}</div>
+        <div className="text-center text-red-500 py-8">Failed to load posts</div>
       </div>
     );
   }
@@ -105,10 +178,39 @@ export function PostList({ sortBy = "new", refreshKey = 0, categorySlug = "all"
   }
 
   return (
-    <div className="space-y-4 mt-4">
-      {posts.map((post) => (
-        <PostCard key={post.id} {...post} />
+    <div
+      className="space-y-4 mt-4"
+      onClickCapture={() => saveScrollPosition(feedKey, window.scrollY)}
+    >
+      {hasNewPosts && (
+        <div className="sticky top-2 z-10 flex justify-center">
+          <Button size="sm" onClick={showNewPosts} data-testid="new-posts-banner">
+            New posts available
+          </Button>
+        </div>
+      )}
+      {data?.pages.map((page, index) => (
+        <FeedPage key={index} posts={page.posts} />
       ))}
+      <div ref={sentinelRef} />
+      {isFetchingNextPage && (
+        <div className="text-center text-primary-500 py-4" data-testid="load-more-spinner">
+          Loading more posts...
+        </div>
+      )}
+      {error && data && !isFetchingNextPage && (
+        <div className="text-center text-red-500 py-4" role="alert">
+          Failed to load more posts.{" "}
+          <Button variant="ghost" size="sm" onClick={() => void fetchNextPage()}>
+            Retry
+          </Button>
+        </div>
+      )}
+      {!hasNextPage && (
+        <div className="text-center text-primary-400 text-sm py-4" data-testid="no-more-posts">
+          You&apos;re all caught up
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,89 @@
+"use client";
+
+import Link from "next/link";
+import { useState } from "react";
+import { Card } from "@/components/ui/Card";
+import { CategoryFilter } from "@/components/feed/CategoryFilter";
+import { trpc } from "@/lib/trpc";
+
+interface SnippetPart {
+  text: string;
+  match: boolean;
+}
+
+function Snippet({ parts }: { parts: SnippetPart[] }) {
+  return (
+    <>
+      {parts.map((part, i) =>
+        part.match ? (
+          <mark key={i} className="bg-yellow-100 text-inherit">
+            {part.text}
+          </mark>
+        ) : (
+          <span key={i}>{part.text}</span>
+        )
+      )}
+    </>
+  );
+}
+
+interface SearchResultsProps {
+  query: string;
+  categorySlug?: string;
+}
+
+export function SearchResults({ query, categorySlug = "all" }: SearchResultsProps) {
+  const [category, setCategory] = useState(categorySlug);
+  const results = trpc.post.search.useQuery(
+    { query, categorySlug: category === "all" ? undefined : category },
+    { enabled: query.length > 0 }
+  );
+
+  if (!query) {
+    return <p className="text-primary-500 text-sm">Type something in the search box to find posts.</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <CategoryFilter value={category} onChange={setCategory} />
+      {results.isLoading ? (
+        <p className="text-primary-500 text-sm">Searching...</p>
+      ) : results.error ? (
+        <p className="text-red-600" role="alert">
+          Search failed. Please try again.
+        </p>
+      ) : !results.data || results.data.length === 0 ? (
+        <p className="text-primary-500 text-sm" data-testid="search-empty">
+          No posts match your search.
+        </p>
+      ) : (
+        <div className="space-y-4" data-testid="search-results">
+          {results.data.map((result) => (
+            <Card key={result.id}>
+              <div data-testid="search-result">
+                <Link href={`/post/${result.id}`} className="block">
+                  <h3 className="text-lg font-serif text-primary-900">
+                    Why is it so hard to <Snippet parts={result.snippets.frustration} />?
+                  </h3>
+                  <p className="text-sm text-primary-600 mt-1">
+                    I am <Snippet parts={result.snippets.identity} />
+                  </p>
+                </Link>
+                {result.snippets.comment && (
+                  <p className="text-sm text-primary-700 mt-2 italic" data-testid="search-comment-snippet">
+                    &hellip;<Snippet parts={result.snippets.comment.parts} />&hellip;
+                  </p>
+                )}
+                <div className="flex items-center gap-4 mt-3 text-xs text-primary-500">
+                  <span className="px-2 py-1 bg-primary-100 rounded">{result.category.name}</span>
+                  <span>{result.score} points</span>
+                  <span>{result.commentCount} comments</span>
+                </div>
+              </div>
+            </Card>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { Button } from "@/components/ui/Button";
+import { trpc } from "@/lib/trpc";
+import { relatePercent } from "@/lib/utils";
+
+interface MeTooButtonProps {
+  postId: string;
+  meTooCount: number;
+  respondentCount: number;
+}
+
+export function MeTooButton({ postId, meTooCount, respondentCount }: MeTooButtonProps) {
+  const [related, setRelated] = useState(false);
+  const utils = trpc.useUtils();
+  // Votes change respondentCount too, so VoteButtons invalidates this query
+  const breakdown = trpc.vote.meTooBreakdown.useQuery({ postId });
+  const myMeToo = trpc.vote.myMeToo.useQuery({ postId });
+  const counts = breakdown.data ?? { meTooCount, respondentCount };
+
+  useEffect(() => {
+    if (myMeToo.data) setRelated(myMeToo.data.related);
+  }, [myMeToo.data]);
+
+  const toggleMeToo = trpc.vote.toggleMeToo.useMutation({
+    onSuccess: (result) => {
+      setRelated(result.related);
+      utils.vote.meTooBreakdown.setData(
+        { postId },
+        (data) =>
+          data && { ...data, meTooCount: result.meTooCount, respondentCount: result.respondentCount }
+      );
+      utils.vote.meTooBreakdown.invalidate({ postId });
+      utils.vote.myMeToo.setData({ postId }, { related: result.related });
+    },
+  });
+
+  const percent = relatePercent(counts.meTooCount, counts.respondentCount);
+
+  const identities = breakdown.data?.identities ?? [];
+
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center gap-2">
+        <Button
+          variant={related ? "secondary" : "ghost"}
+          size="sm"
+          onClick={() => toggleMeToo.mutate({ postId })}
+          disabled={toggleMeToo.isPending}
+          aria-pressed={related}
+          data-testid="me-too-button"
+        >
+          It&apos;s not just you ({counts.meTooCount})
+        </Button>
+        {percent !== null && (
+          <span data-testid="relate-percent">{percent}% of readers relate</span>
+        )}
+      </div>
+      {identities.length > 0 && (
+        <p className="text-xs text-primary-500" data-testid="me-too-breakdown">
+          Also relating:{" "}
+          {identities.map(({ identity, count }) => `${identity} (${count})`).join(", ")}
+        </p>
+      )}
+    </div>
+  );
+}
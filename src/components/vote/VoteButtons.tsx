@@ -8,32 +8,32 @@ interface VoteButtonsProps {
   score: number;
   postId?: string;
   commentId?: string;
+  // The viewer's existing vote (null for none); undefined while unknown
+  initialVote?: number | null;
 }
 
-// Generate or retrieve anonymous ID for voting
-function getAnonymousId(): string {
-  if (typeof window === "undefined") return "";
-  let id = localStorage.getItem("anonymousVoterId");
-  if (!id) {
-    id = `anon_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
-    localStorage.setItem("anonymousVoterId", id);
-  }
-  return id;
-}
-
-export function VoteButtons({ score, postId, commentId }: VoteButtonsProps) {
+export function VoteButtons({ score, postId, commentId, initialVote }: VoteButtonsProps) {
   const [displayScore, setDisplayScore] = useState(score);
   const [isVoting, setIsVoting] = useState(false);
   // Track user's current vote: null = no vote, 1 = upvoted, -1 = downvoted
-  const [currentVote, setCurrentVote] = useState<number | null>(null);
+  const [currentVote, setCurrentVote] = useState<number | null>(initialVote ?? null);
+  const utils = trpc.useUtils();
 
   // Sync displayScore with prop when it changes
   useEffect(() => {
     setDisplayScore(score);
   }, [score]);
 
+  // Pick up the viewer's vote once it has been loaded
+  useEffect(() => {
+    if (initialVote !== undefined) setCurrentVote(initialVote);
+  }, [initialVote]);
+
   const castPostVote = trpc.vote.castPostVote.useMutation({
-    onSuccess: (result) => {
+    onSuccess: (result, { postId }) => {
+      // A first or withdrawn vote moves the post's respondentCount, which
+      // MeTooButton's percentage reads from the breakdown
+      utils.vote.meTooBreakdown.invalidate({ postId });
       if ('deleted' in result && result.deleted) {
         // Vote was removed - clear current vote
         setCurrentVote(null);
@@ -89,12 +89,10 @@ export function VoteButtons({ score, postId, commentId }: VoteButtonsProps) {
 
     setDisplayScore((prev) => prev + scoreChange);
 
-    const anonymousId = getAnonymousId();
-
     if (commentId) {
-      castCommentVote.mutate({ commentId, value: 1, anonymousId });
+      castCommentVote.mutate({ commentId, value: 1 });
     } else if (postId) {
-      castPostVote.mutate({ postId, value: 1, anonymousId });
+      castPostVote.mutate({ postId, value: 1 });
     }
   };
 
@@ -117,22 +115,21 @@ export function VoteButtons({ score, postId, commentId }: VoteButtonsProps) {
 
     setDisplayScore((prev) => prev + scoreChange);
 
-    const anonymousId = getAnonymousId();
-
     if (commentId) {
-      castCommentVote.mutate({ commentId, value: -1, anonymousId });
+      castCommentVote.mutate({ commentId, value: -1 });
     } else if (postId) {
-      castPostVote.mutate({ postId, value: -1, anonymousId });
+      castPostVote.mutate({ postId, value: -1 });
     }
   };
 
   return (
     <div className="flex flex-col items-center gap-1">
       <Button
-        variant="ghost"
+        variant={currentVote === 1 ? "secondary" : "ghost"}
         size="sm"
         onClick={handleUpvote}
         aria-label="Upvote"
+        aria-pressed={currentVote === 1}
         className="p-1"
         disabled={isVoting}
       >
@@ -152,10 +149,11 @@ export function VoteButtons({ score, postId, commentId }: VoteButtonsProps) {
       </Button>
       <span className="text-sm font-medium text-primary-700" data-testid="vote-score">{displayScore}</span>
       <Button
-        variant="ghost"
+        variant={currentVote === -1 ? "secondary" : "ghost"}
         size="sm"
         onClick={handleDownvote}
         aria-label="Downvote"
+        aria-pressed={currentVote === -1}
         className="p-1"
         disabled={isVoting}
       >
@@ -0,0 +1,48 @@
+"use client";
+
+import { trpc } from "@/lib/trpc";
+import { MY_VOTES_BATCH_SIZE } from "@/lib/constants";
+
+interface UseMyVotesOptions {
+  postIds?: string[];
+  commentIds?: string[];
+}
+
+type MyVotes = { posts: Record<string, number>; comments: Record<string, number> };
+
+function chunk(ids: string[]) {
+  const chunks: string[][] = [];
+  for (let i = 0; i < ids.length; i += MY_VOTES_BATCH_SIZE) {
+    chunks.push(ids.slice(i, i + MY_VOTES_BATCH_SIZE));
+  }
+  return chunks;
+}
+
+// Undefined until every batch has loaded. Module-level so react-query only
+// re-runs it when a batch's result changes.
+function mergeBatches(results: { data?: MyVotes }[]): MyVotes | undefined {
+  if (results.some((result) => !result.data)) return undefined;
+  return results.reduce<MyVotes>(
+    (merged, { data }) => ({
+      posts: { ...merged.posts, ...data!.posts },
+      comments: { ...merged.comments, ...data!.comments },
+    }),
+    { posts: {}, comments: {} }
+  );
+}
+
+// The viewer's votes on a set of posts and comments, one query per batch of
+// ids vote.myVotes accepts. Undefined until loaded; afterwards ids without a
+// vote are missing.
+export function useMyVotes({ postIds = [], commentIds = [] }: UseMyVotesOptions) {
+  const postChunks = chunk(postIds);
+  const commentChunks = chunk(commentIds);
+  const batches = Array.from(
+    { length: Math.max(postChunks.length, commentChunks.length) },
+    (_, i) => ({ postIds: postChunks[i] ?? [], commentIds: commentChunks[i] ?? [] })
+  );
+
+  return trpc.useQueries((t) => batches.map((batch) => t.vote.myVotes(batch)), {
+    combine: mergeBatches,
+  });
+}
@@ -0,0 +1,43 @@
+"use client";
+
+import { useCallback } from "react";
+import { trpc } from "@/lib/trpc";
+
+interface Credentials {
+  username: string;
+  password: string;
+  claimAnonymousHistory?: boolean;
+}
+
+// The signed-in user (null when signed out, undefined while loading), with
+// sign-in and sign-out through the session cookie. Votes, authorship and
+// permissions all depend on who is asking, so both refetch every query.
+export function useSession() {
+  const utils = trpc.useUtils();
+  const { data: user } = trpc.user.me.useQuery();
+
+  const signIn = useCallback(
+    async (credentials: Credentials) => {
+      const response = await fetch("/api/auth/login", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(credentials),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        return { error: (data.error as string | undefined) || "Login failed" };
+      }
+
+      await utils.invalidate();
+      return { error: null };
+    },
+    [utils]
+  );
+
+  const signOut = useCallback(async () => {
+    await fetch("/api/auth/logout", { method: "POST" });
+    await utils.invalidate();
+  }, [utils]);
+
+  return { user, signIn, signOut };
+}
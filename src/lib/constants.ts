@@ -15,17 +15,104 @@ export const RATE_LIMITS = {
     posts: { limit: 5, windowMs: 60 * 60 * 1000 }, // 5 per hour
     votes: { limit: 30, windowMs: 60 * 60 * 1000 }, // 30 per hour
     comments: { limit: 10, windowMs: 60 * 60 * 1000 }, // 10 per hour
+    reports: { limit: 10, windowMs: 60 * 60 * 1000 }, // 10 per hour
   },
   registered: {
     posts: { limit: 20, windowMs: 60 * 60 * 1000 }, // 20 per hour
     votes: { limit: 100, windowMs: 60 * 60 * 1000 }, // 100 per hour
     comments: { limit: 50, windowMs: 60 * 60 * 1000 }, // 50 per hour
+    reports: { limit: 30, windowMs: 60 * 60 * 1000 }, // 30 per hour
   },
 } as const;
 
+// Each comment counts towards the hot score as this fraction of an upvote,
+// so discussion lifts a post without outweighing the votes themselves
+export const HOT_SCORE_COMMENT_WEIGHT = 0.5;
+
+// Time windows for the Top feed, in days; "all" has no cutoff
+export const TOP_WINDOWS = {
+  day: 1,
+  week: 7,
+  month: 30,
+  year: 365,
+  all: null,
+} as const;
+
+export type TopWindow = keyof typeof TOP_WINDOWS;
+
+export const DEFAULT_TOP_WINDOW: TopWindow = "week";
+
+// Rising ranks posts up to maxAgeHours old by the votes they received in the
+// last windowHours, damped by age so a fresh post needs fewer votes to climb
+export const RISING = {
+  maxAgeHours: 24,
+  windowHours: 3,
+  gravity: 1.5,
+} as const;
+
 export const PAGINATION = {
   defaultLimit: 20,
   maxLimit: 50,
 } as const;
 
 export const MAX_COMMENT_DEPTH = 2;
+
+// vote.myVotes takes at most this many post ids and this many comment ids;
+// useMyVotes splits longer lists into batches of this size
+export const MY_VOTES_BATCH_SIZE = 200;
+
+// Deleted posts and comments are shown as this placeholder so replies keep their context
+export const DELETED_CONTENT = "[deleted]";
+
+// Shown instead of content a moderator has hidden
+export const HIDDEN_CONTENT = "[hidden by moderators]";
+
+// Hidden reasons that leave content pending review (collapsed, kept in the
+// moderator queue) rather than hidden by a moderator's decision
+export const PENDING_REVIEW_REASONS = ["reports", "downvotes", "filter"] as const;
+
+// Stored IP hashes are re-salted this often, so old ones can't be matched
+// against new traffic. Override with IP_HASH_ROTATION_HOURS.
+export const IP_HASH_ROTATION_HOURS = 24;
+
+// At most this many different anonymous readers can vote on one post or
+// comment from the same IP within a rotation period. Override with
+// MAX_ANONYMOUS_VOTERS_PER_IP.
+export const MAX_ANONYMOUS_VOTERS_PER_IP = 3;
+
+// What the vote-ring report flags, looking back VOTE_RING_THRESHOLDS.lookbackDays:
+// - sharedIpVoters: anonymous ids voting from one IP hash
+// - burstVotes: votes on one author's content within burstMinutes
+// - singleAuthorVotes: votes by an account that has only voted for one author
+export const VOTE_RING_THRESHOLDS = {
+  lookbackDays: 7,
+  sharedIpVoters: 5,
+  burstVotes: 10,
+  burstMinutes: 10,
+  singleAuthorVotes: 5,
+} as const;
+
+// Content is hidden pending review once it has this many open reports or its
+// score falls to this value. Override with AUTO_HIDE_REPORT_THRESHOLD and
+// AUTO_HIDE_SCORE_THRESHOLD.
+export const AUTO_HIDE_THRESHOLDS = {
+  reports: 5,
+  score: -10,
+} as const;
+
+export const REPORT_REASONS = [
+  { value: "spam", label: "Spam" },
+  { value: "harassment", label: "Harassment" },
+  { value: "hate", label: "Hate speech" },
+  { value: "self_harm", label: "Self-harm" },
+  { value: "misinformation", label: "Misinformation" },
+  { value: "other", label: "Other" },
+] as const;
+
+// Posts whose frustrations share at least this fraction of their words
+// (Jaccard similarity) are offered as "Others asked this too"
+export const DUPLICATE_SIMILARITY_THRESHOLD = 0.5;
+
+// Tombstones are hard-deleted by db:purge-deleted once they are this old
+// and nothing live hangs off them
+export const SOFT_DELETE_RETENTION_DAYS = 30;
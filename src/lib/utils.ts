@@ -1,4 +1,11 @@
 import { type ClassValue, clsx } from "clsx";
+import {
+  HOT_SCORE_COMMENT_WEIGHT,
+  PENDING_REVIEW_REASONS,
+  RISING,
+  TOP_WINDOWS,
+  type TopWindow,
+} from "./constants";
 
 export function cn(...inputs: ClassValue[]) {
   return clsx(inputs);
@@ -7,9 +14,10 @@ export function cn(...inputs: ClassValue[]) {
 export function calculateHotScore(
   upvotes: number,
   downvotes: number,
-  createdAt: Date
+  createdAt: Date,
+  commentCount = 0
 ): number {
-  const score = upvotes - downvotes;
+  const score = upvotes - downvotes + commentCount * HOT_SCORE_COMMENT_WEIGHT;
   const order = Math.log10(Math.max(Math.abs(score), 1));
   const sign = score > 0 ? 1 : score < 0 ? -1 : 0;
   const seconds =
@@ -17,6 +25,43 @@ export function calculateHotScore(
   return sign * order + seconds / 45000;
 }
 
+// Net votes from the last RISING.windowHours, per (age in hours + 2) ^ gravity
+export function calculateRisingScore(
+  recentUpvotes: number,
+  recentDownvotes: number,
+  createdAt: Date,
+  now = new Date()
+): number {
+  const ageHours = Math.max((now.getTime() - createdAt.getTime()) / 3600000, 0);
+  return (recentUpvotes - recentDownvotes) / Math.pow(ageHours + 2, RISING.gravity);
+}
+
+// Total votes raised to how evenly they split: 0 unless a post has both up-
+// and downvotes, highest for many votes split down the middle
+export function calculateControversyScore(upvotes: number, downvotes: number): number {
+  if (upvotes <= 0 || downvotes <= 0) return 0;
+  const balance = upvotes > downvotes ? downvotes / upvotes : upvotes / downvotes;
+  return Math.pow(upvotes + downvotes, balance);
+}
+
+// Earliest createdAt a post can have to appear in the Top feed for `window`
+export function topWindowStart(window: TopWindow, now = new Date()): Date | null {
+  const days = TOP_WINDOWS[window];
+  return days === null ? null : new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+}
+
+// Whether content hidden for `hiddenReason` is waiting for a moderator
+export function isPendingReview(hiddenReason: string | null | undefined): boolean {
+  return (PENDING_REVIEW_REASONS as readonly (string | null | undefined)[]).includes(hiddenReason);
+}
+
+// Share of the readers who voted on or reacted to a post that said "me too",
+// as a whole percentage; null until anyone has responded
+export function relatePercent(meTooCount: number, respondentCount: number): number | null {
+  if (respondentCount <= 0) return null;
+  return Math.round((Math.min(meTooCount, respondentCount) / respondentCount) * 100);
+}
+
 export function formatRelativeTime(date: Date): string {
   const now = new Date();
   const diffInSeconds = Math.floor((now.getTime() - date.getTime()) / 1000);
@@ -28,18 +73,3 @@ export function formatRelativeTime(date: Date): string {
     return `${Math.floor(diffInSeconds / 86400)}d ago`;
   return date.toLocaleDateString();
 }
-
-export function generateAnonymousId(): string {
-  return crypto.randomUUID();
-}
-
-export function hashIp(ip: string): string {
-  // Simple hash for IP - in production, use a proper hashing library
-  let hash = 0;
-  for (let i = 0; i < ip.length; i++) {
-    const char = ip.charCodeAt(i);
-    hash = (hash << 5) - hash + char;
-    hash = hash & hash;
-  }
-  return hash.toString(16);
-}
@@ -10,8 +10,6 @@ export const createPostSchema = z.object({
     .min(1, "Please describe who you are")
     .max(100, "Identity must be less than 100 characters"),
   categoryId: z.string({ required_error: "Please select a category" }).min(1, "Please select a category"),
-  userId: z.string().nullable().optional(),
-  anonymousId: z.string().nullable().optional(),
 });
 
 export const createCommentSchema = z.object({
@@ -22,8 +20,6 @@ export const createCommentSchema = z.object({
     .max(2000, "Comment must be less than 2000 characters"),
   postId: z.string(),
   parentId: z.string().nullable().optional(),
-  userId: z.string().nullable().optional(),
-  anonymousId: z.string().nullable().optional(),
 });
 
 export const registerSchema = z
@@ -49,8 +45,15 @@ export const loginSchema = z.object({
   password: z.string().min(1, "Password is required"),
 });
 
+// A vote is an upvote or a downvote; 0 or fractions would skew the counters
+export const voteValueSchema = z.union([z.literal(1), z.literal(-1)], {
+  errorMap: (_issue, ctx) => ({
+    message: ctx.data === undefined ? "Required" : "Vote value must be 1 or -1",
+  }),
+});
+
 export const voteSchema = z.object({
-  value: z.number().min(-1).max(1),
+  value: voteValueSchema,
 });
 
 export type CreatePostInput = z.infer<typeof createPostSchema>;
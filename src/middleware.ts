@@ -0,0 +1,34 @@
+import { NextResponse, type NextRequest } from "next/server";
+import {
+  ANONYMOUS_ID_COOKIE,
+  ANONYMOUS_ID_MAX_AGE,
+  issueAnonymousId,
+  verifyAnonymousId,
+} from "@/server/anonymousId";
+
+// Give every visitor a signed anonymous id before any page or API handler
+// runs. Missing or tampered cookies are replaced with a fresh id.
+export async function middleware(request: NextRequest) {
+  const current = request.cookies.get(ANONYMOUS_ID_COOKIE)?.value;
+  if (current && (await verifyAnonymousId(current))) {
+    return NextResponse.next();
+  }
+
+  const { value } = await issueAnonymousId();
+
+  // Forward the new cookie so this request's handler already sees the id
+  request.cookies.set(ANONYMOUS_ID_COOKIE, value);
+  const response = NextResponse.next({ request: { headers: request.headers } });
+  response.cookies.set(ANONYMOUS_ID_COOKIE, value, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+    path: "/",
+    maxAge: ANONYMOUS_ID_MAX_AGE,
+  });
+  return response;
+}
+
+export const config = {
+  matcher: ["/((?!_next/static|_next/image|favicon.ico).*)"],
+};
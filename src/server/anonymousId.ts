@@ -0,0 +1,76 @@
+// Anonymous readers are identified by a random id the server issues in an
+// httpOnly cookie, signed so clients can't pick or forge someone else's id.
+// Uses Web Crypto only, so middleware (edge runtime) can issue it too.
+
+export const ANONYMOUS_ID_COOKIE = "anon-id";
+
+// A year; the cookie is what ties an anonymous reader to their posts and votes
+export const ANONYMOUS_ID_MAX_AGE = 60 * 60 * 24 * 365;
+
+const SECRET =
+  process.env.ANONYMOUS_ID_SECRET ||
+  process.env.NEXTAUTH_SECRET ||
+  "development-secret-change-in-production";
+
+let keyPromise: Promise<CryptoKey> | null = null;
+
+function getKey() {
+  keyPromise ??= crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(SECRET),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  return keyPromise;
+}
+
+async function signature(id: string) {
+  const mac = await crypto.subtle.sign("HMAC", await getKey(), new TextEncoder().encode(id));
+  let binary = "";
+  new Uint8Array(mac).forEach((byte) => (binary += String.fromCharCode(byte)));
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+// Cookie value for `id`: the id and its HMAC, dot-separated
+export async function signAnonymousId(id: string) {
+  return `${id}.${await signature(id)}`;
+}
+
+// The id in a cookie value, or null unless it carries a valid signature
+export async function verifyAnonymousId(value: string) {
+  const dot = value.lastIndexOf(".");
+  if (dot <= 0) return null;
+  const id = value.slice(0, dot);
+  const given = value.slice(dot + 1);
+  const expected = await signature(id);
+
+  // Compare in constant time so the signature can't be guessed byte by byte
+  if (given.length !== expected.length) return null;
+  let diff = 0;
+  for (let i = 0; i < expected.length; i++) {
+    diff |= given.charCodeAt(i) ^ expected.charCodeAt(i);
+  }
+  return diff === 0 ? id : null;
+}
+
+// A new anonymous id and the signed cookie value that carries it
+export async function issueAnonymousId() {
+  const id = crypto.randomUUID();
+  return { id, value: await signAnonymousId(id) };
+}
+
+// The verified anonymous id from a request's cookies, if any
+export async function readAnonymousId(headers: Headers) {
+  const value = headers
+    .get("cookie")
+    ?.split(";")
+    .map((cookie) => cookie.trim())
+    .find((cookie) => cookie.startsWith(`${ANONYMOUS_ID_COOKIE}=`))
+    ?.slice(ANONYMOUS_ID_COOKIE.length + 1);
+
+  return value ? verifyAnonymousId(decodeURIComponent(value)) : null;
+}
@@ -0,0 +1,192 @@
+import type { Prisma, PrismaClient } from "@prisma/client";
+import type { DbClient } from "./db";
+import { refreshHotScore } from "./hotScore";
+
+export interface ClaimedHistory {
+  posts: number;
+  comments: number;
+  votes: number;
+  meToos: number;
+  reports: number;
+}
+
+// Posts and comments written with `anonymousId` that no account owns yet
+function unclaimed(anonymousId: string) {
+  return { anonymousId, userId: null };
+}
+
+/**
+ * What a browser's anonymous id has left behind that an account could take
+ * over: live posts and comments, and the votes it cast.
+ */
+export async function countAnonymousHistory(db: DbClient, anonymousId: string) {
+  const [posts, comments, votes] = await Promise.all([
+    db.post.count({ where: { ...unclaimed(anonymousId), deletedAt: null } }),
+    db.comment.count({ where: { ...unclaimed(anonymousId), deletedAt: null } }),
+    db.vote.count({ where: { anonymousId } }),
+  ]);
+  return { posts, comments, votes };
+}
+
+// Posts the reader voted on or said "me too" to, i.e. counts as a respondent of
+async function respondedPosts(tx: Prisma.TransactionClient, where: { userId: string } | { anonymousId: string }) {
+  const [votes, meToos] = await Promise.all([
+    tx.vote.findMany({ where: { ...where, postId: { not: null } }, select: { postId: true } }),
+    tx.meToo.findMany({ where, select: { postId: true } }),
+  ]);
+  return new Set([...votes.map((vote) => vote.postId!), ...meToos.map((meToo) => meToo.postId)]);
+}
+
+/**
+ * Move everything carrying `anonymousId` to the account `userId`, in one
+ * transaction: unowned posts and comments (crediting the votes on them to the
+ * account's karma), and the votes, "me too" reactions and reports it made.
+ * Where the account already voted on, reacted to or reported the same thing,
+ * the account's row is kept and the anonymous one dropped, with the target's
+ * counters and its author's karma moved back as if the vote were withdrawn.
+ * Claimed rows lose their anonymousId, so the cookie alone no longer owns them.
+ */
+export async function claimAnonymousHistory(
+  db: PrismaClient,
+  { userId, anonymousId }: { userId: string; anonymousId: string }
+): Promise<ClaimedHistory> {
+  return db.$transaction(async (tx) => {
+    const owner = { userId, anonymousId: null };
+
+    // The anonymous reader and the account become one respondent
+    const accountPosts = await respondedPosts(tx, { userId });
+    const anonymousPosts = await respondedPosts(tx, { anonymousId });
+    const merged = Array.from(anonymousPosts).filter((postId) => accountPosts.has(postId));
+    if (merged.length > 0) {
+      await tx.post.updateMany({
+        where: { id: { in: merged } },
+        data: { respondentCount: { decrement: 1 } },
+      });
+    }
+
+    // Votes
+    const votes = await tx.vote.findMany({ where: { anonymousId } });
+    const accountVotes = await tx.vote.findMany({
+      where: {
+        userId,
+        OR: [
+          { postId: { in: votes.flatMap((vote) => (vote.postId ? [vote.postId] : [])) } },
+          { commentId: { in: votes.flatMap((vote) => (vote.commentId ? [vote.commentId] : [])) } },
+        ],
+      },
+      select: { postId: true, commentId: true },
+    });
+    const alreadyVoted = new Set(accountVotes.map((vote) => vote.postId ?? vote.commentId));
+    const touchedPosts = new Set<string>();
+    let movedVotes = 0;
+
+    for (const vote of votes) {
+      if (!alreadyVoted.has(vote.postId ?? vote.commentId)) {
+        await tx.vote.update({ where: { id: vote.id }, data: owner });
+        movedVotes++;
+        continue;
+      }
+
+      await tx.vote.delete({ where: { id: vote.id } });
+      const delta = {
+        upvotes: { decrement: Number(vote.value === 1) },
+        downvotes: { decrement: Number(vote.value === -1) },
+        score: { decrement: vote.value },
+      };
+      const target = vote.postId
+        ? await tx.post.update({ where: { id: vote.postId }, data: delta, select: { userId: true } })
+        : await tx.comment.update({ where: { id: vote.commentId! }, data: delta, select: { userId: true } });
+      if (vote.postId) touchedPosts.add(vote.postId);
+
+      if (target.userId) {
+        await tx.user.update({
+          where: { id: target.userId },
+          data: { karma: { decrement: vote.value } },
+        });
+      }
+    }
+
+    // "Me too" reactions
+    const meToos = await tx.meToo.findMany({ where: { anonymousId } });
+    const reacted = new Set(
+      (
+        await tx.meToo.findMany({
+          where: { userId, postId: { in: meToos.map((meToo) => meToo.postId) } },
+          select: { postId: true },
+        })
+      ).map((meToo) => meToo.postId)
+    );
+    let movedMeToos = 0;
+    for (const meToo of meToos) {
+      if (reacted.has(meToo.postId)) {
+        await tx.meToo.delete({ where: { id: meToo.id } });
+        await tx.post.update({
+          where: { id: meToo.postId },
+          data: { meTooCount: { decrement: 1 } },
+        });
+      } else {
+        await tx.meToo.update({ where: { id: meToo.id }, data: owner });
+        movedMeToos++;
+      }
+    }
+
+    // Reports
+    const reports = await tx.report.findMany({ where: { anonymousId } });
+    const reported = new Set(
+      (
+        await tx.report.findMany({
+          where: {
+            userId,
+            OR: [
+              { postId: { in: reports.flatMap((report) => (report.postId ? [report.postId] : [])) } },
+              { commentId: { in: reports.flatMap((report) => (report.commentId ? [report.commentId] : [])) } },
+            ],
+          },
+          select: { postId: true, commentId: true },
+        })
+      ).map((report) => report.postId ?? report.commentId)
+    );
+    let movedReports = 0;
+    for (const report of reports) {
+      if (reported.has(report.postId ?? report.commentId)) {
+        await tx.report.delete({ where: { id: report.id } });
+      } else {
+        await tx.report.update({ where: { id: report.id }, data: owner });
+        movedReports++;
+      }
+    }
+
+    // Posts and comments, crediting the votes they have received
+    const [posts, comments] = await Promise.all([
+      tx.post.findMany({ where: unclaimed(anonymousId), select: { id: true } }),
+      tx.comment.findMany({ where: unclaimed(anonymousId), select: { id: true } }),
+    ]);
+    const postIds = posts.map((post) => post.id);
+    const commentIds = comments.map((comment) => comment.id);
+    await tx.post.updateMany({ where: { id: { in: postIds } }, data: owner });
+    await tx.comment.updateMany({ where: { id: { in: commentIds } }, data: owner });
+
+    const received = await tx.vote.aggregate({
+      where: { OR: [{ postId: { in: postIds } }, { commentId: { in: commentIds } }] },
+      _sum: { value: true },
+    });
+    if (received._sum.value) {
+      await tx.user.update({
+        where: { id: userId },
+        data: { karma: { increment: received._sum.value } },
+      });
+    }
+
+    for (const postId of Array.from(touchedPosts)) {
+      await refreshHotScore(tx, postId);
+    }
+
+    return {
+      posts: postIds.length,
+      comments: commentIds.length,
+      votes: movedVotes,
+      meToos: movedMeToos,
+      reports: movedReports,
+    };
+  });
+}
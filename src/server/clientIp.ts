@@ -0,0 +1,96 @@
+import { createHmac } from "crypto";
+import { IP_HASH_ROTATION_HOURS } from "../lib/constants";
+
+// Headers the client address is read from, first match wins. None by
+// default: a client can send any header, so only list ones your proxy sets
+// or appends to. Without one there is no client IP (see clientIpHash).
+const TRUSTED_PROXY_HEADERS = (process.env.TRUSTED_PROXY_HEADERS || "")
+  .split(",")
+  .map((header) => header.trim().toLowerCase())
+  .filter(Boolean);
+
+// How many proxies you run that append to a list header such as
+// X-Forwarded-For. Entries left of the one the outermost of them appended
+// came from the client and are ignored.
+const hops = Number(process.env.TRUSTED_PROXY_HOPS);
+const TRUSTED_PROXY_HOPS = Number.isInteger(hops) && hops > 0 ? hops : 1;
+
+const IP_HASH_SECRET =
+  process.env.IP_HASH_SECRET ||
+  process.env.NEXTAUTH_SECRET ||
+  "development-secret-change-in-production";
+
+const rotationHours = Number(process.env.IP_HASH_ROTATION_HOURS);
+const ROTATION_MS =
+  (Number.isFinite(rotationHours) && rotationHours > 0 ? rotationHours : IP_HASH_ROTATION_HOURS) *
+  60 * 60 * 1000;
+
+export function getClientIp(headers: Headers): string | null {
+  for (const header of TRUSTED_PROXY_HEADERS) {
+    const entries = headers
+      .get(header)
+      ?.split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+    if (!entries?.length) continue;
+
+    // Proxies append, so the trusted entry is counted from the right
+    const ip = entries[Math.max(entries.length - TRUSTED_PROXY_HOPS, 0)];
+    if (ip) return ip;
+  }
+  return null;
+}
+
+// Loopback traffic is local development or a proxy that isn't forwarding the
+// client address; keying anything on it would put every visitor together.
+export function isLoopbackIp(ip: string): boolean {
+  return ip === "::1" || ip.startsWith("127.") || ip === "::ffff:127.0.0.1";
+}
+
+let cachedSalt: { period: number; salt: Buffer } | null = null;
+
+// The salt for the rotation period `now` falls in, derived from the secret
+// so every instance agrees on it without storing it
+function saltFor(now: Date) {
+  const period = Math.floor(now.getTime() / ROTATION_MS);
+  if (cachedSalt?.period !== period) {
+    const salt = createHmac("sha256", IP_HASH_SECRET).update(`ip-salt:${period}`).digest();
+    cachedSalt = { period, salt };
+  }
+  return cachedSalt.salt;
+}
+
+/**
+ * Keyed hash of a client IP. The same address hashes the same within one
+ * rotation period and differently in the next, so stored hashes can be
+ * compared for abuse checks but not linked to an address, or to each other
+ * across periods, without the secret.
+ */
+export function hashIp(ip: string, now = new Date()): string {
+  return createHmac("sha256", saltFor(now)).update(ip).digest("base64url");
+}
+
+let warnedNoTrustedProxy = false;
+
+/**
+ * The hashed client IP of a request, or null without a usable address (no
+ * trusted proxy header, or loopback). Per-IP rate limits and the anonymous
+ * voter cap are skipped for null rather than putting every such visitor in
+ * one bucket. Production without TRUSTED_PROXY_HEADERS never has an address,
+ * so that is logged as an error once.
+ */
+export function clientIpHash(headers: Headers, now = new Date()): string | null {
+  if (
+    process.env.NODE_ENV === "production" &&
+    TRUSTED_PROXY_HEADERS.length === 0 &&
+    !warnedNoTrustedProxy
+  ) {
+    warnedNoTrustedProxy = true;
+    console.error(
+      "TRUSTED_PROXY_HEADERS is not set: client IPs are unknown, so per-IP rate limits and the anonymous voter cap are off"
+    );
+  }
+
+  const ip = getClientIp(headers);
+  return ip && !isLoopbackIp(ip) ? hashIp(ip, now) : null;
+}
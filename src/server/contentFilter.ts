@@ -0,0 +1,113 @@
+import type { BannedTerm, FilterAction } from "@prisma/client";
+import type { DbClient } from "./db";
+
+export const CONTENT_REJECTED_MESSAGE = "Your submission contains language that isn't allowed";
+
+// Characters commonly swapped in for letters to dodge a filter
+const LEETSPEAK: Record<string, string> = {
+  "0": "o",
+  "1": "i",
+  "3": "e",
+  "4": "a",
+  "5": "s",
+  "7": "t",
+  "8": "b",
+  "@": "a",
+  $: "s",
+  "!": "i",
+  "|": "l",
+  "+": "t",
+};
+
+function normalizeChar(char: string) {
+  const lower = char.toLowerCase();
+  const mapped = LEETSPEAK[lower] ?? lower;
+  return /[a-z]/.test(mapped) ? mapped : null;
+}
+
+/**
+ * Lowercase `text`, undo leetspeak and drop everything that isn't a letter,
+ * so "B @ d" and "b4d" both read "bad". `positions[i]` is the index in `text`
+ * that `normalized[i]` came from.
+ */
+export function normalizeForFilter(text: string) {
+  let normalized = "";
+  const positions: number[] = [];
+  for (let i = 0; i < text.length; i++) {
+    const char = normalizeChar(text[i]);
+    if (char) {
+      normalized += char;
+      positions.push(i);
+    }
+  }
+  return { normalized, positions };
+}
+
+interface TermMatch {
+  start: number;
+  end: number; // exclusive, in the original text
+  action: FilterAction;
+}
+
+/**
+ * Find banned terms in `text`. Spacing and punctuation inside a term are
+ * ignored, but a match must start and end on a word boundary so that a term
+ * hidden inside a longer word ("class", "Scunthorpe") isn't flagged.
+ */
+export function findBannedTerms(text: string, terms: Pick<BannedTerm, "term" | "action">[]) {
+  const { normalized, positions } = normalizeForFilter(text);
+  const isWordChar = (index: number) => index >= 0 && /[a-z0-9]/i.test(text[index] ?? "");
+  const matches: TermMatch[] = [];
+
+  for (const { term, action } of terms) {
+    if (!term) continue;
+    for (let i = normalized.indexOf(term); i !== -1; i = normalized.indexOf(term, i + 1)) {
+      const start = positions[i];
+      const end = positions[i + term.length - 1] + 1;
+      if (!isWordChar(start - 1) && !isWordChar(end)) {
+        matches.push({ start, end, action });
+      }
+    }
+  }
+  return matches;
+}
+
+// Star out the letters of each match, keeping spacing so the text still reads
+function mask(text: string, matches: TermMatch[]) {
+  const chars = text.split("");
+  for (const { start, end } of matches) {
+    for (let i = start; i < end; i++) {
+      if (!/\s/.test(chars[i])) chars[i] = "*";
+    }
+  }
+  return chars.join("");
+}
+
+export type FilterResult<T> =
+  | { rejected: true }
+  | { rejected: false; fields: T; queue: boolean };
+
+/**
+ * Run submitted text fields through the banned-term list. Any `reject` term
+ * rejects the whole submission; otherwise `mask` terms are starred out and
+ * any `queue` term means the content should be hidden pending review.
+ */
+export async function filterContent<T extends Record<string, string>>(
+  db: DbClient,
+  fields: T
+): Promise<FilterResult<T>> {
+  const terms = await db.bannedTerm.findMany({ select: { term: true, action: true } });
+  if (terms.length === 0) return { rejected: false, fields, queue: false };
+
+  const filtered: Record<string, string> = {};
+  let queue = false;
+
+  for (const [key, text] of Object.entries(fields)) {
+    const matches = findBannedTerms(text, terms);
+    if (matches.some((m) => m.action === "reject")) return { rejected: true };
+    if (matches.some((m) => m.action === "queue")) queue = true;
+    filtered[key] = mask(text, matches.filter((m) => m.action === "mask"));
+  }
+
+  return { rejected: false, fields: filtered as T, queue };
+}
@@ -0,0 +1,137 @@
+import { Prisma, type PrismaClient } from "@prisma/client";
+import { DUPLICATE_SIMILARITY_THRESHOLD } from "../lib/constants";
+import { refreshHotScore } from "./hotScore";
+import type { DbClient } from "./db";
+
+// Words that say nothing about what the frustration is
+const STOPWORDS = new Set([
+  "a", "about", "all", "am", "an", "and", "any", "are", "as", "at", "be", "but", "by", "can",
+  "do", "for", "from", "get", "getting", "have", "how", "i", "if", "in", "into", "is", "it",
+  "just", "me", "my", "of", "on", "one", "or", "out", "so", "some", "that", "the", "their",
+  "them", "this", "to", "up", "when", "why", "with", "you", "your",
+]);
+
+/**
+ * Reduce a frustration to the set of words that identify it: lowercased,
+ * punctuation and stopwords dropped and a plural "s" trimmed, so "find a
+ * parking spot?" and "Find parking spots!" give the same tokens.
+ */
+export function tokenizeFrustration(frustration: string) {
+  const words = frustration
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word && !STOPWORDS.has(word))
+    .map((word) =>
+      word.length > 3 && word.endsWith("s") && !word.endsWith("ss") ? word.slice(0, -1) : word
+    );
+  return Array.from(new Set(words)).sort();
+}
+
+interface SimilarPost {
+  id: string;
+  frustration: string;
+  identity: string;
+  score: number;
+  commentCount: number;
+  similarity: number;
+}
+
+/**
+ * Live posts whose frustration shares enough words with `frustration` to be
+ * the same question, most similar first. Postgres finds the posts sharing a
+ * token (GIN index on frustrationTokens), scores each by Jaccard similarity
+ * of the token sets (1 for the same words, 0 for none shared) and ranks by
+ * it before the limit, so a close match is never cut for a popular loose one.
+ */
+export async function findSimilarPosts(
+  db: DbClient,
+  frustration: string,
+  { limit = 5, excludeId }: { limit?: number; excludeId?: string } = {}
+) {
+  const tokens = tokenizeFrustration(frustration);
+  if (tokens.length === 0) return [];
+
+  return db.$queryRaw<SimilarPost[]>`
+    SELECT "id", "frustration", "identity", "score", "commentCount", "similarity"
+    FROM (
+      SELECT p."id", p."frustration", p."identity", p."score", p."commentCount",
+        shared."count"::float8
+          / (cardinality(p."frustrationTokens") + ${tokens.length} - shared."count") AS "similarity"
+      FROM "Post" p
+      CROSS JOIN LATERAL (
+        SELECT COUNT(*)::int AS "count"
+        FROM unnest(p."frustrationTokens") token
+        WHERE token = ANY(${tokens}::text[])
+      ) shared
+      WHERE p."frustrationTokens" && ${tokens}::text[]
+        AND p."deletedAt" IS NULL AND p."hiddenAt" IS NULL
+        ${excludeId ? Prisma.sql`AND p."id" <> ${excludeId}` : Prisma.empty}
+    ) scored
+    WHERE "similarity" >= ${DUPLICATE_SIMILARITY_THRESHOLD}
+    ORDER BY "similarity" DESC, "score" DESC
+    LIMIT ${limit}`;
+}
+
+/**
+ * Merge a duplicate post into the original: its comments move across and it
+ * is tombstoned with `mergedIntoId` pointing at the original. Votes stay on
+ * the duplicate so nobody's karma changes.
+ */
+export async function mergePosts(db: PrismaClient, duplicateId: string, originalId: string) {
+  return db.$transaction(async (tx) => {
+    const { count: moved } = await tx.comment.updateMany({
+      where: { postId: duplicateId },
+      data: { postId: originalId },
+    });
+
+    const liveComments = await tx.comment.count({
+      where: { postId: originalId, deletedAt: null },
+    });
+
+    await tx.post.update({
+      where: { id: originalId },
+      data: { commentCount: liveComments },
+    });
+    await tx.post.update({
+      where: { id: duplicateId },
+      data: { commentCount: 0, mergedIntoId: originalId, deletedAt: new Date() },
+    });
+
+    await refreshHotScore(tx, originalId);
+    await refreshHotScore(tx, duplicateId);
+
+    return { moved };
+  });
+}
+
+// Recompute frustrationTokens for every post, e.g. for posts created before
+// duplicate detection existed. Returns the number of posts updated.
+export async function backfillFrustrationTokens(db: DbClient, batchSize = 500) {
+  let cursor: string | undefined;
+  let updated = 0;
+
+  for (;;) {
+    const posts = await db.post.findMany({
+      take: batchSize,
+      skip: cursor ? 1 : undefined,
+      cursor: cursor ? { id: cursor } : undefined,
+      orderBy: { id: "asc" },
+      select: { id: true, frustration: true },
+    });
+
+    if (posts.length === 0) break;
+
+    for (const post of posts) {
+      await db.post.update({
+        where: { id: post.id },
+        data: { frustrationTokens: tokenizeFrustration(post.frustration) },
+      });
+    }
+
+    updated += posts.length;
+    cursor = posts[posts.length - 1].id;
+  }
+
+  return updated;
+}
@@ -0,0 +1,74 @@
+import type { DbClient } from "./db";
+import { calculateControversyScore, calculateHotScore } from "../lib/utils";
+
+/**
+ * Recompute a post's hotScore, and its controversyScore, from its current
+ * vote and comment counters. Call after anything that changes upvotes,
+ * downvotes or commentCount.
+ */
+export async function refreshHotScore(db: DbClient, postId: string) {
+  const post = await db.post.findUnique({
+    where: { id: postId },
+    select: { upvotes: true, downvotes: true, commentCount: true, createdAt: true },
+  });
+
+  if (!post) return null;
+
+  const hotScore = calculateHotScore(
+    post.upvotes,
+    post.downvotes,
+    post.createdAt,
+    post.commentCount
+  );
+
+  await db.post.update({
+    where: { id: postId },
+    data: {
+      hotScore,
+      controversyScore: calculateControversyScore(post.upvotes, post.downvotes),
+    },
+  });
+
+  return hotScore;
+}
+
+/**
+ * Recompute hotScore and controversyScore for every post, in id order and in
+ * batches so large tables don't have to fit in memory. Returns the number of posts updated.
+ */
+export async function recalculateAllHotScores(db: DbClient, batchSize = 500) {
+  let cursor: string | undefined;
+  let updated = 0;
+
+  for (;;) {
+    const posts = await db.post.findMany({
+      take: batchSize,
+      skip: cursor ? 1 : undefined,
+      cursor: cursor ? { id: cursor } : undefined,
+      orderBy: { id: "asc" },
+      select: { id: true, upvotes: true, downvotes: true, commentCount: true, createdAt: true },
+    });
+
+    if (posts.length === 0) break;
+
+    for (const post of posts) {
+      await db.post.update({
+        where: { id: post.id },
+        data: {
+          hotScore: calculateHotScore(
+            post.upvotes,
+            post.downvotes,
+            post.createdAt,
+            post.commentCount
+          ),
+          controversyScore: calculateControversyScore(post.upvotes, post.downvotes),
+        },
+      });
+    }
+
+    updated += posts.length;
+    cursor = posts[posts.length - 1].id;
+  }
+
+  return updated;
+}
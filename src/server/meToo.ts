@@ -0,0 +1,133 @@
+import type { Prisma, PrismaClient } from "@prisma/client";
+import { TRPCError } from "@trpc/server";
+import type { DbClient } from "./db";
+
+// A reader is identified the same way as a voter: by anonymousId when one is
+// given, otherwise by account
+export interface Reader {
+  userId: string | null;
+  anonymousId?: string;
+}
+
+// The reader making a request: signed-in users act as their account, like
+// reporters do; everyone else as the anonymous id from their cookie
+export function contextReader(ctx: { userId: string | null; anonymousId: string | null }): Reader {
+  return ctx.userId ? { userId: ctx.userId } : { userId: null, anonymousId: ctx.anonymousId ?? undefined };
+}
+
+export function readerWhere(reader: Reader) {
+  return reader.anonymousId ? { anonymousId: reader.anonymousId } : { userId: reader.userId };
+}
+
+export function hasIdentity(reader: Reader) {
+  return Boolean(reader.anonymousId || reader.userId);
+}
+
+export async function hasVoted(db: DbClient, postId: string, reader: Reader) {
+  const vote = await db.vote.findFirst({ where: { postId, ...readerWhere(reader) } });
+  return vote !== null;
+}
+
+export async function hasMeToo(db: DbClient, postId: string, reader: Reader) {
+  const meToo = await db.meToo.findFirst({ where: { postId, ...readerWhere(reader) } });
+  return meToo !== null;
+}
+
+// The "I am..." the reader gave on their latest post, for the breakdown
+async function readerIdentity(db: DbClient, reader: Reader) {
+  const post = await db.post.findFirst({
+    where: { ...readerWhere(reader), deletedAt: null },
+    orderBy: { createdAt: "desc" },
+    select: { identity: true },
+  });
+  // Lowercased so "A nurse" and "a nurse" are grouped together
+  return post ? post.identity.trim().toLowerCase() : null;
+}
+
+/**
+ * Add or take back the reader's "it's not just you" on a post. Moves
+ * meTooCount, and respondentCount when the reader hasn't also voted, in the
+ * same transaction; the post row is locked like in castVote so concurrent
+ * clicks apply one after the other.
+ */
+export async function toggleMeToo(db: PrismaClient, postId: string, reader: Reader) {
+  return db.$transaction(async (tx: Prisma.TransactionClient) => {
+    const locked = await tx.$queryRaw<{ deletedAt: Date | null }[]>`
+      SELECT "deletedAt" FROM "Post" WHERE "id" = ${postId} FOR UPDATE`;
+
+    if (locked.length === 0) {
+      throw new TRPCError({
+        code: "NOT_FOUND",
+        message: "Post not found",
+      });
+    }
+    if (locked[0].deletedAt) {
+      throw new TRPCError({
+        code: "BAD_REQUEST",
+        message: "Cannot react to deleted content",
+      });
+    }
+
+    const existing = await tx.meToo.findFirst({ where: { postId, ...readerWhere(reader) } });
+    const step = existing ? -1 : 1;
+
+    if (existing) {
+      await tx.meToo.delete({ where: { id: existing.id } });
+    } else {
+      // As with votes, an anonymousId keeps the reaction anonymous
+      await tx.meToo.create({
+        data: {
+          postId,
+          userId: reader.anonymousId ? null : reader.userId,
+          anonymousId: reader.anonymousId,
+          identity: await readerIdentity(tx, reader),
+        },
+      });
+    }
+
+    const voted = await hasVoted(tx, postId, reader);
+    const post = await tx.post.update({
+      where: { id: postId },
+      data: {
+        meTooCount: { increment: step },
+        ...(voted ? {} : { respondentCount: { increment: step } }),
+      },
+      select: { meTooCount: true, respondentCount: true },
+    });
+
+    return { related: !existing, ...post };
+  });
+}
+
+/**
+ * How the readers who relate to a post describe themselves, most common
+ * first, with the post's current meTooCount and respondentCount. Readers who
+ * have never posted have no identity and are counted in `unknown`.
+ */
+export async function meTooBreakdown(db: DbClient, postId: string, limit = 5) {
+  const [groups, post] = await Promise.all([
+    db.meToo.groupBy({
+      by: ["identity"],
+      where: { postId },
+      _count: { _all: true },
+    }),
+    db.post.findUnique({
+      where: { id: postId },
+      select: { meTooCount: true, respondentCount: true },
+    }),
+  ]);
+
+  const unknown = groups.find((group) => group.identity === null)?._count._all ?? 0;
+  const identities = groups
+    .filter((group) => group.identity !== null)
+    .map((group) => ({ identity: group.identity!, count: group._count._all }))
+    .sort((a, b) => b.count - a.count || a.identity.localeCompare(b.identity))
+    .slice(0, limit);
+
+  return {
+    identities,
+    unknown,
+    meTooCount: post?.meTooCount ?? 0,
+    respondentCount: post?.respondentCount ?? 0,
+  };
+}
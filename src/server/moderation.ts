@@ -0,0 +1,144 @@
+import type { HiddenReason, PrismaClient, ReportStatus } from "@prisma/client";
+import { AUTO_HIDE_THRESHOLDS } from "../lib/constants";
+import { softDeleteComment, softDeletePost } from "./softDelete";
+import type { DbClient } from "./db";
+
+export type ReportTarget = { postId: string } | { commentId: string };
+
+export type ModerationAction = "dismiss" | "hide" | "restore" | "remove";
+
+const STATUS_FOR_ACTION: Record<ModerationAction, ReportStatus> = {
+  dismiss: "dismissed",
+  hide: "hidden",
+  restore: "dismissed",
+  remove: "removed",
+};
+
+function threshold(name: string, fallback: number) {
+  const value = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(value) ? value : fallback;
+}
+
+const REPORT_THRESHOLD = threshold("AUTO_HIDE_REPORT_THRESHOLD", AUTO_HIDE_THRESHOLDS.reports);
+const SCORE_THRESHOLD = threshold("AUTO_HIDE_SCORE_THRESHOLD", AUTO_HIDE_THRESHOLDS.score);
+
+/**
+ * Hide a post or comment pending review once it has REPORT_THRESHOLD open
+ * reports. Returns true if this call hid it.
+ */
+export async function hideIfReported(db: DbClient, target: ReportTarget) {
+  const openReports = await db.report.count({ where: { ...target, status: "open" } });
+  if (openReports < REPORT_THRESHOLD) return false;
+
+  const where = { hiddenAt: null, deletedAt: null };
+  const data = { hiddenAt: new Date(), hiddenReason: "reports" as const };
+  const { count } =
+    "postId" in target
+      ? await db.post.updateMany({ where: { id: target.postId, ...where }, data })
+      : await db.comment.updateMany({ where: { id: target.commentId, ...where }, data });
+  return count > 0;
+}
+
+/**
+ * Hide a post or comment pending review once its score falls to
+ * SCORE_THRESHOLD. Content a moderator has already restored is left alone,
+ * so the same downvotes can't hide it again.
+ */
+export async function hideIfDownvoted(
+  db: DbClient,
+  target: "post" | "comment",
+  content: { id: string; score: number; hiddenAt: Date | null; reviewedAt: Date | null }
+) {
+  if (content.hiddenAt || content.reviewedAt || content.score > SCORE_THRESHOLD) return false;
+
+  const data = { hiddenAt: new Date(), hiddenReason: "downvotes" as const };
+  if (target === "post") {
+    await db.post.update({ where: { id: content.id }, data });
+  } else {
+    await db.comment.update({ where: { id: content.id }, data });
+  }
+  return true;
+}
+
+/**
+ * Show a post or comment that hideIfDownvoted hid once its score is back
+ * above SCORE_THRESHOLD, as when the votes that sank it are voided. Content
+ * hidden for any other reason stays hidden. Returns true if this call
+ * showed it.
+ */
+export async function unhideIfRecovered(
+  db: DbClient,
+  target: "post" | "comment",
+  content: { id: string; score: number; hiddenReason: HiddenReason | null }
+) {
+  if (content.hiddenReason !== "downvotes" || content.score <= SCORE_THRESHOLD) return false;
+
+  const data = { hiddenAt: null, hiddenReason: null };
+  if (target === "post") {
+    await db.post.update({ where: { id: content.id }, data });
+  } else {
+    await db.comment.update({ where: { id: content.id }, data });
+  }
+  return true;
+}
+
+// Hide a post or comment pending review because the content filter flagged it
+export async function holdForReview(db: DbClient, target: ReportTarget) {
+  const data = { hiddenAt: new Date(), hiddenReason: "filter" as const };
+  if ("postId" in target) {
+    await db.post.updateMany({ where: { id: target.postId, hiddenAt: null }, data });
+  } else {
+    await db.comment.updateMany({ where: { id: target.commentId, hiddenAt: null }, data });
+  }
+}
+
+/**
+ * Apply a moderator's decision to a reported or hidden post or comment and
+ * close every open report against it with that decision. `hide` masks the
+ * content but keeps it restorable; `restore` makes hidden content visible
+ * again and exempts it from the downvote threshold; `remove` soft-deletes it
+ * like an author delete would. Returns the number of reports closed.
+ */
+export async function resolveReports(
+  db: PrismaClient,
+  target: ReportTarget,
+  decision: { action: ModerationAction; moderatorId: string; note?: string }
+) {
+  const data =
+    decision.action === "hide"
+      ? { hiddenAt: new Date(), hiddenReason: "moderator" as const }
+      : decision.action === "restore"
+        ? { hiddenAt: null, hiddenReason: null, reviewedAt: new Date() }
+        : null;
+
+  return db.$transaction(async (tx) => {
+    if ("postId" in target) {
+      if (data) {
+        await tx.post.update({ where: { id: target.postId }, data });
+      } else if (decision.action === "remove") {
+        await softDeletePost(tx, target.postId);
+      }
+    } else {
+      if (data) {
+        await tx.comment.update({ where: { id: target.commentId }, data });
+      } else if (decision.action === "remove") {
+        const comment = await tx.comment.findUniqueOrThrow({
+          where: { id: target.commentId },
+          select: { id: true, postId: true },
+        });
+        await softDeleteComment(tx, comment);
+      }
+    }
+
+    const { count } = await tx.report.updateMany({
+      where: { ...target, status: "open" },
+      data: {
+        status: STATUS_FOR_ACTION[decision.action],
+        resolvedById: decision.moderatorId,
+        resolvedAt: new Date(),
+        resolutionNote: decision.note,
+      },
+    });
+    return count;
+  });
+}
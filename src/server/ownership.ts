@@ -0,0 +1,66 @@
+import { TRPCError } from "@trpc/server";
+import type { DbClient } from "./db";
+import { getUserRole, hasRole } from "./roles";
+
+interface OwnedContent {
+  userId: string | null;
+  anonymousId: string | null;
+}
+
+interface Caller {
+  userId: string | null;
+  anonymousId?: string | null;
+}
+
+// The anonymousId content was posted with links everything one anonymous
+// reader wrote, so it must never reach other readers
+export function withoutAnonymousId<T extends { anonymousId: string | null }>(
+  content: T
+): Omit<T, "anonymousId"> {
+  const { anonymousId: _anonymousId, ...rest } = content;
+  return rest;
+}
+
+// Content with an account is owned by that account only: the anonymous
+// cookie stays on the browser after sign-out, for whoever uses it next
+export function isAuthor(content: OwnedContent, caller: Caller): boolean {
+  if (content.userId) return content.userId === caller.userId;
+  return !!content.anonymousId && content.anonymousId === caller.anonymousId;
+}
+
+function assertIdentified(caller: Caller) {
+  if (!caller.userId && !caller.anonymousId) {
+    throw new TRPCError({ code: "UNAUTHORIZED", message: "Not authenticated" });
+  }
+}
+
+// Throw unless the caller wrote `content`; moderators get no exception
+export function assertIsAuthor(
+  content: OwnedContent,
+  caller: Caller,
+  message = "You can only modify your own content"
+) {
+  assertIdentified(caller);
+
+  if (!isAuthor(content, caller)) {
+    throw new TRPCError({ code: "FORBIDDEN", message });
+  }
+}
+
+/**
+ * Throw unless the caller wrote `content` (registered authors by userId,
+ * anonymous authors by the anonymousId they posted with) or is a moderator.
+ */
+export async function assertCanModify(
+  db: DbClient,
+  content: OwnedContent,
+  caller: Caller,
+  message = "You can only modify your own content"
+) {
+  assertIdentified(caller);
+
+  if (isAuthor(content, caller)) return;
+  if (hasRole(await getUserRole(db, caller.userId), "moderator")) return;
+
+  throw new TRPCError({ code: "FORBIDDEN", message });
+}
@@ -0,0 +1,91 @@
+import type { Post, Prisma } from "@prisma/client";
+
+// Columns each feed is ordered by, all descending. id comes last so every
+// post has exactly one position even when scores and timestamps tie.
+export const FEED_SORT_KEYS = {
+  hot: ["hotScore", "createdAt", "id"],
+  new: ["createdAt", "id"],
+  top: ["score", "createdAt", "id"],
+  controversial: ["controversyScore", "createdAt", "id"],
+} as const;
+
+export type FeedSort = keyof typeof FEED_SORT_KEYS;
+
+type SortKey = (typeof FEED_SORT_KEYS)[FeedSort][number];
+type CursorValues = Partial<Pick<Post, SortKey>>;
+
+export function isFeedSort(value: string): value is FeedSort {
+  return Object.keys(FEED_SORT_KEYS).includes(value);
+}
+
+export function feedOrderBy(sort: FeedSort): Prisma.PostOrderByWithRelationInput[] {
+  return FEED_SORT_KEYS[sort].map((key) => ({ [key]: "desc" as const }));
+}
+
+/**
+ * Opaque cursor for the position right after `post` in the `sort` order:
+ * the post's sort key values, base64url-encoded so clients don't rely on
+ * the format.
+ */
+export function encodeCursor(sort: FeedSort, post: Pick<Post, SortKey>) {
+  const values = FEED_SORT_KEYS[sort].map((key) => {
+    const value = post[key];
+    return value instanceof Date ? value.toISOString() : value;
+  });
+  return Buffer.from(JSON.stringify(values)).toString("base64url");
+}
+
+// The sort key values in a cursor, or null when it wasn't made by
+// encodeCursor for this sort
+export function decodeCursor(sort: FeedSort, cursor: string): CursorValues | null {
+  const keys: readonly SortKey[] = FEED_SORT_KEYS[sort];
+  let values: unknown;
+  try {
+    values = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(values) || values.length !== keys.length) return null;
+
+  const decoded: CursorValues = {};
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i];
+    const value: unknown = values[i];
+    if (key === "createdAt") {
+      const date = typeof value === "string" ? new Date(value) : null;
+      if (!date || isNaN(date.getTime())) return null;
+      decoded.createdAt = date;
+    } else if (key === "id") {
+      if (typeof value !== "string") return null;
+      decoded.id = value;
+    } else {
+      if (typeof value !== "number") return null;
+      decoded[key] = value;
+    }
+  }
+  return decoded;
+}
+
+/**
+ * Filter for the posts after a cursor: those that sort strictly lower on the
+ * first key, or tie on it and sort lower on the next, and so on. Unlike an id
+ * cursor this still works when the cursor post's score has changed or it has
+ * been deleted since the page was served.
+ */
+export function keysetWhere(sort: FeedSort, cursor: CursorValues): Prisma.PostWhereInput {
+  const keys = FEED_SORT_KEYS[sort];
+  return {
+    OR: keys.map((key, i) => ({
+      ...Object.fromEntries(keys.slice(0, i).map((tied) => [tied, cursor[tied]])),
+      [key]: { lt: cursor[key] },
+    })),
+  };
+}
+
+// Trim the extra row fetched to detect a next page and build its cursor
+export function toFeedPage<T extends Pick<Post, SortKey>>(sort: FeedSort, rows: T[], limit: number) {
+  const hasMore = rows.length > limit;
+  const posts = hasMore ? rows.slice(0, limit) : rows;
+  const nextCursor = hasMore ? encodeCursor(sort, posts[posts.length - 1]) : null;
+  return { posts, nextCursor };
+}
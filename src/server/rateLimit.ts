@@ -0,0 +1,153 @@
+import { NextResponse } from "next/server";
+import { prisma } from "./db";
+import { RATE_LIMITS } from "../lib/constants";
+
+export type RateLimitAction = keyof typeof RATE_LIMITS.anonymous;
+
+export interface RateLimitHit {
+  count: number;
+  resetAt: Date;
+}
+
+export interface RateLimitStore {
+  // Record one hit against `key` in the current fixed window and return the new count
+  hit(key: string, windowMs: number): Promise<RateLimitHit>;
+}
+
+export interface RateLimitResult {
+  allowed: boolean;
+  limit: number;
+  remaining: number;
+  retryAfterSeconds: number;
+}
+
+interface RateLimitIdentity {
+  userId?: string | null;
+  anonymousId?: string | null;
+  ipHash?: string | null;
+}
+
+// Fixed-window counter kept in process memory. Good for development, tests and
+// single-instance deployments; counts are lost on restart and not shared.
+export class MemoryRateLimitStore implements RateLimitStore {
+  private buckets = new Map<string, RateLimitHit>();
+
+  async hit(key: string, windowMs: number): Promise<RateLimitHit> {
+    const now = Date.now();
+    const bucket = this.buckets.get(key);
+
+    if (!bucket || bucket.resetAt.getTime() <= now) {
+      const fresh = { count: 1, resetAt: new Date(now + windowMs) };
+      this.buckets.set(key, fresh);
+      this.sweep(now);
+      return fresh;
+    }
+
+    bucket.count += 1;
+    return { ...bucket };
+  }
+
+  private sweep(now: number) {
+    // Drop expired buckets occasionally so the map doesn't grow forever
+    if (this.buckets.size < 10000) return;
+    this.buckets.forEach((bucket, key) => {
+      if (bucket.resetAt.getTime() <= now) {
+        this.buckets.delete(key);
+      }
+    });
+  }
+}
+
+// Fixed-window counter stored in Postgres so every app instance sees the same counts
+export class PrismaRateLimitStore implements RateLimitStore {
+  async hit(key: string, windowMs: number): Promise<RateLimitHit> {
+    const now = Date.now();
+    const windowStart = new Date(now - (now % windowMs));
+    const resetAt = new Date(windowStart.getTime() + windowMs);
+
+    const bucket = await prisma.rateLimitBucket.upsert({
+      where: { key_windowStart: { key, windowStart } },
+      create: { key, windowStart, expiresAt: resetAt, count: 1 },
+      update: { count: { increment: 1 } },
+    });
+
+    // Clean up expired windows now and then instead of on every request
+    if (Math.random() < 0.01) {
+      await prisma.rateLimitBucket.deleteMany({
+        where: { expiresAt: { lt: new Date(now) } },
+      });
+    }
+
+    return { count: bucket.count, resetAt };
+  }
+}
+
+function createRateLimitStore(): RateLimitStore | null {
+  const kind = process.env.RATE_LIMIT_STORE || "memory";
+  if (kind === "off") return null;
+  if (kind === "postgres") return new PrismaRateLimitStore();
+  return new MemoryRateLimitStore();
+}
+
+const globalForRateLimit = globalThis as unknown as {
+  rateLimitStore: RateLimitStore | null | undefined;
+};
+
+const store: RateLimitStore | null =
+  globalForRateLimit.rateLimitStore !== undefined
+    ? globalForRateLimit.rateLimitStore
+    : createRateLimitStore();
+
+if (process.env.NODE_ENV !== "production") globalForRateLimit.rateLimitStore = store;
+
+/**
+ * Count one `action` against every key that identifies the caller and report
+ * whether the RATE_LIMITS table still allows it. Registered users are limited
+ * by the userId of their session, never one taken from the request body.
+ * Anonymous callers are limited by hashed IP: the middleware mints a new
+ * anonymousId for any request without the cookie, so the anonymousId key
+ * only holds back clients that keep it.
+ */
+export async function checkRateLimit(
+  action: RateLimitAction,
+  identity: RateLimitIdentity
+): Promise<RateLimitResult> {
+  const tier = identity.userId ? RATE_LIMITS.registered : RATE_LIMITS.anonymous;
+  const { limit, windowMs } = tier[action];
+
+  const keys: string[] = [];
+  if (identity.userId) {
+    keys.push(`${action}:user:${identity.userId}`);
+  } else {
+    if (identity.anonymousId) keys.push(`${action}:anon:${identity.anonymousId}`);
+    if (identity.ipHash) keys.push(`${action}:ip:${identity.ipHash}`);
+  }
+
+  if (!store || keys.length === 0) {
+    return { allowed: true, limit, remaining: limit, retryAfterSeconds: 0 };
+  }
+
+  const hits = await Promise.all(keys.map((key) => store.hit(key, windowMs)));
+  const worst = hits.reduce((a, b) => (b.count > a.count ? b : a));
+
+  const allowed = worst.count <= limit;
+  return {
+    allowed,
+    limit,
+    remaining: Math.max(limit - worst.count, 0),
+    retryAfterSeconds: allowed
+      ? 0
+      : Math.max(Math.ceil((worst.resetAt.getTime() - Date.now()) / 1000), 1),
+  };
+}
+
+// 429 response for the REST routes, mirroring the tRPC TOO_MANY_REQUESTS error
+export function rateLimitExceededResponse(result: RateLimitResult) {
+  return NextResponse.json(
+    { error: `Rate limit exceeded. Try again in ${result.retryAfterSeconds} seconds` },
+    {
+      status: 429,
+      headers: { "Retry-After": String(result.retryAfterSeconds) },
+    }
+  );
+}
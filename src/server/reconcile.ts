@@ -0,0 +1,222 @@
+import type { DbClient } from "./db";
+import { refreshHotScore } from "./hotScore";
+
+export interface CounterDrift {
+  model: "post" | "comment" | "user";
+  id: string;
+  field: string;
+  stored: number;
+  actual: number;
+}
+
+export interface ReconcileReport {
+  drift: CounterDrift[];
+  repaired: boolean;
+}
+
+interface PostCounters {
+  id: string;
+  upvotes: number;
+  downvotes: number;
+  score: number;
+  commentCount: number;
+  meTooCount: number;
+  respondentCount: number;
+  actualUpvotes: number;
+  actualDownvotes: number;
+  actualScore: number;
+  actualCommentCount: number;
+  actualMeTooCount: number;
+  actualRespondentCount: number;
+}
+
+interface CommentCounters {
+  id: string;
+  upvotes: number;
+  downvotes: number;
+  score: number;
+  actualUpvotes: number;
+  actualDownvotes: number;
+  actualScore: number;
+}
+
+interface UserCounters {
+  id: string;
+  karma: number;
+  actualKarma: number;
+}
+
+// Posts whose vote, comment or me-too counters disagree with the Vote, Comment
+// and MeToo rows. Tombstoned comments don't count towards commentCount, and a
+// reader who both voted and said "me too" is one respondent.
+function findPostDrift(db: DbClient) {
+  return db.$queryRaw<PostCounters[]>`
+    SELECT p."id", p."upvotes", p."downvotes", p."score", p."commentCount",
+      p."meTooCount", p."respondentCount",
+      COALESCE(v."up", 0)::int AS "actualUpvotes",
+      COALESCE(v."down", 0)::int AS "actualDownvotes",
+      COALESCE(v."total", 0)::int AS "actualScore",
+      COALESCE(c."count", 0)::int AS "actualCommentCount",
+      COALESCE(m."count", 0)::int AS "actualMeTooCount",
+      COALESCE(r."count", 0)::int AS "actualRespondentCount"
+    FROM "Post" p
+    LEFT JOIN (
+      SELECT "postId",
+        COUNT(*) FILTER (WHERE "value" = 1) AS "up",
+        COUNT(*) FILTER (WHERE "value" = -1) AS "down",
+        SUM("value") AS "total"
+      FROM "Vote" WHERE "postId" IS NOT NULL GROUP BY "postId"
+    ) v ON v."postId" = p."id"
+    LEFT JOIN (
+      SELECT "postId", COUNT(*) AS "count" FROM "Comment"
+      WHERE "deletedAt" IS NULL GROUP BY "postId"
+    ) c ON c."postId" = p."id"
+    LEFT JOIN (
+      SELECT "postId", COUNT(*) AS "count" FROM "MeToo" GROUP BY "postId"
+    ) m ON m."postId" = p."id"
+    LEFT JOIN (
+      SELECT "postId", COUNT(DISTINCT "reader") AS "count" FROM (
+        SELECT "postId", COALESCE("anonymousId", "userId") AS "reader"
+        FROM "Vote" WHERE "postId" IS NOT NULL
+        UNION ALL
+        SELECT "postId", COALESCE("anonymousId", "userId") FROM "MeToo"
+      ) readers GROUP BY "postId"
+    ) r ON r."postId" = p."id"
+    WHERE p."upvotes" <> COALESCE(v."up", 0)
+      OR p."downvotes" <> COALESCE(v."down", 0)
+      OR p."score" <> COALESCE(v."total", 0)
+      OR p."commentCount" <> COALESCE(c."count", 0)
+      OR p."meTooCount" <> COALESCE(m."count", 0)
+      OR p."respondentCount" <> COALESCE(r."count", 0)`;
+}
+
+function findCommentDrift(db: DbClient) {
+  return db.$queryRaw<CommentCounters[]>`
+    SELECT c."id", c."upvotes", c."downvotes", c."score",
+      COALESCE(v."up", 0)::int AS "actualUpvotes",
+      COALESCE(v."down", 0)::int AS "actualDownvotes",
+      COALESCE(v."total", 0)::int AS "actualScore"
+    FROM "Comment" c
+    LEFT JOIN (
+      SELECT "commentId",
+        COUNT(*) FILTER (WHERE "value" = 1) AS "up",
+        COUNT(*) FILTER (WHERE "value" = -1) AS "down",
+        SUM("value") AS "total"
+      FROM "Vote" WHERE "commentId" IS NOT NULL GROUP BY "commentId"
+    ) v ON v."commentId" = c."id"
+    WHERE c."upvotes" <> COALESCE(v."up", 0)
+      OR c."downvotes" <> COALESCE(v."down", 0)
+      OR c."score" <> COALESCE(v."total", 0)`;
+}
+
+// Karma is the sum of every vote cast on the user's posts and comments
+function findUserDrift(db: DbClient) {
+  return db.$queryRaw<UserCounters[]>`
+    SELECT u."id", u."karma",
+      (COALESCE(pv."total", 0) + COALESCE(cv."total", 0))::int AS "actualKarma"
+    FROM "User" u
+    LEFT JOIN (
+      SELECT p."userId", SUM(v."value") AS "total"
+      FROM "Vote" v JOIN "Post" p ON p."id" = v."postId"
+      WHERE p."userId" IS NOT NULL GROUP BY p."userId"
+    ) pv ON pv."userId" = u."id"
+    LEFT JOIN (
+      SELECT c."userId", SUM(v."value") AS "total"
+      FROM "Vote" v JOIN "Comment" c ON c."id" = v."commentId"
+      WHERE c."userId" IS NOT NULL GROUP BY c."userId"
+    ) cv ON cv."userId" = u."id"
+    WHERE u."karma" <> COALESCE(pv."total", 0) + COALESCE(cv."total", 0)`;
+}
+
+function diff<T extends { id: string }>(
+  model: CounterDrift["model"],
+  row: T,
+  fields: [keyof T & string, keyof T & string][]
+): CounterDrift[] {
+  return fields
+    .filter(([stored, actual]) => row[stored] !== row[actual])
+    .map(([stored, actual]) => ({
+      model,
+      id: row.id,
+      field: stored,
+      stored: row[stored] as number,
+      actual: row[actual] as number,
+    }));
+}
+
+/**
+ * Recompute every denormalized counter (Post vote, comment and me-too counts,
+ * Comment vote counts, User karma) from the Vote, Comment and MeToo tables and
+ * report each field that disagrees. With `repair`, overwrite the stored
+ * values with the recomputed ones and refresh the affected hot scores.
+ */
+export async function reconcileCounters(
+  db: DbClient,
+  { repair = false }: { repair?: boolean } = {}
+): Promise<ReconcileReport> {
+  const [posts, comments, users] = await Promise.all([
+    findPostDrift(db),
+    findCommentDrift(db),
+    findUserDrift(db),
+  ]);
+
+  const drift = [
+    ...posts.flatMap((row) =>
+      diff("post", row, [
+        ["upvotes", "actualUpvotes"],
+        ["downvotes", "actualDownvotes"],
+        ["score", "actualScore"],
+        ["commentCount", "actualCommentCount"],
+        ["meTooCount", "actualMeTooCount"],
+        ["respondentCount", "actualRespondentCount"],
+      ])
+    ),
+    ...comments.flatMap((row) =>
+      diff("comment", row, [
+        ["upvotes", "actualUpvotes"],
+        ["downvotes", "actualDownvotes"],
+        ["score", "actualScore"],
+      ])
+    ),
+    ...users.flatMap((row) => diff("user", row, [["karma", "actualKarma"]])),
+  ];
+
+  if (!repair) {
+    return { drift, repaired: false };
+  }
+
+  for (const row of posts) {
+    await db.post.update({
+      where: { id: row.id },
+      data: {
+        upvotes: row.actualUpvotes,
+        downvotes: row.actualDownvotes,
+        score: row.actualScore,
+        commentCount: row.actualCommentCount,
+        meTooCount: row.actualMeTooCount,
+        respondentCount: row.actualRespondentCount,
+      },
+    });
+    await refreshHotScore(db, row.id);
+  }
+
+  for (const row of comments) {
+    await db.comment.update({
+      where: { id: row.id },
+      data: {
+        upvotes: row.actualUpvotes,
+        downvotes: row.actualDownvotes,
+        score: row.actualScore,
+      },
+    });
+  }
+
+  for (const row of users) {
+    await db.user.update({
+      where: { id: row.id },
+      data: { karma: row.actualKarma },
+    });
+  }
+
+  return { drift, repaired: true };
+}
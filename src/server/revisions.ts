@@ -0,0 +1,66 @@
+import type { PrismaClient } from "@prisma/client";
+import { tokenizeFrustration } from "./duplicates";
+import { indexComment, indexPost } from "./search";
+
+interface PostEdit {
+  frustration?: string;
+  identity?: string;
+}
+
+/**
+ * Apply an author's edit to a post, first saving the current text as a
+ * Revision. Returns the post unchanged (and writes no revision) when the
+ * edit doesn't change anything.
+ */
+export async function editPost(
+  db: PrismaClient,
+  post: { id: string; frustration: string; identity: string },
+  edit: PostEdit
+) {
+  const frustration = edit.frustration ?? post.frustration;
+  const identity = edit.identity ?? post.identity;
+
+  if (frustration === post.frustration && identity === post.identity) {
+    return db.post.findUniqueOrThrow({ where: { id: post.id } });
+  }
+
+  return db.$transaction(async (tx) => {
+    await tx.revision.create({
+      data: { postId: post.id, frustration: post.frustration, identity: post.identity },
+    });
+    const updated = await tx.post.update({
+      where: { id: post.id },
+      data: {
+        frustration,
+        frustrationTokens: tokenizeFrustration(frustration),
+        identity,
+        editedAt: new Date(),
+      },
+    });
+    await indexPost(tx, post.id);
+    return updated;
+  });
+}
+
+// Same as editPost for a comment's content
+export async function editComment(
+  db: PrismaClient,
+  comment: { id: string; content: string },
+  content: string
+) {
+  if (content === comment.content) {
+    return db.comment.findUniqueOrThrow({ where: { id: comment.id } });
+  }
+
+  return db.$transaction(async (tx) => {
+    await tx.revision.create({
+      data: { commentId: comment.id, content: comment.content },
+    });
+    const updated = await tx.comment.update({
+      where: { id: comment.id },
+      data: { content, editedAt: new Date() },
+    });
+    await indexComment(tx, comment.id);
+    return updated;
+  });
+}
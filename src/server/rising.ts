@@ -0,0 +1,76 @@
+import type { DbClient } from "./db";
+import { RISING } from "../lib/constants";
+import { calculateRisingScore } from "../lib/utils";
+
+/**
+ * Ids of live posts younger than RISING.maxAgeHours, best rising score first
+ * (newest first on ties). The score depends on the clock and on when votes
+ * were cast, so unlike hotScore it isn't stored but worked out per request
+ * from the recent Vote rows of this small set of young posts.
+ */
+export async function rankRisingPosts(
+  db: DbClient,
+  { categorySlug, now = new Date() }: { categorySlug?: string; now?: Date } = {}
+) {
+  const hour = 60 * 60 * 1000;
+  const posts = await db.post.findMany({
+    where: {
+      deletedAt: null,
+      hiddenAt: null,
+      createdAt: { gte: new Date(now.getTime() - RISING.maxAgeHours * hour) },
+      ...(categorySlug ? { category: { slug: categorySlug } } : {}),
+    },
+    select: { id: true, createdAt: true },
+  });
+
+  if (posts.length === 0) return [];
+
+  const recentVotes = await db.vote.groupBy({
+    by: ["postId", "value"],
+    where: {
+      postId: { in: posts.map((post) => post.id) },
+      createdAt: { gte: new Date(now.getTime() - RISING.windowHours * hour) },
+    },
+    _count: { _all: true },
+  });
+
+  const tallies = new Map<string, { up: number; down: number }>();
+  for (const group of recentVotes) {
+    const tally = tallies.get(group.postId!) ?? { up: 0, down: 0 };
+    if (group.value === 1) tally.up += group._count._all;
+    else tally.down += group._count._all;
+    tallies.set(group.postId!, tally);
+  }
+
+  return posts
+    .map((post) => {
+      const tally = tallies.get(post.id) ?? { up: 0, down: 0 };
+      return {
+        id: post.id,
+        createdAt: post.createdAt,
+        rising: calculateRisingScore(tally.up, tally.down, post.createdAt, now),
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.rising - a.rising ||
+        b.createdAt.getTime() - a.createdAt.getTime() ||
+        b.id.localeCompare(a.id)
+    )
+    .map((post) => post.id);
+}
+
+/**
+ * The page of `ranked` after the post `cursor` names, and the cursor for the
+ * page after it. Null when the cursor isn't in the ranking (its post aged
+ * out, was removed, or the cursor was never issued), since there's no way to
+ * tell where that page would start.
+ */
+export function risingPage(ranked: string[], cursor: string | null | undefined, limit: number) {
+  const start = cursor ? ranked.indexOf(cursor) + 1 : 0;
+  if (cursor && start === 0) return null;
+
+  const ids = ranked.slice(start, start + limit);
+  const nextCursor = ranked.length > start + limit ? ids[ids.length - 1] : null;
+  return { ids, nextCursor };
+}
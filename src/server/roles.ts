@@ -0,0 +1,24 @@
+import type { Role } from "@prisma/client";
+import type { DbClient } from "./db";
+
+// Each role can do everything the roles below it can
+const ROLE_RANK: Record<Role, number> = {
+  user: 0,
+  moderator: 1,
+  admin: 2,
+};
+
+export function hasRole(role: Role | null | undefined, required: Role): boolean {
+  return !!role && ROLE_RANK[role] >= ROLE_RANK[required];
+}
+
+// Roles are read from the database on each check rather than trusted from
+// the session token, so a demotion takes effect immediately
+export async function getUserRole(db: DbClient, userId: string | null | undefined) {
+  if (!userId) return null;
+  const user = await db.user.findUnique({
+    where: { id: userId },
+    select: { role: true },
+  });
+  return user?.role ?? null;
+}
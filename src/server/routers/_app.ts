@@ -4,6 +4,8 @@ import { commentRouter } from "./comment";
 import { voteRouter } from "./vote";
 import { categoryRouter } from "./category";
 import { userRouter } from "./user";
+import { adminRouter } from "./admin";
+import { reportRouter } from "./report";
 
 export const appRouter = router({
   post: postRouter,
@@ -11,6 +13,8 @@ export const appRouter = router({
   vote: voteRouter,
   category: categoryRouter,
   user: userRouter,
+  admin: adminRouter,
+  report: reportRouter,
 });
 
 export type AppRouter = typeof appRouter;
@@ -0,0 +1,95 @@
+import { z } from "zod";
+import { TRPCError } from "@trpc/server";
+import { router, adminProcedure } from "../trpc";
+import { reconcileCounters } from "../reconcile";
+import { normalizeForFilter } from "../contentFilter";
+
+export const adminRouter = router({
+  // Report (and with `repair`, fix) drift in the denormalized vote/comment/karma counters
+  reconcileCounters: adminProcedure
+    .input(z.object({ repair: z.boolean().default(false) }).optional())
+    .mutation(async ({ ctx, input }) => {
+      return reconcileCounters(ctx.prisma, { repair: input?.repair ?? false });
+    }),
+
+  setRole: adminProcedure
+    .input(
+      z.object({
+        userId: z.string(),
+        role: z.enum(["user", "moderator", "admin"]),
+      })
+    )
+    .mutation(async ({ ctx, input }) => {
+      // Stop the last admin from locking everyone out by demoting themselves
+      if (input.userId === ctx.userId) {
+        throw new TRPCError({
+          code: "BAD_REQUEST",
+          message: "You cannot change your own role",
+        });
+      }
+
+      const user = await ctx.prisma.user.findUnique({
+        where: { id: input.userId },
+      });
+
+      if (!user) {
+        throw new TRPCError({
+          code: "NOT_FOUND",
+          message: "User not found",
+        });
+      }
+
+      return ctx.prisma.user.update({
+        where: { id: input.userId },
+        data: { role: input.role },
+        select: { id: true, username: true, role: true },
+      });
+    }),
+
+  listBannedTerms: adminProcedure.query(async ({ ctx }) => {
+    return ctx.prisma.bannedTerm.findMany({ orderBy: { term: "asc" } });
+  }),
+
+  // Add a term to the content filter, or change the action of an existing one.
+  // Terms are stored normalized, so "B@d" and "bad" are the same entry.
+  setBannedTerm: adminProcedure
+    .input(
+      z.object({
+        term: z.string().min(1).max(100),
+        action: z.enum(["reject", "mask", "queue"]),
+      })
+    )
+    .mutation(async ({ ctx, input }) => {
+      const term = normalizeForFilter(input.term).normalized;
+
+      if (!term) {
+        throw new TRPCError({
+          code: "BAD_REQUEST",
+          message: "Term must contain at least one letter",
+        });
+      }
+
+      return ctx.prisma.bannedTerm.upsert({
+        where: { term },
+        create: { term, action: input.action },
+        update: { action: input.action },
+      });
+    }),
+
+  removeBannedTerm: adminProcedure
+    .input(z.object({ id: z.string() }))
+    .mutation(async ({ ctx, input }) => {
+      const { count } = await ctx.prisma.bannedTerm.deleteMany({
+        where: { id: input.id },
+      });
+
+      if (count === 0) {
+        throw new TRPCError({
+          code: "NOT_FOUND",
+          message: "Banned term not found",
+        });
+      }
+
+      return { success: true };
+    }),
+});
@@ -1,6 +1,6 @@
 import { z } from "zod";
 import { TRPCError } from "@trpc/server";
-import { router, publicProcedure } from "../trpc";
+import { router, publicProcedure, adminProcedure } from "../trpc";
 
 export const categoryRouter = router({
   list: publicProcedure.query(async ({ ctx }) => {
@@ -9,7 +9,7 @@ export const categoryRouter = router({
     });
   }),
 
-  create: publicProcedure
+  create: adminProcedure
     .input(
       z.object({
         name: z.string().min(1).max(50),
@@ -1,15 +1,22 @@
 import { z } from "zod";
 import { TRPCError } from "@trpc/server";
-import { router, publicProcedure } from "../trpc";
+import { router, publicProcedure, rateLimit } from "../trpc";
+import { refreshHotScore } from "../hotScore";
+import { assertCanModify, assertIsAuthor, withoutAnonymousId } from "../ownership";
+import { editComment } from "../revisions";
+import { CONTENT_REJECTED_MESSAGE, filterContent } from "../contentFilter";
+import { holdForReview } from "../moderation";
+import { redactComment, softDeleteComment } from "../softDelete";
+import { indexComment } from "../search";
 
 export const commentRouter = router({
   create: publicProcedure
+    .use(rateLimit("comments"))
     .input(
       z.object({
         content: z.string().min(1).max(2000),
         postId: z.string(),
         parentId: z.string().optional(),
-        anonymousId: z.string().optional(),
       })
     )
     .mutation(async ({ ctx, input }) => {
@@ -25,6 +32,13 @@ export const commentRouter = router({
         });
       }
 
+      if (post.deletedAt) {
+        throw new TRPCError({
+          code: "BAD_REQUEST",
+          message: "Cannot comment on a deleted post",
+        });
+      }
+
       // If parentId is provided, validate parent comment exists
       if (input.parentId) {
         const parentComment = await ctx.prisma.comment.findUnique({
@@ -37,25 +51,47 @@ export const commentRouter = router({
             message: "Parent comment not found",
           });
         }
+
+        if (parentComment.deletedAt) {
+          throw new TRPCError({
+            code: "BAD_REQUEST",
+            message: "Cannot reply to a deleted comment",
+          });
+        }
+      }
+
+      const filtered = await filterContent(ctx.prisma, { content: input.content });
+
+      if (filtered.rejected) {
+        throw new TRPCError({
+          code: "BAD_REQUEST",
+          message: CONTENT_REJECTED_MESSAGE,
+        });
       }
 
       const comment = await ctx.prisma.comment.create({
         data: {
-          content: input.content,
+          content: filtered.fields.content,
+          ...(filtered.queue ? { hiddenAt: new Date(), hiddenReason: "filter" as const } : {}),
           postId: input.postId,
           parentId: input.parentId,
-          anonymousId: input.anonymousId,
+          // A signed-in author owns the comment by account alone; the cookie
+          // outlives their session on this browser
+          anonymousId: ctx.userId ? undefined : ctx.anonymousId,
+          userId: ctx.userId || undefined,
           upvotes: 0,
           downvotes: 0,
           score: 0,
         },
       });
+      await indexComment(ctx.prisma, comment.id);
 
       // Update post comment count
       await ctx.prisma.post.update({
         where: { id: input.postId },
         data: { commentCount: { increment: 1 } },
       });
+      await refreshHotScore(ctx.prisma, input.postId);
 
       return comment;
     }),
@@ -83,13 +119,16 @@ export const commentRouter = router({
         });
       }
 
-      return comment;
+      return {
+        ...withoutAnonymousId(redactComment(comment)),
+        replies: comment.replies.map((reply) => withoutAnonymousId(redactComment(reply))),
+      };
     }),
 
   listByPost: publicProcedure
     .input(z.object({ postId: z.string() }))
     .query(async ({ ctx, input }) => {
-      return ctx.prisma.comment.findMany({
+      const comments = await ctx.prisma.comment.findMany({
         where: { postId: input.postId, parentId: null },
         orderBy: { score: "desc" },
         include: {
@@ -102,12 +141,23 @@ export const commentRouter = router({
           },
         },
       });
+
+      return comments.map((comment) => ({
+        ...withoutAnonymousId(redactComment(comment)),
+        replies: comment.replies.map((reply) => withoutAnonymousId(redactComment(reply))),
+      }));
     }),
 
-  delete: publicProcedure
-    .input(z.object({ id: z.string() }))
+  // Authors only (by userId or the anonymousId they posted with)
+  update: publicProcedure
+    .use(rateLimit("comments"))
+    .input(
+      z.object({
+        id: z.string(),
+        content: z.string().min(1).max(2000),
+      })
+    )
     .mutation(async ({ ctx, input }) => {
-      // Check if comment exists
       const comment = await ctx.prisma.comment.findUnique({
         where: { id: input.id },
       });
@@ -119,16 +169,91 @@ export const commentRouter = router({
         });
       }
 
-      // Delete comment (cascades to replies and votes due to onDelete: Cascade)
-      await ctx.prisma.comment.delete({
-        where: { id: input.id },
+      assertIsAuthor(
+        comment,
+        { userId: ctx.userId, anonymousId: ctx.anonymousId },
+        "You can only edit your own comments"
+      );
+
+      if (comment.deletedAt) {
+        throw new TRPCError({
+          code: "BAD_REQUEST",
+          message: "Cannot edit a deleted comment",
+        });
+      }
+
+      const filtered = await filterContent(ctx.prisma, { content: input.content });
+
+      if (filtered.rejected) {
+        throw new TRPCError({
+          code: "BAD_REQUEST",
+          message: CONTENT_REJECTED_MESSAGE,
+        });
+      }
+
+      const updated = await editComment(ctx.prisma, comment, filtered.fields.content);
+      if (!filtered.queue) return updated;
+
+      await holdForReview(ctx.prisma, { commentId: comment.id });
+      return ctx.prisma.comment.findUniqueOrThrow({ where: { id: comment.id } });
+    }),
+
+  // Earlier versions of an edited comment, newest first
+  getRevisions: publicProcedure
+    .input(z.object({ commentId: z.string() }))
+    .query(async ({ ctx, input }) => {
+      const comment = await ctx.prisma.comment.findUnique({
+        where: { id: input.commentId },
+        select: { deletedAt: true, hiddenAt: true },
       });
 
-      // Update post comment count
-      await ctx.prisma.post.update({
-        where: { id: comment.postId },
-        data: { commentCount: { decrement: 1 } },
+      if (!comment) {
+        throw new TRPCError({
+          code: "NOT_FOUND",
+          message: "Comment not found",
+        });
+      }
+
+      // History goes with the text when a comment is deleted or hidden
+      if (comment.deletedAt || comment.hiddenAt) return [];
+
+      return ctx.prisma.revision.findMany({
+        where: { commentId: input.commentId },
+        orderBy: { createdAt: "desc" },
+        select: { id: true, content: true, createdAt: true },
       });
+    }),
+
+  // Authors (by userId or the anonymousId they posted with) and moderators only
+  delete: publicProcedure
+    .input(
+      z.object({
+        id: z.string(),
+      })
+    )
+    .mutation(async ({ ctx, input }) => {
+      // Check if comment exists
+      const comment = await ctx.prisma.comment.findUnique({
+        where: { id: input.id },
+      });
+
+      if (!comment) {
+        throw new TRPCError({
+          code: "NOT_FOUND",
+          message: "Comment not found",
+        });
+      }
+
+      await assertCanModify(
+        ctx.prisma,
+        comment,
+        { userId: ctx.userId, anonymousId: ctx.anonymousId },
+        "You can only delete your own comments"
+      );
+
+      // Tombstone rather than delete so replies from other people survive;
+      // db:purge-deleted removes the row after the retention window
+      await softDeleteComment(ctx.prisma, comment);
 
       return { success: true };
     }),
@@ -1,15 +1,40 @@
 import { z } from "zod";
 import { TRPCError } from "@trpc/server";
-import { router, publicProcedure } from "../trpc";
+import { router, publicProcedure, moderatorProcedure, rateLimit } from "../trpc";
+import { calculateHotScore, topWindowStart } from "../../lib/utils";
+import { DEFAULT_TOP_WINDOW, TOP_WINDOWS, type TopWindow } from "../../lib/constants";
+import { assertCanModify, assertIsAuthor, withoutAnonymousId } from "../ownership";
+import { editPost } from "../revisions";
+import { CONTENT_REJECTED_MESSAGE, filterContent } from "../contentFilter";
+import { holdForReview } from "../moderation";
+import { findSimilarPosts, mergePosts, tokenizeFrustration } from "../duplicates";
+import { redactPost, softDeletePost } from "../softDelete";
+import { indexPost, searchPosts } from "../search";
+import { rankRisingPosts, risingPage } from "../rising";
+import { decodeCursor, feedOrderBy, keysetWhere, toFeedPage, type FeedSort } from "../pagination";
+
+// Keyset filter for the posts after a feed cursor; rejects cursors that
+// weren't issued for this feed
+function feedCursor(sort: FeedSort, cursor: string | undefined) {
+  if (!cursor) return {};
+  const values = decodeCursor(sort, cursor);
+  if (!values) {
+    throw new TRPCError({
+      code: "BAD_REQUEST",
+      message: "Invalid cursor",
+    });
+  }
+  return keysetWhere(sort, values);
+}
 
 export const postRouter = router({
   create: publicProcedure
+    .use(rateLimit("posts"))
     .input(
       z.object({
         frustration: z.string().min(1).max(500),
         identity: z.string().min(1).max(100),
         categoryId: z.string(),
-        anonymousId: z.string().optional(),
       })
     )
     .mutation(async ({ ctx, input }) => {
@@ -25,24 +50,45 @@ export const postRouter = router({
         });
       }
 
+      const filtered = await filterContent(ctx.prisma, {
+        frustration: input.frustration,
+        identity: input.identity,
+      });
+
+      if (filtered.rejected) {
+        throw new TRPCError({
+          code: "BAD_REQUEST",
+          message: CONTENT_REJECTED_MESSAGE,
+        });
+      }
+
+      // New posts start with the time component of the hot score so they
+      // rank alongside existing posts instead of at the bottom of the feed
+      const createdAt = new Date();
+
       const post = await ctx.prisma.post.create({
         data: {
-          frustration: input.frustration,
-          identity: input.identity,
+          ...filtered.fields,
+          frustrationTokens: tokenizeFrustration(filtered.fields.frustration),
+          ...(filtered.queue ? { hiddenAt: createdAt, hiddenReason: "filter" as const } : {}),
           categoryId: input.categoryId,
-          anonymousId: input.anonymousId,
+          // A signed-in author owns the post by account alone; the cookie
+          // outlives their session on this browser
+          anonymousId: ctx.userId ? undefined : ctx.anonymousId,
           userId: ctx.userId || undefined,
           upvotes: 0,
           downvotes: 0,
           score: 0,
-          hotScore: 0,
+          hotScore: calculateHotScore(0, 0, createdAt),
           commentCount: 0,
+          createdAt,
         },
         include: {
           category: true,
           user: { select: { username: true } },
         },
       });
+      await indexPost(ctx.prisma, post.id);
 
       return post;
     }),
@@ -55,7 +101,7 @@ export const postRouter = router({
         include: {
           category: true,
           user: { select: { username: true } },
-          _count: { select: { comments: true } },
+          _count: { select: { comments: { where: { deletedAt: null } } } },
         },
       });
 
@@ -66,7 +112,8 @@ export const postRouter = router({
         });
       }
 
-      return post;
+      // Deleted posts stay reachable as a tombstone so their threads can be read
+      return withoutAnonymousId(redactPost(post));
     }),
 
   listHot: publicProcedure
@@ -84,27 +131,20 @@ export const postRouter = router({
       // Fetch one extra to determine if there are more posts
       const posts = await ctx.prisma.post.findMany({
         take: limit + 1,
-        skip: input?.cursor ? 1 : undefined,
-        cursor: input?.cursor ? { id: input.cursor } : undefined,
-        orderBy: [{ hotScore: "desc" }, { createdAt: "desc" }],
-        where: input?.categorySlug
-          ? { category: { slug: input.categorySlug } }
-          : undefined,
+        orderBy: feedOrderBy("hot"),
+        where: {
+          deletedAt: null,
+          hiddenAt: null,
+          ...feedCursor("hot", input?.cursor),
+          ...(input?.categorySlug ? { category: { slug: input.categorySlug } } : {}),
+        },
         include: {
           category: true,
           user: { select: { username: true } },
         },
       });
 
-      // Check if there are more posts beyond the limit
-      const hasMore = posts.length > limit;
-      const postsToReturn = hasMore ? posts.slice(0, limit) : posts;
-      const nextCursor = hasMore ? postsToReturn[postsToReturn.length - 1]?.id ?? null : null;
-
-      return {
-        posts: postsToReturn,
-        nextCursor,
-      };
+      return toFeedPage("hot", posts.map(withoutAnonymousId), limit);
     }),
 
   listNew: publicProcedure
@@ -122,29 +162,128 @@ export const postRouter = router({
       // Fetch one extra to determine if there are more posts
       const posts = await ctx.prisma.post.findMany({
         take: limit + 1,
-        skip: input?.cursor ? 1 : undefined,
-        cursor: input?.cursor ? { id: input.cursor } : undefined,
-        orderBy: { createdAt: "desc" },
-        where: input?.categorySlug
-          ? { category: { slug: input.categorySlug } }
-          : undefined,
+        orderBy: feedOrderBy("new"),
+        where: {
+          deletedAt: null,
+          hiddenAt: null,
+          ...feedCursor("new", input?.cursor),
+          ...(input?.categorySlug ? { category: { slug: input.categorySlug } } : {}),
+        },
+        include: {
+          category: true,
+          user: { select: { username: true } },
+        },
+      });
+
+      return toFeedPage("new", posts.map(withoutAnonymousId), limit);
+    }),
+
+  listTop: publicProcedure
+    .input(
+      z
+        .object({
+          window: z
+            .enum(Object.keys(TOP_WINDOWS) as [TopWindow, ...TopWindow[]])
+            .default(DEFAULT_TOP_WINDOW),
+          cursor: z.string().optional(),
+          limit: z.number().min(1).max(50).default(20),
+          categorySlug: z.string().optional(),
+        })
+        .optional()
+    )
+    .query(async ({ ctx, input }) => {
+      const limit = input?.limit ?? 20;
+      const since = topWindowStart(input?.window ?? DEFAULT_TOP_WINDOW);
+      // Fetch one extra to determine if there are more posts
+      const posts = await ctx.prisma.post.findMany({
+        take: limit + 1,
+        orderBy: feedOrderBy("top"),
+        where: {
+          deletedAt: null,
+          hiddenAt: null,
+          ...feedCursor("top", input?.cursor),
+          ...(since ? { createdAt: { gte: since } } : {}),
+          ...(input?.categorySlug ? { category: { slug: input.categorySlug } } : {}),
+        },
         include: {
           category: true,
           user: { select: { username: true } },
         },
       });
 
-      // Check if there are more posts beyond the limit
-      const hasMore = posts.length > limit;
-      const postsToReturn = hasMore ? posts.slice(0, limit) : posts;
-      const nextCursor = hasMore ? postsToReturn[postsToReturn.length - 1]?.id ?? null : null;
+      return toFeedPage("top", posts.map(withoutAnonymousId), limit);
+    }),
+
+  listRising: publicProcedure
+    .input(
+      z
+        .object({
+          cursor: z.string().optional(),
+          limit: z.number().min(1).max(50).default(20),
+          categorySlug: z.string().optional(),
+        })
+        .optional()
+    )
+    .query(async ({ ctx, input }) => {
+      const limit = input?.limit ?? 20;
+      // Ranked in memory, so the cursor is a position in the ranking rather
+      // than a database cursor
+      const ranked = await rankRisingPosts(ctx.prisma, { categorySlug: input?.categorySlug });
+      const page = risingPage(ranked, input?.cursor, limit);
+      if (!page) {
+        throw new TRPCError({
+          code: "BAD_REQUEST",
+          message: "Invalid cursor",
+        });
+      }
+      const pageIds = page.ids;
+
+      const posts = await ctx.prisma.post.findMany({
+        where: { id: { in: pageIds } },
+        include: {
+          category: true,
+          user: { select: { username: true } },
+        },
+      });
+      posts.sort((a, b) => pageIds.indexOf(a.id) - pageIds.indexOf(b.id));
 
       return {
-        posts: postsToReturn,
-        nextCursor,
+        posts: posts.map(withoutAnonymousId),
+        nextCursor: page.nextCursor,
       };
     }),
 
+  listControversial: publicProcedure
+    .input(
+      z
+        .object({
+          cursor: z.string().optional(),
+          limit: z.number().min(1).max(50).default(20),
+          categorySlug: z.string().optional(),
+        })
+        .optional()
+    )
+    .query(async ({ ctx, input }) => {
+      const limit = input?.limit ?? 20;
+      // Fetch one extra to determine if there are more posts
+      const posts = await ctx.prisma.post.findMany({
+        take: limit + 1,
+        orderBy: feedOrderBy("controversial"),
+        where: {
+          deletedAt: null,
+          hiddenAt: null,
+          ...feedCursor("controversial", input?.cursor),
+          ...(input?.categorySlug ? { category: { slug: input.categorySlug } } : {}),
+        },
+        include: {
+          category: true,
+          user: { select: { username: true } },
+        },
+      });
+
+      return toFeedPage("controversial", posts.map(withoutAnonymousId), limit);
+    }),
+
   listByCategory: publicProcedure
     .input(
       z.object({
@@ -194,29 +333,28 @@ export const postRouter = router({
       // Fetch one extra to determine if there are more posts
       const posts = await ctx.prisma.post.findMany({
         take: limit + 1,
-        skip: input.cursor ? 1 : undefined,
-        cursor: input.cursor ? { id: input.cursor } : undefined,
-        where: { categoryId: categoryIdToUse },
-        orderBy: { createdAt: "desc" },
+        where: {
+          categoryId: categoryIdToUse,
+          deletedAt: null,
+          hiddenAt: null,
+          ...feedCursor("new", input.cursor),
+        },
+        orderBy: feedOrderBy("new"),
         include: {
           category: true,
           user: { select: { username: true } },
-          _count: { select: { comments: true } },
+          _count: { select: { comments: { where: { deletedAt: null } } } },
         },
       });
 
-      // Check if there are more posts beyond the limit
-      const hasMore = posts.length > limit;
-      const postsToReturn = hasMore ? posts.slice(0, limit) : posts;
+      const { posts: postsToReturn, nextCursor } = toFeedPage("new", posts, limit);
 
       // Map posts to include commentCount
       const postsWithCommentCount = postsToReturn.map((post) => ({
-        ...post,
+        ...withoutAnonymousId(post),
         commentCount: post._count.comments,
       }));
 
-      const nextCursor = hasMore ? postsWithCommentCount[postsWithCommentCount.length - 1]?.id ?? null : null;
-
       return {
         posts: postsWithCommentCount,
         nextCursor,
@@ -227,25 +365,36 @@ export const postRouter = router({
     .input(z.object({ userId: z.string().min(1) }))
     .query(async ({ ctx, input }) => {
       const posts = await ctx.prisma.post.findMany({
-        where: { userId: input.userId },
+        where: { userId: input.userId, deletedAt: null, hiddenAt: null },
         orderBy: { createdAt: "desc" },
         include: {
           category: true,
-          _count: { select: { comments: true } },
+          _count: { select: { comments: { where: { deletedAt: null } } } },
         },
       });
 
       // Map posts to include commentCount
       return posts.map((post) => ({
-        ...post,
+        ...withoutAnonymousId(post),
         commentCount: post._count.comments,
       }));
     }),
 
-  delete: publicProcedure
-    .input(z.object({ id: z.string() }))
+  // Authors only (by userId or the anonymousId they posted with)
+  update: publicProcedure
+    .use(rateLimit("posts"))
+    .input(
+      z
+        .object({
+          id: z.string(),
+          frustration: z.string().min(1).max(500).optional(),
+          identity: z.string().min(1).max(100).optional(),
+        })
+        .refine((input) => input.frustration !== undefined || input.identity !== undefined, {
+          message: "Nothing to update",
+        })
+    )
     .mutation(async ({ ctx, input }) => {
-      // Check if post exists
       const post = await ctx.prisma.post.findUnique({
         where: { id: input.id },
       });
@@ -257,11 +406,158 @@ export const postRouter = router({
         });
       }
 
-      // Delete post (cascades to comments and votes due to onDelete: Cascade)
-      await ctx.prisma.post.delete({
+      assertIsAuthor(
+        post,
+        { userId: ctx.userId, anonymousId: ctx.anonymousId },
+        "You can only edit your own posts"
+      );
+
+      if (post.deletedAt) {
+        throw new TRPCError({
+          code: "BAD_REQUEST",
+          message: "Cannot edit a deleted post",
+        });
+      }
+
+      const filtered = await filterContent(ctx.prisma, {
+        ...(input.frustration !== undefined ? { frustration: input.frustration } : {}),
+        ...(input.identity !== undefined ? { identity: input.identity } : {}),
+      });
+
+      if (filtered.rejected) {
+        throw new TRPCError({
+          code: "BAD_REQUEST",
+          message: CONTENT_REJECTED_MESSAGE,
+        });
+      }
+
+      const updated = await editPost(ctx.prisma, post, filtered.fields);
+      if (!filtered.queue) return updated;
+
+      await holdForReview(ctx.prisma, { postId: post.id });
+      return ctx.prisma.post.findUniqueOrThrow({ where: { id: post.id } });
+    }),
+
+  // Earlier versions of an edited post, newest first
+  getRevisions: publicProcedure
+    .input(z.object({ postId: z.string() }))
+    .query(async ({ ctx, input }) => {
+      const post = await ctx.prisma.post.findUnique({
+        where: { id: input.postId },
+        select: { deletedAt: true, hiddenAt: true },
+      });
+
+      if (!post) {
+        throw new TRPCError({
+          code: "NOT_FOUND",
+          message: "Post not found",
+        });
+      }
+
+      // History goes with the text when a post is deleted or hidden
+      if (post.deletedAt || post.hiddenAt) return [];
+
+      return ctx.prisma.revision.findMany({
+        where: { postId: input.postId },
+        orderBy: { createdAt: "desc" },
+        select: { id: true, frustration: true, identity: true, createdAt: true },
+      });
+    }),
+
+  // Authors (by userId or the anonymousId they posted with) and moderators only
+  delete: publicProcedure
+    .input(
+      z.object({
+        id: z.string(),
+      })
+    )
+    .mutation(async ({ ctx, input }) => {
+      // Check if post exists
+      const post = await ctx.prisma.post.findUnique({
         where: { id: input.id },
       });
 
+      if (!post) {
+        throw new TRPCError({
+          code: "NOT_FOUND",
+          message: "Post not found",
+        });
+      }
+
+      await assertCanModify(
+        ctx.prisma,
+        post,
+        { userId: ctx.userId, anonymousId: ctx.anonymousId },
+        "You can only delete your own posts"
+      );
+
+      // Tombstone rather than delete so the comments under it survive
+      await softDeletePost(ctx.prisma, input.id);
+
       return { success: true };
     }),
+
+  // Existing posts asking the same thing, for "Others asked this too"
+  findSimilar: publicProcedure
+    .input(
+      z.object({
+        frustration: z.string().min(1).max(500),
+        limit: z.number().min(1).max(10).default(5),
+      })
+    )
+    .query(async ({ ctx, input }) => {
+      return findSimilarPosts(ctx.prisma, input.frustration, { limit: input.limit });
+    }),
+
+  // Full-text search over frustrations, identities and comments, best match first
+  search: publicProcedure
+    .input(
+      z.object({
+        query: z.string().trim().min(1).max(200),
+        categorySlug: z.string().optional(),
+        limit: z.number().min(1).max(50).default(20),
+      })
+    )
+    .query(async ({ ctx, input }) => {
+      return searchPosts(ctx.prisma, input);
+    }),
+
+  // Fold a duplicate into the original: comments move, the duplicate becomes
+  // a tombstone that points at the original
+  merge: moderatorProcedure
+    .input(
+      z.object({
+        duplicateId: z.string(),
+        originalId: z.string(),
+      })
+    )
+    .mutation(async ({ ctx, input }) => {
+      if (input.duplicateId === input.originalId) {
+        throw new TRPCError({
+          code: "BAD_REQUEST",
+          message: "Cannot merge a post into itself",
+        });
+      }
+
+      const [duplicate, original] = await Promise.all([
+        ctx.prisma.post.findUnique({ where: { id: input.duplicateId } }),
+        ctx.prisma.post.findUnique({ where: { id: input.originalId } }),
+      ]);
+
+      if (!duplicate || !original) {
+        throw new TRPCError({
+          code: "NOT_FOUND",
+          message: "Post not found",
+        });
+      }
+
+      if (duplicate.deletedAt || original.deletedAt) {
+        throw new TRPCError({
+          code: "BAD_REQUEST",
+          message: "Cannot merge deleted posts",
+        });
+      }
+
+      return mergePosts(ctx.prisma, duplicate.id, original.id);
+    }),
 });
@@ -0,0 +1,226 @@
+import { z } from "zod";
+import { TRPCError } from "@trpc/server";
+import { Prisma, ReportReason } from "@prisma/client";
+import { router, publicProcedure, moderatorProcedure, rateLimit } from "../trpc";
+import { hideIfReported, resolveReports } from "../moderation";
+import { PENDING_REVIEW_REASONS } from "../../lib/constants";
+
+// Exactly one of postId/commentId
+const targetSchema = z
+  .object({
+    postId: z.string().optional(),
+    commentId: z.string().optional(),
+  })
+  .refine((data) => !data.postId !== !data.commentId, {
+    message: "Specify either a postId or a commentId",
+  });
+
+function toTarget(input: { postId?: string; commentId?: string }) {
+  return input.postId ? { postId: input.postId } : { commentId: input.commentId! };
+}
+
+export const reportRouter = router({
+  // Anyone can report, registered or anonymous; one report per target each
+  create: publicProcedure
+    .use(rateLimit("reports"))
+    .input(
+      targetSchema.and(
+        z.object({
+          reason: z.nativeEnum(ReportReason),
+          details: z.string().max(500).optional(),
+        })
+      )
+    )
+    .mutation(async ({ ctx, input }) => {
+      if (!ctx.userId && !ctx.anonymousId) {
+        throw new TRPCError({
+          code: "UNAUTHORIZED",
+          message: "Must be logged in or have an anonymous session",
+        });
+      }
+
+      const target = toTarget(input);
+      const content =
+        "postId" in target
+          ? await ctx.prisma.post.findUnique({
+              where: { id: target.postId },
+              select: { deletedAt: true },
+            })
+          : await ctx.prisma.comment.findUnique({
+              where: { id: target.commentId },
+              select: { deletedAt: true },
+            });
+
+      if (!content || content.deletedAt) {
+        throw new TRPCError({
+          code: "NOT_FOUND",
+          message: "postId" in target ? "Post not found" : "Comment not found",
+        });
+      }
+
+      // Registered users are identified by account only, so switching
+      // browsers doesn't let them report the same thing twice
+      const reporter = ctx.userId
+        ? { userId: ctx.userId }
+        : { anonymousId: ctx.anonymousId! };
+
+      // The unique constraints on (target, reporter) catch a second report,
+      // including two sent at once
+      const report = await ctx.prisma.report
+        .create({
+          data: {
+            ...target,
+            ...reporter,
+            reason: input.reason,
+            details: input.details,
+          },
+        })
+        .catch((error) => {
+          if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2002") {
+            throw new TRPCError({
+              code: "CONFLICT",
+              message: "You have already reported this",
+            });
+          }
+          throw error;
+        });
+
+      await hideIfReported(ctx.prisma, target);
+
+      return { id: report.id, status: report.status };
+    }),
+
+  // Open reports grouped by the post or comment they are about, oldest first,
+  // followed by content hidden pending review that has no open reports
+  listQueue: moderatorProcedure.query(async ({ ctx }) => {
+    const postSelect = {
+      id: true,
+      frustration: true,
+      identity: true,
+      hiddenAt: true,
+      hiddenReason: true,
+      deletedAt: true,
+    } as const;
+    const commentSelect = {
+      id: true,
+      content: true,
+      postId: true,
+      hiddenAt: true,
+      hiddenReason: true,
+      deletedAt: true,
+    } as const;
+    const pendingReview = {
+      hiddenReason: { in: [...PENDING_REVIEW_REASONS] },
+      deletedAt: null,
+    };
+
+    const [reports, hiddenPosts, hiddenComments] = await Promise.all([
+      ctx.prisma.report.findMany({
+        where: { status: "open" },
+        orderBy: { createdAt: "asc" },
+        include: { post: { select: postSelect }, comment: { select: commentSelect } },
+      }),
+      ctx.prisma.post.findMany({
+        where: pendingReview,
+        orderBy: { hiddenAt: "asc" },
+        select: postSelect,
+      }),
+      ctx.prisma.comment.findMany({
+        where: pendingReview,
+        orderBy: { hiddenAt: "asc" },
+        select: commentSelect,
+      }),
+    ]);
+
+    const queue = new Map<
+      string,
+      {
+        post: (typeof reports)[number]["post"];
+        comment: (typeof reports)[number]["comment"];
+        reportCount: number;
+        reasons: string[];
+        details: string[];
+        firstReportedAt: Date | null;
+      }
+    >();
+
+    for (const report of reports) {
+      const key = report.postId ? `post:${report.postId}` : `comment:${report.commentId}`;
+      const entry = queue.get(key) ?? {
+        post: report.post,
+        comment: report.comment,
+        reportCount: 0,
+        reasons: [],
+        details: [],
+        firstReportedAt: report.createdAt,
+      };
+      entry.reportCount += 1;
+      if (!entry.reasons.includes(report.reason)) entry.reasons.push(report.reason);
+      if (report.details) entry.details.push(report.details);
+      queue.set(key, entry);
+    }
+
+    for (const post of hiddenPosts) {
+      const key = `post:${post.id}`;
+      if (queue.has(key)) continue;
+      queue.set(key, { post, comment: null, reportCount: 0, reasons: [], details: [], firstReportedAt: null });
+    }
+    for (const comment of hiddenComments) {
+      const key = `comment:${comment.id}`;
+      if (queue.has(key)) continue;
+      queue.set(key, { post: null, comment, reportCount: 0, reasons: [], details: [], firstReportedAt: null });
+    }
+
+    return Array.from(queue.values());
+  }),
+
+  // Close every open report on a target with the moderator's decision. Hidden
+  // content can be restored or removed even when nobody reported it.
+  resolve: moderatorProcedure
+    .input(
+      targetSchema.and(
+        z.object({
+          action: z.enum(["dismiss", "hide", "restore", "remove"]),
+          note: z.string().max(500).optional(),
+        })
+      )
+    )
+    .mutation(async ({ ctx, input }) => {
+      const target = toTarget(input);
+      const [openReports, content] = await Promise.all([
+        ctx.prisma.report.count({ where: { ...target, status: "open" } }),
+        "postId" in target
+          ? ctx.prisma.post.findUnique({ where: { id: target.postId }, select: { hiddenAt: true } })
+          : ctx.prisma.comment.findUnique({ where: { id: target.commentId }, select: { hiddenAt: true } }),
+      ]);
+
+      if (!content) {
+        throw new TRPCError({
+          code: "NOT_FOUND",
+          message: "postId" in target ? "Post not found" : "Comment not found",
+        });
+      }
+
+      if (openReports === 0 && !content.hiddenAt) {
+        throw new TRPCError({
+          code: "NOT_FOUND",
+          message: "No open reports for this content",
+        });
+      }
+
+      if (input.action === "restore" && !content.hiddenAt) {
+        throw new TRPCError({
+          code: "BAD_REQUEST",
+          message: "Only hidden content can be restored",
+        });
+      }
+
+      const resolved = await resolveReports(ctx.prisma, target, {
+        action: input.action,
+        moderatorId: ctx.userId,
+        note: input.note,
+      });
+
+      return { resolved };
+    }),
+});
@@ -1,7 +1,9 @@
 import { z } from "zod";
 import bcrypt from "bcryptjs";
 import { TRPCError } from "@trpc/server";
-import { router, publicProcedure } from "../trpc";
+import { router, publicProcedure, protectedProcedure } from "../trpc";
+import { claimAnonymousHistory, countAnonymousHistory } from "../claimHistory";
+import { revokeSessions } from "../session";
 
 export const userRouter = router({
   register: publicProcedure
@@ -9,6 +11,8 @@ export const userRouter = router({
       z.object({
         username: z.string().min(3).max(50),
         password: z.string().min(6),
+        // Attach what this browser did anonymously to the new account
+        claimAnonymousHistory: z.boolean().default(false),
       })
     )
     .mutation(async ({ ctx, input }) => {
@@ -32,9 +36,48 @@ export const userRouter = router({
         },
       });
 
-      return { id: user.id, username: user.username, karma: user.karma };
+      if (!input.claimAnonymousHistory || !ctx.anonymousId) {
+        return { id: user.id, username: user.username, karma: user.karma, claimed: null };
+      }
+
+      const claimed = await claimAnonymousHistory(ctx.prisma, {
+        userId: user.id,
+        anonymousId: ctx.anonymousId,
+      });
+      // Votes on the claimed posts and comments now count as karma
+      const { karma } = await ctx.prisma.user.findUniqueOrThrow({
+        where: { id: user.id },
+        select: { karma: true },
+      });
+      return { id: user.id, username: user.username, karma, claimed };
     }),
 
+  // The signed-in caller, or null; what the header's user menu shows
+  me: publicProcedure.query(async ({ ctx }) => {
+    if (!ctx.userId) return null;
+    return ctx.prisma.user.findUnique({
+      where: { id: ctx.userId },
+      select: { id: true, username: true },
+    });
+  }),
+
+  // What the caller's browser has posted and voted anonymously, so sign-up
+  // and login can offer to attach it to the account
+  anonymousHistory: publicProcedure.query(async ({ ctx }) => {
+    if (!ctx.anonymousId) return { posts: 0, comments: 0, votes: 0 };
+    return countAnonymousHistory(ctx.prisma, ctx.anonymousId);
+  }),
+
+  claimAnonymousHistory: protectedProcedure.mutation(async ({ ctx }) => {
+    if (!ctx.anonymousId) {
+      throw new TRPCError({
+        code: "BAD_REQUEST",
+        message: "No anonymous session to claim",
+      });
+    }
+    return claimAnonymousHistory(ctx.prisma, { userId: ctx.userId, anonymousId: ctx.anonymousId });
+  }),
+
   getProfile: publicProcedure
     .input(z.object({ userId: z.string().min(1) }))
     .query(async ({ ctx, input }) => {
@@ -44,8 +87,14 @@ export const userRouter = router({
           id: true,
           username: true,
           karma: true,
+          role: true,
           createdAt: true,
-          _count: { select: { posts: true, comments: true } },
+          _count: {
+            select: {
+              posts: { where: { deletedAt: null } },
+              comments: { where: { deletedAt: null } },
+            },
+          },
         },
       });
     }),
@@ -60,4 +109,29 @@ export const userRouter = router({
       });
       return user?.karma ?? 0;
     }),
+
+  // The caller's signed-in devices, most recently used first
+  sessions: protectedProcedure.query(async ({ ctx }) => {
+    const sessions = await ctx.prisma.session.findMany({
+      where: { userId: ctx.userId, revokedAt: null, expiresAt: { gt: new Date() } },
+      orderBy: { lastUsedAt: "desc" },
+      select: { id: true, userAgent: true, createdAt: true, lastUsedAt: true, expiresAt: true },
+    });
+    return sessions.map((session) => ({ ...session, current: session.id === ctx.sessionId }));
+  }),
+
+  revokeSession: protectedProcedure
+    .input(z.object({ id: z.string() }))
+    .mutation(async ({ ctx, input }) => {
+      const revoked = await revokeSessions({ userId: ctx.userId, id: input.id });
+      if (revoked === 0) {
+        throw new TRPCError({ code: "NOT_FOUND", message: "Session not found" });
+      }
+      return { current: input.id === ctx.sessionId };
+    }),
+
+  // Sign out everywhere, this device included
+  revokeAllSessions: protectedProcedure.mutation(async ({ ctx }) => {
+    return { revoked: await revokeSessions({ userId: ctx.userId }) };
+  }),
 });
@@ -1,348 +1,133 @@
 import { z } from "zod";
 import { TRPCError } from "@trpc/server";
-import { router, publicProcedure } from "../trpc";
+import { router, publicProcedure, moderatorProcedure, rateLimit } from "../trpc";
+import { castVote, findReaderVotes } from "../voting";
+import { contextReader, hasIdentity, hasMeToo, meTooBreakdown, toggleMeToo } from "../meToo";
+import { detectVoteRings, voidVoteRing } from "../voteRings";
+import { voteValueSchema } from "../../lib/validations";
+import { MY_VOTES_BATCH_SIZE } from "../../lib/constants";
 
 export const voteRouter = router({
   castPostVote: publicProcedure
+    .use(rateLimit("votes"))
     .input(
       z.object({
         postId: z.string(),
-        value: z.number().min(-1).max(1),
-        anonymousId: z.string().optional(),
+        value: voteValueSchema,
       })
     )
     .mutation(async ({ ctx, input }) => {
-      // Check if post exists
-      const post = await ctx.prisma.post.findUnique({
-        where: { id: input.postId },
+      return castVote(ctx.prisma, {
+        target: "post",
+        targetId: input.postId,
+        value: input.value,
+        ...contextReader(ctx),
+        ipHash: ctx.ipHash,
       });
-
-      if (!post) {
-        throw new TRPCError({
-          code: "NOT_FOUND",
-          message: "Post not found",
-        });
-      }
-
-      // Check for existing vote by anonymousId (if provided) or userId (authenticated user)
-      // Prioritize anonymousId when explicitly provided to support anonymous voting
-      let existingVote = null;
-      if (input.anonymousId) {
-        existingVote = await ctx.prisma.vote.findUnique({
-          where: {
-            postId_anonymousId: {
-              postId: input.postId,
-              anonymousId: input.anonymousId,
-            },
-          },
-        });
-      } else if (ctx.userId) {
-        existingVote = await ctx.prisma.vote.findUnique({
-          where: {
-            postId_userId: {
-              postId: input.postId,
-              userId: ctx.userId,
-            },
-          },
-        });
-      }
-
-      // Handle existing vote: toggle off (delete) or change direction (update)
-      if (existingVote) {
-        if (existingVote.value === input.value) {
-          // Same value - toggle off (delete vote)
-          await ctx.prisma.vote.delete({
-            where: { id: existingVote.id },
-          });
-
-          // Update post vote counts
-          if (existingVote.value === 1) {
-            await ctx.prisma.post.update({
-              where: { id: input.postId },
-              data: {
-                upvotes: { decrement: 1 },
-                score: { decrement: 1 },
-              },
-            });
-          } else if (existingVote.value === -1) {
-            await ctx.prisma.post.update({
-              where: { id: input.postId },
-              data: {
-                downvotes: { decrement: 1 },
-                score: { increment: 1 },
-              },
-            });
-          }
-
-          // Update author karma (reverse the vote effect)
-          if (post.userId) {
-            await ctx.prisma.user.update({
-              where: { id: post.userId },
-              data: {
-                karma: { decrement: existingVote.value },
-              },
-            });
-          }
-
-          return { ...existingVote, deleted: true };
-        } else {
-          // Different value - change direction (update vote)
-          const updatedVote = await ctx.prisma.vote.update({
-            where: { id: existingVote.id },
-            data: { value: input.value },
-          });
-
-          // Update post vote counts for direction change
-          if (input.value === 1) {
-            // Changed from downvote to upvote
-            await ctx.prisma.post.update({
-              where: { id: input.postId },
-              data: {
-                upvotes: { increment: 1 },
-                downvotes: { decrement: 1 },
-                score: { increment: 2 },
-              },
-            });
-          } else {
-            // Changed from upvote to downvote
-            await ctx.prisma.post.update({
-              where: { id: input.postId },
-              data: {
-                upvotes: { decrement: 1 },
-                downvotes: { increment: 1 },
-                score: { decrement: 2 },
-              },
-            });
-          }
-
-          // Update author karma (net change of 2: +2 for downvote->upvote, -2 for upvote->downvote)
-          if (post.userId) {
-            const karmaChange = input.value === 1 ? 2 : -2;
-            await ctx.prisma.user.update({
-              where: { id: post.userId },
-              data: {
-                karma: { increment: karmaChange },
-              },
-            });
-          }
-
-          return { ...updatedVote, updated: true };
-        }
-      }
-
-      // Create new vote
-      // If anonymousId is provided, don't set userId to keep the vote anonymous
-      const vote = await ctx.prisma.vote.create({
-        data: {
-          postId: input.postId,
-          value: input.value,
-          userId: input.anonymousId ? null : ctx.userId,
-          anonymousId: input.anonymousId,
-          ipHash: input.anonymousId || ctx.userId || "unknown",
-        },
-      });
-
-      // Update post vote counts and score
-      if (input.value === 1) {
-        await ctx.prisma.post.update({
-          where: { id: input.postId },
-          data: {
-            upvotes: { increment: 1 },
-            score: { increment: 1 },
-          },
-        });
-      } else if (input.value === -1) {
-        await ctx.prisma.post.update({
-          where: { id: input.postId },
-          data: {
-            downvotes: { increment: 1 },
-            score: { decrement: 1 },
-          },
-        });
-      }
-
-      // Update author karma for new vote
-      if (post.userId) {
-        await ctx.prisma.user.update({
-          where: { id: post.userId },
-          data: {
-            karma: { increment: input.value },
-          },
-        });
-      }
-
-      return vote;
     }),
 
   castCommentVote: publicProcedure
+    .use(rateLimit("votes"))
     .input(
       z.object({
         commentId: z.string(),
-        value: z.number().min(-1).max(1),
-        anonymousId: z.string().optional(),
+        value: voteValueSchema,
       })
     )
     .mutation(async ({ ctx, input }) => {
-      // Check if comment exists
-      const comment = await ctx.prisma.comment.findUnique({
-        where: { id: input.commentId },
+      return castVote(ctx.prisma, {
+        target: "comment",
+        targetId: input.commentId,
+        value: input.value,
+        ...contextReader(ctx),
+        ipHash: ctx.ipHash,
       });
+    }),
 
-      if (!comment) {
-        throw new TRPCError({
-          code: "NOT_FOUND",
-          message: "Comment not found",
-        });
-      }
+  // The caller's votes on a page of posts and/or comments, so vote buttons
+  // can show them after a reload
+  myVotes: publicProcedure
+    .input(
+      z.object({
+        postIds: z.array(z.string()).max(MY_VOTES_BATCH_SIZE).default([]),
+        commentIds: z.array(z.string()).max(MY_VOTES_BATCH_SIZE).default([]),
+      })
+    )
+    .query(async ({ ctx, input }) => {
+      return findReaderVotes(
+        ctx.prisma,
+        contextReader(ctx),
+        { postIds: input.postIds, commentIds: input.commentIds }
+      );
+    }),
 
-      // Check for existing vote by anonymousId (if provided) or userId (authenticated user)
-      // Prioritize anonymousId when explicitly provided to support anonymous voting
-      let existingVote = null;
-      if (input.anonymousId) {
-        existingVote = await ctx.prisma.vote.findUnique({
-          where: {
-            commentId_anonymousId: {
-              commentId: input.commentId,
-              anonymousId: input.anonymousId,
-            },
-          },
-        });
-      } else if (ctx.userId) {
-        existingVote = await ctx.prisma.vote.findUnique({
-          where: {
-            commentId_userId: {
-              commentId: input.commentId,
-              userId: ctx.userId,
-            },
-          },
+  // "It's not just you": toggles the reader's reaction, independent of votes
+  toggleMeToo: publicProcedure
+    .use(rateLimit("votes"))
+    .input(z.object({ postId: z.string() }))
+    .mutation(async ({ ctx, input }) => {
+      const reader = contextReader(ctx);
+      if (!hasIdentity(reader)) {
+        throw new TRPCError({
+          code: "UNAUTHORIZED",
+          message: "Must be logged in or have an anonymous session",
         });
       }
 
-      // Handle existing vote: toggle off (delete) or change direction (update)
-      if (existingVote) {
-        if (existingVote.value === input.value) {
-          // Same value - toggle off (delete vote)
-          await ctx.prisma.vote.delete({
-            where: { id: existingVote.id },
-          });
-
-          // Update comment vote counts
-          if (existingVote.value === 1) {
-            await ctx.prisma.comment.update({
-              where: { id: input.commentId },
-              data: {
-                upvotes: { decrement: 1 },
-                score: { decrement: 1 },
-              },
-            });
-          } else if (existingVote.value === -1) {
-            await ctx.prisma.comment.update({
-              where: { id: input.commentId },
-              data: {
-                downvotes: { decrement: 1 },
-                score: { increment: 1 },
-              },
-            });
-          }
-
-          // Update author karma (reverse the vote effect)
-          if (comment.userId) {
-            await ctx.prisma.user.update({
-              where: { id: comment.userId },
-              data: {
-                karma: { decrement: existingVote.value },
-              },
-            });
-          }
-
-          return { ...existingVote, deleted: true };
-        } else {
-          // Different value - change direction (update vote)
-          const updatedVote = await ctx.prisma.vote.update({
-            where: { id: existingVote.id },
-            data: { value: input.value },
-          });
-
-          // Update comment vote counts for direction change
-          if (input.value === 1) {
-            // Changed from downvote to upvote
-            await ctx.prisma.comment.update({
-              where: { id: input.commentId },
-              data: {
-                upvotes: { increment: 1 },
-                downvotes: { decrement: 1 },
-                score: { increment: 2 },
-              },
-            });
-          } else {
-            // Changed from upvote to downvote
-            await ctx.prisma.comment.update({
-              where: { id: input.commentId },
-              data: {
-                upvotes: { decrement: 1 },
-                downvotes: { increment: 1 },
-                score: { decrement: 2 },
-              },
-            });
-          }
-
-          // Update author karma (net change of 2: +2 for downvote->upvote, -2 for upvote->downvote)
-          if (comment.userId) {
-            const karmaChange = input.value === 1 ? 2 : -2;
-            await ctx.prisma.user.update({
-              where: { id: comment.userId },
-              data: {
-                karma: { increment: karmaChange },
-              },
-            });
-          }
+      return toggleMeToo(ctx.prisma, input.postId, reader);
+    }),
 
-          return { ...updatedVote, updated: true };
-        }
-      }
+  // Whether the caller has said "it's not just you" on a post, so the button
+  // shows it after a reload
+  myMeToo: publicProcedure
+    .input(z.object({ postId: z.string() }))
+    .query(async ({ ctx, input }) => {
+      const reader = contextReader(ctx);
+      if (!hasIdentity(reader)) return { related: false };
+      return { related: await hasMeToo(ctx.prisma, input.postId, reader) };
+    }),
 
-      // Create new vote
-      // If anonymousId is provided, don't set userId to keep the vote anonymous
-      const vote = await ctx.prisma.vote.create({
-        data: {
-          commentId: input.commentId,
-          value: input.value,
-          userId: input.anonymousId ? null : ctx.userId,
-          anonymousId: input.anonymousId,
-          ipHash: input.anonymousId || ctx.userId || "unknown",
-        },
-      });
+  meTooBreakdown: publicProcedure
+    .input(z.object({ postId: z.string() }))
+    .query(async ({ ctx, input }) => {
+      return meTooBreakdown(ctx.prisma, input.postId);
+    }),
 
-      // Update comment vote counts and score
-      if (input.value === 1) {
-        await ctx.prisma.comment.update({
-          where: { id: input.commentId },
-          data: {
-            upvotes: { increment: 1 },
-            score: { increment: 1 },
-          },
-        });
-      } else if (input.value === -1) {
-        await ctx.prisma.comment.update({
-          where: { id: input.commentId },
-          data: {
-            downvotes: { increment: 1 },
-            score: { decrement: 1 },
-          },
-        });
-      }
+  // Suspicious voting patterns (see voteRings.ts) for moderators to review
+  listRings: moderatorProcedure.query(async ({ ctx }) => {
+    const rings = await detectVoteRings(ctx.prisma);
+
+    const userIds = Array.from(
+      new Set(rings.flatMap((ring) => [ring.authorId, ring.voterId]).filter((id): id is string => !!id))
+    );
+    const users = await ctx.prisma.user.findMany({
+      where: { id: { in: userIds } },
+      select: { id: true, username: true },
+    });
+    const usernames = new Map(users.map((user) => [user.id, user.username]));
+
+    return rings.map((ring) => ({
+      ...ring,
+      authorUsername: ring.authorId ? (usernames.get(ring.authorId) ?? null) : null,
+      voterUsername: ring.voterId ? (usernames.get(ring.voterId) ?? null) : null,
+    }));
+  }),
+
+  // Delete the votes a moderator was shown for a finding and take them back
+  // out of the counters they moved
+  voidRing: moderatorProcedure
+    .input(z.object({ voteIds: z.array(z.string()).min(1).max(10000) }))
+    .mutation(async ({ ctx, input }) => {
+      const result = await voidVoteRing(ctx.prisma, input.voteIds);
 
-      // Update author karma for new vote
-      if (comment.userId) {
-        await ctx.prisma.user.update({
-          where: { id: comment.userId },
-          data: {
-            karma: { increment: input.value },
-          },
+      if (!result) {
+        throw new TRPCError({
+          code: "NOT_FOUND",
+          message: "These votes have already been voided",
         });
       }
 
-      return vote;
+      return result;
     }),
 
   getById: publicProcedure
@@ -350,6 +135,7 @@ export const voteRouter = router({
     .query(async ({ ctx, input }) => {
       const vote = await ctx.prisma.vote.findUnique({
         where: { id: input.id },
+        select: { id: true, value: true, postId: true, commentId: true },
       });
 
       if (!vote) {
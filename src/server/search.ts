@@ -0,0 +1,144 @@
+import { Prisma } from "@prisma/client";
+import type { DbClient } from "./db";
+
+// Comment matches count for less than a match in the post itself
+const COMMENT_RANK_WEIGHT = 0.5;
+
+// Control characters can't come from user input, so they safely mark where
+// ts_headline found a match
+const MATCH_START = "\u0002";
+const MATCH_END = "\u0003";
+const HIGHLIGHT_ALL = `HighlightAll=true, StartSel="${MATCH_START}", StopSel="${MATCH_END}"`;
+const COMMENT_EXCERPT = `MaxWords=25, MinWords=10, StartSel="${MATCH_START}", StopSel="${MATCH_END}"`;
+
+export interface SnippetPart {
+  text: string;
+  match: boolean;
+}
+
+interface SearchRow {
+  id: string;
+  frustration: string;
+  identity: string;
+  score: number;
+  commentCount: number;
+  createdAt: Date;
+  categoryName: string;
+  categorySlug: string;
+  rank: number;
+  frustrationSnippet: string;
+  identitySnippet: string;
+  commentId: string | null;
+  commentSnippet: string | null;
+}
+
+// Recompute a post's searchVector from its current frustration and identity
+export function indexPost(db: DbClient, postId: string) {
+  return db.$executeRaw`
+    UPDATE "Post" SET "searchVector" =
+      setweight(to_tsvector('english', "frustration"), 'A') ||
+      setweight(to_tsvector('english', "identity"), 'B')
+    WHERE "id" = ${postId}`;
+}
+
+export function indexComment(db: DbClient, commentId: string) {
+  return db.$executeRaw`
+    UPDATE "Comment" SET "searchVector" = to_tsvector('english', "content")
+    WHERE "id" = ${commentId}`;
+}
+
+// Fill in searchVector for every post and comment, e.g. after adding search
+// to an existing database. Returns the number of rows updated.
+export async function reindexAll(db: DbClient) {
+  const posts = await db.$executeRaw`
+    UPDATE "Post" SET "searchVector" =
+      setweight(to_tsvector('english', "frustration"), 'A') ||
+      setweight(to_tsvector('english', "identity"), 'B')`;
+  const comments = await db.$executeRaw`
+    UPDATE "Comment" SET "searchVector" = to_tsvector('english', "content")`;
+  return { posts, comments };
+}
+
+// Split ts_headline output into plain and highlighted runs
+function toSnippet(headline: string): SnippetPart[] {
+  return headline
+    .split(MATCH_START)
+    .flatMap((chunk, i) => {
+      if (i === 0) return [{ text: chunk, match: false }];
+      const [match, rest = ""] = chunk.split(MATCH_END);
+      return [
+        { text: match, match: true },
+        { text: rest, match: false },
+      ];
+    })
+    .filter((part) => part.text.length > 0);
+}
+
+/**
+ * Full-text search over live posts' frustration and identity and their live
+ * comments, using Postgres web-search syntax ("quoted phrases", -exclusions,
+ * or). A post matches through its own text or any of its comments; ranks are
+ * summed, frustration outweighing identity and comments counting half.
+ * Each result carries highlighted snippets of the post and of its best
+ * matching comment.
+ */
+export async function searchPosts(
+  db: DbClient,
+  { query, categorySlug, limit = 20 }: { query: string; categorySlug?: string; limit?: number }
+) {
+  const categoryFilter = categorySlug ? Prisma.sql`AND cat."slug" = ${categorySlug}` : Prisma.empty;
+
+  const rows = await db.$queryRaw<SearchRow[]>`
+    WITH q AS (SELECT websearch_to_tsquery('english', ${query}) AS query),
+    matches AS (
+      SELECT p."id" AS "postId", ts_rank(p."searchVector", q.query)::float8 AS "rank",
+        NULL AS "commentId"
+      FROM "Post" p, q
+      WHERE p."searchVector" @@ q.query
+      UNION ALL
+      SELECT c."postId", ts_rank(c."searchVector", q.query) * ${COMMENT_RANK_WEIGHT}::float8,
+        c."id"
+      FROM "Comment" c, q
+      WHERE c."searchVector" @@ q.query AND c."deletedAt" IS NULL AND c."hiddenAt" IS NULL
+    ),
+    ranked AS (
+      SELECT "postId", SUM("rank") AS "rank",
+        (array_agg("commentId" ORDER BY "rank" DESC)
+          FILTER (WHERE "commentId" IS NOT NULL))[1] AS "commentId"
+      FROM matches GROUP BY "postId"
+    )
+    SELECT p."id", p."frustration", p."identity", p."score", p."commentCount", p."createdAt",
+      cat."name" AS "categoryName", cat."slug" AS "categorySlug",
+      r."rank",
+      ts_headline('english', p."frustration", q.query, ${HIGHLIGHT_ALL}) AS "frustrationSnippet",
+      ts_headline('english', p."identity", q.query, ${HIGHLIGHT_ALL}) AS "identitySnippet",
+      c."id" AS "commentId",
+      CASE WHEN c."id" IS NULL THEN NULL
+        ELSE ts_headline('english', c."content", q.query, ${COMMENT_EXCERPT}) END AS "commentSnippet"
+    FROM ranked r
+    JOIN "Post" p ON p."id" = r."postId"
+    JOIN "Category" cat ON cat."id" = p."categoryId"
+    LEFT JOIN "Comment" c ON c."id" = r."commentId"
+    CROSS JOIN q
+    WHERE p."deletedAt" IS NULL AND p."hiddenAt" IS NULL ${categoryFilter}
+    ORDER BY r."rank" DESC, p."createdAt" DESC
+    LIMIT ${limit}`;
+
+  return rows.map((row) => ({
+    id: row.id,
+    frustration: row.frustration,
+    identity: row.identity,
+    score: row.score,
+    commentCount: row.commentCount,
+    createdAt: row.createdAt,
+    category: { name: row.categoryName, slug: row.categorySlug },
+    rank: row.rank,
+    snippets: {
+      frustration: toSnippet(row.frustrationSnippet),
+      identity: toSnippet(row.identitySnippet),
+      comment: row.commentSnippet
+        ? { id: row.commentId!, parts: toSnippet(row.commentSnippet) }
+        : null,
+    },
+  }));
+}
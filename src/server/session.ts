@@ -0,0 +1,119 @@
+import type { NextResponse } from "next/server";
+import { decode, encode } from "next-auth/jwt";
+import { prisma } from "./db";
+
+// Signed-in users carry a single kind of session: an encrypted JWT naming the
+// user and a `Session` row, sent by browsers in the httpOnly `auth-token`
+// cookie and by API clients as `Authorization: Bearer <token>`. The token
+// only counts while its row is unrevoked and unexpired, so it can be revoked
+// before its 24 hours are up. `/api/auth/login` is the only place one is
+// issued (plus the test-only `/api/auth/create-session`).
+
+export const SESSION_COOKIE = "auth-token";
+
+// 24 hours
+export const SESSION_MAX_AGE = 60 * 60 * 24;
+
+// lastUsedAt is only written this often, so reading a session isn't a write
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+const SECRET = process.env.NEXTAUTH_SECRET || "development-secret-change-in-production";
+
+export interface Session {
+  id: string;
+  userId: string;
+  username: string;
+}
+
+// Start a session for `user` from the device making the request, and return
+// its token
+export async function createSession(user: { id: string; username: string }, headers: Headers) {
+  const now = new Date();
+
+  // Expired rows can't be used or revoked any more; clear the user's out here
+  await prisma.session.deleteMany({ where: { userId: user.id, expiresAt: { lt: now } } });
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      userAgent: headers.get("user-agent")?.slice(0, 255) || null,
+      expiresAt: new Date(now.getTime() + SESSION_MAX_AGE * 1000),
+    },
+  });
+
+  return encode({
+    token: { sub: user.id, name: user.username, sid: session.id },
+    secret: SECRET,
+    maxAge: SESSION_MAX_AGE,
+  });
+}
+
+// Put the session cookie on `response`
+export function setSessionCookie(response: NextResponse, token: string) {
+  response.cookies.set(SESSION_COOKIE, token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "lax",
+    maxAge: SESSION_MAX_AGE,
+    path: "/",
+  });
+}
+
+// Remove the session cookie on `response`
+export function clearSessionCookie(response: NextResponse) {
+  response.cookies.set(SESSION_COOKIE, "", { path: "/", maxAge: 0 });
+}
+
+// The token a request carries: the Bearer header wins over the cookie
+function readSessionToken(headers: Headers) {
+  const authorization = headers.get("authorization");
+  if (authorization?.startsWith("Bearer ")) {
+    return authorization.slice("Bearer ".length);
+  }
+
+  const value = headers
+    .get("cookie")
+    ?.split(";")
+    .map((cookie) => cookie.trim())
+    .find((cookie) => cookie.startsWith(`${SESSION_COOKIE}=`))
+    ?.slice(SESSION_COOKIE.length + 1);
+  return value ? decodeURIComponent(value) : null;
+}
+
+// The session a request carries, or null if it has none, the token doesn't
+// verify, or its row has been revoked or has expired
+export async function readSession(headers: Headers): Promise<Session | null> {
+  const token = readSessionToken(headers);
+  if (!token) return null;
+
+  let decoded;
+  try {
+    decoded = await decode({ token, secret: SECRET });
+  } catch {
+    // Tampered, expired or signed with another secret
+    return null;
+  }
+  // Tokens from before sessions were stored have no `sid` and no longer count
+  if (!decoded?.sub || typeof decoded.sid !== "string") return null;
+
+  const session = await prisma.session.findUnique({ where: { id: decoded.sid } });
+  const now = new Date();
+  if (!session || session.userId !== decoded.sub || session.revokedAt || session.expiresAt <= now) {
+    return null;
+  }
+
+  if (now.getTime() - session.lastUsedAt.getTime() > TOUCH_INTERVAL_MS) {
+    await prisma.session.update({ where: { id: session.id }, data: { lastUsedAt: now } });
+  }
+
+  return { id: session.id, userId: session.userId, username: decoded.name ?? "" };
+}
+
+// Revoke `userId`'s live sessions, or just the one with `id`. Returns how
+// many were revoked.
+export async function revokeSessions({ userId, id }: { userId: string; id?: string }) {
+  const { count } = await prisma.session.updateMany({
+    where: { userId, ...(id ? { id } : {}), revokedAt: null, expiresAt: { gt: new Date() } },
+    data: { revokedAt: new Date() },
+  });
+  return count;
+}
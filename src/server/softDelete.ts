@@ -0,0 +1,136 @@
+import type { HiddenReason, PrismaClient } from "@prisma/client";
+import { DELETED_CONTENT, HIDDEN_CONTENT, SOFT_DELETE_RETENTION_DAYS } from "../lib/constants";
+import { isPendingReview } from "../lib/utils";
+import { refreshHotScore } from "./hotScore";
+import type { DbClient } from "./db";
+
+interface Authored {
+  deletedAt: Date | null;
+  hiddenAt?: Date | null;
+  hiddenReason?: HiddenReason | null;
+  userId?: string | null;
+  anonymousId?: string | null;
+  user?: { username: string } | null;
+}
+
+// Placeholder for content that is deleted or hidden by moderators, or null if
+// visible. Content hidden automatically is pending review and keeps its text;
+// clients collapse it instead.
+function placeholderFor(target: Authored) {
+  if (target.deletedAt) return DELETED_CONTENT;
+  if (target.hiddenAt && !isPendingReview(target.hiddenReason)) return HIDDEN_CONTENT;
+  return null;
+}
+
+// Hide the text and author of a tombstoned or hidden comment; votes,
+// timestamps and replies are left as they are so the thread still reads in order
+export function redactComment<T extends Authored & { content: string }>(comment: T): T {
+  const placeholder = placeholderFor(comment);
+  if (!placeholder) return comment;
+  return { ...comment, content: placeholder, userId: null, anonymousId: null, user: null };
+}
+
+export function redactPost<T extends Authored & { frustration: string; identity: string }>(
+  post: T
+): T {
+  const placeholder = placeholderFor(post);
+  if (!placeholder) return post;
+  return {
+    ...post,
+    frustration: placeholder,
+    identity: placeholder,
+    ...("frustrationTokens" in post ? { frustrationTokens: [] } : {}),
+    userId: null,
+    anonymousId: null,
+    user: null,
+  };
+}
+
+/**
+ * Tombstone a comment. Replies stay where they are; the comment stops
+ * counting towards its post's commentCount. Returns false if the comment was
+ * already deleted.
+ */
+export async function softDeleteComment(db: DbClient, comment: { id: string; postId: string }) {
+  const { count } = await db.comment.updateMany({
+    where: { id: comment.id, deletedAt: null },
+    data: { deletedAt: new Date() },
+  });
+  if (count === 0) return false;
+
+  await db.post.update({
+    where: { id: comment.postId },
+    data: { commentCount: { decrement: 1 } },
+  });
+  await refreshHotScore(db, comment.postId);
+  return true;
+}
+
+// Tombstone a post. It drops out of every feed but its thread stays readable.
+export async function softDeletePost(db: DbClient, postId: string) {
+  const { count } = await db.post.updateMany({
+    where: { id: postId, deletedAt: null },
+    data: { deletedAt: new Date() },
+  });
+  return count > 0;
+}
+
+/**
+ * Hard-delete tombstones older than the retention window. A comment is only
+ * purged once it has no replies left and a post once it has no comments left,
+ * so purging never takes anyone else's live content with it. Votes on the
+ * purged rows go too, and their authors' karma is reduced to match.
+ */
+export async function purgeDeletedContent(
+  db: PrismaClient,
+  { retentionDays = SOFT_DELETE_RETENTION_DAYS }: { retentionDays?: number } = {}
+) {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  let comments = 0;
+  let posts = 0;
+
+  // Purging a reply can leave its parent without replies, so repeat until no
+  // more leaf tombstones are found
+  for (;;) {
+    const leaves = await db.comment.findMany({
+      where: { deletedAt: { lt: cutoff }, replies: { none: {} } },
+      select: { id: true, userId: true, score: true },
+    });
+    if (leaves.length === 0) break;
+
+    await db.$transaction(async (tx) => {
+      for (const leaf of leaves) {
+        if (leaf.userId && leaf.score !== 0) {
+          await tx.user.update({
+            where: { id: leaf.userId },
+            data: { karma: { decrement: leaf.score } },
+          });
+        }
+      }
+      await tx.comment.deleteMany({ where: { id: { in: leaves.map((c) => c.id) } } });
+    });
+    comments += leaves.length;
+  }
+
+  const emptyPosts = await db.post.findMany({
+    where: { deletedAt: { lt: cutoff }, comments: { none: {} } },
+    select: { id: true, userId: true, score: true },
+  });
+
+  if (emptyPosts.length > 0) {
+    await db.$transaction(async (tx) => {
+      for (const post of emptyPosts) {
+        if (post.userId && post.score !== 0) {
+          await tx.user.update({
+            where: { id: post.userId },
+            data: { karma: { decrement: post.score } },
+          });
+        }
+      }
+      await tx.post.deleteMany({ where: { id: { in: emptyPosts.map((p) => p.id) } } });
+    });
+    posts = emptyPosts.length;
+  }
+
+  return { comments, posts };
+}
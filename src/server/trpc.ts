@@ -1,51 +1,40 @@
-import { initTRPC } from "@trpc/server";
+import { initTRPC, TRPCError } from "@trpc/server";
+import type { Role } from "@prisma/client";
 import superjson from "superjson";
 import { ZodError } from "zod";
-import { decode } from "next-auth/jwt";
 import { prisma } from "./db";
-
-const JWT_SECRET = process.env.NEXTAUTH_SECRET || "development-secret-change-in-production";
+import { checkRateLimit, type RateLimitAction } from "./rateLimit";
+import { clientIpHash, getClientIp } from "./clientIp";
+import { getUserRole, hasRole } from "./roles";
+import { readAnonymousId } from "./anonymousId";
+import { readSession } from "./session";
 
 export const createContext = async (opts?: { req?: Request }) => {
   let userId: string | null = null;
+  let sessionId: string | null = null;
+  let ip: string | null = null;
+  let ipHash: string | null = null;
+  let anonymousId: string | null = null;
 
   if (opts?.req) {
-    let token: string | null = null;
-
-    // Extract token from Authorization header (Bearer token)
-    const authHeader = opts.req.headers.get("authorization");
-    if (authHeader?.startsWith("Bearer ")) {
-      token = authHeader.substring(7);
-    }
-
-    // Fallback: Extract token from cookie (for browser/test sessions)
-    if (!token) {
-      const cookieHeader = opts.req.headers.get("cookie");
-      if (cookieHeader) {
-        const cookies = cookieHeader.split(";").map(c => c.trim());
-        const authCookie = cookies.find(c => c.startsWith("auth-token="));
-        if (authCookie) {
-          token = authCookie.split("=")[1];
-        }
-      }
-    }
-
-    // Decode the JWT token to extract the actual userId
-    if (token) {
-      try {
-        const decoded = await decode({ token, secret: JWT_SECRET });
-        if (decoded?.sub) {
-          userId = decoded.sub as string;
-        }
-      } catch (e) {
-        // Invalid token, userId remains null
-      }
-    }
+    ip = getClientIp(opts.req.headers);
+    // Only the keyed hash is ever stored
+    ipHash = clientIpHash(opts.req.headers);
+    // Issued by middleware; whatever anonymousId a client sends is ignored
+    anonymousId = await readAnonymousId(opts.req.headers);
+    // Bearer token or `auth-token` cookie, both issued by /api/auth/login
+    const session = await readSession(opts.req.headers);
+    userId = session?.userId ?? null;
+    sessionId = session?.id ?? null;
   }
 
   return {
     prisma,
     userId,
+    sessionId,
+    anonymousId,
+    ip,
+    ipHash,
   };
 };
 
@@ -72,3 +61,46 @@ const t = initTRPC.context<Context>().create({
 
 export const router = t.router;
 export const publicProcedure = t.procedure;
+
+// Enforce RATE_LIMITS for `action`. Anonymous callers are identified by
+// their anonymous cookie plus their IP.
+export const rateLimit = (action: RateLimitAction) =>
+  t.middleware(async ({ ctx, next }) => {
+    const result = await checkRateLimit(action, {
+      userId: ctx.userId,
+      anonymousId: ctx.anonymousId,
+      ipHash: ctx.ipHash,
+    });
+
+    if (!result.allowed) {
+      throw new TRPCError({
+        code: "TOO_MANY_REQUESTS",
+        message: `Rate limit exceeded. Try again in ${result.retryAfterSeconds} seconds`,
+      });
+    }
+
+    return next();
+  });
+
+export const protectedProcedure = t.procedure.use(({ ctx, next }) => {
+  if (!ctx.userId) {
+    throw new TRPCError({ code: "UNAUTHORIZED", message: "Not authenticated" });
+  }
+  return next({ ctx: { ...ctx, userId: ctx.userId } });
+});
+
+// Signed-in users whose stored role is at least `required`
+const roleProcedure = (required: Role) =>
+  protectedProcedure.use(async ({ ctx, next }) => {
+    const role = await getUserRole(ctx.prisma, ctx.userId);
+    if (!hasRole(role, required)) {
+      throw new TRPCError({
+        code: "FORBIDDEN",
+        message: required === "admin" ? "Admin access required" : "Moderator access required",
+      });
+    }
+    return next({ ctx: { ...ctx, role: role as Role } });
+  });
+
+export const moderatorProcedure = roleProcedure("moderator");
+export const adminProcedure = roleProcedure("admin");
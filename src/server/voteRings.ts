@@ -0,0 +1,265 @@
+import { createHash } from "crypto";
+import { Prisma, type PrismaClient, type Vote } from "@prisma/client";
+import type { DbClient } from "./db";
+import { refreshHotScore } from "./hotScore";
+import { unhideIfRecovered } from "./moderation";
+import { VOTE_RING_THRESHOLDS } from "../lib/constants";
+
+export type VoteRingKind = "sharedIp" | "burst" | "singleAuthor";
+
+export interface VoteRingFinding {
+  // Names the pattern without exposing what its votes have in common
+  key: string;
+  kind: VoteRingKind;
+  // The votes behind the finding; what a moderator voids with voidVoteRing
+  voteIds: string[];
+  voteCount: number;
+  voterCount: number;
+  // Registered author the votes went to (burst, singleAuthor); null otherwise
+  authorId: string | null;
+  // Account that cast the votes (singleAuthor)
+  voterId: string | null;
+  postIds: string[];
+  commentIds: string[];
+  firstVoteAt: Date;
+  lastVoteAt: Date;
+}
+
+// One flagged group of votes. `group` is what the votes have in common (an IP
+// hash, an author and time slot, an account); it only ever leaves this module
+// hashed into the finding's key.
+interface FlaggedRow {
+  group: string;
+  voteIds: string[];
+  postIds: string[];
+  commentIds: string[];
+  voterCount: number;
+  authorId: string | null;
+  voterId: string | null;
+  firstVoteAt: Date;
+  lastVoteAt: Date;
+}
+
+// Many anonymous ids behind one IP hash. Hashes are re-salted every rotation
+// period, so this only links votes cast within the same period.
+function findSharedIpVotes(db: DbClient, since: Date) {
+  return db.$queryRaw<FlaggedRow[]>`
+    SELECT v."ipHash" AS "group",
+      array_agg(v."id") AS "voteIds",
+      COALESCE(array_agg(DISTINCT v."postId") FILTER (WHERE v."postId" IS NOT NULL), '{}') AS "postIds",
+      COALESCE(array_agg(DISTINCT v."commentId") FILTER (WHERE v."commentId" IS NOT NULL), '{}') AS "commentIds",
+      COUNT(DISTINCT v."anonymousId")::int AS "voterCount",
+      NULL::text AS "authorId", NULL::text AS "voterId",
+      MIN(v."createdAt") AS "firstVoteAt", MAX(v."createdAt") AS "lastVoteAt"
+    FROM "Vote" v
+    WHERE v."createdAt" >= ${since} AND v."ipHash" IS NOT NULL AND v."anonymousId" IS NOT NULL
+    GROUP BY v."ipHash"
+    HAVING COUNT(DISTINCT v."anonymousId") >= ${VOTE_RING_THRESHOLDS.sharedIpVoters}`;
+}
+
+// Votes since `since` with the author of the post or comment they are on:
+// the account when there is one, else the anonymous id it was posted with
+function authoredVotes(since: Date, slotSeconds: number) {
+  return Prisma.sql`
+    SELECT v."id", v."postId", v."commentId", v."createdAt", v."userId" AS "voterId",
+      COALESCE(v."anonymousId", v."userId") AS "voter",
+      COALESCE(p."userId", c."userId") AS "authorId",
+      COALESCE(p."userId", c."userId", 'anon:' || COALESCE(p."anonymousId", c."anonymousId")) AS "author",
+      floor(extract(epoch FROM v."createdAt") / ${slotSeconds}) AS "slot"
+    FROM "Vote" v
+    LEFT JOIN "Post" p ON p."id" = v."postId"
+    LEFT JOIN "Comment" c ON c."id" = v."commentId"
+    WHERE v."createdAt" >= ${since}`;
+}
+
+const flaggedColumns = Prisma.sql`
+  array_agg("id") AS "voteIds",
+  COALESCE(array_agg(DISTINCT "postId") FILTER (WHERE "postId" IS NOT NULL), '{}') AS "postIds",
+  COALESCE(array_agg(DISTINCT "commentId") FILTER (WHERE "commentId" IS NOT NULL), '{}') AS "commentIds",
+  COUNT(DISTINCT "voter")::int AS "voterCount",
+  MIN("createdAt") AS "firstVoteAt", MAX("createdAt") AS "lastVoteAt"`;
+
+// Many votes on one author's content within one burstMinutes slot. Slots
+// are fixed, so a burst straddling two of them can be missed.
+function findBurstVotes(db: DbClient, since: Date) {
+  const slotSeconds = VOTE_RING_THRESHOLDS.burstMinutes * 60;
+  return db.$queryRaw<FlaggedRow[]>`
+    SELECT "author" || ':' || "slot"::text AS "group", ${flaggedColumns},
+      MIN("authorId") AS "authorId", NULL::text AS "voterId"
+    FROM (${authoredVotes(since, slotSeconds)}) authored
+    WHERE "author" IS NOT NULL
+    GROUP BY "author", "slot"
+    HAVING COUNT(*) >= ${VOTE_RING_THRESHOLDS.burstVotes}`;
+}
+
+// Accounts whose every vote in the lookback went to the same author
+function findSingleAuthorVotes(db: DbClient, since: Date) {
+  return db.$queryRaw<FlaggedRow[]>`
+    SELECT "voterId" AS "group", ${flaggedColumns},
+      MIN("authorId") AS "authorId", "voterId"
+    FROM (${authoredVotes(since, 60)}) authored
+    WHERE "voterId" IS NOT NULL
+    GROUP BY "voterId"
+    HAVING COUNT(*) >= ${VOTE_RING_THRESHOLDS.singleAuthorVotes}
+      AND COUNT("author") = COUNT(*)
+      AND COUNT(DISTINCT "author") = 1`;
+}
+
+function findingKey(kind: VoteRingKind, group: string) {
+  return `${kind}:${createHash("sha256").update(group).digest("base64url").slice(0, 16)}`;
+}
+
+async function scanVoteRings(db: DbClient, now: Date) {
+  const since = new Date(now.getTime() - VOTE_RING_THRESHOLDS.lookbackDays * 24 * 60 * 60 * 1000);
+  const [sharedIp, burst, singleAuthor] = await Promise.all([
+    findSharedIpVotes(db, since),
+    findBurstVotes(db, since),
+    findSingleAuthorVotes(db, since),
+  ]);
+
+  const flagged: [VoteRingKind, FlaggedRow[]][] = [
+    ["sharedIp", sharedIp],
+    ["burst", burst],
+    ["singleAuthor", singleAuthor],
+  ];
+  return flagged
+    .flatMap(([kind, rows]) => rows.map((row) => ({ kind, key: findingKey(kind, row.group), ...row })))
+    .sort((a, b) => b.lastVoteAt.getTime() - a.lastVoteAt.getTime());
+}
+
+/**
+ * Scan recent votes for brigading: many anonymous ids sharing an IP hash,
+ * bursts of votes on one author's content, and accounts that only vote for
+ * one author (thresholds in VOTE_RING_THRESHOLDS). Findings are computed
+ * fresh on every call and may overlap; the newest activity comes first.
+ */
+export async function detectVoteRings(db: DbClient, now = new Date()): Promise<VoteRingFinding[]> {
+  const rings = await scanVoteRings(db, now);
+  return rings.map((ring) => ({
+    key: ring.key,
+    kind: ring.kind,
+    voteIds: ring.voteIds,
+    voteCount: ring.voteIds.length,
+    voterCount: ring.voterCount,
+    authorId: ring.authorId,
+    voterId: ring.voterId,
+    postIds: ring.postIds,
+    commentIds: ring.commentIds,
+    firstVoteAt: ring.firstVoteAt,
+    lastVoteAt: ring.lastVoteAt,
+  }));
+}
+
+function distinct(ids: (string | null)[]) {
+  return Array.from(new Set(ids.filter((id): id is string => id !== null))).sort();
+}
+
+// Per post or comment, what a set of votes added to its counters
+function tallyVotes(votes: Vote[], targetId: (vote: Vote) => string | null) {
+  const tallies = new Map<string, { upvotes: number; downvotes: number; score: number; votes: Vote[] }>();
+  for (const vote of votes) {
+    const id = targetId(vote);
+    if (!id) continue;
+    const tally = tallies.get(id) ?? { upvotes: 0, downvotes: 0, score: 0, votes: [] };
+    if (vote.value === 1) tally.upvotes += 1;
+    else tally.downvotes += 1;
+    tally.score += vote.value;
+    tally.votes.push(vote);
+    tallies.set(id, tally);
+  }
+  return tallies;
+}
+
+/**
+ * Delete the votes a moderator was shown for a finding and take back what
+ * they added: the targets' vote counters, respondent counts and hot scores,
+ * and their authors' karma. Content those votes auto-hid is shown again once
+ * its score recovers. Runs in one transaction with the targets locked, like
+ * castVote, so concurrent votes on them wait. Votes already gone are
+ * skipped; returns null when none are left.
+ */
+export async function voidVoteRing(db: PrismaClient, voteIds: string[]) {
+  return db.$transaction(async (tx) => {
+    const targets = await tx.vote.findMany({
+      where: { id: { in: voteIds } },
+      select: { postId: true, commentId: true },
+    });
+    if (targets.length === 0) return null;
+
+    // Lock in id order so two voids over the same targets can't deadlock
+    const postIds = distinct(targets.map((vote) => vote.postId));
+    const commentIds = distinct(targets.map((vote) => vote.commentId));
+    if (postIds.length > 0) {
+      await tx.$queryRaw`
+        SELECT "id" FROM "Post" WHERE "id" IN (${Prisma.join(postIds)}) ORDER BY "id" FOR UPDATE`;
+    }
+    if (commentIds.length > 0) {
+      await tx.$queryRaw`
+        SELECT "id" FROM "Comment" WHERE "id" IN (${Prisma.join(commentIds)}) ORDER BY "id" FOR UPDATE`;
+    }
+
+    // Read again under the locks: a reader may have changed or taken back
+    // one of these votes in the meantime
+    const votes = await tx.vote.findMany({ where: { id: { in: voteIds } } });
+    if (votes.length === 0) return null;
+    await tx.vote.deleteMany({ where: { id: { in: votes.map((vote) => vote.id) } } });
+
+    // Readers who also said "me too" still count as respondents
+    const meToos = await tx.meToo.findMany({
+      where: {
+        postId: { in: postIds },
+        OR: [
+          { anonymousId: { in: distinct(votes.map((vote) => vote.anonymousId)) } },
+          { userId: { in: distinct(votes.map((vote) => vote.userId)) } },
+        ],
+      },
+      select: { postId: true, userId: true, anonymousId: true },
+    });
+    const related = new Set(
+      meToos.map((meToo) => `${meToo.postId}:${meToo.anonymousId ?? meToo.userId}`)
+    );
+
+    const karma = new Map<string, number>();
+    let unhidden = 0;
+
+    const postTallies = Array.from(tallyVotes(votes, (vote) => vote.postId));
+    for (const [postId, tally] of postTallies) {
+      const respondents = tally.votes.filter(
+        (vote) => !related.has(`${postId}:${vote.anonymousId ?? vote.userId}`)
+      ).length;
+      const post = await tx.post.update({
+        where: { id: postId },
+        data: {
+          upvotes: { decrement: tally.upvotes },
+          downvotes: { decrement: tally.downvotes },
+          score: { decrement: tally.score },
+          respondentCount: { decrement: respondents },
+        },
+      });
+      await refreshHotScore(tx, postId);
+      if (await unhideIfRecovered(tx, "post", post)) unhidden += 1;
+      if (post.userId) karma.set(post.userId, (karma.get(post.userId) ?? 0) + tally.score);
+    }
+
+    const commentTallies = Array.from(tallyVotes(votes, (vote) => vote.commentId));
+    for (const [commentId, tally] of commentTallies) {
+      const comment = await tx.comment.update({
+        where: { id: commentId },
+        data: {
+          upvotes: { decrement: tally.upvotes },
+          downvotes: { decrement: tally.downvotes },
+          score: { decrement: tally.score },
+        },
+      });
+      if (await unhideIfRecovered(tx, "comment", comment)) unhidden += 1;
+      if (comment.userId) karma.set(comment.userId, (karma.get(comment.userId) ?? 0) + tally.score);
+    }
+
+    const authors = Array.from(karma).filter(([, score]) => score !== 0);
+    for (const [userId, score] of authors) {
+      await tx.user.update({ where: { id: userId }, data: { karma: { decrement: score } } });
+    }
+
+    return { voided: votes.length, unhidden };
+  });
+}
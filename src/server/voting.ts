@@ -0,0 +1,216 @@
+import { Prisma, type PrismaClient, type Vote } from "@prisma/client";
+import { TRPCError } from "@trpc/server";
+import { refreshHotScore } from "./hotScore";
+import { hideIfDownvoted } from "./moderation";
+import { hasIdentity, hasMeToo, readerWhere, type Reader } from "./meToo";
+import { MAX_ANONYMOUS_VOTERS_PER_IP } from "../lib/constants";
+import type { DbClient } from "./db";
+
+export type VoteTarget = "post" | "comment";
+
+interface CastVoteInput {
+  target: VoteTarget;
+  targetId: string;
+  value: 1 | -1;
+  userId: string | null;
+  anonymousId?: string;
+  // Keyed hash of the caller's IP (see clientIp.ts), null when unknown
+  ipHash: string | null;
+}
+
+interface LockedTarget {
+  userId: string | null;
+  deletedAt: Date | null;
+}
+
+// Unique-constraint violations (two first votes racing) and serialization
+// failures are safe to retry: the next attempt sees the committed vote.
+const RETRYABLE_ERROR_CODES = ["P2002", "P2034"];
+const MAX_ATTEMPTS = 3;
+
+const maxVotersPerIp = Number(process.env.MAX_ANONYMOUS_VOTERS_PER_IP);
+const MAX_VOTERS_PER_IP =
+  process.env.MAX_ANONYMOUS_VOTERS_PER_IP && Number.isFinite(maxVotersPerIp)
+    ? maxVotersPerIp
+    : MAX_ANONYMOUS_VOTERS_PER_IP;
+
+// What callers get back about a vote; the voter and IP hash stay server-side
+function publicVote(vote: Vote) {
+  return { id: vote.id, value: vote.value, postId: vote.postId, commentId: vote.commentId };
+}
+
+function isRetryable(error: unknown) {
+  return (
+    error instanceof Prisma.PrismaClientKnownRequestError &&
+    RETRYABLE_ERROR_CODES.includes(error.code)
+  );
+}
+
+/**
+ * Apply a vote click as one atomic state transition: create, flip or toggle
+ * off the caller's vote and move the target's upvotes/downvotes/score, the
+ * author's karma and (for posts) the hot score by the same delta. Content
+ * whose score falls to the auto-hide threshold is hidden pending review.
+ *
+ * The target row is locked for the duration of the transaction, so
+ * concurrent clicks on the same post or comment are applied one after the
+ * other instead of reading the same stale vote.
+ */
+export async function castVote(db: PrismaClient, input: CastVoteInput) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await db.$transaction((tx) => applyVote(tx, input));
+    } catch (error) {
+      if (attempt < MAX_ATTEMPTS && isRetryable(error)) continue;
+      throw error;
+    }
+  }
+}
+
+async function applyVote(tx: Prisma.TransactionClient, input: CastVoteInput) {
+  const { target, targetId, value, userId, anonymousId, ipHash } = input;
+
+  // Lock the target row; this also tells us whether it exists
+  const locked =
+    target === "post"
+      ? await tx.$queryRaw<LockedTarget[]>`
+          SELECT "userId", "deletedAt" FROM "Post" WHERE "id" = ${targetId} FOR UPDATE`
+      : await tx.$queryRaw<LockedTarget[]>`
+          SELECT "userId", "deletedAt" FROM "Comment" WHERE "id" = ${targetId} FOR UPDATE`;
+
+  if (locked.length === 0) {
+    throw new TRPCError({
+      code: "NOT_FOUND",
+      message: target === "post" ? "Post not found" : "Comment not found",
+    });
+  }
+  if (locked[0].deletedAt) {
+    throw new TRPCError({
+      code: "BAD_REQUEST",
+      message: "Cannot vote on deleted content",
+    });
+  }
+  const authorId = locked[0].userId;
+
+  // Look up the caller's vote by anonymousId (if provided) or userId
+  const targetWhere = target === "post" ? { postId: targetId } : { commentId: targetId };
+  const existingVote =
+    anonymousId || userId
+      ? await tx.vote.findFirst({
+          where: anonymousId
+            ? { ...targetWhere, anonymousId }
+            : { ...targetWhere, userId },
+        })
+      : null;
+
+  const previousValue = existingVote?.value ?? 0;
+  const nextValue = existingVote?.value === value ? 0 : value;
+
+  let result;
+  if (existingVote && nextValue === 0) {
+    // Same value again - toggle off
+    await tx.vote.delete({ where: { id: existingVote.id } });
+    result = { ...publicVote(existingVote), deleted: true as const };
+  } else if (existingVote) {
+    // Opposite value - change direction
+    const updatedVote = await tx.vote.update({
+      where: { id: existingVote.id },
+      data: { value },
+    });
+    result = { ...publicVote(updatedVote), updated: true as const };
+  } else {
+    // Anonymous ids are free to mint, so one address voting on the same
+    // target under many of them is a single person. The target row is
+    // locked, so concurrent first votes are counted one at a time.
+    if (anonymousId && ipHash) {
+      const votersFromIp = await tx.vote.count({
+        where: { ...targetWhere, ipHash, anonymousId: { not: null } },
+      });
+      if (votersFromIp >= MAX_VOTERS_PER_IP) {
+        throw new TRPCError({
+          code: "TOO_MANY_REQUESTS",
+          message: `Too many anonymous votes on this ${target} from your network. Sign in to vote.`,
+        });
+      }
+    }
+
+    // If anonymousId is provided, don't set userId to keep the vote anonymous
+    const createdVote = await tx.vote.create({
+      data: {
+        ...targetWhere,
+        value,
+        userId: anonymousId ? null : userId,
+        anonymousId,
+        ipHash,
+      },
+    });
+    result = publicVote(createdVote);
+  }
+
+  const delta = {
+    upvotes: { increment: Number(nextValue === 1) - Number(previousValue === 1) },
+    downvotes: { increment: Number(nextValue === -1) - Number(previousValue === -1) },
+    score: { increment: nextValue - previousValue },
+  };
+
+  if (target === "post") {
+    // A first vote or a withdrawn one changes the number of distinct readers
+    // who responded, unless they also said "me too"
+    const reader = { userId, anonymousId };
+    const step = existingVote ? (nextValue === 0 ? -1 : 0) : 1;
+    const respondentCount =
+      step !== 0 && hasIdentity(reader) && !(await hasMeToo(tx, targetId, reader))
+        ? { respondentCount: { increment: step } }
+        : {};
+
+    const post = await tx.post.update({
+      where: { id: targetId },
+      data: { ...delta, ...respondentCount },
+    });
+    await refreshHotScore(tx, targetId);
+    await hideIfDownvoted(tx, target, post);
+  } else {
+    const comment = await tx.comment.update({ where: { id: targetId }, data: delta });
+    await hideIfDownvoted(tx, target, comment);
+  }
+
+  if (authorId && nextValue !== previousValue) {
+    await tx.user.update({
+      where: { id: authorId },
+      data: { karma: { increment: nextValue - previousValue } },
+    });
+  }
+
+  return result;
+}
+
+/**
+ * The reader's current votes on the given posts and comments, as maps from
+ * id to +1 or -1; ids the reader hasn't voted on are left out. Votes are
+ * matched the way castVote finds them, by anonymousId when given.
+ */
+export async function findReaderVotes(
+  db: DbClient,
+  reader: Reader,
+  { postIds, commentIds }: { postIds: string[]; commentIds: string[] }
+) {
+  const posts: Record<string, number> = {};
+  const comments: Record<string, number> = {};
+  if (!hasIdentity(reader) || postIds.length + commentIds.length === 0) {
+    return { posts, comments };
+  }
+
+  const votes = await db.vote.findMany({
+    where: {
+      ...readerWhere(reader),
+      OR: [{ postId: { in: postIds } }, { commentId: { in: commentIds } }],
+    },
+    select: { postId: true, commentId: true, value: true },
+  });
+
+  for (const vote of votes) {
+    if (vote.postId) posts[vote.postId] = vote.value;
+    else if (vote.commentId) comments[vote.commentId] = vote.value;
+  }
+  return { posts, comments };
+}
@@ -1,17 +1,42 @@
 import { create } from "zustand";
+import { persist } from "zustand/middleware";
+import { DEFAULT_TOP_WINDOW, type TopWindow } from "@/lib/constants";
 
-type FeedType = "hot" | "new";
+type FeedType = "hot" | "new" | "top";
 
 interface FeedState {
   feedType: FeedType;
   categorySlug: string | null;
+  topWindow: TopWindow;
+  // Window scroll offset per feed (see feedKey in PostList), restored when
+  // coming back to the feed from a post
+  scrollPositions: Record<string, number>;
   setFeedType: (type: FeedType) => void;
   setCategorySlug: (slug: string | null) => void;
+  setTopWindow: (window: TopWindow) => void;
+  saveScrollPosition: (feedKey: string, y: number) => void;
 }
 
-export const useFeedStore = create<FeedState>((set) => ({
-  feedType: "hot",
-  categorySlug: null,
-  setFeedType: (type) => set({ feedType: type }),
-  setCategorySlug: (slug) => set({ categorySlug: slug }),
-}));
+// The tab and Top window are kept in localStorage across visits. The store
+// starts from the defaults so the server render matches; HomePage rehydrates
+// it once mounted (skipHydration).
+export const useFeedStore = create<FeedState>()(
+  persist(
+    (set) => ({
+      feedType: "hot",
+      categorySlug: null,
+      topWindow: DEFAULT_TOP_WINDOW,
+      scrollPositions: {},
+      setFeedType: (type) => set({ feedType: type }),
+      setCategorySlug: (slug) => set({ categorySlug: slug }),
+      setTopWindow: (window) => set({ topWindow: window }),
+      saveScrollPosition: (feedKey, y) =>
+        set((state) => ({ scrollPositions: { ...state.scrollPositions, [feedKey]: y } })),
+    }),
+    {
+      name: "feed",
+      partialize: ({ feedType, topWindow }) => ({ feedType, topWindow }),
+      skipHydration: true,
+    }
+  )
+);